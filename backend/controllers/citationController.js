@@ -0,0 +1,365 @@
+const logger = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditUtils');
+const citationService = require('../services/citationService');
+
+// Respond with the status a service error carries, or a 500
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: messages });
+  }
+  logger.error(`${message}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    List violation codes (?includeInactive=true, ?category=)
+ * @route   GET /api/citations/violation-codes
+ * @access  Private
+ */
+const getViolationCodes = async (req, res) => {
+  try {
+    const codes = await citationService.listViolationCodes({
+      includeInactive: req.query.includeInactive === 'true',
+      category: req.query.category
+    });
+
+    res.json({
+      success: true,
+      count: codes.length,
+      data: codes
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting violation codes');
+  }
+};
+
+/**
+ * @desc    Add a violation code
+ * @route   POST /api/citations/violation-codes
+ * @access  Private/Admin
+ */
+const createViolationCode = async (req, res) => {
+  try {
+    const code = await citationService.createViolationCode(req.body, req.user);
+
+    await createAuditLog(req, 'create', 'citation', code._id, `Created violation code ${code.code}`, true);
+
+    res.status(201).json({
+      success: true,
+      data: code
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating violation code');
+  }
+};
+
+/**
+ * @desc    Update a violation code's description, fine or status
+ * @route   PUT /api/citations/violation-codes/:id
+ * @access  Private/Admin
+ */
+const updateViolationCode = async (req, res) => {
+  try {
+    const code = await citationService.updateViolationCode(req.params.id, req.body);
+
+    await createAuditLog(req, 'update', 'citation', code._id, `Updated violation code ${code.code}`, true, {
+      changes: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      data: code
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating violation code');
+  }
+};
+
+/**
+ * @desc    Unpaid, overdue and contested citation totals per vehicle (?vehicle=, ?limit=)
+ * @route   GET /api/citations/unpaid-totals
+ * @access  Private
+ */
+const getUnpaidTotals = async (req, res) => {
+  try {
+    const totals = await citationService.getUnpaidTotals({
+      vehicle: req.query.vehicle,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      count: totals.length,
+      data: totals
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting unpaid citation totals');
+  }
+};
+
+/**
+ * @desc    List citations (?vehicle=, ?person=, ?incident=, ?status=, ?overdue=true)
+ * @route   GET /api/citations
+ * @access  Private
+ */
+const getCitations = async (req, res) => {
+  try {
+    const result = await citationService.listCitations(req.query);
+
+    res.json({
+      success: true,
+      count: result.citations.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      data: result.citations
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting citations');
+  }
+};
+
+/**
+ * @desc    Issue a citation against a vehicle
+ * @route   POST /api/citations
+ * @access  Private/Admin/Officer
+ */
+const issueCitation = async (req, res) => {
+  try {
+    const { vehicleId, violationCodes, personId, driver, incidentId, location, issuedAt, dueDate, court, notes } = req.body;
+    const { citation, vehicle } = await citationService.issueCitation({
+      vehicleId,
+      violationCodes,
+      personId,
+      driver,
+      incidentId,
+      location,
+      issuedAt,
+      dueDate,
+      court,
+      notes
+    }, req.user);
+
+    await createAuditLog(
+      req,
+      'create',
+      'citation',
+      citation._id,
+      `Issued citation ${citation.citationNumber} to ${vehicle.licensePlate}`,
+      true,
+      { codes: citation.violations.map(violation => violation.code), totalAmount: citation.totalAmount }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Citation ${citation.citationNumber} issued`,
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error issuing citation');
+  }
+};
+
+/**
+ * @desc    Get a citation with its payments, contest and balance
+ * @route   GET /api/citations/:id
+ * @access  Private
+ */
+const getCitation = async (req, res) => {
+  try {
+    const citation = await citationService.getCitation(req.params.id);
+
+    res.json({
+      success: true,
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting citation');
+  }
+};
+
+/**
+ * @desc    Download the citation PDF
+ * @route   GET /api/citations/:id/pdf
+ * @access  Private
+ */
+const getCitationPdf = async (req, res) => {
+  try {
+    const { fileData, filename, documentId } = await citationService.getCitationPdf(req.params.id, req.user);
+
+    await createAuditLog(req, 'download', 'document', documentId, `Downloaded citation PDF ${filename}`, true);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.setHeader('Content-Length', fileData.length);
+    res.send(fileData);
+  } catch (error) {
+    sendError(res, error, 'Error getting citation PDF');
+  }
+};
+
+/**
+ * @desc    Render the citation PDF again
+ * @route   POST /api/citations/:id/pdf
+ * @access  Private/Admin/Officer
+ */
+const regenerateCitationPdf = async (req, res) => {
+  try {
+    const document = await citationService.generateCitationDocument(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    sendError(res, error, 'Error generating citation PDF');
+  }
+};
+
+/**
+ * @desc    Record a payment against a citation
+ * @route   POST /api/citations/:id/payments
+ * @access  Private/Admin/Officer
+ */
+const recordPayment = async (req, res) => {
+  try {
+    const { amount, method, reference, paidAt } = req.body;
+    const citation = await citationService.recordPayment(req.params.id, { amount, method, reference, paidAt }, req.user);
+
+    await createAuditLog(
+      req,
+      'update',
+      'citation',
+      citation._id,
+      `Recorded payment of ${Number(amount).toFixed(2)} on citation ${citation.citationNumber}`,
+      true,
+      { method, reference, status: citation.status }
+    );
+
+    res.json({
+      success: true,
+      message: citation.status === 'paid' ? 'Citation paid in full' : 'Payment recorded',
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error recording citation payment');
+  }
+};
+
+/**
+ * @desc    Contest a citation
+ * @route   POST /api/citations/:id/contest
+ * @access  Private/Admin/Officer
+ */
+const contestCitation = async (req, res) => {
+  try {
+    const { reason, court } = req.body;
+    const citation = await citationService.contestCitation(req.params.id, { reason, court }, req.user);
+
+    await createAuditLog(req, 'update', 'citation', citation._id, `Citation ${citation.citationNumber} contested`, true);
+
+    res.json({
+      success: true,
+      message: 'Citation contested',
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error contesting citation');
+  }
+};
+
+/**
+ * @desc    Set the court hearing of a citation
+ * @route   PUT /api/citations/:id/court
+ * @access  Private/Admin/Officer
+ */
+const setCourtDate = async (req, res) => {
+  try {
+    const { date, location, caseNumber } = req.body;
+    const citation = await citationService.setCourtDate(req.params.id, { date, location, caseNumber }, req.user);
+
+    await createAuditLog(req, 'update', 'citation', citation._id, `Set court date for citation ${citation.citationNumber}`, true, {
+      courtDate: citation.court?.date
+    });
+
+    res.json({
+      success: true,
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error setting court date');
+  }
+};
+
+/**
+ * @desc    Record the outcome of a contest (upheld, reduced or dismissed)
+ * @route   POST /api/citations/:id/contest/resolve
+ * @access  Private/Admin/Officer
+ */
+const resolveContest = async (req, res) => {
+  try {
+    const { outcome, reducedAmount, notes } = req.body;
+    const citation = await citationService.resolveContest(req.params.id, { outcome, reducedAmount, notes }, req.user);
+
+    await createAuditLog(req, 'update', 'citation', citation._id, `Contest of citation ${citation.citationNumber} ${outcome}`, true, {
+      outcome,
+      totalAmount: citation.totalAmount
+    });
+
+    res.json({
+      success: true,
+      message: `Contest ${outcome}`,
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error resolving citation contest');
+  }
+};
+
+/**
+ * @desc    Void a citation issued in error
+ * @route   POST /api/citations/:id/void
+ * @access  Private/Admin
+ */
+const voidCitation = async (req, res) => {
+  try {
+    const citation = await citationService.voidCitation(req.params.id, req.body.reason, req.user);
+
+    await createAuditLog(req, 'update', 'citation', citation._id, `Voided citation ${citation.citationNumber}`, true, {
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Citation voided',
+      data: citation
+    });
+  } catch (error) {
+    sendError(res, error, 'Error voiding citation');
+  }
+};
+
+module.exports = {
+  getViolationCodes,
+  createViolationCode,
+  updateViolationCode,
+  getUnpaidTotals,
+  getCitations,
+  issueCitation,
+  getCitation,
+  getCitationPdf,
+  regenerateCitationPdf,
+  recordPayment,
+  contestCitation,
+  setCourtDate,
+  resolveContest,
+  voidCitation
+};
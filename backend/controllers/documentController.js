@@ -64,7 +64,7 @@ exports.uploadDocument = async (req, res) => {
     } : 'Not authenticated');
 
     // Get document information from the request body
-    const { type, description, vehicleId } = req.body || {}; // Add fallback empty object
+    const { type, description, vehicleId, expiryDate } = req.body || {}; // Add fallback empty object
     
     // Ensure type exists
     if (!type) {
@@ -128,7 +128,8 @@ exports.uploadDocument = async (req, res) => {
         size: result.bytes,
         uploadedBy: req.user.id,
         vehicle: vehicleId || null,
-        uploadDate: new Date()
+        uploadDate: new Date(),
+        expiration: expiryDate ? new Date(expiryDate) : undefined
       });
       
       // Save document to MongoDB
@@ -606,21 +607,25 @@ exports.signDocument = async (req, res) => {
 // Get expiring documents
 exports.getExpiringDocuments = async (req, res) => {
   try {
-    const documents = await cloudinary.api.resources({
-      type: 'upload',
-      prefix: 'vehicle_documents/',
-      metadata: true
-    });
+    const days = parseInt(req.query.days) || 30;
+    const now = new Date();
+    const horizon = new Date();
+    horizon.setDate(horizon.getDate() + days);
+
+    // Already expired documents are included unless they have been revoked or replaced
+    const filter = {
+      expiration: { $lte: horizon },
+      status: { $nin: ['revoked', 'replaced'] }
+    };
+    if (req.query.includeExpired === 'false') {
+      filter.expiration.$gt = now;
+    }
 
-    const expiringDocs = documents.resources.filter(doc => {
-      if (doc.context && doc.context.expiry_date) {
-        const expiryDate = new Date(doc.context.expiry_date);
-        const thirtyDaysFromNow = new Date();
-        thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-        return expiryDate <= thirtyDaysFromNow;
-      }
-      return false;
-    });
+    const expiringDocs = await Document.find(filter)
+      .select('-fileData')
+      .sort({ expiration: 1 })
+      .populate('vehicle', 'licensePlate make model')
+      .populate('uploadedBy', 'name email');
 
     await createAuditLog(
       req,
@@ -949,6 +954,18 @@ exports.downloadDocumentFile = async (req, res) => {
       res.setHeader('Pragma', 'no-cache');
       res.setHeader('Expires', '0');
       
+      // Documents generated by the server (citation PDFs) only exist in MongoDB
+      if (document.url && document.url.startsWith('/api/') && document.fileData && document.fileData.length > 0) {
+        if (filename.toLowerCase().endsWith('.pdf')) {
+          res.setHeader('Content-Type', 'application/pdf');
+        }
+        res.setHeader('Content-Length', document.fileData.length);
+        res.send(document.fileData);
+
+        await createAuditLog(req, 'download', 'document', document._id, `Downloaded document: ${filename}`, true);
+        return;
+      }
+
       // Get download URL (use document's url if available, otherwise generate)
       let downloadUrl = document.url;
       
@@ -0,0 +1,193 @@
+const logger = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditUtils');
+const geocodingService = require('../services/geocodingService');
+
+/**
+ * @desc    Geocode an address against the local gazetteer (incident form autocomplete)
+ * @route   GET /api/geo/geocode
+ * @access  Private
+ */
+const geocode = async (req, res) => {
+  try {
+    const query = (req.query.q || req.query.address || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide at least 2 characters to search for'
+      });
+    }
+
+    const results = await geocodingService.geocode(query, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    logger.error(`Error geocoding address: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error geocoding address',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Find the address nearest to a position
+ * @route   GET /api/geo/reverse
+ * @access  Private
+ */
+const reverseGeocode = async (req, res) => {
+  try {
+    const result = await geocodingService.reverseGeocode(req.query.lng, req.query.lat);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No known address near this position'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error(`Error reverse geocoding position: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error reverse geocoding position',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List gazetteer sources with entry counts
+ * @route   GET /api/geo/gazetteer
+ * @access  Private/Admin
+ */
+const getGazetteerSources = async (req, res) => {
+  try {
+    const sources = await geocodingService.getGazetteerSources();
+
+    res.json({
+      success: true,
+      data: sources
+    });
+  } catch (error) {
+    logger.error(`Error listing gazetteer sources: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing gazetteer sources',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import gazetteer entries from a CSV or GeoJSON file
+ * @route   POST /api/geo/gazetteer/import
+ * @access  Private/Admin
+ */
+const importGazetteer = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or GeoJSON file'
+      });
+    }
+
+    const summary = await geocodingService.importGazetteer({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      source: req.body.source || req.query.source,
+      replace: req.body.replace === 'true' || req.query.replace === 'true'
+    });
+
+    await createAuditLog(
+      req,
+      'upload',
+      'system',
+      null,
+      `Imported ${summary.importedCount} gazetteer entries from ${req.file.originalname} into source ${summary.source}`,
+      true,
+      {
+        source: summary.source,
+        importedCount: String(summary.importedCount),
+        skippedCount: String(summary.skippedCount),
+        removedCount: String(summary.removedCount)
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.importedCount} of ${summary.totalRows} entries`,
+      data: summary
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    logger.error(`Error importing gazetteer: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing gazetteer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove all gazetteer entries imported from a source
+ * @route   DELETE /api/geo/gazetteer/:source
+ * @access  Private/Admin
+ */
+const deleteGazetteerSource = async (req, res) => {
+  try {
+    const deletedCount = await geocodingService.deleteGazetteerSource(req.params.source);
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gazetteer source not found'
+      });
+    }
+
+    await createAuditLog(
+      req,
+      'delete',
+      'system',
+      null,
+      `Removed ${deletedCount} gazetteer entries from source ${req.params.source}`,
+      true
+    );
+
+    res.json({
+      success: true,
+      message: `Removed ${deletedCount} entries`,
+      data: { deletedCount }
+    });
+  } catch (error) {
+    logger.error(`Error deleting gazetteer source: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting gazetteer source',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  geocode,
+  reverseGeocode,
+  getGazetteerSources,
+  importGazetteer,
+  deleteGazetteerSource
+};
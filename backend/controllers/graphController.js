@@ -0,0 +1,58 @@
+const logger = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditUtils');
+const graphService = require('../services/graphService');
+
+// Audit resource type for each graph entity that is a document of its own
+const AUDIT_RESOURCE_TYPES = {
+  vehicle: 'vehicle',
+  incident: 'incident',
+  person: 'person'
+};
+
+/**
+ * @desc    Expand the link graph around a vehicle, incident, person, owner or contact detail
+ * @route   GET /api/graph/expand
+ * @access  Private
+ */
+const expandGraph = async (req, res) => {
+  try {
+    const { entity, id, depth } = req.query;
+    if (!entity || !id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the entity and id to expand'
+      });
+    }
+
+    const graph = await graphService.expand(entity, id, depth);
+
+    await createAuditLog(
+      req,
+      'search',
+      AUDIT_RESOURCE_TYPES[entity] || 'other',
+      AUDIT_RESOURCE_TYPES[entity] ? id : null,
+      `Expanded link graph around ${entity} ${id} (depth ${graph.depth})`,
+      true,
+      { nodeCount: String(graph.nodes.length), edgeCount: String(graph.edges.length) }
+    );
+
+    res.json({
+      success: true,
+      data: graph
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error(`Error expanding link graph: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Error expanding link graph',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  expandGraph
+};
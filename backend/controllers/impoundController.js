@@ -0,0 +1,257 @@
+const logger = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditUtils');
+const impoundService = require('../services/impoundService');
+
+// Respond with the status a service error carries, or a 500
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: messages });
+  }
+  logger.error(`${message}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    List impound lots with their occupancy
+ * @route   GET /api/impound/lots
+ * @access  Private
+ */
+const getLots = async (req, res) => {
+  try {
+    const lots = await impoundService.listLots({ includeInactive: req.query.includeInactive === 'true' });
+
+    res.json({
+      success: true,
+      count: lots.length,
+      data: lots
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting impound lots');
+  }
+};
+
+/**
+ * @desc    Create an impound lot
+ * @route   POST /api/impound/lots
+ * @access  Private/Admin
+ */
+const createLot = async (req, res) => {
+  try {
+    const lot = await impoundService.createLot(req.body, req.user);
+
+    await createAuditLog(req, 'create', 'impound', lot._id, `Created impound lot ${lot.name} (${lot.code})`, true);
+
+    res.status(201).json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating impound lot');
+  }
+};
+
+/**
+ * @desc    Update an impound lot's details, capacity or fees
+ * @route   PUT /api/impound/lots/:id
+ * @access  Private/Admin
+ */
+const updateLot = async (req, res) => {
+  try {
+    const lot = await impoundService.updateLot(req.params.id, req.body);
+
+    await createAuditLog(req, 'update', 'impound', lot._id, `Updated impound lot ${lot.name} (${lot.code})`, true, {
+      changes: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      data: lot
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating impound lot');
+  }
+};
+
+/**
+ * @desc    Occupancy, held vehicles, outstanding fees and activity of a lot
+ * @route   GET /api/impound/lots/:id/report
+ * @access  Private
+ */
+const getLotReport = async (req, res) => {
+  try {
+    const report = await impoundService.getLotReport(req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendError(res, error, 'Error building impound lot report');
+  }
+};
+
+/**
+ * @desc    List impound records (?lot=, ?vehicle=, ?status=impounded|released)
+ * @route   GET /api/impound/records
+ * @access  Private
+ */
+const getRecords = async (req, res) => {
+  try {
+    const result = await impoundService.listRecords(req.query);
+
+    res.json({
+      success: true,
+      count: result.records.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      data: result.records
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting impound records');
+  }
+};
+
+/**
+ * @desc    Take a vehicle into an impound lot
+ * @route   POST /api/impound/records
+ * @access  Private
+ */
+const intakeVehicle = async (req, res) => {
+  try {
+    const { vehicleId, lotId, reason, reasonDetails, incidentId, inventory, intakeAt, officerId } = req.body;
+    const { record, lot, vehicle } = await impoundService.intakeVehicle({
+      vehicleId,
+      lotId,
+      reason,
+      reasonDetails,
+      incidentId,
+      inventory,
+      intakeAt,
+      officerId
+    }, req.user);
+
+    await createAuditLog(
+      req,
+      'create',
+      'impound',
+      record._id,
+      `Vehicle ${vehicle.licensePlate} impounded at ${lot.name}`,
+      true,
+      { vehicleId: vehicle._id.toString(), lotId: lot._id.toString(), reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Vehicle impounded at ${lot.name}`,
+      data: record
+    });
+  } catch (error) {
+    sendError(res, error, 'Error impounding vehicle');
+  }
+};
+
+/**
+ * @desc    Get an impound record with its current fees and proof of ownership documents
+ * @route   GET /api/impound/records/:id
+ * @access  Private
+ */
+const getRecord = async (req, res) => {
+  try {
+    const record = await impoundService.getRecord(req.params.id);
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting impound record');
+  }
+};
+
+/**
+ * @desc    Add intake photos to an impound record
+ * @route   POST /api/impound/records/:id/photos
+ * @access  Private
+ */
+const addPhotos = async (req, res) => {
+  try {
+    const record = await impoundService.addPhotos(req.params.id, req.files, req.user, req.body.caption);
+
+    await createAuditLog(req, 'update', 'impound', record._id, `Added ${req.files.length} photo(s) to impound record`, true);
+
+    res.json({
+      success: true,
+      data: record.photos
+    });
+  } catch (error) {
+    sendError(res, error, 'Error adding impound photos');
+  }
+};
+
+/**
+ * @desc    Release an impounded vehicle against proof of ownership and paid (or waived) fees
+ * @route   POST /api/impound/records/:id/release
+ * @access  Private/Admin/Officer
+ */
+const releaseVehicle = async (req, res) => {
+  try {
+    const { releasedTo, documentIds, amountPaid, paymentReference, waiveFees, waiverReason, releasedAt, notes } = req.body;
+    const { record, vehicle } = await impoundService.releaseVehicle(req.params.id, {
+      releasedTo,
+      documentIds,
+      amountPaid,
+      paymentReference,
+      waiveFees,
+      waiverReason,
+      releasedAt,
+      notes
+    }, req.user);
+
+    await createAuditLog(
+      req,
+      'update',
+      'impound',
+      record._id,
+      `Vehicle ${vehicle ? vehicle.licensePlate : record.vehicle} released to ${record.release.releasedTo.name}`,
+      true,
+      {
+        totalFees: record.release.totalFees,
+        amountPaid: record.release.amountPaid,
+        feesWaived: record.release.feesWaived,
+        documentIds: record.release.documents.map(id => id.toString())
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Vehicle released',
+      data: record
+    });
+  } catch (error) {
+    sendError(res, error, 'Error releasing vehicle');
+  }
+};
+
+module.exports = {
+  getLots,
+  createLot,
+  updateLot,
+  getLotReport,
+  getRecords,
+  intakeVehicle,
+  getRecord,
+  addPhotos,
+  releaseVehicle
+};
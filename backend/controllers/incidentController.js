@@ -2,8 +2,145 @@ const Incident = require('../models/incidentModel');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
 const { notifyAdmins, notifyUser } = require('../utils/notificationUtils');
 const { createAuditLog } = require('../utils/auditLogUtils');
+const { emailUser, emailAdmins, getFrontendUrl } = require('../services/mail/mailService');
+const { getTransitions, findTransitionForStatus, buildTransition } = require('../services/incidentWorkflow');
+const { nextNumber, seedFromField } = require('../services/sequenceService');
+const incidentGeoService = require('../services/incidentGeoService');
+const geocodingService = require('../services/geocodingService');
+const evidenceService = require('../services/evidenceService');
+const assignmentService = require('../services/assignmentService');
+const slaService = require('../services/slaService');
+const reportVersionService = require('../services/reportVersionService');
+const approvalService = require('../services/approvalService');
+const personService = require('../services/personService');
+
+// Incident fields that can be set through PUT /api/incidents/:id. Status,
+// assignment, the case file and timeline go through workflow transitions,
+// evidence through the custody endpoints, and the number and SLA alerts are
+// kept by the server
+const EDITABLE_FIELDS = [
+  'title', 'description', 'date', 'time', 'dateTime', 'location', 'type', 'incidentType',
+  'severity', 'vehicle', 'vehicles', 'persons'
+];
+
+// Geocode an incident location; a gazetteer failure must not block saving the incident
+const resolveIncidentLocation = async (location) => {
+  try {
+    return await geocodingService.resolveLocation(location);
+  } catch (error) {
+    logger.warn(`Could not geocode incident location: ${error.message}`);
+    const address = typeof location === 'string' ? { street: location } : location.address;
+    return {
+      type: 'Point',
+      coordinates: [0, 0],
+      address: typeof address === 'string' ? { street: address } : address,
+      geocode: { source: 'unresolved', resolvedAt: new Date() }
+    };
+  }
+};
+
+// Address text of a location sent by a client or stored on an incident
+const getAddressText = (location) => {
+  if (!location) return '';
+  if (typeof location === 'string') return location.trim();
+  if (typeof location.address === 'string') return location.address.trim();
+  return geocodingService.formatAddress(location.address || {});
+};
+
+// Users outside the admin, investigator and officer roles only see incidents they reported
+const getVisibilityScope = (user) => (
+  ['admin', 'investigator', 'officer'].includes(user.role) ? {} : { reportedBy: user._id }
+);
+
+// Admins, investigators and officers can work on any incident; other users only on ones they reported
+const canAccessIncident = (user, incident) => (
+  ['admin', 'investigator', 'officer'].includes(user.role) ||
+  (incident.reportedBy?._id || incident.reportedBy).toString() === user._id.toString()
+);
+
+// Assign an incident through the workflow and let the investigator know.
+// Returns null when the incident status changed in the meantime.
+const assignToInvestigator = async (incident, investigator, user, { priority, description, system } = {}) => {
+  const { filter, update } = buildTransition(incident, 'assign', user, {
+    description: description || `Incident assigned to investigator ${investigator.name || investigator.email}`,
+    system,
+    set: {
+      assignedTo: investigator._id,
+      assignedBy: user._id,
+      'caseFile.assignedInvestigator': investigator._id,
+      'caseFile.investigationStartDate': new Date(),
+      'caseFile.priority': priority || incident.caseFile?.priority || 'medium'
+    }
+  });
+
+  // The case file gets its number the first time the incident is assigned
+  if (!incident.caseFile?.caseNumber) {
+    update.$set['caseFile.caseNumber'] = await nextNumber('case', {
+      seed: seedFromField(Incident, 'caseFile.caseNumber')
+    });
+  }
+
+  const updatedIncident = await Incident.findOneAndUpdate(
+    filter,
+    update,
+    { new: true, runValidators: true }
+  ).populate('vehicles.vehicle', 'registrationNumber licensePlate make model')
+   .populate('vehicle', 'registrationNumber licensePlate make model')
+   .populate('reportedBy', 'name email')
+   .populate('assignedTo', 'name email role');
+
+  if (!updatedIncident) {
+    return null;
+  }
+
+  logger.info(`Incident ${incident._id} assigned to investigator ${investigator._id} by ${system ? 'assignment rule for ' : ''}user ${user._id}`);
+
+  // Notify the assigned investigator
+  await notifyUser(
+    investigator._id,
+    'Incident Assigned',
+    `You have been assigned to investigate incident #${incident.incidentNumber}: ${incident.title}`,
+    'info',
+    'incident',
+    incident._id,
+    true // Mark as urgent
+  );
+
+  // Email is delivered in the background; failures go to the retry queue
+  emailUser(investigator._id, 'incidentAssigned', {
+    incidentNumber: incident.incidentNumber,
+    title: incident.title,
+    priority: updatedIncident.caseFile?.priority,
+    incidentUrl: getFrontendUrl(`/incidents/${incident._id}`)
+  }, { resourceType: 'incident', resourceId: incident._id });
+
+  return updatedIncident;
+};
+
+// Respond to an error a service tagged with an HTTP status code
+const sendServiceError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return null;
+};
+
+// Approval outcome for each report status an officer can send
+const REVIEW_OUTCOMES = {
+  approved: 'accept',
+  rejected: 'reject',
+  returned: 'return'
+};
+
+// Response when an incident changed status between reading and updating it
+const sendStaleTransition = (res) => res.status(409).json({
+  success: false,
+  message: 'The incident status changed while this request was processed. Reload the incident and try again.'
+});
 
 // Get all incidents
 exports.getAllIncidents = async (req, res) => {
@@ -27,9 +164,7 @@ exports.getAllIncidents = async (req, res) => {
     }
 
     // If user is not admin, investigator, or officer, only show incidents they reported
-    if (req.user.role !== 'admin' && req.user.role !== 'investigator' && req.user.role !== 'officer') {
-      query.reportedBy = req.user._id;
-    }
+    Object.assign(query, getVisibilityScope(req.user));
 
     const incidents = await Incident.find(query)
       .sort({ createdAt: -1 })
@@ -37,12 +172,22 @@ exports.getAllIncidents = async (req, res) => {
       .limit(limit)
       .populate('vehicles.vehicle', 'registrationNumber licensePlate make model year color')
       .populate('vehicle', 'registrationNumber licensePlate make model year color')
-      .populate('reportedBy', 'name email role');
+      .populate('reportedBy', 'name email role')
+      .populate('caseFile.approval.steps.approvers', 'name email role');
 
     const total = await Incident.countDocuments(query);
 
+    // SLA state and approval progress are worked out at read time so they are never stale
+    const slaConfig = await slaService.getSlaConfig();
+    const approvalSettings = await approvalService.getApprovalSettings();
+    const now = new Date();
+
     // Return just the incidents array for easier frontend consumption
-    res.json(incidents);
+    res.json(incidents.map(incident => ({
+      ...incident.toObject(),
+      sla: slaService.computeSla(incident, slaConfig, now),
+      approval: approvalService.describeApproval(incident, req.user, approvalSettings)
+    })));
   } catch (error) {
     logger.error(`Error getting incidents: ${error.message}`);
     res.status(500).json({ message: 'Server Error', error: error.message });
@@ -113,30 +258,19 @@ exports.createIncident = async (req, res) => {
       location,
       vehicle,
       witnesses,
-      policeReportNumber,
-      status
+      persons,
+      policeReportNumber
     } = req.body;
 
-    // Format location data correctly
-    let formattedLocation;
     if (!location) {
       return res.status(400).json({ 
         errors: [{ param: 'location', msg: 'Location is required' }] 
       });
-    } else if (typeof location === 'string') {
-      formattedLocation = {
-        type: 'Point',
-        coordinates: [0, 0], // Default coordinates
-        address: location
-      };
-    } else if (typeof location === 'object') {
-      formattedLocation = {
-        type: location.type || 'Point',
-        coordinates: location.coordinates || [0, 0],
-        address: location.address || 'Unknown location'
-      };
     }
 
+    // Place the address on the map, or fill in the address for device coordinates
+    const formattedLocation = await resolveIncidentLocation(location);
+
     // Check if the vehicle exists
     const vehicleExists = await mongoose.model('Vehicle').findById(vehicle);
     if (!vehicleExists) {
@@ -152,12 +286,8 @@ exports.createIncident = async (req, res) => {
       details: 'Primary vehicle involved in incident'
     };
 
-    // Get a new unique incident number
-    const incidentCount = await Incident.countDocuments();
-    const incidentNumber = `INC-${(incidentCount + 1).toString().padStart(6, '0')}`;
-
+    // The incident number is issued by the sequence service when the incident is saved
     const incident = new Incident({
-      incidentNumber,
       title,
       description,
       type: incidentType || 'other', // Map incidentType to type field
@@ -169,8 +299,14 @@ exports.createIncident = async (req, res) => {
       vehicles: [vehicleObject],
       reportedBy: req.user._id,
       witnesses: witnesses || [],
-      status: status || 'open'
+      // New incidents always start open; later changes go through the workflow
+      status: 'open'
     });
+
+    // Link the people named in the incident to the person registry
+    if (persons) {
+      incident.persons = await personService.linkIncidentPersons(persons, req.user, incident._id);
+    }
     
     const savedIncident = await incident.save();
     logger.info(`New incident created: ${savedIncident._id} by user ${req.user._id}`);
@@ -194,9 +330,42 @@ exports.createIncident = async (req, res) => {
       savedIncident._id,
       savedIncident.severity === 'high' // Mark as urgent if severity is high
     );
+
+    // Critical incidents go straight to an investigator when the setting is on
+    let assignedIncident = null;
+    try {
+      if (await assignmentService.shouldAutoAssign(savedIncident)) {
+        const ranking = await assignmentService.rankInvestigators(savedIncident, { limit: 1 });
+        const best = ranking.suggestions[0];
+
+        if (best) {
+          assignedIncident = await assignToInvestigator(savedIncident, best.investigator, req.user, {
+            priority: ranking.priority,
+            description: `Critical incident automatically assigned to investigator ${best.investigator.name || best.investigator.email} (score ${best.score})`,
+            system: true
+          });
+        } else {
+          await notifyAdmins(
+            'Critical Incident Needs Assignment',
+            `No investigator was available to take critical incident #${savedIncident.incidentNumber}`,
+            'warning',
+            'incident',
+            savedIncident._id,
+            true
+          );
+        }
+      }
+    } catch (assignError) {
+      // The incident is saved either way; an admin can still assign it by hand
+      logger.error(`Error auto-assigning incident ${savedIncident._id}: ${assignError.message}`);
+    }
     
-    res.status(201).json(savedIncident);
+    res.status(201).json(assignedIncident || savedIncident);
   } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+
     logger.error(`Error creating incident: ${error.message}`);
     
     // Send more specific error messages based on error type
@@ -241,19 +410,16 @@ exports.updateIncident = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this incident' });
     }
 
-    // Parse and validate location data if it's provided
+    // Geocode the location again only when the address or coordinates changed
     if (req.body.location) {
-      // If location is a string, convert it to an object
-      if (typeof req.body.location === 'string') {
-        req.body.location = {
-          type: 'Point',
-          coordinates: [0, 0],
-          address: req.body.location
-        };
-      } else if (typeof req.body.location === 'object') {
-        // Ensure proper type and coordinates if object is provided
-        req.body.location.type = req.body.location.type || 'Point';
-        req.body.location.coordinates = req.body.location.coordinates || [0, 0];
+      const coordinates = req.body.location.coordinates;
+      const hasCoordinates = Array.isArray(coordinates) &&
+        !(Number(coordinates[0]) === 0 && Number(coordinates[1]) === 0);
+
+      if (!hasCoordinates && getAddressText(req.body.location) === getAddressText(incident.location)) {
+        delete req.body.location;
+      } else {
+        req.body.location = await resolveIncidentLocation(req.body.location);
       }
     }
 
@@ -267,33 +433,43 @@ exports.updateIncident = async (req, res) => {
       }
     }
 
-    // Create timeline entry if status is being updated
-    if (req.body.status && req.body.status !== incident.status) {
-      if (!incident.timeline) {
-        incident.timeline = [];
-      }
-      incident.timeline.push({
-        date: new Date(),
-        action: 'Status Updated',
-        description: `Status changed from ${incident.status || 'none'} to ${req.body.status} by ${req.user.name || req.user.email}`,
-        performedBy: req.user._id
-      });
+    const { status, statusNote } = req.body;
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    // Link the people named in the incident to the person registry
+    if (updateData.persons) {
+      updateData.persons = await personService.linkIncidentPersons(updateData.persons, req.user, incident._id);
     }
 
-    // Prepare update data
-    const updateData = {
-      ...req.body
-    };
+    let filter = { _id: incident._id };
+    let update = { $set: updateData };
+
+    if (status && status !== incident.status) {
+      const action = findTransitionForStatus(incident, status, req.user);
+      if (!action) {
+        const { transitions, blocked } = getTransitions(incident, req.user);
+        const reason = blocked.find(transition => transition.to === status);
+        return res.status(409).json({
+          success: false,
+          message: reason
+            ? reason.reason
+            : `Status cannot change from ${incident.status} to ${status} by editing the incident`,
+          transitions
+        });
+      }
 
-    // If timeline was modified, add it to the update
-    if (incident.timeline) {
-      updateData.timeline = incident.timeline;
+      ({ filter, update } = buildTransition(incident, action, req.user, {
+        note: statusNote,
+        set: updateData
+      }));
     }
 
-    // Update fields using findByIdAndUpdate
-    const updatedIncident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
+    const updatedIncident = await Incident.findOneAndUpdate(
+      filter,
+      update,
       { 
         new: true, 
         runValidators: true 
@@ -302,9 +478,17 @@ exports.updateIncident = async (req, res) => {
      .populate('reportedBy', 'name email')
      .populate('assignedTo', 'name email role');
 
+    if (!updatedIncident) {
+      return sendStaleTransition(res);
+    }
+
     logger.info(`Incident updated: ${updatedIncident._id} by user ${req.user._id}`);
     res.json(updatedIncident);
   } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+
     logger.error(`Error updating incident: ${error.message}`);
     logger.error(error.stack);
     
@@ -445,75 +629,95 @@ exports.assignIncident = async (req, res) => {
       return res.status(404).json({ message: 'Incident not found' });
     }
 
-    // Create a clone of the incident so the original document is not modified yet
-    // This prevents validation errors for required fields that might be missing in the update
-    const updatedFields = {
-      status: 'under_investigation',
-      assignedTo: investigatorId,
-      assignedBy: req.user._id
-    };
+    const updatedIncident = await assignToInvestigator(incident, investigator, req.user, { priority });
+    if (!updatedIncident) {
+      return sendStaleTransition(res);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Incident assigned successfully',
+      incident: updatedIncident
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error assigning incident: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
 
-    // Initialize or update case file
-    if (!incident.caseFile) {
-      updatedFields.caseFile = {
-        status: 'assigned',
-        assignedInvestigator: investigatorId,
-        investigationStartDate: new Date(),
-        priority: priority || 'medium'
-      };
-    } else {
-      updatedFields['caseFile.status'] = 'assigned';
-      updatedFields['caseFile.assignedInvestigator'] = investigatorId;
-      updatedFields['caseFile.investigationStartDate'] = new Date();
-      updatedFields['caseFile.priority'] = priority || incident.caseFile.priority || 'medium';
+// Rank the available investigators for an incident (Admin only)
+exports.suggestInvestigators = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .select('type severity caseFile reportedBy')
+      .populate('reportedBy', 'department');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
     }
 
-    // Initialize timeline array if it doesn't exist
-    if (!incident.timeline) {
-      incident.timeline = [];
+    const limit = Math.min(parseInt(req.query.limit, 10) || 3, 10);
+    const result = await assignmentService.rankInvestigators(incident, {
+      limit,
+      priority: req.query.priority,
+      department: req.query.department
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error suggesting investigators: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Assign an incident to the best-ranked available investigator (Admin only)
+exports.autoAssignIncident = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Add to timeline using findByIdAndUpdate to avoid validation errors
-    const timelineEntry = {
-      date: new Date(),
-      action: 'Assigned to Investigator',
-      description: `Incident assigned to investigator ${investigator.name || investigator.email}`,
-      performedBy: req.user._id
-    };
+    const incident = await Incident.findById(req.params.id).populate('reportedBy', 'department');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const { priority, department } = req.body;
+    const ranking = await assignmentService.rankInvestigators(incident, { limit: 1, priority, department });
+    const best = ranking.suggestions[0];
+    if (!best) {
+      return res.status(409).json({
+        success: false,
+        message: 'No investigator is available to take this incident',
+        unavailable: ranking.unavailable
+      });
+    }
+
+    const updatedIncident = await assignToInvestigator(incident, best.investigator, req.user, {
+      priority: ranking.priority,
+      description: `Incident auto-assigned to investigator ${best.investigator.name || best.investigator.email} (score ${best.score})`
+    });
+    if (!updatedIncident) {
+      return sendStaleTransition(res);
+    }
 
-    // Update the incident using findByIdAndUpdate which bypasses validation
-    const updatedIncident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { 
-        $set: updatedFields,
-        $push: { timeline: timelineEntry }
-      },
-      { new: true, runValidators: false }
-    ).populate('vehicles.vehicle', 'registrationNumber licensePlate make model')
-     .populate('vehicle', 'registrationNumber licensePlate make model')
-     .populate('reportedBy', 'name email')
-     .populate('assignedTo', 'name email role');
-    
-    logger.info(`Incident ${incident._id} assigned to investigator ${investigatorId} by admin ${req.user._id}`);
-    
-    // Notify the assigned investigator
-    await notifyUser(
-      investigatorId,
-      'Incident Assigned',
-      `You have been assigned to investigate incident #${incident.incidentNumber}: ${incident.title}`,
-      'info',
-      'incident',
-      incident._id,
-      true // Mark as urgent
-    );
-    
     res.json({
       success: true,
-      message: 'Incident assigned successfully',
-      incident: updatedIncident
+      message: `Incident assigned to ${best.investigator.name || best.investigator.email}`,
+      incident: updatedIncident,
+      assignment: best
     });
   } catch (error) {
-    logger.error(`Error assigning incident: ${error.message}`);
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error auto-assigning incident: ${error.message}`);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 };
@@ -549,58 +753,71 @@ exports.submitInvestigationReport = async (req, res) => {
       return res.status(404).json({ message: 'Incident not found' });
     }
 
-    // Verify this investigator is assigned to this incident
-    if (!incident.assignedTo || incident.assignedTo.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'You are not assigned to this incident' });
-    }
+    // Each submission is kept as a new version; a report from before versioning becomes version 1
+    const submittedAt = new Date();
+    const legacyVersion = reportVersionService.buildLegacyVersion(incident.caseFile);
+    const version = reportVersionService.buildReportVersion(
+      { reportVersions: legacyVersion ? [legacyVersion] : incident.caseFile?.reportVersions },
+      { content: reportContent, findings, recommendations, conclusion, attachments },
+      req.user,
+      submittedAt
+    );
+
+    const revisionRequest = incident.caseFile?.revisionRequest;
+    const isRevision = revisionRequest?.status === 'open';
 
-    // Prepare the update object
-    const updateData = {
-      status: 'pending',
-      caseFile: {
-        status: 'report_submitted',
-        assignedInvestigator: req.user._id,
-        investigationStartDate: incident.caseFile?.investigationStartDate || new Date(),
-        investigationEndDate: new Date(),
-        findings: findings,
-        recommendations: recommendations,
-        conclusion: conclusion,
-        investigationReport: {
+    // Each version goes through the sign-off chain for the incident's type and severity
+    const approvalSettings = await approvalService.getApprovalSettings();
+    const approval = approvalService.startApproval(
+      approvalService.selectChain(approvalSettings.chains, incident),
+      version.version,
+      submittedAt
+    );
+
+    // The workflow checks that this investigator is assigned to the incident.
+    // Case file fields are set individually so the assignment details are kept.
+    const { filter, update } = buildTransition(incident, 'submit_report', req.user, {
+      description: `Investigation report version ${version.version} submitted by ${req.user.name || req.user.email}`,
+      set: {
+        'caseFile.assignedInvestigator': req.user._id,
+        'caseFile.investigationStartDate': incident.caseFile?.investigationStartDate || new Date(),
+        'caseFile.investigationEndDate': submittedAt,
+        'caseFile.findings': findings,
+        'caseFile.recommendations': recommendations,
+        'caseFile.conclusion': conclusion,
+        'caseFile.investigationReport': {
           submittedBy: req.user._id,
-          submittedAt: new Date(),
+          submittedAt,
           content: reportContent,
           attachments: attachments || [],
           status: 'submitted',
-          // Also include these fields in the report itself for consistency
-          findings: findings,
-          recommendations: recommendations,
-          conclusion: conclusion
-        }
+          version: version.version
+        },
+        'caseFile.approval': approval
       }
-    };
+    });
 
-    // Add timeline entry
-    const timelineEntry = {
-      date: new Date(),
-      action: 'Investigation Report Submitted',
-      description: `Investigation report submitted by ${req.user.name || req.user.email}`,
-      performedBy: req.user._id
-    };
+    update.$push['caseFile.reportVersions'] = { $each: legacyVersion ? [legacyVersion, version] : [version] };
+    if (isRevision) {
+      update.$set['caseFile.revisionRequest.status'] = 'completed';
+      update.$set['caseFile.revisionRequest.completedAt'] = submittedAt;
+      update.$set['caseFile.revisionRequest.completedVersion'] = version.version;
+    }
 
-    // Update the incident using findByIdAndUpdate
-    const updatedIncident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { 
-        $set: updateData,
-        $push: { timeline: timelineEntry }
-      },
+    const updatedIncident = await Incident.findOneAndUpdate(
+      filter,
+      update,
       { 
         new: true,
-        runValidators: false // Disable validation for this update
+        runValidators: true
       }
     ).populate('vehicle', 'registrationNumber licensePlate make model')
      .populate('reportedBy', 'name email')
      .populate('assignedTo', 'name email role');
+
+    if (!updatedIncident) {
+      return sendStaleTransition(res);
+    }
     
     // Notify all admins about the new investigation report
     const vehicleInfo = updatedIncident.vehicle ? 
@@ -608,14 +825,22 @@ exports.submitInvestigationReport = async (req, res) => {
       'Unknown vehicle';
       
     await notifyAdmins(
-      'Investigation Report Submitted',
-      `A new investigation report has been submitted for incident "${updatedIncident.title}" involving ${vehicleInfo} by ${req.user.name || req.user.email}`,
+      isRevision ? 'Revised Investigation Report Submitted' : 'Investigation Report Submitted',
+      `${isRevision ? `Version ${version.version} of the` : 'A new'} investigation report has been submitted for incident "${updatedIncident.title}" involving ${vehicleInfo} by ${req.user.name || req.user.email}`,
       'info',
       'incident',
       updatedIncident._id,
       true
     );
     
+    emailAdmins('reportSubmitted', {
+      incidentNumber: updatedIncident.incidentNumber,
+      title: updatedIncident.title,
+      investigatorName: req.user.name || req.user.email,
+      conclusion,
+      incidentUrl: getFrontendUrl(`/incidents/${updatedIncident._id}`)
+    }, { resourceType: 'incident', resourceId: updatedIncident._id });
+    
     logger.info(`Investigation report submitted for incident ${updatedIncident._id} by investigator ${req.user._id}`);
     
     res.json({
@@ -624,6 +849,9 @@ exports.submitInvestigationReport = async (req, res) => {
       incident: updatedIncident
     });
   } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
     logger.error(`Error submitting investigation report: ${error.message}`);
     logger.error(error.stack);
     res.status(500).json({ 
@@ -634,7 +862,7 @@ exports.submitInvestigationReport = async (req, res) => {
   }
 };
 
-// Review investigation report and take action (Officer only)
+// Review investigation report and take action at the current step of its approval chain
 exports.reviewInvestigationReport = async (req, res) => {
   try {
     // Log request for debugging
@@ -655,16 +883,12 @@ exports.reviewInvestigationReport = async (req, res) => {
       });
     }
 
-    // Validate officer role
-    if (req.user.role !== 'officer') {
-      return res.status(403).json({ message: 'Only officers can review reports' });
-    }
-
     const { 
       actions,
       notes,
       reportStatus,
-      conclusion
+      conclusion,
+      revisionComments
     } = req.body;
     
     if (!actions) {
@@ -677,95 +901,135 @@ exports.reviewInvestigationReport = async (req, res) => {
       return res.status(404).json({ message: 'Incident not found' });
     }
 
-    logger.info(`Processing review for incident ${incident._id} with status ${reportStatus}`);
-
-    // Ensure incident has a case file
-    if (!incident.caseFile) {
-      incident.caseFile = {};
+    if (incident.status !== 'pending' || incident.caseFile?.investigationReport?.status !== 'submitted') {
+      return res.status(409).json({ success: false, message: 'No submitted investigation report to review' });
     }
 
-    // Check if there's an investigation report
-    const hasReport = incident.caseFile && 
-                      incident.caseFile.investigationReport && 
-                      incident.caseFile.investigationReport.status === 'submitted';
-    
-    if (!hasReport) {
-      return res.status(400).json({ message: 'No submitted investigation report found for this incident' });
-    }
+    logger.info(`Processing review for incident ${incident._id} with status ${reportStatus}`);
 
-    // Set default reportStatus if not provided
-    const status = reportStatus || 'reviewed';
+    // Line comments are recorded on the version that was reviewed
+    const legacyVersion = reportVersionService.buildLegacyVersion(incident.caseFile);
+    const versions = legacyVersion ? [legacyVersion] : incident.caseFile?.reportVersions || [];
+    const reviewedVersion = versions[versions.length - 1];
+    const comments = reviewedVersion
+      ? reportVersionService.buildRevisionComments(revisionComments, reviewedVersion, req.user)
+      : [];
 
-    // Update incident status
-    incident.status = status === 'approved' ? 'closed' : 'reopened';
-    
-    // Update case file
-    incident.caseFile.status = status === 'approved' ? 'review_complete' : 'under_investigation';
-    
-    // Update investigation report status
-    if (!incident.caseFile.investigationReport) {
-      incident.caseFile.investigationReport = {};
-    }
-    incident.caseFile.investigationReport.status = status;
-    
-    // Add officer actions
-    if (!incident.caseFile.officerActions) {
-      incident.caseFile.officerActions = {};
+    // The approval chain checks this user is who the current step is waiting for
+    const approvalSettings = await approvalService.getApprovalSettings();
+    const { approval, stored } = approvalService.getApproval(incident);
+    const reviewedAt = new Date();
+    const decision = approvalService.decide(approval, req.user, REVIEW_OUTCOMES[reportStatus], {
+      actions,
+      notes,
+      conclusion,
+      incident,
+      settings: approvalSettings,
+      decidedAt: reviewedAt
+    });
+    if (legacyVersion) {
+      decision.approval.version = legacyVersion.version;
     }
-    
-    incident.caseFile.officerActions = {
+
+    // Only the last step approves the report; a rejection at any step ends the chain
+    const status = {
+      approve_report: 'approved',
+      reject_report: 'rejected'
+    }[decision.transition] || null;
+    const officerActions = {
       reviewedBy: req.user._id,
-      reviewedAt: new Date(),
+      reviewedAt,
       actions: actions,
       notes: notes || '',
       status: status === 'approved' ? 'completed' : 'in_progress',
       conclusion: conclusion || 'confirmed'
     };
-    
-    // Initialize timeline if it doesn't exist
-    if (!incident.timeline) {
-      incident.timeline = [];
+    const reviewer = req.user.name || req.user.email;
+    const stepText = `step ${decision.step.number} of ${decision.approval.steps.length} (${decision.step.label})`;
+
+    let filter;
+    let update;
+    if (decision.transition) {
+      ({ filter, update } = buildTransition(incident, decision.transition, req.user, {
+        description: `Investigation report reviewed by ${reviewer} at ${stepText}. Conclusion: ${conclusion || 'Not specified'}`,
+        set: {
+          'caseFile.investigationReport.status': status,
+          'caseFile.officerActions': officerActions,
+          'caseFile.approval': decision.approval
+        }
+      }));
+    } else {
+      // Sign-offs before the last step and returns keep the incident pending
+      const returned = decision.approval.currentStep < decision.step.number - 1;
+      filter = { _id: incident._id, status: incident.status };
+      update = {
+        $set: {
+          'caseFile.officerActions': officerActions,
+          'caseFile.approval': decision.approval
+        },
+        $push: {
+          timeline: {
+            date: reviewedAt,
+            action: returned ? 'Report Returned to Previous Step' : 'Report Step Signed Off',
+            description: `${reviewer} ${returned ? 'returned' : 'signed off'} ${stepText}` +
+              `${decision.nextStep ? `; awaiting ${decision.nextStep.label}` : ''}. ${actions}`,
+            performedBy: req.user._id
+          }
+        }
+      };
+    }
+
+    // Two reviewers cannot both decide the same step
+    filter['caseFile.approval.decisions'] = stored ? { $size: approval.decisions.length } : { $exists: false };
+
+    const review = status ? {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt,
+      notes: notes || ''
+    } : null;
+    const updateOptions = { new: true, runValidators: true };
+
+    if (legacyVersion) {
+      update.$push['caseFile.reportVersions'] = {
+        ...legacyVersion,
+        ...(review ? { review } : {}),
+        revisionComments: comments
+      };
+      update.$set['caseFile.investigationReport.version'] = legacyVersion.version;
+    } else if (reviewedVersion && (review || comments.length > 0)) {
+      if (review) {
+        update.$set['caseFile.reportVersions.$[reviewed].review'] = review;
+      }
+      if (comments.length > 0) {
+        update.$push['caseFile.reportVersions.$[reviewed].revisionComments'] = { $each: comments };
+      }
+      updateOptions.arrayFilters = [{ 'reviewed.version': reviewedVersion.version }];
+    }
+
+    // A rejected report becomes a revision task for the investigator
+    if (status === 'rejected' && reviewedVersion) {
+      update.$set['caseFile.revisionRequest'] = {
+        status: 'open',
+        version: reviewedVersion.version,
+        requestedBy: req.user._id,
+        requestedAt: reviewedAt,
+        summary: actions,
+        commentCount: comments.length
+      };
     }
-    
-    // Add to timeline
-    incident.timeline.push({
-      date: new Date(),
-      action: 'Investigation Report Reviewed',
-      description: `Investigation report reviewed by officer ${req.user.name || req.user.email}. Conclusion: ${conclusion || 'Not specified'}`,
-      performedBy: req.user._id
-    });
 
-    logger.info(`Attempting to save updated incident with case file status: ${incident.caseFile.status}`);
+    logger.info(`Attempting to save review for incident ${incident._id} at ${stepText} with outcome: ${reportStatus}`);
     
     try {
-      // Use findByIdAndUpdate instead of save to bypass validation issues
-      const updatedIncident = await Incident.findByIdAndUpdate(
-        req.params.id,
-        { 
-          $set: {
-            status: incident.status,
-            'caseFile.status': incident.caseFile.status,
-            'caseFile.investigationReport.status': incident.caseFile.investigationReport.status,
-            'caseFile.officerActions': incident.caseFile.officerActions
-          },
-          $push: { 
-            timeline: {
-              date: new Date(),
-              action: 'Investigation Report Reviewed',
-              description: `Investigation report reviewed by officer ${req.user.name || req.user.email}. Conclusion: ${conclusion || 'Not specified'}`,
-              performedBy: req.user._id
-            }
-          }
-        },
-        { 
-          new: true,
-          runValidators: false // Disable validation for this update
-        }
+      const updatedIncident = await Incident.findOneAndUpdate(
+        filter,
+        update,
+        updateOptions
       );
       
       if (!updatedIncident) {
-        logger.error(`Failed to update incident: ${req.params.id}`);
-        return res.status(500).json({ message: 'Failed to update incident' });
+        return sendStaleTransition(res);
       }
       
       logger.info(`Successfully updated incident ${updatedIncident._id}`);
@@ -778,15 +1042,61 @@ exports.reviewInvestigationReport = async (req, res) => {
           'review',
           'investigation_report',
           incident._id,
-          `Officer ${req.user.name || req.user.email} reviewed investigation report for incident ${incident.incidentNumber || incident._id}`,
+          `${reviewer} reviewed the investigation report for incident ${incident.incidentNumber || incident._id} at ${stepText} (${reportStatus})`,
           true
         );
       } catch (auditError) {
         logger.error(`Error creating audit log: ${auditError.message}`);
         // Continue execution even if audit log fails
       }
+
+      // Let the next step's approvers know the report is waiting for them
+      if (decision.nextStep) {
+        try {
+          const approverIds = await approvalService.getStepApprovers(decision.nextStep);
+          for (const approverId of approverIds) {
+            await notifyUser(
+              approverId,
+              'Report Awaiting Your Sign-off',
+              `The investigation report for incident #${updatedIncident.incidentNumber} is waiting for ${decision.nextStep.label} ` +
+                `(step ${decision.nextStep.number} of ${decision.approval.steps.length})`,
+              'info',
+              'incident',
+              updatedIncident._id,
+              false
+            );
+          }
+        } catch (notifyError) {
+          logger.error(`Error notifying approvers: ${notifyError.message}`);
+        }
+      }
       
-      logger.info(`Investigation report for incident ${updatedIncident._id} reviewed by officer ${req.user._id}`);
+      // Let the investigator know the outcome of the review
+      const investigatorId = updatedIncident.caseFile?.investigationReport?.submittedBy || updatedIncident.assignedTo;
+      if (investigatorId && status === 'rejected' && reviewedVersion) {
+        await notifyUser(
+          investigatorId,
+          'Report Revision Requested',
+          `Version ${reviewedVersion.version} of your report on incident #${updatedIncident.incidentNumber} was sent back` +
+            `${comments.length ? ` with ${comments.length} line comment(s)` : ''}: ${actions}`,
+          'warning',
+          'incident',
+          updatedIncident._id,
+          true
+        );
+      }
+      if (investigatorId && status) {
+        emailUser(investigatorId, 'reportReviewed', {
+          incidentNumber: updatedIncident.incidentNumber,
+          title: updatedIncident.title,
+          reportStatus: status,
+          officerName: reviewer,
+          notes,
+          incidentUrl: getFrontendUrl(`/incidents/${updatedIncident._id}`)
+        }, { resourceType: 'incident', resourceId: updatedIncident._id });
+      }
+      
+      logger.info(`Investigation report for incident ${updatedIncident._id} reviewed by ${req.user.role} ${req.user._id}`);
       
       // Return only necessary data to reduce response size
       const responseIncident = {
@@ -800,7 +1110,9 @@ exports.reviewInvestigationReport = async (req, res) => {
       
       res.json({
         success: true,
-        message: 'Investigation report reviewed successfully',
+        message: decision.nextStep
+          ? `Review recorded; the report is now awaiting ${decision.nextStep.label}`
+          : 'Investigation report reviewed successfully',
         incident: responseIncident
       });
     } catch (saveError) {
@@ -812,6 +1124,9 @@ exports.reviewInvestigationReport = async (req, res) => {
       });
     }
   } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
     logger.error(`Error reviewing investigation report: ${error.message}`);
     logger.error(error.stack);
     res.status(500).json({ 
@@ -820,4 +1135,495 @@ exports.reviewInvestigationReport = async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Get every submitted version of the investigation report with its review and comments
+exports.getReportVersions = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .select('incidentNumber reportedBy caseFile.reportVersions caseFile.revisionRequest caseFile.investigationReport.version')
+      .populate('caseFile.reportVersions.submittedBy', 'name email role')
+      .populate('caseFile.reportVersions.review.reviewedBy', 'name email role')
+      .populate('caseFile.reportVersions.revisionComments.author', 'name email role')
+      .populate('caseFile.revisionRequest.requestedBy', 'name email role');
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!canAccessIncident(req.user, incident)) {
+      return res.status(403).json({ message: 'Not authorized to view this incident' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: incident.caseFile?.investigationReport?.version || null,
+        revisionRequest: incident.caseFile?.revisionRequest?.status ? incident.caseFile.revisionRequest : null,
+        versions: incident.caseFile?.reportVersions || []
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting report versions: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Get the workflow transitions the current user can perform on an incident
+exports.getIncidentTransitions = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .select('status type severity caseFile.status caseFile.investigationReport caseFile.approval assignedTo')
+      .populate('caseFile.approval.steps.approvers', 'name email role')
+      .populate('caseFile.approval.steps.decidedBy', 'name email role')
+      .populate('caseFile.approval.decisions.decidedBy', 'name email role');
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const approvalSettings = await approvalService.getApprovalSettings();
+
+    res.json({
+      success: true,
+      data: {
+        ...getTransitions(incident, req.user),
+        approval: approvalService.describeApproval(incident, req.user, approvalSettings)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting incident transitions: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Apply a workflow transition that needs no extra data (start, close, reopen)
+exports.transitionIncident = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, note } = req.body;
+
+    const incident = await Incident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    const available = getTransitions(incident, req.user).transitions.find(transition => transition.action === action);
+    if (available && available.endpoint) {
+      return res.status(400).json({
+        success: false,
+        message: `${available.label} must be performed through the ${available.endpoint} endpoint`
+      });
+    }
+
+    const { filter, update } = buildTransition(incident, action, req.user, { note });
+    const updatedIncident = await Incident.findOneAndUpdate(
+      filter,
+      update,
+      { new: true, runValidators: true }
+    ).populate('vehicle', 'registrationNumber licensePlate make model')
+     .populate('reportedBy', 'name email')
+     .populate('assignedTo', 'name email role');
+
+    if (!updatedIncident) {
+      return sendStaleTransition(res);
+    }
+
+    logger.info(`Incident ${incident._id} transition ${action}: ${incident.status} -> ${updatedIncident.status} by user ${req.user._id}`);
+
+    if (updatedIncident.assignedTo && updatedIncident.assignedTo._id.toString() !== req.user._id.toString()) {
+      await notifyUser(
+        updatedIncident.assignedTo._id,
+        'Incident Status Changed',
+        `Incident #${updatedIncident.incidentNumber} is now ${updatedIncident.status.replace('_', ' ')}`,
+        'info',
+        'incident',
+        updatedIncident._id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Incident status changed to ${updatedIncident.status}`,
+      incident: updatedIncident
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error applying incident transition: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Find incidents within a radius of a point
+exports.getIncidentsNear = async (req, res) => {
+  try {
+    const incidents = await incidentGeoService.findNear(req.query, getVisibilityScope(req.user));
+
+    res.json({
+      success: true,
+      count: incidents.length,
+      data: incidents
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error finding nearby incidents: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Find incidents inside a GeoJSON polygon
+exports.getIncidentsWithin = async (req, res) => {
+  try {
+    const { geometry, ...filters } = req.body;
+    const incidents = await incidentGeoService.findWithin(geometry, filters, getVisibilityScope(req.user));
+
+    res.json({
+      success: true,
+      count: incidents.length,
+      data: incidents
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error finding incidents within area: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Cluster incidents into hotspot cells with counts by type and severity
+exports.getIncidentHotspots = async (req, res) => {
+  try {
+    const result = await incidentGeoService.getHotspots(req.query, getVisibilityScope(req.user));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error getting incident hotspots: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Upload evidence files; each item is hashed and starts its custody log
+exports.uploadEvidence = async (req, res) => {
+  const uploadedPaths = (req.files || []).map(file => file.path);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      evidenceService.removeFiles(uploadedPaths);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No evidence files uploaded' });
+    }
+
+    const incident = await Incident.findById(req.params.id).select('incidentNumber reportedBy');
+    if (!incident) {
+      evidenceService.removeFiles(uploadedPaths);
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!canAccessIncident(req.user, incident)) {
+      evidenceService.removeFiles(uploadedPaths);
+      return res.status(403).json({ message: 'Not authorized to add evidence to this incident' });
+    }
+
+    const items = await evidenceService.buildEvidenceItems(incident._id, req.files, req.body, req.user);
+
+    const updatedIncident = await Incident.findByIdAndUpdate(
+      incident._id,
+      {
+        $push: {
+          evidence: { $each: items },
+          timeline: {
+            date: new Date(),
+            action: 'Evidence Added',
+            description: `${items.length} evidence file(s) added: ${items.map(item => item.originalName).join(', ')}`,
+            performedBy: req.user._id
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    logger.info(`${items.length} evidence file(s) added to incident ${incident._id} by user ${req.user._id}`);
+
+    try {
+      await createAuditLog(
+        req,
+        null,
+        'upload',
+        'incident',
+        incident._id,
+        `Added ${items.length} evidence file(s) to incident ${incident.incidentNumber}: ${items.map(item => `${item.originalName} (sha256 ${item.hash.value})`).join(', ')}`,
+        true
+      );
+    } catch (auditError) {
+      logger.error(`Error creating audit log: ${auditError.message}`);
+    }
+
+    const itemIds = items.map(item => item._id.toString());
+    res.status(201).json({
+      success: true,
+      message: `${items.length} evidence file(s) added`,
+      data: updatedIncident.evidence.filter(item => itemIds.includes(item._id.toString()))
+    });
+  } catch (error) {
+    evidenceService.removeFiles(uploadedPaths);
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error uploading evidence: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Get an evidence item with its full custody log
+exports.getEvidenceCustody = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .select('incidentNumber reportedBy evidence')
+      .populate('evidence.collectedBy', 'name email role')
+      .populate('evidence.currentHolder', 'name email role')
+      .populate('evidence.custody.performedBy', 'name email role')
+      .populate('evidence.custody.transferredTo', 'name email role')
+      .populate('evidence.lastVerification.verifiedBy', 'name email role');
+
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!canAccessIncident(req.user, incident)) {
+      return res.status(403).json({ message: 'Not authorized to view this incident' });
+    }
+
+    const item = evidenceService.findEvidence(incident, req.params.evidenceId);
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error getting evidence custody: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Append a custody entry (transferred, checked out, returned, destroyed)
+exports.recordCustodyEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, reason, transferredTo } = req.body;
+
+    const incident = await Incident.findById(req.params.id).select('incidentNumber reportedBy evidence');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (action === 'transferred' && transferredTo) {
+      const recipient = await mongoose.model('User').findById(transferredTo).select('_id');
+      if (!recipient) {
+        return res.status(400).json({
+          errors: [{ param: 'transferredTo', msg: 'Receiving user does not exist' }]
+        });
+      }
+    }
+
+    const { filter, update, item, entry } = evidenceService.buildCustodyUpdate(
+      incident,
+      req.params.evidenceId,
+      action,
+      req.user,
+      { reason, transferredTo }
+    );
+
+    const updatedIncident = await Incident.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+    if (!updatedIncident) {
+      return res.status(409).json({
+        success: false,
+        message: 'The evidence custody changed while this request was processed. Reload the evidence and try again.'
+      });
+    }
+
+    // The digital copy is disposed of together with the item
+    if (action === 'destroyed') {
+      evidenceService.removeFiles([evidenceService.resolveStoredFile(item.storagePath)]);
+    }
+
+    logger.info(`Evidence ${item._id} on incident ${incident._id} ${action} by user ${req.user._id}`);
+
+    try {
+      await createAuditLog(
+        req,
+        null,
+        'update',
+        'incident',
+        incident._id,
+        `Evidence ${item.originalName || item._id} on incident ${incident.incidentNumber} ${action.replace('_', ' ')}: ${entry.reason}`,
+        true
+      );
+    } catch (auditError) {
+      logger.error(`Error creating audit log: ${auditError.message}`);
+    }
+
+    if (action === 'transferred') {
+      await notifyUser(
+        transferredTo,
+        'Evidence Transferred To You',
+        `Evidence "${item.originalName || item.type}" on incident #${incident.incidentNumber} was transferred to you: ${entry.reason}`,
+        'info',
+        'incident',
+        incident._id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: `Custody entry recorded: ${action.replace('_', ' ')}`,
+      data: updatedIncident.evidence.id(item._id)
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error recording evidence custody: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Re-hash a stored evidence file and report whether it still matches
+exports.verifyEvidence = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id).select('incidentNumber reportedBy evidence');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!canAccessIncident(req.user, incident)) {
+      return res.status(403).json({ message: 'Not authorized to view this incident' });
+    }
+
+    const item = evidenceService.findEvidence(incident, req.params.evidenceId);
+    const result = await evidenceService.verifyEvidence(item);
+    const verifiedAt = new Date();
+
+    await Incident.updateOne(
+      { _id: incident._id, 'evidence._id': item._id },
+      {
+        $set: {
+          'evidence.$.lastVerification': {
+            verifiedAt,
+            verifiedBy: req.user._id,
+            matches: result.matches,
+            actualHash: result.actualHash
+          }
+        }
+      }
+    );
+
+    if (result.status === 'altered' || result.status === 'missing') {
+      logger.warn(`Evidence ${item._id} on incident ${incident._id} failed verification: ${result.status}`);
+      await notifyAdmins(
+        'Evidence Integrity Check Failed',
+        `Evidence "${item.originalName || item.type}" on incident #${incident.incidentNumber} is ${result.status}`,
+        'warning',
+        'incident',
+        incident._id,
+        true
+      );
+    }
+
+    try {
+      await createAuditLog(
+        req,
+        null,
+        'read',
+        'incident',
+        incident._id,
+        `Verified evidence ${item.originalName || item._id} on incident ${incident.incidentNumber}: ${result.status}`,
+        true
+      );
+    } catch (auditError) {
+      logger.error(`Error creating audit log: ${auditError.message}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        evidenceId: item._id,
+        ...result,
+        verifiedAt
+      }
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error verifying evidence: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
+
+// Download the stored evidence file
+exports.downloadEvidence = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id).select('incidentNumber reportedBy evidence');
+    if (!incident) {
+      return res.status(404).json({ message: 'Incident not found' });
+    }
+
+    if (!canAccessIncident(req.user, incident)) {
+      return res.status(403).json({ message: 'Not authorized to view this incident' });
+    }
+
+    const item = evidenceService.findEvidence(incident, req.params.evidenceId);
+    const filePath = evidenceService.resolveStoredFile(item.storagePath);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: 'Evidence file is not available' });
+    }
+
+    try {
+      await createAuditLog(
+        req,
+        null,
+        'download',
+        'incident',
+        incident._id,
+        `Downloaded evidence ${item.originalName || item._id} from incident ${incident.incidentNumber}`,
+        true
+      );
+    } catch (auditError) {
+      logger.error(`Error creating audit log: ${auditError.message}`);
+    }
+
+    res.download(filePath, item.originalName || path.basename(filePath));
+  } catch (error) {
+    if (sendServiceError(res, error)) {
+      return;
+    }
+    logger.error(`Error downloading evidence: ${error.message}`);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+};
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Person = require('../models/Person');
+const logger = require('../utils/logger');
+const { createAuditLog } = require('../utils/auditUtils');
+const personService = require('../services/personService');
+const { normalizeIdNumber, normalizePhone, normalizeEmail } = require('../utils/nameMatching');
+
+// Respond with the status a service error carries, or a 500
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  logger.error(`${message}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Escape user input for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @desc    Search the person registry by name, alias, ID number, phone or email
+ * @route   GET /api/persons
+ * @access  Private
+ */
+const getPersons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const search = (req.query.q || '').trim();
+
+    const query = { mergedInto: null };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const conditions = [{ name: pattern }, { aliases: pattern }];
+      if (normalizeIdNumber(search)) conditions.push({ 'matchKeys.idNumbers': normalizeIdNumber(search) });
+      if (normalizePhone(search).length >= 7) conditions.push({ 'matchKeys.phones': normalizePhone(search) });
+      if (search.includes('@')) conditions.push({ 'matchKeys.emails': normalizeEmail(search) });
+      query.$or = conditions;
+    }
+
+    const [persons, total] = await Promise.all([
+      Person.find(query)
+        .select('-matchKeys')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Person.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: persons.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: persons
+    });
+  } catch (error) {
+    sendError(res, error, 'Error searching persons');
+  }
+};
+
+/**
+ * @desc    Add a person to the registry, returning likely duplicates alongside it
+ * @route   POST /api/persons
+ * @access  Private
+ */
+const createPerson = async (req, res) => {
+  try {
+    const { name, aliases, dateOfBirth, identifications, contact, notes } = req.body;
+
+    const person = new Person({
+      name,
+      aliases,
+      dateOfBirth,
+      identifications,
+      notes,
+      createdBy: req.user._id
+    });
+    personService.addContact(person, contact, { recordedBy: req.user._id });
+    await person.save();
+
+    const matches = await personService.findMatches(person.toObject());
+
+    await createAuditLog(req, 'create', 'person', person._id, `Added ${person.name} to the person registry`, true);
+
+    res.status(201).json({
+      success: true,
+      data: person,
+      matches
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating person');
+  }
+};
+
+/**
+ * @desc    Get a person with every incident and vehicle they are tied to
+ * @route   GET /api/persons/:id
+ * @access  Private
+ */
+const getPersonById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Person not found' });
+    }
+
+    const person = await Person.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('mergedInto', 'name')
+      .populate('contactHistory.incident', 'incidentNumber title')
+      .populate('contactHistory.recordedBy', 'name');
+
+    if (!person) {
+      return res.status(404).json({ success: false, message: 'Person not found' });
+    }
+
+    const links = await personService.getPersonLinks(person);
+
+    await createAuditLog(req, 'read', 'person', person._id, `Viewed person ${person.name}`, true);
+
+    res.json({
+      success: true,
+      data: {
+        ...person.toObject(),
+        ...links
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting person');
+  }
+};
+
+/**
+ * @desc    Update a person; a `contact` adds to their contact history
+ * @route   PUT /api/persons/:id
+ * @access  Private
+ */
+const updatePerson = async (req, res) => {
+  try {
+    const person = await personService.findActivePerson(req.params.id);
+    if (!person || person._id.toString() !== req.params.id) {
+      return res.status(person ? 409 : 404).json({
+        success: false,
+        message: person ? 'This person has been merged into another record' : 'Person not found'
+      });
+    }
+
+    ['name', 'aliases', 'dateOfBirth', 'identifications', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        person[field] = req.body[field];
+      }
+    });
+    personService.addContact(person, req.body.contact, { recordedBy: req.user._id });
+    await person.save();
+
+    await createAuditLog(req, 'update', 'person', person._id, `Updated person ${person.name}`, true);
+
+    res.json({
+      success: true,
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating person');
+  }
+};
+
+/**
+ * @desc    People who may be the same as this one
+ * @route   GET /api/persons/:id/matches
+ * @access  Private
+ */
+const getPersonMatches = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Person not found' });
+    }
+
+    const person = await Person.findById(req.params.id).lean();
+    if (!person) {
+      return res.status(404).json({ success: false, message: 'Person not found' });
+    }
+
+    const matches = await personService.findMatches(person, { limit: parseInt(req.query.limit, 10) || 10 });
+
+    res.json({
+      success: true,
+      count: matches.length,
+      data: matches
+    });
+  } catch (error) {
+    sendError(res, error, 'Error finding person matches');
+  }
+};
+
+/**
+ * @desc    Likely duplicate pairs across the registry
+ * @route   GET /api/persons/merge-suggestions
+ * @access  Private/Admin/Officer
+ */
+const getMergeSuggestions = async (req, res) => {
+  try {
+    const suggestions = await personService.suggestMerges({ limit: parseInt(req.query.limit, 10) || 20 });
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    sendError(res, error, 'Error finding merge suggestions');
+  }
+};
+
+/**
+ * @desc    Merge another person (sourceId) into this one
+ * @route   POST /api/persons/:id/merge
+ * @access  Private/Admin/Officer
+ */
+const mergePerson = async (req, res) => {
+  try {
+    const { sourceId } = req.body;
+    if (!sourceId) {
+      return res.status(400).json({ success: false, message: 'sourceId is required' });
+    }
+
+    const { person, incidentsUpdated } = await personService.mergePersons(req.params.id, sourceId);
+
+    await createAuditLog(
+      req,
+      'update',
+      'person',
+      person._id,
+      `Merged person ${sourceId} into ${person.name}`,
+      true,
+      { sourceId: String(sourceId), incidentsUpdated: String(incidentsUpdated) }
+    );
+
+    res.json({
+      success: true,
+      message: `Merged into ${person.name}; ${incidentsUpdated} incident(s) relinked`,
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error merging persons');
+  }
+};
+
+module.exports = {
+  getPersons,
+  createPerson,
+  getPersonById,
+  updatePerson,
+  getPersonMatches,
+  getMergeSuggestions,
+  mergePerson
+};
@@ -4,6 +4,7 @@ const { generateToken, generateResetToken, hashString } = require('../utils/auth
 const { createAuditLog } = require('../utils/auditUtils');
 const { cloudinary } = require('../config/cloudinary');
 const mongoose = require('mongoose');
+const { sendEmail, getFrontendUrl } = require('../services/mail/mailService');
 
 /**
  * @desc    Register a new user
@@ -482,19 +483,31 @@ const forgotPassword = async (req, res, next) => {
       return res.status(404).json({ message: 'No user with that email' });
     }
     
+    // The link must point at our own frontend, never at a host taken from the request
+    if (!getFrontendUrl('/')) {
+      logger.error('Password reset requested but FRONTEND_URL is not configured');
+      return res.status(503).json({ message: 'Password reset is not available' });
+    }
+    
     // Generate reset token
     const resetToken = user.getResetPasswordToken();
     await user.save({ validateBeforeSave: false });
     
-    // Create reset URL
-    const resetUrl = `${req.protocol}://${req.get('host')}/reset-password/${resetToken}`;
-    
-    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please visit: ${resetUrl}`;
+    // Create reset URL pointing at the frontend reset page
+    const resetUrl = getFrontendUrl(`/reset-password/${resetToken}`);
     
     try {
-      // Send email (this is just a placeholder - implement actual email sending)
-      logger.info(`Password reset email would be sent to: ${user.email}`);
-      logger.info(`Reset URL: ${resetUrl}`);
+      // The reset email is not stored or retried, so a failed delivery aborts the reset
+      const emailLog = await sendEmail(
+        'passwordReset',
+        user.email,
+        { name: user.name, resetUrl, expiresInMinutes: 10 },
+        { user: user._id, resourceType: 'user', resourceId: user._id }
+      );
+      logger.info(`Password reset email for ${user.email} is ${emailLog.status}`);
+      if (emailLog.status === 'failed') {
+        throw new Error(emailLog.lastError);
+      }
       
       res.json({ 
         message: 'Password reset link sent',
@@ -502,6 +515,7 @@ const forgotPassword = async (req, res, next) => {
         resetUrl: process.env.NODE_ENV === 'development' ? resetUrl : undefined
       });
     } catch (error) {
+      logger.error(`Password reset email could not be sent to ${user.email}: ${error.message}`);
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
       
@@ -783,6 +797,106 @@ const getAvailableUsers = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a user's availability for case assignment
+ * @route   GET /api/users/:id/availability
+ * @access  Private (the user or an admin)
+ */
+const getUserAvailability = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this availability' });
+    }
+
+    const user = await User.findById(req.params.id).select('name role availability');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        role: user.role,
+        availability: user.availability
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a user's working hours, time off and case limit
+ * @route   PUT /api/users/:id/availability
+ * @access  Private (the user or an admin; only an admin can change the case limit)
+ */
+const updateUserAvailability = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+      return res.status(403).json({ success: false, message: 'Not authorized to change this availability' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { weeklyHours, timeOff, maxOpenCases } = req.body;
+
+    // The case limit drives auto-assignment, so users cannot lower their own
+    if (maxOpenCases !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Only an admin can change the case limit' });
+    }
+
+    if (timeOff !== undefined) {
+      const isPeriod = period => period && typeof period === 'object' &&
+        !isNaN(new Date(period.from).getTime()) && !isNaN(new Date(period.to).getTime());
+      if (!Array.isArray(timeOff) || !timeOff.every(isPeriod)) {
+        return res.status(400).json({ success: false, message: 'Time off must be a list of periods with valid from and to dates' });
+      }
+      if (timeOff.some(period => new Date(period.to) < new Date(period.from))) {
+        return res.status(400).json({ success: false, message: 'Time off must end after it starts' });
+      }
+    }
+
+    if (weeklyHours !== undefined) user.set('availability.weeklyHours', weeklyHours);
+    if (timeOff !== undefined) user.set('availability.timeOff', timeOff);
+    if (maxOpenCases !== undefined) user.set('availability.maxOpenCases', maxOpenCases || undefined);
+
+    await user.save();
+
+    await createAuditLog(
+      req,
+      'update',
+      'user',
+      user._id,
+      `Availability updated for user: ${user.email}`,
+      true
+    );
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        role: user.role,
+        availability: user.availability
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid availability',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    next(error);
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
@@ -798,5 +912,7 @@ module.exports = {
   updateUserRole,
   updateConsentStatus,
   recordLastLogin,
-  getAvailableUsers
+  getAvailableUsers,
+  getUserAvailability,
+  updateUserAvailability
 }; 
\ No newline at end of file
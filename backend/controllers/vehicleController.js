@@ -1,4 +1,5 @@
 const Vehicle = require('../models/Vehicle');
+const Document = require('../models/document');
 const logger = require('../utils/logger');
 const { createAuditLog } = require('../utils/auditUtils');
 const { cloudinary } = require('../config/cloudinary');
@@ -6,6 +7,51 @@ const asyncHandler = require('express-async-handler');
 const { generateVehicleQRCode, generateVehicleQRCodeBuffer } = require('../utils/qrCodeGenerator');
 const mongoose = require('mongoose');
 const { notifyUser, notifyAdmins } = require('../utils/notificationUtils');
+const complianceService = require('../services/complianceService');
+const vehicleSearchService = require('../services/vehicleSearchService');
+const vinDecoder = require('../services/vinDecoder');
+const vehicleImportService = require('../services/vehicleImportService');
+const stolenVehicleService = require('../services/stolenVehicleService');
+const vehicleLifecycleService = require('../services/vehicleLifecycleService');
+const plateRecognition = require('../services/ai/plateRecognition');
+const qrTokenService = require('../services/qrTokenService');
+const ImportBatch = require('../models/ImportBatch');
+const { formatCsvRow } = require('../utils/csvUtils');
+const { createXlsxWriter } = require('../utils/xlsxUtils');
+
+// Document types accepted as proof of an ownership transfer
+const TRANSFER_DOCUMENT_TYPES = ['purchase', 'title_deed'];
+
+// Vehicle fields that can be set through PUT /api/vehicles/:id. Ownership
+// history, flags, notes, the theft lifecycle, the QR code, compliance results,
+// reminders and the import batch each have their own endpoints or are kept by
+// the server
+const EDITABLE_FIELDS = [
+  'registrationNumber', 'vin', 'licensePlate', 'make', 'model', 'year', 'color', 'registrationState',
+  'ownerName', 'ownerContact', 'ownerEmail', 'ownerAddress', 'registrationExpiry',
+  'insuranceProvider', 'insurancePolicyNumber', 'insuranceExpiry', 'status'
+];
+
+// Human readable labels for vehicle flag types
+const FLAG_LABELS = {
+  wanted: 'Wanted',
+  bolo: 'BOLO (Be On the Lookout)',
+  cloned_plate_suspected: 'Cloned Plate Suspected',
+  insurance_lapsed: 'Insurance Lapsed',
+  other: 'Other'
+};
+
+/**
+ * Get the flags on a vehicle that are unresolved and not past their expiry
+ * @param {Object} vehicle - Vehicle document or lean object
+ * @returns {Array} - Active flags
+ */
+const getActiveFlags = (vehicle) => {
+  const now = new Date();
+  return (vehicle.flags || []).filter(flag =>
+    flag.status === 'active' && (!flag.expiresAt || new Date(flag.expiresAt) > now)
+  );
+};
 
 /**
  * @desc    Get all vehicles
@@ -57,24 +103,56 @@ const registerVehicle = asyncHandler(async (req, res) => {
       });
     }
 
+    // Stolen, recovered and impounded are reached through the lifecycle and impound endpoints once the vehicle exists
+    if (['stolen', 'recovered', 'impounded'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: status === 'impounded'
+          ? 'Register the vehicle first, then take it into an impound lot'
+          : 'Register the vehicle first, then report it stolen so a theft incident is linked'
+      });
+    }
+
+    // Validate the VIN and compare it with the entered make and year
+    const vinResult = vinDecoder.checkVin(vin, { make, year });
+    if (!vinResult.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid VIN: ${vinResult.errors.join('; ')}`,
+        errors: vinResult.errors
+      });
+    }
+
     // Set registrationNumber to licensePlate if not provided
     const registrationNumber = req.body.registrationNumber || licensePlate;
 
-    // Check if vehicle with same VIN already exists
-    const existingVehicleByVin = await Vehicle.findOne({ vin });
+    // Check if vehicle with same VIN already exists; registering a stolen vehicle again raises a hit
+    const existingVehicleByVin = await Vehicle.findOne({ vin: vinResult.vin });
     if (existingVehicleByVin) {
+      const stolenVehicleAlert = await stolenVehicleService.detectHits(existingVehicleByVin, {
+        source: 'registration',
+        req,
+        query: vinResult.vin
+      });
       return res.status(400).json({
         success: false,
-        message: `Vehicle with VIN ${vin} is already registered`
+        message: `Vehicle with VIN ${vin} is already registered`,
+        ...(stolenVehicleAlert && { stolenVehicleAlert })
       });
     }
 
     // Check if vehicle with same license plate already exists
     const existingVehicleByPlate = await Vehicle.findOne({ licensePlate });
     if (existingVehicleByPlate) {
+      const stolenVehicleAlert = await stolenVehicleService.detectHits(existingVehicleByPlate, {
+        source: 'registration',
+        req,
+        query: licensePlate
+      });
       return res.status(400).json({
         success: false,
-        message: `Vehicle with license plate ${licensePlate} is already registered`
+        message: `Vehicle with license plate ${licensePlate} is already registered`,
+        ...(stolenVehicleAlert && { stolenVehicleAlert })
       });
     }
 
@@ -82,7 +160,7 @@ const registerVehicle = asyncHandler(async (req, res) => {
     const vehicle = await Vehicle.create({
       registrationNumber,
       licensePlate,
-      vin,
+      vin: vinResult.vin,
       make,
       model,
       year,
@@ -95,7 +173,8 @@ const registerVehicle = asyncHandler(async (req, res) => {
       insuranceProvider,
       insurancePolicyNumber,
       insuranceExpiry,
-      status
+      status,
+      vinCheck: vinResult.vinCheck
     });
 
     // Log the action using the createAuditLog utility
@@ -130,7 +209,8 @@ const registerVehicle = asyncHandler(async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Vehicle registered successfully',
-      vehicle
+      vehicle,
+      vinWarnings: vinResult.vinCheck.warnings
     });
   } catch (error) {
     // Handle duplicate key errors
@@ -198,10 +278,74 @@ const updateVehicle = async (req, res, next) => {
       });
     }
 
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    const update = { $set: { ...updates } };
+
+    if (updates.status !== undefined) {
+      try {
+        vehicleLifecycleService.checkDirectStatusChange(vehicle.status, updates.status);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    // Re-check the VIN whenever it, the make or the year changes
+    let vinResult = null;
+    if (updates.vin !== undefined || updates.make !== undefined || updates.year !== undefined) {
+      vinResult = vinDecoder.checkVin(updates.vin !== undefined ? updates.vin : vehicle.vin, {
+        make: updates.make !== undefined ? updates.make : vehicle.make,
+        year: updates.year !== undefined ? updates.year : vehicle.year
+      });
+
+      // Only a changed VIN is rejected; existing records are re-checked and flagged
+      const vinChanged = updates.vin !== undefined && vinResult.vin !== vehicle.vin;
+      if (vinChanged && !vinResult.valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid VIN: ${vinResult.errors.join('; ')}`,
+          errors: vinResult.errors
+        });
+      }
+
+      if (updates.vin !== undefined) {
+        update.$set.vin = vinResult.vin;
+      }
+      update.$set.vinCheck = {
+        ...vinResult.vinCheck,
+        warnings: vinResult.valid ? vinResult.vinCheck.warnings : [...vinResult.errors, ...vinResult.vinCheck.warnings]
+      };
+    }
+
+    // Renaming the owner here is an undocumented transfer; keep the previous owner on record
+    if (updates.ownerName && updates.ownerName.trim() !== vehicle.ownerName) {
+      update.$set.ownerSince = new Date();
+      update.$push = {
+        ownershipHistory: vehicle.toOwnershipRecord({
+          source: 'update',
+          recordedBy: req.user._id,
+          notes: 'Owner changed through vehicle update'
+        })
+      };
+      update.$inc = { ownerChangeCount: 1 };
+    }
+
+    if (updates.status !== undefined && updates.status !== vehicle.status) {
+      update.$push = {
+        ...update.$push,
+        statusHistory: vehicleLifecycleService.statusChangeEntry(vehicle.status, updates.status, req.user)
+      };
+    }
+
     // Update the vehicle
     const updatedVehicle = await Vehicle.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
@@ -220,7 +364,8 @@ const updateVehicle = async (req, res, next) => {
     res.json({
       success: true,
       message: 'Vehicle updated successfully',
-      data: updatedVehicle
+      data: updatedVehicle,
+      vinWarnings: vinResult ? updatedVehicle.vinCheck.warnings : undefined
     });
   } catch (error) {
     console.error('Error updating vehicle:', error);
@@ -289,99 +434,163 @@ const deleteVehicle = async (req, res, next) => {
 };
 
 /**
- * @desc    Search vehicles
+ * Plate or VIN reduced to letters and digits for exact comparison
+ * @param {string} value - Plate, VIN or search term
+ * @returns {string}
+ */
+const normalizeIdentifier = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Run a vehicle search and send the paginated, faceted result
+ * @param {Object} params - Search parameters
+ * @param {Object} res - Express response
+ * @param {Object} req - Express request; when given, stolen vehicles whose
+ *                       exact plate or VIN was searched for raise a hit
+ */
+const sendVehicleSearch = async (params, res, req = null) => {
+  const result = await vehicleSearchService.searchVehicles(params);
+
+  // Partial matches such as "a" or "Toyota" only show the stolen status in the
+  // results; alerting investigators takes the vehicle's full plate or VIN
+  const searched = [params.q || params.query, params.plate, params.vin].filter(Boolean);
+  const terms = searched.map(normalizeIdentifier).filter(Boolean);
+  const identified = result.vehicles.filter(vehicle =>
+    terms.includes(normalizeIdentifier(vehicle.licensePlate)) || terms.includes(normalizeIdentifier(vehicle.vin)));
+  const stolenVehicleAlert = req && identified.length
+    ? await stolenVehicleService.detectHits(identified, { source: 'search', req, query: searched.join(' ').trim() })
+    : null;
+
+  res.json({
+    success: true,
+    data: result.vehicles,
+    total: result.total,
+    page: result.page,
+    limit: result.limit,
+    pages: result.pages,
+    facets: result.facets,
+    ...(stolenVehicleAlert && { stolenVehicleAlert })
+  });
+};
+
+/**
+ * Send a search error, using the status code attached to validation errors
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the search
+ */
+const sendVehicleSearchError = (res, error) => {
+  if (error.statusCode === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('Error searching vehicles:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Error searching vehicles',
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Search vehicles by free text, VIN (full, partial or last digits with vinMatch=suffix),
+ *          plate, make, model, year range, color, owner, registration state and status.
+ *          Multi-value filters take comma separated values. Returns facet counts.
  * @route   GET /api/vehicles/search
  * @access  Private
  */
 const searchVehicles = async (req, res) => {
   try {
-    const { query } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide a search query'
-      });
-    }
-
-    // Search for vehicles by license plate (case-insensitive)
-    const vehicles = await Vehicle.find({
-      licensePlate: { $regex: query, $options: 'i' }
-    }).select('-__v');
+    await sendVehicleSearch(req.query, res, req);
+  } catch (error) {
+    sendVehicleSearchError(res, error);
+  }
+};
 
-    if (vehicles.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'No vehicles found matching the search criteria'
-      });
-    }
+/**
+ * @desc    Get vehicles by owner name
+ * @route   GET /api/vehicles/owner/:name
+ * @access  Private
+ */
+const getVehiclesByOwner = async (req, res) => {
+  try {
+    await sendVehicleSearch({ ...req.query, owner: req.params.name }, res);
+  } catch (error) {
+    sendVehicleSearchError(res, error);
+  }
+};
 
-    res.json({
-      success: true,
-      data: vehicles
-    });
+/**
+ * @desc    Get vehicles by status
+ * @route   GET /api/vehicles/status/:status
+ * @access  Private
+ */
+const getVehiclesByStatus = async (req, res) => {
+  try {
+    await sendVehicleSearch({ ...req.query, status: req.params.status }, res);
   } catch (error) {
-    console.error('Error searching vehicles:', error);
-    res.status(500).json({
+    sendVehicleSearchError(res, error);
+  }
+};
+
+/**
+ * Send an error from the QR token service with its status code
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {string} message - Message for unexpected errors
+ */
+const sendQRCodeError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
       success: false,
-      message: 'Error searching vehicles',
-      error: error.message
+      message: error.message
     });
   }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
 };
 
 /**
- * @desc    Generate QR code for a vehicle
- * @route   GET /api/vehicles/:id/qrcode
+ * @desc    Generate QR code for a vehicle. The first code is issued on demand;
+ *          a revoked or expired code must be rotated first
+ * @route   GET /api/vehicles/qrcode/:id
  * @access  Private
  */
 const generateQRCode = async (req, res) => {
   try {
-    const vehicle = await Vehicle.findById(req.params.id);
-    
-    if (!vehicle) {
-      return res.status(404).json({
-        success: false,
-        message: 'Vehicle not found'
-      });
-    }
+    const { vehicle, token } = await qrTokenService.getCurrentToken(req.params.id, req.user);
     
     // Generate QR code data URL
-    const qrCodeDataUrl = await generateVehicleQRCode(vehicle._id, req.get('origin') || '');
+    const qrCodeDataUrl = await generateVehicleQRCode(token, req.get('origin') || '');
     
     res.json({
       success: true,
       qrCode: qrCodeDataUrl,
+      token: qrTokenService.describeToken(vehicle),
       message: 'QR code generated successfully'
     });
   } catch (error) {
-    console.error('Error generating QR code:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error generating QR code',
-      error: error.message
-    });
+    sendQRCodeError(res, error, 'Error generating QR code');
   }
 };
 
 /**
  * @desc    Stream QR code image for a vehicle
- * @route   GET /api/vehicles/:id/qrcode-image
+ * @route   GET /api/vehicles/qrcode-image/:id
  * @access  Private
  */
 const getQRCodeImage = async (req, res) => {
   try {
-    const vehicle = await Vehicle.findById(req.params.id);
-    
-    if (!vehicle) {
-      return res.status(404).json({
-        success: false,
-        message: 'Vehicle not found'
-      });
-    }
+    const { vehicle, token } = await qrTokenService.getCurrentToken(req.params.id, req.user);
     
     // Generate QR code as buffer
-    const qrCodeBuffer = await generateVehicleQRCodeBuffer(vehicle._id, req.get('origin') || '');
+    const qrCodeBuffer = await generateVehicleQRCodeBuffer(token, req.get('origin') || '');
     
     // Set response headers
     res.setHeader('Content-Type', 'image/png');
@@ -390,72 +599,1472 @@ const getQRCodeImage = async (req, res) => {
     // Send the QR code buffer as the response
     res.send(qrCodeBuffer);
   } catch (error) {
-    console.error('Error generating QR code image:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error generating QR code image',
-      error: error.message
+    sendQRCodeError(res, error, 'Error generating QR code image');
+  }
+};
+
+/**
+ * @desc    Issue a new QR code for a vehicle. Every earlier code stops scanning.
+ *          Optional `expiresInDays` (0 for never) or `expiresAt`; defaults to the settings
+ * @route   POST /api/vehicles/qrcode/:id/rotate
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const rotateQRCode = async (req, res) => {
+  try {
+    const { expiresInDays, expiresAt } = req.body;
+    const { vehicle, token } = await qrTokenService.rotateToken(req.params.id, { expiresInDays, expiresAt }, req.user);
+    const qrCodeDataUrl = await generateVehicleQRCode(token, req.get('origin') || '');
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `Issued a new QR code for vehicle ${vehicle.licensePlate}`,
+      true,
+      { expiresAt: vehicle.qrToken.expiresAt ? vehicle.qrToken.expiresAt.toISOString() : 'never' }
+    );
+
+    res.json({
+      success: true,
+      qrCode: qrCodeDataUrl,
+      token: qrTokenService.describeToken(vehicle),
+      message: 'New QR code issued. Earlier codes for this vehicle no longer scan'
+    });
+  } catch (error) {
+    sendQRCodeError(res, error, 'Error rotating QR code');
+  }
+};
+
+/**
+ * @desc    Revoke a vehicle's current QR code so it no longer scans
+ * @route   POST /api/vehicles/qrcode/:id/revoke
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const revokeQRCode = async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const vehicle = await qrTokenService.revokeToken(req.params.id, reason, req.user);
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `Revoked the QR code for vehicle ${vehicle.licensePlate}`,
+      true,
+      { reason: reason || 'none given' }
+    );
+
+    res.json({
+      success: true,
+      token: qrTokenService.describeToken(vehicle),
+      message: 'QR code revoked'
     });
+  } catch (error) {
+    sendQRCodeError(res, error, 'Error revoking QR code');
   }
 };
 
 /**
- * @desc    Get vehicle details via QR code (public access for scanning)
- * @route   GET /api/vehicles/scan/:id
+ * @desc    Get vehicle details via QR code (public access for scanning). Anonymous
+ *          scanners get the fields allowed in the QR code settings; signed-in staff
+ *          get the full record
+ * @route   GET /api/vehicles/scan/:token
  * @access  Public
  */
 const getVehicleDetailsFromQR = async (req, res) => {
   try {
-    console.log(`Scan request received for vehicle ID: ${req.params.id}`);
+    const scanned = req.params.token;
+    let vehicle;
+
+    if (qrTokenService.isLegacyVehicleId(scanned)) {
+      // Codes printed before tokens carry the bare ID; those IDs can be guessed,
+      // so they only work for signed-in staff, who can look the vehicle up anyway
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'This QR code is no longer accepted. Sign in to look up the vehicle, or ask for a new code'
+        });
+      }
+      vehicle = await Vehicle.findById(scanned).select('-__v').lean();
+      if (!vehicle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+      }
+    } else {
+      vehicle = await qrTokenService.resolveScanToken(scanned);
+    }
+    
+    const activeFlags = getActiveFlags(vehicle).map(flag => ({
+      type: flag.type,
+      label: FLAG_LABELS[flag.type],
+      severity: flag.severity,
+      createdAt: flag.createdAt,
+      expiresAt: flag.expiresAt
+    }));
+
+    let vehicleInfo;
+    if (req.user) {
+      const { qrToken, ...record } = vehicle;
+      vehicleInfo = { ...record, activeFlags, qrCode: qrTokenService.describeToken(vehicle) };
+    } else {
+      const { publicFields } = await qrTokenService.getQrSettings();
+      vehicleInfo = qrTokenService.pickPublicFields({ ...vehicle, activeFlags }, publicFields);
+    }
+
+    // Scanning a stolen vehicle alerts its investigators, with the scanner's position if sent.
+    // The alert names the VIN and that investigators were told, so only staff see it
+    const stolenVehicleAlert = await stolenVehicleService.detectHits(vehicle, {
+      source: 'qr_scan',
+      req,
+      query: vehicle.licensePlate
+    });
     
-    if (!req.params.id || !mongoose.Types.ObjectId.isValid(req.params.id)) {
-      console.log('Invalid vehicle ID format:', req.params.id);
+    res.json({
+      success: true,
+      access: req.user ? 'full' : 'public',
+      vehicle: vehicleInfo,
+      ...(stolenVehicleAlert && req.user && { stolenVehicleAlert })
+    });
+  } catch (error) {
+    sendQRCodeError(res, error, 'Error retrieving vehicle details');
+  }
+};
+
+/**
+ * @desc    Transfer vehicle ownership to a new owner
+ * @route   POST /api/vehicles/:id/transfer
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const transferVehicleOwnership = async (req, res) => {
+  try {
+    const {
+      newOwnerName,
+      newOwnerContact,
+      newOwnerEmail,
+      newOwnerAddress,
+      transferDate,
+      salePrice,
+      documentId,
+      notes
+    } = req.body;
+
+    if (!newOwnerName || !newOwnerContact || !newOwnerAddress) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid vehicle ID format'
+        message: 'Please provide the new owner name, contact and address'
       });
     }
-    
-    const vehicle = await Vehicle.findById(req.params.id)
-      .select('-__v')
-      .lean();
-    
+
+    if (!documentId || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supporting purchase or title deed document is required'
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
     if (!vehicle) {
-      console.log(`Vehicle not found with ID: ${req.params.id}`);
       return res.status(404).json({
         success: false,
         message: 'Vehicle not found'
       });
     }
-    
-    console.log(`QR code scanned successfully for vehicle ${vehicle._id} at ${new Date().toISOString()}`);
-    console.log('Returning vehicle data:', {
-      licensePlate: vehicle.licensePlate,
-      make: vehicle.make,
-      model: vehicle.model
-    });
-    
-    // Return public vehicle information
-    const publicVehicleInfo = {
-      licensePlate: vehicle.licensePlate,
-      vin: vehicle.vin,
-      make: vehicle.make,
-      model: vehicle.model,
-      year: vehicle.year,
-      color: vehicle.color,
-      registrationState: vehicle.registrationState,
-      status: vehicle.status
-    };
-    
+
+    const document = await Document.findById(documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supporting document not found'
+      });
+    }
+
+    if (!TRANSFER_DOCUMENT_TYPES.includes(document.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Supporting document must be one of: ${TRANSFER_DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (document.vehicle && document.vehicle.toString() !== vehicle._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supporting document belongs to a different vehicle'
+      });
+    }
+
+    const effectiveDate = transferDate ? new Date(transferDate) : new Date();
+    if (isNaN(effectiveDate.getTime()) || effectiveDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer date must be a valid date that is not in the future'
+      });
+    }
+
+    if (vehicle.ownerSince && effectiveDate < vehicle.ownerSince) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer date cannot be earlier than the start of the current ownership'
+      });
+    }
+
+    if (salePrice !== undefined && salePrice !== null && (isNaN(Number(salePrice)) || Number(salePrice) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sale price must be a non-negative number'
+      });
+    }
+
+    const previousOwner = vehicle.ownerName;
+
+    vehicle.transferOwnership(
+      {
+        ownerName: newOwnerName,
+        ownerContact: newOwnerContact,
+        ownerEmail: newOwnerEmail,
+        ownerAddress: newOwnerAddress
+      },
+      {
+        transferDate: effectiveDate,
+        salePrice: salePrice !== undefined && salePrice !== null ? Number(salePrice) : undefined,
+        document: document._id,
+        notes,
+        recordedBy: req.user._id
+      }
+    );
+
+    await vehicle.save();
+
+    // Attach the document to the vehicle if it was uploaded without one
+    if (!document.vehicle) {
+      document.vehicle = vehicle._id;
+      await document.save();
+    }
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `Ownership of ${vehicle.licensePlate} transferred from ${previousOwner} to ${vehicle.ownerName}`,
+      true,
+      {
+        previousOwner,
+        newOwner: vehicle.ownerName,
+        documentId: document._id.toString()
+      }
+    );
+
     res.json({
       success: true,
-      vehicle: publicVehicleInfo
+      message: 'Vehicle ownership transferred successfully',
+      data: vehicle
     });
   } catch (error) {
-    console.error('Error retrieving vehicle details from QR code:', error);
+    console.error('Error transferring vehicle ownership:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring vehicle ownership',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the chain of title for a vehicle
+ * @route   GET /api/vehicles/:id/ownership-history
+ * @access  Private
+ */
+const getOwnershipHistory = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .select('licensePlate vin make model year ownerName ownerContact ownerEmail ownerAddress ownerSince ownerChangeCount ownershipHistory createdAt')
+      .populate('ownershipHistory.document', 'name type url uploadDate')
+      .populate('ownershipHistory.recordedBy', 'name email role');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    // Oldest owner first so the chain reads in order of title
+    const history = [...vehicle.ownershipHistory].sort((a, b) => a.transferDate - b.transferDate);
+
+    res.json({
+      success: true,
+      data: {
+        vehicle: {
+          _id: vehicle._id,
+          licensePlate: vehicle.licensePlate,
+          vin: vehicle.vin,
+          make: vehicle.make,
+          model: vehicle.model,
+          year: vehicle.year
+        },
+        currentOwner: {
+          ownerName: vehicle.ownerName,
+          ownerContact: vehicle.ownerContact,
+          ownerEmail: vehicle.ownerEmail,
+          ownerAddress: vehicle.ownerAddress,
+          ownedFrom: vehicle.ownerSince || vehicle.createdAt
+        },
+        ownerChangeCount: vehicle.ownerChangeCount || history.length,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching ownership history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ownership history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send a lifecycle error, using the status code attached by the lifecycle service
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} message - Message for unexpected errors
+ */
+const sendLifecycleError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(val => val.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * @desc    Report a vehicle stolen under an open theft incident, or open a new one
+ * @route   POST /api/vehicles/:id/report-stolen
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const reportVehicleStolen = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const { incidentId, stolenAt, description, location, severity, note } = req.body;
+    const result = await vehicleLifecycleService.reportStolen(req.params.id, req.user, {
+      incidentId,
+      stolenAt,
+      description,
+      location,
+      severity,
+      note
+    });
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      result.vehicle._id,
+      `Vehicle ${result.vehicle.licensePlate} reported stolen under incident #${result.incident.incidentNumber}`,
+      true,
+      {
+        incidentId: result.incident._id.toString(),
+        createdIncident: result.createdIncident
+      }
+    );
+
+    res.json({
+      success: true,
+      message: result.createdIncident
+        ? `Vehicle reported stolen; theft incident #${result.incident.incidentNumber} opened`
+        : `Vehicle reported stolen under incident #${result.incident.incidentNumber}`,
+      data: {
+        vehicle: result.vehicle,
+        incident: {
+          _id: result.incident._id,
+          incidentNumber: result.incident.incidentNumber,
+          title: result.incident.title,
+          status: result.incident.status
+        },
+        createdIncident: result.createdIncident
+      }
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Error reporting vehicle stolen');
+  }
+};
+
+/**
+ * @desc    Mark a stolen vehicle recovered with its location, condition and damage
+ * @route   POST /api/vehicles/:id/recover
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const markVehicleRecovered = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const { recoveredAt, condition, damageAssessment, estimatedDamageCost, note } = req.body;
+    // Coordinates come as lat/lng or a GeoJSON location; the address is free text
+    const point = stolenVehicleService.getRequestLocation(req);
+    const address = req.body.address || (typeof req.body.location === 'string' ? req.body.location : req.body.location?.address);
+
+    const result = await vehicleLifecycleService.markRecovered(req.params.id, req.user, {
+      recoveredAt,
+      condition,
+      damageAssessment,
+      estimatedDamageCost,
+      note,
+      location: { coordinates: point?.coordinates, address }
+    });
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      result.vehicle._id,
+      `Vehicle ${result.vehicle.licensePlate} marked recovered` +
+        `${result.incident ? ` under incident #${result.incident.incidentNumber}` : ''}`,
+      true,
+      {
+        incidentId: result.incident ? result.incident._id.toString() : null,
+        condition,
+        recoveryTimeHours: result.entry.recovery.recoveryTimeHours
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Vehicle marked recovered',
+      data: {
+        vehicle: result.vehicle,
+        recovery: result.entry.recovery,
+        incident: result.incident && {
+          _id: result.incident._id,
+          incidentNumber: result.incident.incidentNumber,
+          title: result.incident.title,
+          status: result.incident.status
+        }
+      }
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Error marking vehicle recovered');
+  }
+};
+
+/**
+ * @desc    Get the stolen/recovered status history of a vehicle
+ * @route   GET /api/vehicles/:id/status-history
+ * @access  Private
+ */
+const getVehicleStatusHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const vehicle = await vehicleLifecycleService.getStatusHistory(req.params.id);
+
+    res.json({
+      success: true,
+      data: vehicle
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Error fetching vehicle status history');
+  }
+};
+
+/**
+ * @desc    Get theft-to-recovery time metrics
+ * @route   GET /api/vehicles/recovery-metrics
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const getRecoveryMetrics = async (req, res) => {
+  try {
+    const metrics = await vehicleLifecycleService.getRecoveryMetrics({
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    sendLifecycleError(res, error, 'Error fetching recovery metrics');
+  }
+};
+
+/**
+ * @desc    Add a note to a vehicle
+ * @route   POST /api/vehicles/notes/:id
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const addVehicleNote = async (req, res) => {
+  try {
+    const content = req.body.content || req.body.note;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note content is required'
+      });
+    }
+
+    const vehicle = await Vehicle.findByIdAndUpdate(
+      req.params.id,
+      {
+        $push: { notes: { content, author: req.user._id } },
+        $set: { lastUpdated: new Date() }
+      },
+      { new: true, runValidators: true }
+    ).populate('notes.author', 'name email role');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const note = vehicle.notes[vehicle.notes.length - 1];
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `Note added to vehicle ${vehicle.licensePlate} by ${req.user.name}`,
+      true
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: note
+    });
+  } catch (error) {
+    console.error('Error adding vehicle note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding vehicle note',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get notes for a vehicle
+ * @route   GET /api/vehicles/notes/:id
+ * @access  Private
+ */
+const getVehicleNotes = async (req, res) => {
+  try {
+    const vehicle = await Vehicle.findById(req.params.id)
+      .select('notes licensePlate')
+      .populate('notes.author', 'name email role');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const notes = [...vehicle.notes].sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      data: notes
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle notes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Raise a flag on a vehicle (wanted, BOLO, cloned plate, insurance lapsed)
+ * @route   POST /api/vehicles/flags/:id
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const addVehicleFlag = async (req, res) => {
+  try {
+    const { type, severity = 'medium', description, expiresAt } = req.body;
+
+    if (!type || !FLAG_LABELS[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Flag type must be one of: ${Object.keys(FLAG_LABELS).join(', ')}`
+      });
+    }
+
+    let expiryDate;
+    if (expiresAt) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Flag expiry must be a valid date in the future'
+        });
+      }
+    }
+
+    const vehicle = await Vehicle.findByIdAndUpdate(
+      req.params.id,
+      {
+        $push: {
+          flags: {
+            type,
+            severity,
+            description,
+            expiresAt: expiryDate,
+            createdBy: req.user._id
+          }
+        },
+        $set: { lastUpdated: new Date() }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const flag = vehicle.flags[vehicle.flags.length - 1];
+
+    await createAuditLog(
+      req,
+      'create',
+      'vehicle',
+      vehicle._id,
+      `${FLAG_LABELS[type]} flag (${flag.severity}) raised on vehicle ${vehicle.licensePlate} by ${req.user.name}`,
+      true,
+      { flagId: flag._id.toString(), flagType: type, severity: flag.severity }
+    );
+
+    // High severity flags need attention from admins straight away
+    if (['high', 'critical'].includes(flag.severity)) {
+      await notifyAdmins(
+        'Vehicle Flagged',
+        `${FLAG_LABELS[type]} flag raised on vehicle ${vehicle.licensePlate} (${vehicle.make} ${vehicle.model})`,
+        'warning',
+        'vehicle',
+        vehicle._id,
+        flag.severity === 'critical'
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Flag added successfully',
+      data: flag
+    });
+  } catch (error) {
+    console.error('Error adding vehicle flag:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding vehicle flag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Resolve a vehicle flag
+ * @route   PUT /api/vehicles/flags/:id/:flagId
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const resolveVehicleFlag = async (req, res) => {
+  try {
+    const { resolutionNote } = req.body;
+
+    if (!resolutionNote || !resolutionNote.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A resolution note is required'
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const flag = vehicle.flags.id(req.params.flagId);
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flag not found'
+      });
+    }
+
+    if (flag.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Flag has already been resolved'
+      });
+    }
+
+    const updatedVehicle = await Vehicle.findOneAndUpdate(
+      { _id: vehicle._id, 'flags._id': flag._id },
+      {
+        $set: {
+          'flags.$.status': 'resolved',
+          'flags.$.resolvedBy': req.user._id,
+          'flags.$.resolvedAt': new Date(),
+          'flags.$.resolutionNote': resolutionNote,
+          lastUpdated: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `${FLAG_LABELS[flag.type]} flag resolved on vehicle ${vehicle.licensePlate} by ${req.user.name}`,
+      true,
+      { flagId: flag._id.toString(), resolutionNote }
+    );
+
+    res.json({
+      success: true,
+      message: 'Flag resolved successfully',
+      data: updatedVehicle.flags.id(flag._id)
+    });
+  } catch (error) {
+    console.error('Error resolving vehicle flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving vehicle flag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get flags for a vehicle
+ * @route   GET /api/vehicles/flags/:id
+ * @access  Private
+ */
+const getVehicleFlags = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const vehicle = await Vehicle.findById(req.params.id)
+      .select('flags licensePlate')
+      .populate('flags.createdBy', 'name email role')
+      .populate('flags.resolvedBy', 'name email role');
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const activeFlags = getActiveFlags(vehicle);
+    let flags = vehicle.flags;
+    if (status === 'active') {
+      flags = activeFlags;
+    } else if (status === 'resolved') {
+      flags = vehicle.flags.filter(flag => flag.status === 'resolved');
+    }
+
+    res.json({
+      success: true,
+      activeCount: activeFlags.length,
+      data: [...flags].sort((a, b) => b.createdAt - a.createdAt)
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle flags',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the stolen vehicle hits recorded for a vehicle
+ * @route   GET /api/vehicles/hits/:id
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const getVehicleHits = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const hits = await stolenVehicleService.getVehicleHits(req.params.id, parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      count: hits.length,
+      data: hits
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle hits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vehicle hits',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Run the compliance rules for a vehicle
+ * @route   GET /api/vehicles/compliance-check/:id
+ * @access  Private
+ */
+const checkVehicleCompliance = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const report = await complianceService.checkVehicleCompliance(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error checking vehicle compliance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking vehicle compliance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Run the compliance rules for the whole fleet
+ * @route   GET /api/vehicles/compliance-check
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const checkFleetCompliance = async (req, res) => {
+  try {
+    const { status, result } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const fleetReport = await complianceService.checkFleetCompliance(filter);
+
+    // Optionally narrow the returned reports to one outcome (e.g. only failures)
+    if (result) {
+      fleetReport.reports = fleetReport.reports.filter(report => report.status === result);
+    }
+
+    await createAuditLog(
+      req,
+      'read',
+      'vehicle',
+      null,
+      `Fleet compliance check run by ${req.user.name}: ${fleetReport.summary.fail} failing, ${fleetReport.summary.warn} with warnings`,
+      true
+    );
+
+    res.json({
+      success: true,
+      data: fleetReport
+    });
+  } catch (error) {
+    console.error('Error checking fleet compliance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking fleet compliance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update registration and insurance details, then re-run the compliance check
+ * @route   PUT /api/vehicles/compliance/:id
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const updateComplianceDetails = async (req, res) => {
+  try {
+    const allowedFields = [
+      'registrationExpiry',
+      'insuranceProvider',
+      'insurancePolicyNumber',
+      'insuranceExpiry'
+    ];
+
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${allowedFields.join(', ')}`
+      });
+    }
+
+    updates.lastUpdated = new Date();
+
+    const vehicle = await Vehicle.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const report = await complianceService.checkVehicleCompliance(vehicle._id);
+
+    await createAuditLog(
+      req,
+      'update',
+      'vehicle',
+      vehicle._id,
+      `Compliance details updated for vehicle ${vehicle.licensePlate}; compliance status is now ${report.status}`,
+      true
+    );
+
+    res.json({
+      success: true,
+      message: 'Compliance details updated successfully',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error updating compliance details:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid compliance details',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating compliance details',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Decode a VIN offline (manufacturer, region, model year, check digit).
+ *          Pass ?make= and ?year= to compare them with the decoded values.
+ * @route   GET /api/vehicles/decode-vin/:vin
+ * @access  Private
+ */
+const decodeVin = async (req, res) => {
+  try {
+    const result = vinDecoder.checkVin(req.params.vin, {
+      make: req.query.make,
+      year: req.query.year
+    });
+    const { vinCheck, ...decoded } = result;
+
+    res.json({
+      success: true,
+      data: decoded
+    });
+  } catch (error) {
+    console.error('Error decoding VIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error decoding VIN',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Check whether a VIN is valid and already registered
+ * @route   POST /api/vehicles/check-vin
+ * @access  Private
+ */
+const checkDuplicateVIN = async (req, res) => {
+  try {
+    const { vin, excludeId } = req.body;
+
+    if (!vin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a VIN'
+      });
+    }
+
+    const decoded = vinDecoder.decodeVin(vin);
+    const filter = { vin: decoded.vin };
+    if (excludeId && mongoose.Types.ObjectId.isValid(excludeId)) {
+      filter._id = { $ne: excludeId };
+    }
+
+    const existing = await Vehicle.findOne(filter).select('licensePlate vin make model year color status');
+
+    // Checking the VIN of a stolen vehicle before registering it raises a hit
+    const stolenVehicleAlert = existing
+      ? await stolenVehicleService.detectHits(existing, { source: 'registration', req, query: decoded.vin })
+      : null;
+
+    res.json({
+      success: true,
+      exists: !!existing,
+      vehicle: existing,
+      ...(stolenVehicleAlert && { stolenVehicleAlert }),
+      valid: decoded.valid,
+      errors: decoded.errors,
+      warnings: decoded.warnings
+    });
+  } catch (error) {
+    console.error('Error checking VIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking VIN',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import vehicles from a CSV or JSON file. With ?dryRun=true only the
+ *          per-row validation report is returned. Rows with errors block the
+ *          import unless ?skipInvalid=true.
+ * @route   POST /api/vehicles/import
+ * @access  Private (Officer, Admin)
+ */
+const importVehicles = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV, XLSX or JSON file'
+      });
+    }
+
+    const format = vehicleImportService.detectFormat(req.file.originalname, req.file.mimetype);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported file type. Upload a .csv, .xlsx or .json file'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const skipInvalid = req.query.skipInvalid === 'true' || req.body.skipInvalid === 'true';
+
+    const { committed, report, batch } = await vehicleImportService.importVehicles({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format,
+      dryRun,
+      skipInvalid,
+      user: req.user
+    });
+
+    await createAuditLog(
+      req,
+      committed ? 'create' : 'other',
+      'vehicle',
+      batch ? batch._id : null,
+      committed
+        ? `Imported ${batch.importedCount} of ${report.totalRows} vehicles from ${req.file.originalname}`
+        : `${dryRun ? 'Dry run of' : 'Rejected'} vehicle import from ${req.file.originalname}: ${report.validCount} valid, ${report.invalidCount} invalid rows`,
+      committed || dryRun,
+      {
+        fileName: req.file.originalname,
+        dryRun: String(dryRun),
+        totalRows: String(report.totalRows),
+        invalidRows: String(report.invalidCount),
+        ...(batch ? { batchId: batch._id.toString() } : {})
+      }
+    );
+
+    if (!committed && !dryRun) {
+      return res.status(400).json({
+        success: false,
+        message: report.validCount === 0
+          ? 'No valid rows to import'
+          : `${report.invalidCount} row(s) failed validation. Fix them or retry with skipInvalid=true`,
+        report
+      });
+    }
+
+    if (committed) {
+      await notifyAdmins(
+        'Vehicle Import Completed',
+        `${req.user.name} imported ${batch.importedCount} vehicle(s) from ${req.file.originalname}`,
+        'info',
+        'vehicle'
+      );
+    }
+
+    res.status(committed ? 201 : 200).json({
+      success: true,
+      dryRun,
+      message: committed
+        ? `Imported ${batch.importedCount} of ${report.totalRows} vehicles`
+        : `Dry run: ${report.validCount} of ${report.totalRows} rows are valid`,
+      batch,
+      report
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error instanceof SyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error importing vehicles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing vehicles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List vehicle import batches
+ * @route   GET /api/vehicles/import
+ * @access  Private (Officer, Admin)
+ */
+const getImportBatches = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const batches = await ImportBatch.find(filter)
+      .select('-vehicles -rowErrors -keptOnRevert')
+      .populate('importedBy', 'name email')
+      .populate('revertedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      count: batches.length,
+      data: batches
+    });
+  } catch (error) {
+    console.error('Error fetching import batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import batches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get an import batch with its row errors
+ * @route   GET /api/vehicles/import/:batchId
+ * @access  Private (Officer, Admin)
+ */
+const getImportBatch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import batch ID'
+      });
+    }
+
+    const batch = await ImportBatch.findById(req.params.batchId)
+      .populate('importedBy', 'name email')
+      .populate('revertedBy', 'name email');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Error fetching import batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching import batch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revert an import batch, deleting the vehicles it created. Vehicles
+ *          that have been worked on since are kept unless ?force=true, and
+ *          vehicles other records refer to are always kept.
+ * @route   POST /api/vehicles/import/:batchId/revert
+ * @access  Private (Admin)
+ */
+const revertImportBatch = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.batchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import batch ID'
+      });
+    }
+
+    const batch = await vehicleImportService.revertImport(req.params.batchId, req.user, {
+      force: req.query.force === 'true' || req.body.force === true
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import batch not found'
+      });
+    }
+
+    await createAuditLog(
+      req,
+      'delete',
+      'vehicle',
+      batch._id,
+      `Reverted vehicle import ${batch.fileName}: ${batch.revertedCount} vehicles removed, ${batch.keptOnRevert.length} kept`,
+      true,
+      {
+        batchId: batch._id.toString(),
+        revertedCount: String(batch.revertedCount),
+        keptCount: String(batch.keptOnRevert.length)
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `Import reverted: ${batch.revertedCount} vehicle(s) removed` +
+        (batch.keptOnRevert.length ? `, ${batch.keptOnRevert.length} kept because they are in use` : ''),
+      data: batch
+    });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reverting import batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reverting import batch',
+      error: error.message
+    });
+  }
+};
+
+// Response content type for each export format
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * @desc    Export vehicles as CSV, XLSX or JSON. Accepts the same filters as the search endpoint.
+ * @route   GET /api/vehicles/export?format=csv|xlsx|json
+ * @access  Private (Officer, Admin, Investigator)
+ */
+const exportVehicles = async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_CONTENT_TYPES[format]) {
+    return res.status(400).json({
+      success: false,
+      message: 'Export format must be csv, xlsx or json'
+    });
+  }
+
+  let cursor;
+  try {
+    cursor = vehicleImportService.getExportCursor(req.query);
+  } catch (error) {
+    return sendVehicleSearchError(res, error);
+  }
+
+  const fileName = `vehicles-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  let count = 0;
+  try {
+    const xlsx = format === 'xlsx' ? createXlsxWriter(res, 'Vehicles', vehicleImportService.EXPORT_COLUMNS) : null;
+    if (format !== 'xlsx') {
+      res.write(format === 'csv' ? formatCsvRow(vehicleImportService.EXPORT_COLUMNS) : '[');
+    }
+
+    for await (const vehicle of cursor) {
+      const row = vehicleImportService.toExportRow(vehicle);
+      if (format === 'csv') {
+        res.write(formatCsvRow(vehicleImportService.EXPORT_COLUMNS.map(column => row[column])));
+      } else if (xlsx) {
+        xlsx.addRow(vehicleImportService.EXPORT_COLUMNS.map(column => row[column]));
+      } else {
+        res.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+      }
+      count++;
+    }
+
+    if (xlsx) {
+      // Finishing the workbook ends the response
+      await xlsx.finish();
+    } else {
+      if (format === 'json') {
+        res.write('\n]\n');
+      }
+      res.end();
+    }
+
+    await createAuditLog(
+      req,
+      'export',
+      'vehicle',
+      null,
+      `Exported ${count} vehicles as ${format.toUpperCase()}`,
+      true,
+      { format, count: String(count), filters: JSON.stringify(req.query) }
+    );
+  } catch (error) {
+    // Headers are already sent, so the best we can do is end the stream
+    logger.error(`Error exporting vehicles after ${count} rows: ${error.message}`);
+    res.end();
+  }
+};
+
+/**
+ * @desc    Read the license plate in a photo and match it against registered vehicles
+ * @route   POST /api/vehicles/recognize-plate
+ * @access  Private
+ */
+const recognizePlate = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a photo of the vehicle'
+      });
+    }
+
+    const result = await plateRecognition.recognizePlate(req.file.buffer, { limit: req.body.limit });
+
+    // An exact match on a stolen vehicle is a sighting like any QR scan. A misread
+    // character can make a likely match the wrong car, so those are only listed
+    // for the officer to confirm
+    const matched = result.candidates
+      .filter(candidate => candidate.match === 'exact')
+      .map(candidate => candidate.vehicle);
+    const stolenVehicleAlert = matched.length > 0
+      ? await stolenVehicleService.detectHits(matched, { source: 'plate_scan', req, query: result.plate })
+      : null;
+
+    res.json({
+      success: true,
+      data: result,
+      ...(stolenVehicleAlert && { stolenVehicleAlert })
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error recognizing plate:', error);
     res.status(500).json({
       success: false,
-      message: 'Error retrieving vehicle details',
+      message: 'Error recognizing plate',
       error: error.message
     });
   }
@@ -466,16 +2075,6 @@ const uploadVehicleImages = (req, res) => res.status(501).json({ message: 'Not i
 const setMainVehicleImage = (req, res) => res.status(501).json({ message: 'Not implemented' });
 const removeVehicleImage = (req, res) => res.status(501).json({ message: 'Not implemented' });
 const updateVehicleLocation = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const addVehicleNote = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const getVehicleNotes = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const addVehicleFlag = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const resolveVehicleFlag = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const getVehicleFlags = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const checkDuplicateVIN = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const checkVehicleCompliance = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const getVehiclesByOwner = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const getVehiclesByStatus = (req, res) => res.status(501).json({ message: 'Not implemented' });
-const updateComplianceDetails = (req, res) => res.status(501).json({ message: 'Not implemented' });
 
 module.exports = {
   getVehicles,
@@ -493,12 +2092,29 @@ module.exports = {
   addVehicleFlag,
   resolveVehicleFlag,
   getVehicleFlags,
+  getVehicleHits,
   checkDuplicateVIN,
+  decodeVin,
   checkVehicleCompliance,
   getVehiclesByOwner,
   getVehiclesByStatus,
   updateComplianceDetails,
   generateQRCode,
   getQRCodeImage,
-  getVehicleDetailsFromQR
+  rotateQRCode,
+  revokeQRCode,
+  getVehicleDetailsFromQR,
+  transferVehicleOwnership,
+  getOwnershipHistory,
+  reportVehicleStolen,
+  markVehicleRecovered,
+  getVehicleStatusHistory,
+  getRecoveryMetrics,
+  checkFleetCompliance,
+  importVehicles,
+  getImportBatches,
+  getImportBatch,
+  revertImportBatch,
+  exportVehicles,
+  recognizePlate
 };
\ No newline at end of file
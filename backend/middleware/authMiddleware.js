@@ -64,6 +64,22 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Identify the user on public routes: a valid token sets req.user, anything else continues anonymously
+const identifyUser = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    logger.warn(`Continuing without user on public route: ${error.message}`);
+  }
+  next();
+};
+
 // Check user roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -75,4 +91,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize }; 
\ No newline at end of file
+module.exports = { protect, authorize, identifyUser }; 
\ No newline at end of file
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Traffic citation issued against a vehicle, with its fine, payments and any contest
+const citationSchema = new mongoose.Schema({
+  citationNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  // Driver from the person registry, when known
+  person: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  },
+  // Driver as written on the citation
+  driver: {
+    name: {
+      type: String,
+      trim: true
+    },
+    licenseNumber: {
+      type: String,
+      trim: true
+    }
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  // Codes are copied at issue so later changes to the code table do not apply
+  violations: [
+    {
+      violationCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ViolationCode'
+      },
+      code: {
+        type: String,
+        required: true
+      },
+      description: String,
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      points: {
+        type: Number,
+        default: 0
+      },
+      courtRequired: {
+        type: Boolean,
+        default: false
+      }
+    }
+  ],
+  location: {
+    address: String,
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Original total when a contest reduced the fine
+  originalAmount: Number,
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unpaid', 'paid', 'contested', 'dismissed', 'void'],
+    default: 'unpaid'
+  },
+  paidAt: Date,
+  payments: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Payment amount must be positive']
+      },
+      method: {
+        type: String,
+        enum: ['cash', 'card', 'bank_transfer', 'online', 'other'],
+        default: 'other'
+      },
+      reference: String,
+      paidAt: {
+        type: Date,
+        default: Date.now
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  ],
+  contest: {
+    filedAt: Date,
+    reason: String,
+    filedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    outcome: {
+      type: String,
+      enum: ['pending', 'upheld', 'reduced', 'dismissed']
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  },
+  // Hearing for contested citations and violations that require an appearance
+  court: {
+    date: Date,
+    location: String,
+    caseNumber: String
+  },
+  voided: {
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
+  // Generated citation PDF
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+citationSchema.index({ vehicle: 1, status: 1 });
+citationSchema.index({ person: 1 });
+citationSchema.index({ incident: 1 });
+citationSchema.index({ status: 1, dueDate: 1 });
+citationSchema.index({ 'court.date': 1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.Citation || mongoose.model('Citation', citationSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per sequence and period, e.g. `incident:2026-10`
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    default: ''
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'retrying', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: Date,
+  lastError: String,
+  messageId: String,
+  transport: String,
+  sentAt: Date,
+  resourceType: String,
+  resourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+emailLogSchema.index({ status: 1, nextAttemptAt: 1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.EmailLog || mongoose.model('EmailLog', emailLogSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const gazetteerEntrySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['address', 'street', 'place', 'city'],
+    default: 'street'
+  },
+  street: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  state: {
+    type: String,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'USA'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Lower-case name with abbreviations expanded, used for matching
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  normalizedCity: String,
+  // Larger places rank higher when several entries match equally well
+  population: Number,
+  // Import that created the entry, so a source can be replaced as a whole
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+gazetteerEntrySchema.index({ location: '2dsphere' });
+gazetteerEntrySchema.index({ normalizedName: 1 });
+gazetteerEntrySchema.index({ normalizedCity: 1 });
+gazetteerEntrySchema.index({ source: 1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.GazetteerEntry || mongoose.model('GazetteerEntry', gazetteerEntrySchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx', 'json'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'partial', 'reverted'],
+    default: 'completed'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+  // Vehicles created by this batch, used to revert it
+  vehicles: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    }
+  ],
+  // Rows that were skipped because they failed validation
+  rowErrors: [
+    {
+      row: Number,
+      licensePlate: String,
+      vin: String,
+      messages: [String]
+    }
+  ],
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revertedAt: Date,
+  revertedCount: Number,
+  // Vehicles kept on revert because they were changed after the import
+  keptOnRevert: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    }
+  ]
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ createdAt: -1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.ImportBatch || mongoose.model('ImportBatch', importBatchSchema);
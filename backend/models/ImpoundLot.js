@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Impound lot vehicles are towed to and held in until released
+const impoundLotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Lot name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Lot code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Lot capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Vehicles currently held; kept in step with intakes and releases
+  occupied: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Charged once at intake (towing and handling)
+  intakeFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Intake fee cannot be negative']
+  },
+  // Charged for every started day a vehicle is held
+  dailyFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Daily fee cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.ImpoundLot || mongoose.model('ImpoundLot', impoundLotSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+// One stay of a vehicle in an impound lot, from intake to release
+const impoundRecordSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImpoundLot',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['impounded', 'released'],
+    default: 'impounded'
+  },
+  reason: {
+    type: String,
+    enum: [
+      'illegal_parking',
+      'abandoned',
+      'evidence',
+      'unregistered',
+      'uninsured',
+      'stolen_recovered',
+      'dui',
+      'other'
+    ],
+    required: [true, 'Impound reason is required']
+  },
+  reasonDetails: {
+    type: String,
+    trim: true
+  },
+  // Officer who ordered the impound
+  officer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  },
+  // Vehicle status before the intake, restored on release
+  previousStatus: {
+    type: String,
+    enum: ['active', 'recovered']
+  },
+  intakeAt: {
+    type: Date,
+    default: Date.now
+  },
+  photos: [
+    {
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String,
+      caption: String,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Contents of the vehicle at intake
+  inventory: [
+    {
+      item: {
+        type: String,
+        required: [true, 'Inventory item is required'],
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [1, 'Quantity must be at least 1']
+      },
+      condition: String,
+      notes: String
+    }
+  ],
+  // Rates are copied from the lot at intake so later fee changes do not apply
+  fees: {
+    intakeFee: {
+      type: Number,
+      default: 0
+    },
+    dailyRate: {
+      type: Number,
+      default: 0
+    },
+    daysCharged: {
+      type: Number,
+      default: 0
+    },
+    accrued: {
+      type: Number,
+      default: 0
+    },
+    accruedAt: Date
+  },
+  release: {
+    releasedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedTo: {
+      name: String,
+      contact: String,
+      idNumber: String
+    },
+    // Proof of ownership shown by whoever collected the vehicle
+    documents: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }],
+    totalFees: Number,
+    amountPaid: Number,
+    paymentReference: String,
+    feesWaived: {
+      type: Boolean,
+      default: false
+    },
+    waiverReason: String,
+    notes: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+impoundRecordSchema.index({ lot: 1, status: 1 });
+impoundRecordSchema.index({ lot: 1, intakeAt: -1 });
+impoundRecordSchema.index({ lot: 1, 'release.releasedAt': -1 });
+// A vehicle can only be held once at a time
+impoundRecordSchema.index(
+  { vehicle: 1 },
+  { unique: true, partialFilterExpression: { status: 'impounded' } }
+);
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.ImpoundRecord || mongoose.model('ImpoundRecord', impoundRecordSchema);
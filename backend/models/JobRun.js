@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const {
+  normalizeName,
+  normalizeIdNumber,
+  normalizePhone,
+  normalizeEmail,
+  phoneticKeys
+} = require('../utils/nameMatching');
+
+const personSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  dateOfBirth: Date,
+  identifications: [
+    {
+      type: {
+        type: String,
+        enum: ['drivers_license', 'national_id', 'passport', 'other'],
+        default: 'other'
+      },
+      number: {
+        type: String,
+        required: [true, 'Identification number is required'],
+        trim: true
+      },
+      issuedBy: {
+        type: String,
+        trim: true
+      }
+    }
+  ],
+  // Every phone, email and address the person was recorded with, newest last
+  contactHistory: [
+    {
+      phone: String,
+      email: String,
+      address: String,
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      },
+      incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  ],
+  notes: String,
+  // Set when this record was merged into another; the other record is kept
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  },
+  mergedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Match keys, kept in sync with the fields above on every save
+  matchKeys: {
+    names: [String],
+    phonetic: [String],
+    idNumbers: [String],
+    phones: [String],
+    emails: [String]
+  }
+}, {
+  timestamps: true
+});
+
+personSchema.index({ 'matchKeys.names': 1 });
+personSchema.index({ 'matchKeys.phonetic': 1 });
+personSchema.index({ 'matchKeys.idNumbers': 1 });
+personSchema.index({ 'matchKeys.phones': 1 });
+personSchema.index({ 'matchKeys.emails': 1 });
+personSchema.index({ mergedInto: 1 });
+
+// Rebuild the match keys from the name, aliases, identifications and contacts
+personSchema.pre('validate', function(next) {
+  const names = [this.name, ...(this.aliases || [])].filter(Boolean);
+  const unique = values => [...new Set(values.filter(Boolean))];
+
+  this.matchKeys = {
+    names: unique(names.map(normalizeName)),
+    phonetic: unique(names.flatMap(phoneticKeys)),
+    idNumbers: unique((this.identifications || []).map(id => normalizeIdNumber(id.number))),
+    phones: unique((this.contactHistory || []).map(contact => normalizePhone(contact.phone))),
+    emails: unique((this.contactHistory || []).map(contact => normalizeEmail(contact.email)))
+  };
+  next();
+});
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.Person || mongoose.model('Person', personSchema);
@@ -34,6 +34,323 @@ const settingsSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  compliance: {
+    registrationGracePeriod: {
+      type: Number,
+      default: 30 // in days
+    },
+    insuranceGracePeriod: {
+      type: Number,
+      default: 0 // in days
+    },
+    expiryWarningPeriod: {
+      type: Number,
+      default: 30 // in days
+    },
+    inspectionValidityPeriod: {
+      type: Number,
+      default: 365 // in days, used when an inspection document has no expiry date
+    },
+    // Document types required for each vehicle status
+    requiredDocuments: {
+      active: {
+        type: [String],
+        default: ['registration', 'insurance', 'inspection']
+      },
+      stolen: {
+        type: [String],
+        default: ['registration']
+      },
+      recovered: {
+        type: [String],
+        default: ['registration', 'insurance']
+      },
+      impounded: {
+        type: [String],
+        default: ['registration']
+      }
+    }
+  },
+  expiryReminders: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Days before expiry at which reminders are sent
+    intervals: {
+      type: [Number],
+      default: [30, 7, 1]
+    },
+    runHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 2
+    }
+  },
+  // Formats for generated reference numbers; the counter restarts every period
+  numbering: {
+    incident: {
+      prefix: {
+        type: String,
+        trim: true,
+        default: 'INC'
+      },
+      period: {
+        type: String,
+        enum: ['none', 'year', 'month'],
+        default: 'month'
+      },
+      padding: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 4
+      }
+    },
+    case: {
+      prefix: {
+        type: String,
+        trim: true,
+        default: 'CASE'
+      },
+      period: {
+        type: String,
+        enum: ['none', 'year', 'month'],
+        default: 'year'
+      },
+      padding: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 5
+      }
+    },
+    report: {
+      prefix: {
+        type: String,
+        trim: true,
+        default: 'RPT'
+      },
+      period: {
+        type: String,
+        enum: ['none', 'year', 'month'],
+        default: 'year'
+      },
+      padding: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 6
+      }
+    },
+    citation: {
+      prefix: {
+        type: String,
+        trim: true,
+        default: 'CIT'
+      },
+      period: {
+        type: String,
+        enum: ['none', 'year', 'month'],
+        default: 'year'
+      },
+      padding: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 6
+      }
+    }
+  },
+  citations: {
+    // Days from issue until a fine is due, unless the citation sets its own due date
+    paymentDueDays: {
+      type: Number,
+      min: 1,
+      default: 30
+    }
+  },
+  qrCodes: {
+    // Days a newly issued vehicle QR code stays valid; 0 means it never expires
+    defaultExpiryDays: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Vehicle fields shown to a scanner who is not signed in. Owner and
+    // insurance details are not in the list and can never be made public
+    publicFields: {
+      type: [{
+        type: String,
+        enum: ['licensePlate', 'make', 'model', 'year', 'color', 'registrationState', 'vin', 'status', 'activeFlags']
+      }],
+      default: ['licensePlate', 'make', 'model', 'year', 'color', 'status', 'activeFlags']
+    }
+  },
+  // Weights used to rank investigators when assigning incidents
+  assignment: {
+    // Assign new critical incidents to the best available investigator
+    autoAssignCritical: {
+      type: Boolean,
+      default: true
+    },
+    maxOpenCases: {
+      type: Number,
+      min: 1,
+      default: 10
+    },
+    weights: {
+      workload: {
+        type: Number,
+        min: 0,
+        default: 0.5
+      },
+      experience: {
+        type: Number,
+        min: 0,
+        default: 0.3
+      },
+      department: {
+        type: Number,
+        min: 0,
+        default: 0.2
+      }
+    }
+  },
+  // Case file deadlines per priority, in hours from the start of each phase
+  sla: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    checkIntervalMinutes: {
+      type: Number,
+      min: 1,
+      default: 15
+    },
+    // Share of the allowed time after which a case counts as at risk
+    atRiskThreshold: {
+      type: Number,
+      min: 0.1,
+      max: 0.99,
+      default: 0.75
+    },
+    targets: {
+      // Reported until assigned to an investigator
+      assignment: {
+        low: {
+          type: Number,
+          min: 1,
+          default: 72
+        },
+        medium: {
+          type: Number,
+          min: 1,
+          default: 24
+        },
+        high: {
+          type: Number,
+          min: 1,
+          default: 8
+        },
+        urgent: {
+          type: Number,
+          min: 1,
+          default: 2
+        }
+      },
+      // Assigned until the investigation report is submitted
+      report: {
+        low: {
+          type: Number,
+          min: 1,
+          default: 720
+        },
+        medium: {
+          type: Number,
+          min: 1,
+          default: 336
+        },
+        high: {
+          type: Number,
+          min: 1,
+          default: 168
+        },
+        urgent: {
+          type: Number,
+          min: 1,
+          default: 72
+        }
+      },
+      // Report submitted until an officer reviews it
+      review: {
+        low: {
+          type: Number,
+          min: 1,
+          default: 168
+        },
+        medium: {
+          type: Number,
+          min: 1,
+          default: 72
+        },
+        high: {
+          type: Number,
+          min: 1,
+          default: 48
+        },
+        urgent: {
+          type: Number,
+          min: 1,
+          default: 24
+        }
+      }
+    }
+  },
+  // Sign-off chains for investigation reports. The first chain whose criteria
+  // match the incident is used; an empty criteria list matches anything.
+  approval: {
+    // A user may only sign off one step of a chain
+    requireDistinctApprovers: {
+      type: Boolean,
+      default: true
+    },
+    chains: [{
+      name: {
+        type: String,
+        required: [true, 'Approval chain name is required'],
+        trim: true
+      },
+      incidentTypes: [String],
+      severities: [String],
+      // Officer conclusions from the first step that switch to this chain
+      conclusions: [String],
+      steps: {
+        type: [{
+          label: {
+            type: String,
+            required: [true, 'Approval step label is required'],
+            trim: true
+          },
+          role: {
+            type: String,
+            enum: ['officer', 'admin'],
+            required: [true, 'Approval step role is required']
+          },
+          // Specific users for this step; any user with the role when empty
+          approvers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }]
+        }],
+        validate: {
+          validator: steps => steps.length > 0,
+          message: 'An approval chain needs at least one step'
+        }
+      }
+    }]
+  },
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
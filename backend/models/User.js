@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { generateResetToken } = require('../utils/authUtils');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -47,7 +48,48 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  // Used by the assignment engine to decide who can take new cases
+  availability: {
+    // Working hours in server time; no entries means always available
+    weeklyHours: [{
+      day: {
+        type: Number,
+        min: 0, // Sunday
+        max: 6,
+        required: true
+      },
+      start: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be HH:mm'],
+        required: true
+      },
+      end: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/, 'End must be HH:mm'],
+        required: true
+      }
+    }],
+    // Leave, training and other periods without new assignments
+    timeOff: [{
+      from: {
+        type: Date,
+        required: true
+      },
+      to: {
+        type: Date,
+        required: true
+      },
+      reason: String
+    }],
+    // Overrides the system-wide limit in Settings.assignment
+    maxOpenCases: {
+      type: Number,
+      min: 1
+    }
+  },
+  resetPasswordToken: String,
+  resetPasswordExpire: Date
 }, {
   timestamps: true
 });
@@ -86,5 +128,13 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token; the hashed token is stored and the plain token returned
+userSchema.methods.getResetPasswordToken = function() {
+  const { resetToken, hashedToken, resetExpires } = generateResetToken();
+  this.resetPasswordToken = hashedToken;
+  this.resetPasswordExpire = resetExpires;
+  return resetToken;
+};
+
 // Check if the model already exists before creating it
 module.exports = mongoose.models.User || mongoose.model('User', userSchema); 
\ No newline at end of file
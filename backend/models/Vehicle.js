@@ -85,6 +85,245 @@ const vehicleSchema = new mongoose.Schema({
     enum: ['active', 'stolen', 'recovered', 'impounded'],
     default: 'active'
   },
+  // Result of the offline VIN decode at registration/update
+  vinCheck: {
+    valid: Boolean,
+    checkDigitValid: Boolean,
+    manufacturer: String,
+    region: String,
+    country: String,
+    modelYear: Number,
+    warnings: [String],
+    checkedAt: Date
+  },
+  complianceStatus: {
+    type: String,
+    enum: ['unknown', 'pass', 'warn', 'fail'],
+    default: 'unknown'
+  },
+  lastComplianceCheck: {
+    type: Date
+  },
+  // Registration/insurance expiry reminders already sent
+  expiryReminders: [
+    {
+      field: {
+        type: String,
+        enum: ['registrationExpiry', 'insuranceExpiry']
+      },
+      interval: Number,
+      expiryDate: Date,
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  ownerSince: {
+    type: Date
+  },
+  ownerChangeCount: {
+    type: Number,
+    default: 0
+  },
+  // Chain of title: one entry per previous owner, closed by the transfer that ended their ownership
+  ownershipHistory: [
+    {
+      ownerName: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      ownerContact: String,
+      ownerEmail: String,
+      ownerAddress: String,
+      ownedFrom: Date,
+      transferDate: {
+        type: Date,
+        required: true
+      },
+      salePrice: {
+        type: Number,
+        min: [0, 'Sale price cannot be negative']
+      },
+      document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      },
+      source: {
+        type: String,
+        enum: ['transfer', 'update'],
+        default: 'transfer'
+      },
+      notes: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  notes: [
+    {
+      content: {
+        type: String,
+        required: [true, 'Note content is required'],
+        trim: true
+      },
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  flags: [
+    {
+      type: {
+        type: String,
+        enum: ['wanted', 'bolo', 'cloned_plate_suspected', 'insurance_lapsed', 'other'],
+        required: [true, 'Flag type is required']
+      },
+      severity: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical'],
+        default: 'medium'
+      },
+      description: {
+        type: String,
+        trim: true
+      },
+      status: {
+        type: String,
+        enum: ['active', 'resolved'],
+        default: 'active'
+      },
+      expiresAt: Date,
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      resolvedAt: Date,
+      resolutionNote: {
+        type: String,
+        trim: true
+      }
+    }
+  ],
+  // Open theft case, set while the vehicle is stolen
+  theft: {
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident'
+    },
+    stolenAt: Date,
+    reportedAt: Date,
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Status lifecycle: one entry per stolen/recovered or impound transition, or other status change
+  statusHistory: [
+    {
+      event: {
+        type: String,
+        enum: ['reported_stolen', 'recovered', 'impounded', 'released', 'status_change'],
+        required: true
+      },
+      fromStatus: String,
+      toStatus: {
+        type: String,
+        required: true
+      },
+      incident: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+      },
+      // Set on `impounded` and `released` entries
+      impoundRecord: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImpoundRecord'
+      },
+      note: String,
+      // Set on `recovered` entries
+      recovery: {
+        recoveredAt: Date,
+        location: {
+          type: {
+            type: String,
+            enum: ['Point']
+          },
+          coordinates: {
+            type: [Number],
+            default: undefined
+          },
+          address: String
+        },
+        condition: {
+          type: String,
+          enum: ['intact', 'minor_damage', 'major_damage', 'stripped', 'burned', 'total_loss']
+        },
+        damageAssessment: String,
+        estimatedDamageCost: {
+          type: Number,
+          min: [0, 'Estimated damage cost cannot be negative']
+        },
+        // From the time of the theft to the recovery
+        recoveryTimeHours: Number
+      },
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      performedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Current QR code token. Printed codes carry its tokenId, so rotating it
+  // (new tokenId) or revoking it stops every earlier code from scanning
+  qrToken: {
+    tokenId: String,
+    issuedAt: Date,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Unset for codes that never expire
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokeReason: {
+      type: String,
+      trim: true
+    }
+  },
+  // Bulk import batch that created this vehicle
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -93,6 +332,47 @@ const vehicleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Build an ownership history entry that closes out the current owner
+vehicleSchema.methods.toOwnershipRecord = function(details = {}) {
+  return {
+    ownerName: this.ownerName,
+    ownerContact: this.ownerContact,
+    ownerEmail: this.ownerEmail,
+    ownerAddress: this.ownerAddress,
+    ownedFrom: this.ownerSince || this.createdAt,
+    transferDate: details.transferDate ? new Date(details.transferDate) : new Date(),
+    salePrice: details.salePrice,
+    document: details.document,
+    source: details.source || 'transfer',
+    notes: details.notes,
+    recordedBy: details.recordedBy
+  };
+};
+
+// Move the current owner into the ownership history and install the new owner
+vehicleSchema.methods.transferOwnership = function(newOwner, details = {}) {
+  const record = this.toOwnershipRecord(details);
+  this.ownershipHistory.push(record);
+
+  this.ownerName = newOwner.ownerName;
+  this.ownerContact = newOwner.ownerContact;
+  this.ownerEmail = newOwner.ownerEmail;
+  this.ownerAddress = newOwner.ownerAddress;
+  this.ownerSince = record.transferDate;
+  this.ownerChangeCount = this.ownershipHistory.length;
+  this.lastUpdated = new Date();
+
+  return this;
+};
+
+// Indexes used by the faceted vehicle search
+vehicleSchema.index({ status: 1, make: 1 });
+vehicleSchema.index({ ownerName: 1 });
+vehicleSchema.index({ year: 1 });
+
+// Used by the recovery time metrics
+vehicleSchema.index({ 'statusHistory.event': 1, 'statusHistory.recovery.recoveredAt': 1 });
+
 // We don't need to re-declare the indexes since they're already in the schema definition
 // The schema will automatically create indexes for fields marked as unique
 
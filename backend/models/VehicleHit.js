@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A stolen vehicle turning up in a QR scan, a plate scan, a search or a new registration
+const vehicleHitSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['qr_scan', 'plate_scan', 'search', 'registration'],
+    required: true
+  },
+  // Plate, VIN or search text that found the vehicle
+  query: String,
+  // Missing for anonymous QR scans
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  userAgent: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    accuracy: Number
+  },
+  alertedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+vehicleHitSchema.index({ vehicle: 1, detectedAt: -1 });
+vehicleHitSchema.index({ location: '2dsphere' });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.VehicleHit || mongoose.model('VehicleHit', vehicleHitSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Offence a traffic citation can be issued for, with its standard fine
+const violationCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Violation code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Violation description is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['moving', 'parking', 'equipment', 'documentation', 'other'],
+    default: 'moving'
+  },
+  fineAmount: {
+    type: Number,
+    required: [true, 'Fine amount is required'],
+    min: [0, 'Fine amount cannot be negative']
+  },
+  // Licence points recorded against the driver
+  points: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // The offender must appear in court rather than just pay the fine
+  courtRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive codes stay on past citations but cannot be used for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+violationCodeSchema.index({ isActive: 1, category: 1 });
+
+// Check if the model already exists before creating it
+module.exports = mongoose.models.ViolationCode || mongoose.model('ViolationCode', violationCodeSchema);
@@ -40,6 +40,9 @@ const auditSchema = new mongoose.Schema({
       'report',
       'system',
       'chat',
+      'person',
+      'impound',
+      'citation',
       'other'
     ]
   },
@@ -79,8 +79,25 @@ const documentSchema = new mongoose.Schema({
   },
   expiration: {
     type: Date,
-    required: false
-  }
+    required: false,
+    alias: 'expiryDate'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'revoked', 'replaced'],
+    default: 'active'
+  },
+  // Expiry reminders already sent, so each interval is only sent once per expiry date
+  remindersSent: [
+    {
+      interval: Number,
+      expiryDate: Date,
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ]
 }, {
   timestamps: true
 });
@@ -92,6 +109,7 @@ documentSchema.index({ uploadedBy: 1 });
 documentSchema.index({ type: 1 });
 documentSchema.index({ tags: 1 });
 documentSchema.index({ expiration: 1 });
+documentSchema.index({ status: 1 });
 
 // Check if the model already exists before creating it
 module.exports = mongoose.models.Document || mongoose.model('Document', documentSchema); 
\ No newline at end of file
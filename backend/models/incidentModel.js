@@ -1,4 +1,124 @@
 const mongoose = require('mongoose');
+const { nextNumber, seedFromField } = require('../services/sequenceService');
+
+// Chain-of-custody entry; entries are only ever appended, never edited
+const custodyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['collected', 'transferred', 'checked_out', 'returned', 'destroyed'],
+    required: true,
+    immutable: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  // Receiving user for transfers
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  }
+});
+
+// Officer comment on one line of a report version
+const revisionCommentSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['content', 'findings', 'recommendations'],
+    required: true
+  },
+  // 1-based line number in the commented version
+  line: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  // Text of the line when the comment was made
+  quote: String,
+  comment: {
+    type: String,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A submitted investigation report; the submitted text is never changed afterwards
+const reportVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  content: {
+    type: String,
+    immutable: true
+  },
+  findings: {
+    type: String,
+    immutable: true
+  },
+  recommendations: {
+    type: String,
+    immutable: true
+  },
+  conclusion: {
+    type: String,
+    immutable: true
+  },
+  attachments: {
+    type: [String],
+    immutable: true
+  },
+  // Line changes against the previous version, per report field
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  },
+  revisionComments: [revisionCommentSchema]
+});
 
 const incidentSchema = new mongoose.Schema({
   incidentNumber: {
@@ -44,6 +164,16 @@ const incidentSchema = new mongoose.Schema({
         type: String,
         default: 'USA'
       }
+    },
+    // How the coordinates were obtained
+    geocode: {
+      source: {
+        type: String,
+        enum: ['device', 'gazetteer', 'unresolved']
+      },
+      confidence: Number,
+      matchedName: String,
+      resolvedAt: Date
     }
   },
   type: {
@@ -105,6 +235,11 @@ const incidentSchema = new mongoose.Schema({
       identification: {
         type: String,
         trim: true
+      },
+      // Registry record for this person, linked when the incident is saved through the API
+      person: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Person'
       }
     }
   ],
@@ -132,6 +267,36 @@ const incidentSchema = new mongoose.Schema({
         fileSize: Number,
         dimensions: String,
         duration: String
+      },
+      originalName: String,
+      // Location of the file inside the evidence store, relative to its root
+      storagePath: String,
+      // Content hash taken on upload, checked again by the verify endpoint
+      hash: {
+        algorithm: {
+          type: String,
+          default: 'sha256'
+        },
+        value: String
+      },
+      custodyStatus: {
+        type: String,
+        enum: ['in_custody', 'checked_out', 'destroyed'],
+        default: 'in_custody'
+      },
+      currentHolder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      custody: [custodyEntrySchema],
+      lastVerification: {
+        verifiedAt: Date,
+        verifiedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        matches: Boolean,
+        actualHash: String
       }
     }
   ],
@@ -149,7 +314,11 @@ const incidentSchema = new mongoose.Schema({
       performedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
-      }
+      },
+      // Set for entries written by a workflow transition
+      transition: String,
+      fromStatus: String,
+      toStatus: String
     }
   ],
   assignedTo: {
@@ -223,7 +392,28 @@ const incidentSchema = new mongoose.Schema({
         type: String,
         enum: ['pending', 'submitted', 'reviewed', 'approved', 'rejected'],
         default: 'pending'
-      }
+      },
+      // Number of the entry in reportVersions this report is
+      version: Number
+    },
+    // Every submitted report, oldest first
+    reportVersions: [reportVersionSchema],
+    // Task for the investigator after an officer sends a report back
+    revisionRequest: {
+      status: {
+        type: String,
+        enum: ['open', 'completed']
+      },
+      version: Number,
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      requestedAt: Date,
+      summary: String,
+      commentCount: Number,
+      completedAt: Date,
+      completedVersion: Number
     },
     officerActions: {
       reviewedBy: {
@@ -243,8 +433,79 @@ const incidentSchema = new mongoose.Schema({
         enum: ['pending', 'in_progress', 'completed'],
         default: 'pending'
       }
+    },
+    // Sign-off chain for the report version awaiting review
+    approval: {
+      chain: String,
+      version: Number,
+      status: {
+        type: String,
+        enum: ['in_progress', 'approved', 'rejected']
+      },
+      currentStep: Number,
+      startedAt: Date,
+      steps: [
+        {
+          label: String,
+          role: {
+            type: String,
+            enum: ['officer', 'admin']
+          },
+          approvers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }],
+          status: {
+            type: String,
+            enum: ['pending', 'accepted', 'rejected'],
+            default: 'pending'
+          },
+          decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          decidedAt: Date
+        }
+      ],
+      // Every accept, reject and return in order, including steps later returned
+      decisions: [
+        {
+          step: Number,
+          label: String,
+          outcome: {
+            type: String,
+            enum: ['accept', 'reject', 'return']
+          },
+          decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          decidedAt: Date,
+          actions: String,
+          notes: String,
+          conclusion: String
+        }
+      ]
     }
   },
+  // SLA warnings and escalations already sent, so each is sent once per deadline
+  slaAlerts: [
+    {
+      phase: {
+        type: String,
+        enum: ['assignment', 'report', 'review']
+      },
+      level: {
+        type: String,
+        enum: ['warning', 'escalation']
+      },
+      dueAt: Date,
+      sentAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   vehicle: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vehicle'
@@ -272,6 +533,12 @@ const incidentSchema = new mongoose.Schema({
 // Create geospatial index
 incidentSchema.index({ location: '2dsphere' });
 
+// Case numbers are issued once per incident
+incidentSchema.index({ 'caseFile.caseNumber': 1 }, { unique: true, sparse: true });
+
+// Incidents a registered person appears in
+incidentSchema.index({ 'persons.person': 1 });
+
 // Create text index for searching
 incidentSchema.index({ 
   title: 'text', 
@@ -280,16 +547,16 @@ incidentSchema.index({
   'persons.name': 'text'
 });
 
-// Auto-generate incident number before saving
-incidentSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const count = await mongoose.model('Incident').countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().substr(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    this.incidentNumber = `INC-${year}${month}-${(count + 1).toString().padStart(4, '0')}`;
+// Auto-generate the incident number before the required check runs
+incidentSchema.pre('validate', async function() {
+  if (this.isNew && !this.incidentNumber) {
+    this.incidentNumber = await nextNumber('incident', {
+      seed: seedFromField(this.constructor, 'incidentNumber')
+    });
   }
+});
 
+incidentSchema.pre('save', async function(next) {
   // Sync type and incidentType fields
   if (this.type && !this.incidentType) {
     this.incidentType = this.type;
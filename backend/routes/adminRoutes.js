@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/authMiddleware');
 const Audit = require('../models/auditModel');
+const JobRun = require('../models/JobRun');
+const EmailLog = require('../models/EmailLog');
+const { runJob, getJobs } = require('../services/scheduler');
+const { isResendable } = require('../services/mail/mailService');
 
 // GET /api/admin/logs - Get system logs
 router.get('/logs', protect, authorize('admin'), async (req, res) => {
@@ -122,4 +126,161 @@ router.get('/settings', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// GET /api/admin/jobs - List scheduled jobs with their latest run
+router.get('/jobs', protect, authorize('admin'), async (req, res) => {
+  try {
+    const jobs = await getJobs();
+
+    res.json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduled jobs',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/admin/jobs/runs - Get run history of scheduled jobs
+router.get('/jobs/runs', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { job, status, limit = 50 } = req.query;
+
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(parseInt(limit))
+      .populate('triggeredBy', 'name email');
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job run history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/jobs/:name/run - Run a scheduled job now
+router.post('/jobs/:name/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    await Audit.create({
+      user: req.user._id,
+      action: 'other',
+      resourceType: 'system',
+      description: `Manually ran job ${req.params.name}`,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      success: run.status === 'success'
+    });
+
+    res.json({
+      success: run.status === 'success',
+      run
+    });
+  } catch (error) {
+    console.error('Error running job:', error);
+    let statusCode = 500;
+    if (error.message.startsWith('Unknown job')) statusCode = 404;
+    if (error.message.endsWith('already running')) statusCode = 409;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/email-logs - Get the email delivery log
+router.get('/email-logs', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status, template, to, limit = 100 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = to.toLowerCase();
+
+    const logs = await EmailLog.find(filter)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      count: logs.length,
+      logs
+    });
+  } catch (error) {
+    console.error('Error fetching email logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching email delivery log',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/email-logs/:id/retry - Queue a failed email for another attempt
+router.post('/email-logs/:id/retry', protect, authorize('admin'), async (req, res) => {
+  try {
+    const log = await EmailLog.findById(req.params.id);
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email log entry not found'
+      });
+    }
+
+    if (log.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed emails can be retried'
+      });
+    }
+
+    if (!isResendable(log)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email contained a one-time link and cannot be resent; the recipient has to request a new one'
+      });
+    }
+
+    log.status = 'retrying';
+    log.maxAttempts = log.attempts + 1;
+    log.nextAttemptAt = new Date();
+    await log.save();
+
+    res.json({
+      success: true,
+      message: 'Email queued for retry',
+      log
+    });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying email',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
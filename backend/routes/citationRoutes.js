@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  getViolationCodes,
+  createViolationCode,
+  updateViolationCode,
+  getUnpaidTotals,
+  getCitations,
+  issueCitation,
+  getCitation,
+  getCitationPdf,
+  regenerateCitationPdf,
+  recordPayment,
+  contestCitation,
+  setCourtDate,
+  resolveContest,
+  voidCitation
+} = require('../controllers/citationController');
+
+router.use(protect, authorize('admin', 'officer', 'investigator'));
+
+// @route   GET /api/citations/violation-codes
+// @desc    Violation code table (?includeInactive=true, ?category=)
+// @access  Private
+router.get('/violation-codes', getViolationCodes);
+
+// @route   POST /api/citations/violation-codes
+// @desc    Add a violation code
+// @access  Private/Admin
+router.post('/violation-codes', authorize('admin'), createViolationCode);
+
+// @route   PUT /api/citations/violation-codes/:id
+// @desc    Update a violation code
+// @access  Private/Admin
+router.put('/violation-codes/:id', authorize('admin'), updateViolationCode);
+
+// @route   GET /api/citations/unpaid-totals
+// @desc    Outstanding citation totals per vehicle (?vehicle=, ?limit=)
+// @access  Private
+router.get('/unpaid-totals', getUnpaidTotals);
+
+// @route   GET /api/citations
+// @desc    Citations (?vehicle=&person=&incident=&status=&overdue=true&page=&limit=)
+// @access  Private
+router.get('/', getCitations);
+
+// @route   POST /api/citations
+// @desc    Issue a citation
+// @access  Private/Admin/Officer
+router.post('/', authorize('admin', 'officer'), issueCitation);
+
+// @route   GET /api/citations/:id
+// @desc    Citation with payments, contest and balance
+// @access  Private
+router.get('/:id', getCitation);
+
+// @route   GET /api/citations/:id/pdf
+// @desc    Citation PDF
+// @access  Private
+router.get('/:id/pdf', getCitationPdf);
+
+// @route   POST /api/citations/:id/pdf
+// @desc    Render the citation PDF again
+// @access  Private/Admin/Officer
+router.post('/:id/pdf', authorize('admin', 'officer'), regenerateCitationPdf);
+
+// @route   POST /api/citations/:id/payments
+// @desc    Record a payment
+// @access  Private/Admin/Officer
+router.post('/:id/payments', authorize('admin', 'officer'), recordPayment);
+
+// @route   POST /api/citations/:id/contest
+// @desc    Contest a citation
+// @access  Private/Admin/Officer
+router.post('/:id/contest', authorize('admin', 'officer'), contestCitation);
+
+// @route   POST /api/citations/:id/contest/resolve
+// @desc    Record the outcome of a contest
+// @access  Private/Admin/Officer
+router.post('/:id/contest/resolve', authorize('admin', 'officer'), resolveContest);
+
+// @route   PUT /api/citations/:id/court
+// @desc    Set the court hearing
+// @access  Private/Admin/Officer
+router.put('/:id/court', authorize('admin', 'officer'), setCourtDate);
+
+// @route   POST /api/citations/:id/void
+// @desc    Void a citation issued in error
+// @access  Private/Admin
+router.post('/:id/void', authorize('admin'), voidCitation);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  geocode,
+  reverseGeocode,
+  getGazetteerSources,
+  importGazetteer,
+  deleteGazetteerSource
+} = require('../controllers/geoController');
+
+// Gazetteer files are parsed in memory, never written to disk
+const gazetteerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  }
+}).single('file');
+
+// Handle multer errors for gazetteer uploads
+const handleGazetteerUpload = (req, res, next) => {
+  gazetteerUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 20MB' : 'File upload error',
+        error: err.message
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload error',
+        error: err.message
+      });
+    }
+    next();
+  });
+};
+
+// @route   GET /api/geo/geocode
+// @desc    Geocode an address (?q=12 Main St, Springfield&limit=5)
+// @access  Private
+router.get('/geocode', protect, geocode);
+
+// @route   GET /api/geo/reverse
+// @desc    Nearest known address to a position (?lng=&lat=)
+// @access  Private
+router.get('/reverse', protect, reverseGeocode);
+
+// @route   GET /api/geo/gazetteer
+// @desc    List gazetteer sources
+// @access  Private/Admin
+router.get('/gazetteer', protect, authorize('admin'), getGazetteerSources);
+
+// @route   POST /api/geo/gazetteer/import
+// @desc    Import gazetteer entries from CSV or GeoJSON
+// @access  Private/Admin
+router.post('/gazetteer/import', protect, authorize('admin'), handleGazetteerUpload, importGazetteer);
+
+// @route   DELETE /api/geo/gazetteer/:source
+// @desc    Remove a gazetteer source
+// @access  Private/Admin
+router.delete('/gazetteer/:source', protect, authorize('admin'), deleteGazetteerSource);
+
+module.exports = router;
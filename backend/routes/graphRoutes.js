@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { expandGraph } = require('../controllers/graphController');
+
+// @route   GET /api/graph/expand
+// @desc    Link graph around an entity (?entity=vehicle|incident|person|incident_person|owner|phone|email|address&id=&depth=1-3)
+// @access  Private
+router.get('/expand', protect, authorize('admin', 'officer', 'investigator'), expandGraph);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { upload } = require('../config/cloudinary');
+const {
+  getLots,
+  createLot,
+  updateLot,
+  getLotReport,
+  getRecords,
+  intakeVehicle,
+  getRecord,
+  addPhotos,
+  releaseVehicle
+} = require('../controllers/impoundController');
+
+router.use(protect, authorize('admin', 'officer', 'investigator'));
+
+// @route   GET /api/impound/lots
+// @desc    Impound lots with their occupancy (?includeInactive=true for closed lots)
+// @access  Private
+router.get('/lots', getLots);
+
+// @route   POST /api/impound/lots
+// @desc    Create an impound lot
+// @access  Private/Admin
+router.post('/lots', authorize('admin'), createLot);
+
+// @route   PUT /api/impound/lots/:id
+// @desc    Update an impound lot
+// @access  Private/Admin
+router.put('/lots/:id', authorize('admin'), updateLot);
+
+// @route   GET /api/impound/lots/:id/report
+// @desc    Lot report: occupancy, held vehicles, fees and activity (?from=&to=)
+// @access  Private
+router.get('/lots/:id/report', getLotReport);
+
+// @route   GET /api/impound/records
+// @desc    Impound records (?lot=&vehicle=&status=)
+// @access  Private
+router.get('/records', getRecords);
+
+// @route   POST /api/impound/records
+// @desc    Take a vehicle into an impound lot
+// @access  Private
+router.post('/records', intakeVehicle);
+
+// @route   GET /api/impound/records/:id
+// @desc    Impound record with current fees
+// @access  Private
+router.get('/records/:id', getRecord);
+
+// @route   POST /api/impound/records/:id/photos
+// @desc    Add intake photos (multipart `photos`, up to 10)
+// @access  Private
+router.post('/records/:id/photos', upload.array('photos', 10), addPhotos);
+
+// @route   POST /api/impound/records/:id/release
+// @desc    Release an impounded vehicle
+// @access  Private/Admin/Officer
+router.post('/records/:id/release', authorize('admin', 'officer'), releaseVehicle);
+
+module.exports = router;
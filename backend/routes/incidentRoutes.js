@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
 const { check } = require('express-validator');
 const auth = require('../middleware/auth');
 const { protect, authorize } = require('../middleware/authMiddleware');
@@ -13,8 +15,65 @@ const {
   getIncidentsByUser,
   assignIncident,
   submitInvestigationReport,
-  reviewInvestigationReport
+  reviewInvestigationReport,
+  getIncidentTransitions,
+  transitionIncident,
+  getIncidentsNear,
+  getIncidentsWithin,
+  getIncidentHotspots,
+  uploadEvidence,
+  getEvidenceCustody,
+  recordCustodyEvent,
+  verifyEvidence,
+  downloadEvidence,
+  suggestInvestigators,
+  autoAssignIncident,
+  getReportVersions
 } = require('../controllers/incidentController');
+const { getIncidentDir } = require('../services/evidenceService');
+
+// Evidence is written unmodified to the private evidence store so its hash stays verifiable
+const evidenceStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    try {
+      cb(null, getIncidentDir(req.params.id));
+    } catch (error) {
+      cb(error);
+    }
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const evidenceUpload = multer({
+  storage: evidenceStorage,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB per file, enough for scene video
+    files: 10
+  }
+}).array('files', 10);
+
+// Handle multer errors for evidence uploads
+const handleEvidenceUpload = (req, res, next) => {
+  evidenceUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 100MB' : 'File upload error',
+        error: err.message
+      });
+    } else if (err) {
+      return res.status(err.statusCode || 400).json({
+        success: false,
+        message: 'Upload error',
+        error: err.message
+      });
+    }
+    next();
+  });
+};
 
 // Validation middleware
 const incidentValidation = [
@@ -55,6 +114,21 @@ router.get('/', protect, getAllIncidents);
 // @access  Private (All authenticated users)
 router.get('/vehicle/:vehicleId', protect, getIncidentsByVehicle);
 
+// @route   GET api/incidents/near
+// @desc    Get incidents within a radius (metres) of a point, nearest first
+// @access  Private (All authenticated users)
+router.get('/near', protect, getIncidentsNear);
+
+// @route   POST api/incidents/within
+// @desc    Get incidents inside a GeoJSON polygon
+// @access  Private (All authenticated users)
+router.post('/within', protect, getIncidentsWithin);
+
+// @route   GET api/incidents/hotspots
+// @desc    Get hotspot cells with incident counts by type and severity
+// @access  Private (Admin, Officer, Investigator)
+router.get('/hotspots', [protect, authorize('admin', 'officer', 'investigator')], getIncidentHotspots);
+
 // @route   GET api/incidents/user/:userId
 // @desc    Get incidents by user ID
 // @access  Private (All authenticated users)
@@ -71,6 +145,67 @@ router.post('/', [protect, incidentValidation], createIncident);
 // @access  Private (All authenticated users)
 router.get('/:id', protect, getIncidentById);
 
+// @route   GET api/incidents/:id/report-versions
+// @desc    Get every submitted report version with diffs, reviews and line comments
+// @access  Private (Admin, Officer, Investigator or the reporting user)
+router.get('/:id/report-versions', protect, getReportVersions);
+
+// @route   GET api/incidents/:id/transitions
+// @desc    Get the status transitions available to the current user
+// @access  Private (All authenticated users)
+router.get('/:id/transitions', protect, getIncidentTransitions);
+
+// @route   POST api/incidents/:id/transitions
+// @desc    Apply a status transition (start investigation, close, reopen)
+// @access  Private (Role depends on the transition)
+router.post('/:id/transitions', [
+  protect,
+  check('action', 'Transition action is required').not().isEmpty(),
+  check('note', 'Note must be text').optional().isString()
+], transitionIncident);
+
+// @route   POST api/incidents/:id/evidence
+// @desc    Upload evidence files (multipart field "files", up to 10)
+// @access  Private (Admin, Officer, Investigator or the reporting user)
+router.post('/:id/evidence', [
+  protect,
+  handleEvidenceUpload,
+  check('type', 'Valid evidence type is required if provided')
+    .optional()
+    .isIn(['photo', 'video', 'document', 'physical_item', 'statement', 'other']),
+  check('description', 'Description must be text').optional().isString(),
+  check('reason', 'Reason must be text').optional().isString()
+], uploadEvidence);
+
+// @route   GET api/incidents/:id/evidence/:evidenceId/custody
+// @desc    Get an evidence item with its chain-of-custody log
+// @access  Private (Admin, Officer, Investigator or the reporting user)
+router.get('/:id/evidence/:evidenceId/custody', protect, getEvidenceCustody);
+
+// @route   POST api/incidents/:id/evidence/:evidenceId/custody
+// @desc    Append a custody entry (transferred, checked_out, returned, destroyed)
+// @access  Private (Admin, Officer, Investigator; destroying needs Admin or Officer)
+router.post('/:id/evidence/:evidenceId/custody', [
+  protect,
+  authorize('admin', 'officer', 'investigator'),
+  check('action', 'Valid custody action is required')
+    .isIn(['transferred', 'checked_out', 'returned', 'destroyed']),
+  check('reason', 'Reason is required').trim().not().isEmpty(),
+  check('transferredTo', 'Valid receiving user ID is required for a transfer')
+    .if(check('action').equals('transferred'))
+    .isMongoId()
+], recordCustodyEvent);
+
+// @route   POST api/incidents/:id/evidence/:evidenceId/verify
+// @desc    Re-hash the stored file and compare it with the upload hash
+// @access  Private (Admin, Officer, Investigator or the reporting user)
+router.post('/:id/evidence/:evidenceId/verify', protect, verifyEvidence);
+
+// @route   GET api/incidents/:id/evidence/:evidenceId/file
+// @desc    Download the stored evidence file
+// @access  Private (Admin, Officer, Investigator or the reporting user)
+router.get('/:id/evidence/:evidenceId/file', protect, downloadEvidence);
+
 // @route   PUT api/incidents/:id
 // @desc    Update incident
 // @access  Private (Admin only)
@@ -99,6 +234,23 @@ router.post('/assign/:id', [
     .isIn(['low', 'medium', 'high', 'urgent'])
 ], assignIncident);
 
+// @route   GET api/incidents/:id/assignment-suggestions
+// @desc    Top available investigators for an incident (?limit=3&priority=&department=)
+// @access  Private (Admin only)
+router.get('/:id/assignment-suggestions', [protect, authorize('admin')], suggestInvestigators);
+
+// @route   POST api/incidents/:id/auto-assign
+// @desc    Assign the incident to the best-ranked available investigator
+// @access  Private (Admin only)
+router.post('/:id/auto-assign', [
+  protect,
+  authorize('admin'),
+  check('priority', 'Valid priority is required if provided')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent']),
+  check('department', 'Department must be text').optional().isString()
+], autoAssignIncident);
+
 // @route   POST api/incidents/report/:id
 // @desc    Submit investigation report (Investigator only)
 // @access  Private (Investigator only)
@@ -113,17 +265,18 @@ router.post('/report/:id', [
 ], submitInvestigationReport);
 
 // @route   POST api/incidents/review/:id
-// @desc    Review investigation report (Officer only)
-// @access  Private (Officer only)
+// @desc    Decide the current step of the report's approval chain
+// @access  Private (Officer or Admin awaited by the current step)
 router.post('/review/:id', [
   protect, 
-  authorize('officer'),
+  authorize('officer', 'admin'),
   check('actions', 'Actions are required').not().isEmpty(),
   check('reportStatus', 'Valid report status is required')
-    .isIn(['approved', 'rejected']),
+    .isIn(['approved', 'rejected', 'returned']),
   check('conclusion', 'Valid conclusion is required if provided')
     .optional()
-    .isIn(['confirmed', 'additional_investigation', 'case_dismissed', 'legal_action', 'other'])
+    .isIn(['confirmed', 'additional_investigation', 'case_dismissed', 'legal_action', 'other']),
+  check('revisionComments', 'Revision comments must be a list').optional().isArray()
 ], reviewInvestigationReport);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  getPersons,
+  createPerson,
+  getPersonById,
+  updatePerson,
+  getPersonMatches,
+  getMergeSuggestions,
+  mergePerson
+} = require('../controllers/personController');
+
+router.use(protect, authorize('admin', 'officer', 'investigator'));
+
+// @route   GET /api/persons
+// @desc    Search the person registry (?q=name, ID number, phone or email)
+// @access  Private
+router.get('/', getPersons);
+
+// @route   POST /api/persons
+// @desc    Add a person to the registry
+// @access  Private
+router.post('/', createPerson);
+
+// @route   GET /api/persons/merge-suggestions
+// @desc    Likely duplicate pairs across the registry
+// @access  Private/Admin/Officer
+router.get('/merge-suggestions', authorize('admin', 'officer'), getMergeSuggestions);
+
+// @route   GET /api/persons/:id
+// @desc    Person with their incidents and vehicles
+// @access  Private
+router.get('/:id', getPersonById);
+
+// @route   PUT /api/persons/:id
+// @desc    Update a person
+// @access  Private
+router.put('/:id', updatePerson);
+
+// @route   GET /api/persons/:id/matches
+// @desc    People who may be the same as this one
+// @access  Private
+router.get('/:id/matches', getPersonMatches);
+
+// @route   POST /api/persons/:id/merge
+// @desc    Merge another person into this one
+// @access  Private/Admin/Officer
+router.post('/:id/merge', authorize('admin', 'officer'), mergePerson);
+
+module.exports = router;
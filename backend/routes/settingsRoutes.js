@@ -56,6 +56,32 @@ router.put('/', protect, authorize('admin'), async (req, res) => {
       }
     });
 
+    // Merge nested rule groups so a partial update keeps the values that were not sent
+    if (req.body.compliance !== undefined) {
+      settings.set('compliance', req.body.compliance, { merge: true });
+    }
+    if (req.body.expiryReminders !== undefined) {
+      settings.set('expiryReminders', req.body.expiryReminders, { merge: true });
+    }
+    if (req.body.numbering !== undefined) {
+      settings.set('numbering', req.body.numbering, { merge: true });
+    }
+    if (req.body.citations !== undefined) {
+      settings.set('citations', req.body.citations, { merge: true });
+    }
+    if (req.body.qrCodes !== undefined) {
+      settings.set('qrCodes', req.body.qrCodes, { merge: true });
+    }
+    if (req.body.assignment !== undefined) {
+      settings.set('assignment', req.body.assignment, { merge: true });
+    }
+    if (req.body.sla !== undefined) {
+      settings.set('sla', req.body.sla, { merge: true });
+    }
+    if (req.body.approval !== undefined) {
+      settings.set('approval', req.body.approval, { merge: true });
+    }
+
     settings.lastUpdatedBy = req.user._id;
     await settings.save();
 
@@ -16,7 +16,9 @@ const {
   updateConsentStatus,
   recordLastLogin,
   getAvailableUsers,
-  getPublicUserById
+  getPublicUserById,
+  getUserAvailability,
+  updateUserAvailability
 } = require('../controllers/userController');
 const { protect, authorize, admin } = require('../middleware/authMiddleware');
 const upload = require('../utils/multerConfig');
@@ -324,6 +326,8 @@ router.get('/role/:role', protect, async (req, res) => {
 });
 
 router.get('/:id', protect, authorize('admin'), getUserById);
+router.get('/:id/availability', protect, getUserAvailability);
+router.put('/:id/availability', protect, updateUserAvailability);
 router.put('/:id', protect, authorize('admin'), updateUser);
 router.delete('/:id', protect, authorize('admin'), deleteUser);
 router.put('/:id/role', protect, async (req, res, next) => {
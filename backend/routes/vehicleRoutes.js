@@ -16,28 +16,119 @@ const {
   addVehicleFlag,
   resolveVehicleFlag,
   getVehicleFlags,
+  getVehicleHits,
   checkDuplicateVIN,
+  decodeVin,
   checkVehicleCompliance,
   getVehiclesByOwner,
   getVehiclesByStatus,
   updateComplianceDetails,
   generateQRCode,
   getQRCodeImage,
-  getVehicleDetailsFromQR
+  rotateQRCode,
+  revokeQRCode,
+  getVehicleDetailsFromQR,
+  transferVehicleOwnership,
+  getOwnershipHistory,
+  reportVehicleStolen,
+  markVehicleRecovered,
+  getVehicleStatusHistory,
+  getRecoveryMetrics,
+  checkFleetCompliance,
+  importVehicles,
+  getImportBatches,
+  getImportBatch,
+  revertImportBatch,
+  exportVehicles,
+  recognizePlate
 } = require('../controllers/vehicleController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, identifyUser } = require('../middleware/authMiddleware');
 const { upload } = require('../config/cloudinary');
 const { check, validationResult } = require('express-validator');
 const Vehicle = require('../models/Vehicle');
+const multer = require('multer');
 
-// Public QR code scan endpoint (no auth required)
-router.get('/scan/:id', getVehicleDetailsFromQR);
+// Bulk import files are parsed in memory, never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+}).single('file');
+
+// Handle multer errors for import uploads
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 5MB' : 'File upload error',
+        error: err.message
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload error',
+        error: err.message
+      });
+    }
+    next();
+  });
+};
+
+// Plate photos are read in memory and never stored
+const plateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'), false);
+    }
+  }
+}).single('image');
+
+// Handle multer errors for plate photo uploads
+const handlePlateUpload = (req, res, next) => {
+  plateUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 10MB' : 'File upload error',
+        error: err.message
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload error',
+        error: err.message
+      });
+    }
+    next();
+  });
+};
+
+// Public QR code scan endpoint (no auth required; anonymous scanners see the public fields only,
+// a signed-in scanner gets the full record and is recorded with any stolen vehicle hit)
+router.get('/scan/:token', identifyUser, getVehicleDetailsFromQR);
 
 // Search and filter routes - must come before :id routes to avoid conflicts
 router.get('/search', protect, searchVehicles);
 router.get('/owner/:name', protect, getVehiclesByOwner);
 router.get('/status/:status', protect, getVehiclesByStatus);
 router.post('/check-vin', protect, checkDuplicateVIN);
+router.post('/recognize-plate', protect, handlePlateUpload, recognizePlate);
+router.get('/decode-vin/:vin', protect, decodeVin);
+router.get('/compliance-check', protect, authorize('officer', 'admin', 'investigator'), checkFleetCompliance);
+router.get('/recovery-metrics', protect, authorize('officer', 'admin', 'investigator'), getRecoveryMetrics);
+router.get('/export', protect, authorize('officer', 'admin', 'investigator'), exportVehicles);
+router.get('/import', protect, authorize('officer', 'admin'), getImportBatches);
+router.post('/import', protect, authorize('officer', 'admin'), handleImportUpload, importVehicles);
+router.get('/import/:batchId', protect, authorize('officer', 'admin'), getImportBatch);
+router.post('/import/:batchId/revert', protect, authorize('admin'), revertImportBatch);
 
 // Base routes
 router.get('/', protect, getVehicles);
@@ -49,12 +140,22 @@ router.get('/:id', protect, getVehicleById);
 router.put('/:id', protect, authorize('officer', 'admin', 'investigator'), updateVehicle);
 router.delete('/:id', protect, authorize('admin'), deleteVehicle);
 
+// Ownership transfer routes
+router.post('/:id/transfer', protect, authorize('officer', 'admin', 'investigator'), transferVehicleOwnership);
+router.get('/:id/ownership-history', protect, getOwnershipHistory);
+
+// Stolen/recovered lifecycle routes
+router.post('/:id/report-stolen', protect, authorize('officer', 'admin', 'investigator'), reportVehicleStolen);
+router.post('/:id/recover', protect, authorize('officer', 'admin', 'investigator'), markVehicleRecovered);
+router.get('/:id/status-history', protect, getVehicleStatusHistory);
+
 // Additional features
 router.get('/notes/:id', protect, getVehicleNotes);
 router.post('/notes/:id', protect, authorize('officer', 'admin', 'investigator'), addVehicleNote);
 router.get('/flags/:id', protect, getVehicleFlags);
 router.post('/flags/:id', protect, authorize('officer', 'admin', 'investigator'), addVehicleFlag);
 router.put('/flags/:id/:flagId', protect, authorize('officer', 'admin', 'investigator'), resolveVehicleFlag);
+router.get('/hits/:id', protect, authorize('officer', 'admin', 'investigator'), getVehicleHits);
 router.get('/compliance-check/:id', protect, checkVehicleCompliance);
 router.put('/compliance/:id', protect, authorize('officer', 'admin', 'investigator'), updateComplianceDetails);
 router.put('/location/:id', protect, authorize('officer', 'admin', 'investigator'), updateVehicleLocation);
@@ -99,5 +200,7 @@ router.delete('/images/:id/:imageId', protect, authorize('officer', 'admin', 'in
 // QR code routes
 router.get('/qrcode/:id', protect, generateQRCode);
 router.get('/qrcode-image/:id', protect, getQRCodeImage);
+router.post('/qrcode/:id/rotate', protect, authorize('officer', 'admin', 'investigator'), rotateQRCode);
+router.post('/qrcode/:id/revoke', protect, authorize('officer', 'admin', 'investigator'), revokeQRCode);
 
 module.exports = router; 
\ No newline at end of file
@@ -18,6 +18,10 @@ const connectDB = require('./config/database');
 const logger = require('./config/logger');
 const { notFound, errorHandler, mongooseValidationError, duplicateKeyError } = require('./middleware/errorMiddleware');
 const { testCloudinaryConnection } = require('./config/cloudinary');
+const { startExpiryReminderJob } = require('./services/expiryReminderService');
+const { startSlaMonitorJob } = require('./services/slaService');
+const { startFeeAccrualJob } = require('./services/impoundService');
+const { startMailQueue } = require('./services/mail/mailService');
 
 // Load and register models first
 const Notification = require('./models/Notification');
@@ -33,6 +37,11 @@ const settingsRoutes = require('./routes/settingsRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const aiRoutes = require('./routes/aiRoutes');
+const geoRoutes = require('./routes/geoRoutes');
+const personRoutes = require('./routes/personRoutes');
+const graphRoutes = require('./routes/graphRoutes');
+const impoundRoutes = require('./routes/impoundRoutes');
+const citationRoutes = require('./routes/citationRoutes');
 
 // Conditionally load AI features if dependencies are available
 /* Removing mock routes since we now have real AI routes
@@ -188,6 +197,11 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/geo', geoRoutes);
+app.use('/api/persons', personRoutes);
+app.use('/api/graph', graphRoutes);
+app.use('/api/impound', impoundRoutes);
+app.use('/api/citations', citationRoutes);
 
 // Connect to MongoDB
 connectDB()
@@ -195,6 +209,14 @@ connectDB()
     logger.info('MongoDB Connected Successfully');
     // Test Cloudinary connection after MongoDB is connected
     testCloudinaryConnection();
+    // Start the daily expiry reminder sweep
+    startExpiryReminderJob().catch(err => logger.error(`Failed to start expiry reminder job: ${err.message}`));
+    // Check case file deadlines every few minutes
+    startSlaMonitorJob().catch(err => logger.error(`Failed to start SLA monitor job: ${err.message}`));
+    // Accrue impound fees every night
+    startFeeAccrualJob().catch(err => logger.error(`Failed to start impound fee accrual job: ${err.message}`));
+    // Start retrying failed email deliveries
+    startMailQueue();
   })
   .catch(err => {
     logger.error('MongoDB Connection Error:', err);
@@ -11,6 +11,7 @@ const Vehicle = require('../../models/Vehicle');
 const Incident = require('../../models/Incident');
 const User = require('../../models/User');
 const logger = require('../../utils/logger');
+const vinDecoder = require('../vinDecoder');
 const path = require('path');
 const fs = require('fs');
 
@@ -161,12 +162,32 @@ function analyzeFraudPatterns(vehicle) {
   const patterns = [];
   
   // Check for VIN inconsistencies
-  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vehicle.vin)) {
+  const vinResult = vinDecoder.checkVin(vehicle.vin, { make: vehicle.make, year: vehicle.year });
+  if (!vinResult.valid) {
     patterns.push({
       type: 'VIN_FORMAT_INVALID',
       description: 'Vehicle Identification Number format is invalid',
-      severity: 'high'
+      severity: 'high',
+      data: { errors: vinResult.errors }
     });
+  } else {
+    if (!vinResult.checkDigit.valid) {
+      patterns.push({
+        type: 'VIN_CHECK_DIGIT_INVALID',
+        description: 'VIN check digit does not match the rest of the VIN',
+        severity: 'medium',
+        data: vinResult.checkDigit
+      });
+    }
+
+    if (vinResult.mismatches.length > 0) {
+      patterns.push({
+        type: 'VIN_DETAILS_MISMATCH',
+        description: 'Registered make or year does not match the decoded VIN',
+        severity: 'high',
+        data: { mismatches: vinResult.mismatches }
+      });
+    }
   }
   
   // Check for odometer tampering indicators
@@ -206,6 +227,21 @@ function analyzeFraudPatterns(vehicle) {
     });
   }
   
+  // Check for rapid resale (several recorded transfers within the last year)
+  const oneYearAgo = new Date();
+  oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
+  const recentTransfers = (vehicle.ownershipHistory || [])
+    .filter(entry => entry.transferDate && new Date(entry.transferDate) >= oneYearAgo);
+    
+  if (recentTransfers.length >= 2) {
+    patterns.push({
+      type: 'RAPID_OWNERSHIP_TRANSFER',
+      description: 'Multiple ownership transfers recorded within the last 12 months',
+      severity: recentTransfers.length >= 3 ? 'high' : 'medium',
+      count: recentTransfers.length
+    });
+  }
+  
   return patterns;
 }
 
@@ -18,6 +18,9 @@ let damageDetectionModel;
 let objectDetectionModel;
 let classificationModel;
 
+// COCO-SSD classes treated as vehicles
+const VEHICLE_CLASSES = ['car', 'truck', 'bus', 'motorcycle'];
+
 /**
  * Initialize all required models for image analysis
  */
@@ -127,7 +130,7 @@ async function analyzeVehicleDamage(imagePath) {
     // Perform object detection to locate the vehicle
     const objects = await objectDetectionModel.detect(imageBuffer);
     const vehicleObjects = objects.filter(obj => 
-      ['car', 'truck', 'bus', 'motorcycle'].includes(obj.class.toLowerCase())
+      VEHICLE_CLASSES.includes(obj.class.toLowerCase())
     );
     
     // Perform general classification
@@ -183,6 +186,33 @@ async function analyzeVehicleDamage(imagePath) {
   }
 }
 
+/**
+ * Locate the vehicles in an already decoded image
+ * @param {Object} bitmap - RGBA pixels ({ width, height, data }), e.g. a jimp bitmap
+ * @returns {Promise<Array>} - Detections ({ class, score, bbox: [x, y, width, height] }), largest first
+ */
+async function detectVehicles(bitmap) {
+  if (!objectDetectionModel) {
+    objectDetectionModel = await cocoSsd.load();
+    logger.info('Object detection model loaded');
+  }
+
+  const pixels = tf.browser.fromPixels({
+    data: new Uint8Array(bitmap.data),
+    width: bitmap.width,
+    height: bitmap.height
+  });
+
+  try {
+    const objects = await objectDetectionModel.detect(pixels);
+    return objects
+      .filter(obj => VEHICLE_CLASSES.includes(obj.class.toLowerCase()))
+      .sort((a, b) => (b.bbox[2] * b.bbox[3]) - (a.bbox[2] * a.bbox[3]));
+  } finally {
+    pixels.dispose();
+  }
+}
+
 /**
  * Determine severity level for a damage type
  * @param {string} damageType - Type of damage
@@ -332,5 +362,6 @@ initModels().catch(err => {
 
 module.exports = {
   analyzeVehicleDamage,
+  detectVehicles,
   trainDamageModel
 }; 
\ No newline at end of file
@@ -9,6 +9,7 @@ const natural = require('natural');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../../utils/logger');
+const { nextNumber } = require('../sequenceService');
 
 // Initialize NLP components
 const tokenizer = new natural.WordTokenizer();
@@ -33,7 +34,7 @@ async function generateIncidentReport(incident, vehicle, documents = []) {
     // Extract key information
     const reportData = {
       title: `Incident Report: ${incident.type || 'Investigation'} - ${vehicle.make} ${vehicle.model}`,
-      referenceNumber: incident.referenceNumber || generateReferenceNumber(),
+      referenceNumber: incident.referenceNumber || await generateReferenceNumber(),
       date: new Date().toISOString(),
       summary: generateSummary(incident, vehicle),
       sections: [
@@ -375,12 +376,10 @@ function generateRecommendations(incident, vehicle) {
 
 /**
  * Generate a unique reference number for reports
- * @returns {string} - Generated reference number
+ * @returns {Promise<string>} - Next number in the report sequence
  */
 function generateReferenceNumber() {
-  const timestamp = Date.now().toString();
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `RPT-${timestamp.substring(timestamp.length - 6)}-${random}`;
+  return nextNumber('report');
 }
 
 /**
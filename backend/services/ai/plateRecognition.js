@@ -0,0 +1,500 @@
+/**
+ * Plate Recognition Service
+ *
+ * Reads a license plate from a photo and matches it against registered
+ * vehicles. The COCO-SSD detector from the image analysis service crops the
+ * photo to the largest vehicle, the plate is located in that crop as the
+ * horizontal band with the most vertical edges (characters on a plain
+ * background), and the band is read with a local Tesseract worker. When no
+ * band reads as a plate the whole crop is read as sparse text instead.
+ *
+ * Readings are normalized to plate characters (A-Z, 0-9) and compared with
+ * `Vehicle.licensePlate` ignoring hyphens and spaces. Characters OCR commonly
+ * confuses (0/O, 1/I, 8/B, ...) cost less than other differences, so a plate
+ * read as "MH12AB1Z34" still finds MH-12-AB-1234.
+ */
+
+const path = require('path');
+const { Jimp } = require('jimp');
+const { createWorker, OEM, PSM } = require('tesseract.js');
+const Vehicle = require('../../models/Vehicle');
+const logger = require('../../utils/logger');
+const { detectVehicles } = require('./imageAnalysis');
+
+// English LSTM model shipped with @tesseract.js-data/eng, so OCR never downloads anything
+const OCR_LANG_PATH = path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+
+const PLATE_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const MIN_PLATE_LENGTH = 4;
+const MAX_PLATE_LENGTH = 12;
+
+// Photos are downscaled to this width before anything else
+const MAX_IMAGE_WIDTH = 1600;
+// Width the plate search works at
+const WORK_WIDTH = 320;
+// Plate crops are scaled to this height before OCR
+const OCR_PLATE_HEIGHT = 96;
+// Minimum brightness step between neighbouring pixels counted as an edge
+const EDGE_THRESHOLD = 48;
+// Vehicle detections below this score are ignored
+const MIN_VEHICLE_SCORE = 0.4;
+// Plate regions tried before falling back to the whole crop
+const MAX_PLATE_REGIONS = 2;
+
+// Characters OCR mixes up on plates; a swap within a group costs CONFUSION_COST instead of 1
+const CONFUSABLE_GROUPS = ['0ODQ', '1IL', '2Z', '5S', '6G', '8B', '4A'];
+const CONFUSION_COST = 0.25;
+// Cost per reading character dropped when the plate is part of a longer reading
+const TRIM_COST = 0.5;
+
+// Candidates below this similarity are not returned
+const MIN_SIMILARITY = 0.6;
+// Similarity from which a candidate is reported as a likely match
+const LIKELY_SIMILARITY = 0.85;
+// Length of the reading fragments used to fetch candidate vehicles
+const FRAGMENT_LENGTH = 4;
+const CANDIDATE_POOL_LIMIT = 200;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+let workerPromise = null;
+let ocrQueue = Promise.resolve();
+
+/**
+ * Create an error carrying an HTTP status code for the controller
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize OCR or stored plate text to plate characters only
+ * @param {string} text - Raw text
+ * @returns {string} - e.g. "mh 12-ab 1234" -> "MH12AB1234"
+ */
+function normalizePlate(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Format a normalized plate the way plates are registered: letter and digit
+ * groups separated by hyphens
+ * @param {string} plate - Normalized plate
+ * @returns {string} - e.g. "MH12AB1234" -> "MH-12-AB-1234"
+ */
+function formatPlate(plate) {
+  return (plate.match(/[A-Z]+|[0-9]+/g) || []).join('-');
+}
+
+/**
+ * Confusable group of a character
+ * @param {string} char - Plate character
+ * @returns {string} - Group, or the character itself
+ */
+function confusableGroup(char) {
+  return CONFUSABLE_GROUPS.find(group => group.includes(char)) || char;
+}
+
+/**
+ * Edit distance between two normalized plates, with confusable swaps discounted
+ * @param {string} a - Plate
+ * @param {string} b - Plate
+ * @returns {number}
+ */
+function plateDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let cost = 1;
+      if (a[i - 1] === b[j - 1]) {
+        cost = 0;
+      } else if (confusableGroup(a[i - 1]).includes(b[j - 1])) {
+        cost = CONFUSION_COST;
+      }
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of a reading to a registered plate, from 0 to 1. The plate may
+ * be part of a longer reading (a country code or frame text read with it)
+ * @param {string} reading - Normalized OCR reading
+ * @param {string} plate - Normalized registered plate
+ * @returns {number}
+ */
+function plateSimilarity(reading, plate) {
+  if (!reading || !plate) {
+    return 0;
+  }
+
+  const minLength = Math.min(reading.length, Math.max(plate.length - 1, 1));
+  const maxLength = Math.min(reading.length, plate.length + 1);
+  let best = 0;
+
+  for (let length = minLength; length <= maxLength; length++) {
+    for (let start = 0; start + length <= reading.length; start++) {
+      const distance = plateDistance(reading.slice(start, start + length), plate)
+        + TRIM_COST * (reading.length - length);
+      best = Math.max(best, 1 - distance / Math.max(length, plate.length));
+    }
+  }
+
+  return Math.max(0, best);
+}
+
+/**
+ * Regular expression matching a reading fragment in a stored plate, allowing
+ * confusable characters and hyphens or spaces between characters
+ * @param {string} fragment - Normalized fragment
+ * @returns {string}
+ */
+function fragmentPattern(fragment) {
+  return fragment.split('').map(char => `[${confusableGroup(char)}]`).join('[-\\s]?');
+}
+
+/**
+ * Shared Tesseract worker, created on first use
+ * @returns {Promise<Object>}
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker('eng', OEM.LSTM_ONLY, {
+      langPath: OCR_LANG_PATH,
+      cacheMethod: 'none',
+      // Failed jobs reject their promise; without a handler the worker also throws and ends the process
+      errorHandler: error => logger.error(`Plate OCR worker error: ${error}`)
+    })
+      .then(worker => {
+        logger.info('Plate OCR worker ready');
+        return worker;
+      })
+      .catch(error => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+  return workerPromise;
+}
+
+/**
+ * OCR an image with the shared worker. Jobs run one at a time because the
+ * page segmentation mode is a worker parameter
+ * @param {Buffer} buffer - PNG image
+ * @param {string} pageSegMode - Tesseract page segmentation mode
+ * @returns {Promise<Array>} - Lines read ({ text, confidence 0-1 })
+ */
+function readText(buffer, pageSegMode) {
+  const job = ocrQueue.then(async () => {
+    const worker = await getWorker();
+    await worker.setParameters({
+      tessedit_pageseg_mode: pageSegMode,
+      tessedit_char_whitelist: `${PLATE_CHARACTERS}- `
+    });
+    const { data } = await worker.recognize(buffer);
+    return data.text.split('\n')
+      .map(line => ({ text: normalizePlate(line), confidence: (data.confidence || 0) / 100 }))
+      .filter(line => line.text.length >= MIN_PLATE_LENGTH && line.text.length <= MAX_PLATE_LENGTH);
+  });
+  ocrQueue = job.catch(() => {});
+  return job;
+}
+
+/**
+ * Running sum over a window centred on each value
+ * @param {Array<number>} values - Profile
+ * @param {number} radius - Half window size
+ * @returns {Array<number>}
+ */
+function smoothProfile(values, radius) {
+  return values.map((_, index) => {
+    let sum = 0;
+    for (let k = Math.max(0, index - radius); k <= Math.min(values.length - 1, index + radius); k++) {
+      sum += values[k];
+    }
+    return sum;
+  });
+}
+
+/**
+ * Locate likely plate regions: horizontal bands dense in vertical edges,
+ * narrowed to the columns where those edges are
+ * @param {Object} image - Jimp image (vehicle crop)
+ * @param {number} skipTop - Fraction of the image height not searched (roof and windscreen)
+ * @returns {Array<Object>} - Regions ({ x, y, w, h }) in image pixels, best first
+ */
+function findPlateRegions(image, skipTop = 0) {
+  const scale = Math.min(1, WORK_WIDTH / image.bitmap.width);
+  const work = image.clone().resize({ w: Math.round(image.bitmap.width * scale) }).greyscale();
+  const { width, height, data } = work.bitmap;
+
+  const edges = new Uint8Array(width * height);
+  const rowCounts = new Array(height).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const left = data[(y * width + x - 1) * 4];
+      const right = data[(y * width + x + 1) * 4];
+      if (Math.abs(right - left) > EDGE_THRESHOLD) {
+        edges[y * width + x] = 1;
+        rowCounts[y]++;
+      }
+    }
+  }
+
+  const rows = smoothProfile(rowCounts, Math.max(1, Math.round(height / 60)));
+  const used = new Array(height).fill(false);
+  for (let y = 0; y < Math.floor(height * skipTop); y++) {
+    used[y] = true;
+  }
+
+  const regions = [];
+  for (let attempt = 0; attempt < MAX_PLATE_REGIONS * 2 && regions.length < MAX_PLATE_REGIONS; attempt++) {
+    let peak = -1;
+    for (let y = 0; y < height; y++) {
+      if (!used[y] && (peak < 0 || rows[y] > rows[peak])) {
+        peak = y;
+      }
+    }
+    if (peak < 0 || rows[peak] < width * 0.05) {
+      break;
+    }
+
+    let top = peak;
+    let bottom = peak;
+    while (top > 0 && !used[top - 1] && rows[top - 1] >= rows[peak] * 0.5) top--;
+    while (bottom < height - 1 && !used[bottom + 1] && rows[bottom + 1] >= rows[peak] * 0.5) bottom++;
+    const bandHeight = bottom - top + 1;
+
+    for (let y = Math.max(0, top - bandHeight); y <= Math.min(height - 1, bottom + bandHeight); y++) {
+      used[y] = true;
+    }
+
+    const columnCounts = new Array(width).fill(0);
+    for (let y = top; y <= bottom; y++) {
+      for (let x = 0; x < width; x++) {
+        columnCounts[x] += edges[y * width + x];
+      }
+    }
+    const columns = smoothProfile(columnCounts, Math.max(2, bandHeight));
+    const centre = columns.indexOf(Math.max(...columns));
+    let left = centre;
+    let right = centre;
+    while (left > 0 && columns[left - 1] >= columns[centre] * 0.4) left--;
+    while (right < width - 1 && columns[right + 1] >= columns[centre] * 0.4) right++;
+
+    // Plates are wide and short; anything else is a grille, a bumper edge or text on the body
+    const aspect = (right - left + 1) / bandHeight;
+    if (bandHeight < 4 || aspect < 1.5 || aspect > 10) {
+      continue;
+    }
+
+    const padX = (right - left + 1) * 0.1;
+    const padY = bandHeight * 0.3;
+    const x = Math.max(0, Math.floor((left - padX) / scale));
+    const y = Math.max(0, Math.floor((top - padY) / scale));
+    regions.push({
+      x,
+      y,
+      w: Math.min(image.bitmap.width - x, Math.ceil((right - left + 1 + 2 * padX) / scale)),
+      h: Math.min(image.bitmap.height - y, Math.ceil((bandHeight + 2 * padY) / scale))
+    });
+  }
+
+  return regions;
+}
+
+/**
+ * Greyscale, contrast-stretched PNG of a region, scaled for OCR
+ * @param {Object} image - Jimp image
+ * @param {Object} region - { x, y, w, h }, or null for the whole image
+ * @param {number} targetHeight - Height to scale to, or null to keep the size
+ * @returns {Promise<Buffer>}
+ */
+async function prepareForOcr(image, region, targetHeight) {
+  const crop = region ? image.clone().crop(region) : image.clone();
+  if (targetHeight) {
+    crop.resize({ h: targetHeight });
+  }
+  crop.greyscale().normalize().contrast(0.3);
+  return crop.getBuffer('image/png');
+}
+
+/**
+ * Crop a photo to its largest detected vehicle
+ * @param {Object} image - Jimp image
+ * @returns {Promise<Object>} - { image, detection } where detection is null when no vehicle was found
+ */
+async function cropToVehicle(image) {
+  let detections = [];
+  try {
+    detections = await detectVehicles(image.bitmap);
+  } catch (error) {
+    // Without the detector the whole photo is searched
+    logger.warn(`Vehicle detection unavailable for plate recognition: ${error.message}`);
+  }
+
+  const detection = detections.find(item => item.score >= MIN_VEHICLE_SCORE);
+  if (!detection) {
+    return { image, detection: null };
+  }
+
+  const [bx, by, bw, bh] = detection.bbox;
+  const x = Math.max(0, Math.floor(bx));
+  const y = Math.max(0, Math.floor(by));
+  const region = {
+    x,
+    y,
+    w: Math.min(image.bitmap.width - x, Math.ceil(bw)),
+    h: Math.min(image.bitmap.height - y, Math.ceil(bh))
+  };
+
+  return {
+    image: image.clone().crop(region),
+    detection: {
+      class: detection.class,
+      score: Number(detection.score.toFixed(2)),
+      box: { x: region.x, y: region.y, width: region.w, height: region.h }
+    }
+  };
+}
+
+/**
+ * Registered vehicles whose plates are close to the readings
+ * @param {Array<Object>} readings - Normalized readings ({ text, confidence })
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Promise<Array>} - Candidates ({ vehicle, reading, similarity, confidence, match }), best first
+ */
+async function findCandidates(readings, limit = DEFAULT_LIMIT) {
+  const fragments = new Set();
+  readings.forEach(({ text }) => {
+    for (let start = 0; start + FRAGMENT_LENGTH <= text.length; start++) {
+      fragments.add(text.slice(start, start + FRAGMENT_LENGTH));
+    }
+  });
+  if (fragments.size === 0) {
+    return [];
+  }
+
+  const vehicles = await Vehicle.find({
+    $or: [...fragments].map(fragment => ({ licensePlate: { $regex: fragmentPattern(fragment) } }))
+  })
+    .select('licensePlate vin make model year color status registrationState')
+    .limit(CANDIDATE_POOL_LIMIT)
+    .lean();
+
+  const candidates = [];
+  vehicles.forEach(vehicle => {
+    const plate = normalizePlate(vehicle.licensePlate);
+    let best = null;
+
+    readings.forEach(reading => {
+      const similarity = plateSimilarity(reading.text, plate);
+      const confidence = similarity * reading.confidence;
+      if (similarity >= MIN_SIMILARITY && (!best || confidence > best.confidence)) {
+        best = { reading: reading.text, similarity, confidence };
+      }
+    });
+
+    if (best) {
+      let match = 'possible';
+      if (readings.some(reading => reading.text === plate)) {
+        match = 'exact';
+      } else if (best.similarity >= LIKELY_SIMILARITY) {
+        match = 'likely';
+      }
+
+      candidates.push({
+        vehicle,
+        reading: best.reading,
+        similarity: Number(best.similarity.toFixed(2)),
+        confidence: Number(best.confidence.toFixed(2)),
+        match
+      });
+    }
+  });
+
+  return candidates
+    .sort((a, b) => b.confidence - a.confidence || b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Read the plate in a photo and match it against registered vehicles
+ * @param {Buffer} buffer - Uploaded image
+ * @param {Object} options - `limit` on the number of candidates
+ * @returns {Promise<Object>} - { plate, confidence, readings, vehicleDetection, plateRegion, candidates }
+ */
+async function recognizePlate(buffer, { limit } = {}) {
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch (error) {
+    throw serviceError(400, 'Could not read the image. Please upload a JPEG or PNG photo');
+  }
+  if (image.bitmap.width > MAX_IMAGE_WIDTH) {
+    image.resize({ w: MAX_IMAGE_WIDTH });
+  }
+
+  const { image: vehicleImage, detection } = await cropToVehicle(image);
+  // On a detected vehicle the plate is below the windscreen
+  const regions = findPlateRegions(vehicleImage, detection ? 0.3 : 0);
+
+  const readings = [];
+  let plateRegion = null;
+  try {
+    for (const region of regions) {
+      const lines = await readText(await prepareForOcr(vehicleImage, region, OCR_PLATE_HEIGHT), PSM.SINGLE_LINE);
+      if (lines.length > 0) {
+        readings.push(...lines.map(line => ({ ...line, source: 'plate_region' })));
+        const offset = detection ? detection.box : { x: 0, y: 0 };
+        plateRegion = plateRegion || { x: offset.x + region.x, y: offset.y + region.y, width: region.w, height: region.h };
+      }
+    }
+
+    if (readings.length === 0) {
+      const lines = await readText(await prepareForOcr(vehicleImage, null, null), PSM.SPARSE_TEXT);
+      readings.push(...lines.map(line => ({ ...line, source: 'full_image' })));
+    }
+  } catch (error) {
+    logger.error(`Plate OCR failed: ${error.message}`);
+    throw serviceError(503, 'Plate recognition is currently unavailable');
+  }
+
+  // Readings with digits first; plates almost always have some, badges and slogans rarely do
+  readings.sort((a, b) => (/\d/.test(b.text) - /\d/.test(a.text)) || b.confidence - a.confidence);
+  const best = readings[0] || null;
+
+  const candidateLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const candidates = await findCandidates(readings, candidateLimit);
+
+  return {
+    plate: best ? formatPlate(best.text) : null,
+    confidence: best ? Number(best.confidence.toFixed(2)) : 0,
+    readings: readings.map(reading => ({
+      text: reading.text,
+      plate: formatPlate(reading.text),
+      confidence: Number(reading.confidence.toFixed(2)),
+      source: reading.source
+    })),
+    vehicleDetection: detection,
+    plateRegion,
+    candidates
+  };
+}
+
+module.exports = {
+  recognizePlate,
+  normalizePlate,
+  formatPlate,
+  plateSimilarity
+};
@@ -0,0 +1,333 @@
+/**
+ * Approval Service
+ *
+ * Sign-off chains for investigation reports. When a report version is
+ * submitted, the first chain in Settings.approval.chains matching the incident
+ * type and severity is copied onto `caseFile.approval`; without a match the
+ * report needs a single officer review, as before chains existed. Each step
+ * names the role (and optionally the users) that may decide it:
+ *  - accept: moves on to the next step, or approves the report on the last one
+ *  - reject: sends the report back to the investigator
+ *  - return: hands the report back to the previous step for another look
+ * A chain may also list officer conclusions; accepting the first step with one
+ * of them switches the remaining steps to that chain (e.g. legal action).
+ */
+
+const mongoose = require('mongoose');
+const Settings = require('../models/Settings');
+
+// Used when no chain matches, and for reports submitted before chains existed
+const DEFAULT_CHAIN = {
+  name: 'Officer review',
+  steps: [{ label: 'Officer review', role: 'officer', approvers: [] }]
+};
+
+const OUTCOMES = ['accept', 'reject', 'return'];
+
+// User ID as a string, whether or not the reference was populated
+const idString = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Load the approval settings
+ * @returns {Promise<Object>} - requireDistinctApprovers and chains
+ */
+async function getApprovalSettings() {
+  const settings = await Settings.findOne().select('approval').lean();
+  const approval = (settings && settings.approval) || {};
+  return {
+    requireDistinctApprovers: approval.requireDistinctApprovers !== false,
+    chains: approval.chains || []
+  };
+}
+
+/**
+ * Check whether a chain applies to an incident
+ * @param {Object} chain - Configured chain
+ * @param {Object} incident - Incident document
+ * @param {string} conclusion - Officer conclusion, once known
+ * @returns {boolean}
+ */
+function matchesChain(chain, incident, conclusion) {
+  const allows = (list, value) => !list || list.length === 0 || list.includes(value);
+
+  // Chains for a conclusion can only be chosen once an officer has given one
+  if (chain.conclusions?.length > 0 && !conclusion) {
+    return false;
+  }
+
+  return allows(chain.incidentTypes, incident.type) &&
+    allows(chain.severities, incident.severity) &&
+    allows(chain.conclusions, conclusion);
+}
+
+/**
+ * Pick the approval chain for an incident
+ * @param {Array} chains - Configured chains, in priority order
+ * @param {Object} incident - Incident document
+ * @param {string} conclusion - Officer conclusion, once known
+ * @returns {Object} - Matching chain, or the single officer review
+ */
+function selectChain(chains, incident, conclusion) {
+  return (chains || []).find(chain => chain.steps?.length > 0 && matchesChain(chain, incident, conclusion)) ||
+    DEFAULT_CHAIN;
+}
+
+/**
+ * Copy a chain step into the approval state
+ * @param {Object} step - Configured step
+ * @returns {Object}
+ */
+function toPendingStep(step) {
+  return {
+    label: step.label,
+    role: step.role,
+    approvers: step.approvers || [],
+    status: 'pending'
+  };
+}
+
+/**
+ * Start the approval of a report version
+ * @param {Object} chain - Selected chain
+ * @param {number} version - Report version under review
+ * @param {Date} startedAt - Submission time
+ * @returns {Object} - Value for `caseFile.approval`
+ */
+function startApproval(chain, version, startedAt = new Date()) {
+  return {
+    chain: chain.name,
+    version,
+    status: 'in_progress',
+    currentStep: 0,
+    startedAt,
+    steps: chain.steps.map(toPendingStep),
+    decisions: []
+  };
+}
+
+/**
+ * The approval state of an incident's report. Reports submitted before chains
+ * existed get a single officer review, which is not stored until decided.
+ * @param {Object} incident - Incident document
+ * @returns {{ approval: Object, stored: boolean }}
+ */
+function getApproval(incident) {
+  const stored = incident.caseFile?.approval;
+  if (stored?.status) {
+    return {
+      approval: typeof stored.toObject === 'function' ? stored.toObject() : stored,
+      stored: true
+    };
+  }
+
+  const report = incident.caseFile?.investigationReport;
+  return {
+    approval: startApproval(DEFAULT_CHAIN, report?.version, report?.submittedAt),
+    stored: false
+  };
+}
+
+/**
+ * Check whether a user is who the current step is waiting for
+ * @param {Object} approval - Approval state
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - Why the user cannot decide the step, or null
+ */
+function getStepBlocker(approval, user) {
+  if (approval.status !== 'in_progress') {
+    return 'This report is not awaiting approval';
+  }
+
+  const step = approval.steps[approval.currentStep];
+  const position = `Step ${approval.currentStep + 1} (${step.label})`;
+  if (user.role !== step.role) {
+    return `${position} is awaiting ${step.role === 'admin' ? 'an admin' : `an ${step.role}`}`;
+  }
+  if (step.approvers?.length > 0 && !step.approvers.some(id => idString(id) === idString(user._id))) {
+    return `${position} is awaiting a named approver`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a user may decide the current step
+ * @param {Object} approval - Approval state
+ * @param {Object} user - Authenticated user
+ * @param {Object} settings - Approval settings
+ * @returns {string|null} - Why the user cannot decide the step, or null
+ */
+function getDecisionBlocker(approval, user, settings) {
+  const blocker = getStepBlocker(approval, user);
+  if (blocker) {
+    return blocker;
+  }
+
+  const signedEarlierStep = approval.steps.some((step, index) =>
+    index !== approval.currentStep &&
+    step.status === 'accepted' &&
+    step.decidedBy &&
+    idString(step.decidedBy) === idString(user._id)
+  );
+  if (settings.requireDistinctApprovers && signedEarlierStep) {
+    return 'You already signed off an earlier step of this approval chain';
+  }
+  return null;
+}
+
+/**
+ * Apply a decision to the current step
+ * @param {Object} approval - Approval state
+ * @param {Object} user - Deciding user
+ * @param {string} outcome - accept, reject or return
+ * @param {Object} options - actions, notes, conclusion, the incident and the
+ * approval settings (used to switch chains on the first step), and decidedAt
+ * @returns {Object} - { approval, transition, step, nextStep }; transition is
+ * approve_report or reject_report when the chain is finished, otherwise null
+ * @throws {Error} - With statusCode 400, 403 or 409 when the decision is not allowed
+ */
+function decide(approval, user, outcome, options = {}) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw serviceError(400, `Unknown outcome: ${outcome}. Allowed outcomes: ${OUTCOMES.join(', ')}`);
+  }
+
+  const settings = options.settings || { requireDistinctApprovers: true, chains: [] };
+  const blocker = getDecisionBlocker(approval, user, settings);
+  if (blocker) {
+    throw serviceError(approval.status === 'in_progress' ? 403 : 409, blocker);
+  }
+
+  const decidedAt = options.decidedAt || new Date();
+  const index = approval.currentStep;
+  if (outcome === 'return' && index === 0) {
+    throw serviceError(400, 'The first step cannot be returned; reject the report instead');
+  }
+
+  const next = {
+    ...approval,
+    steps: approval.steps.map(step => ({ ...step })),
+    decisions: [...(approval.decisions || [])]
+  };
+  const step = next.steps[index];
+  let transition = null;
+
+  next.decisions.push({
+    step: index + 1,
+    label: step.label,
+    outcome,
+    decidedBy: user._id,
+    decidedAt,
+    actions: options.actions,
+    notes: options.notes,
+    conclusion: options.conclusion
+  });
+
+  if (outcome === 'return') {
+    // The previous step decides again; its earlier sign-off stays in the decisions log
+    next.steps[index - 1] = { ...next.steps[index - 1], status: 'pending', decidedBy: undefined, decidedAt: undefined };
+    next.currentStep = index - 1;
+  } else {
+    Object.assign(step, {
+      status: outcome === 'accept' ? 'accepted' : 'rejected',
+      decidedBy: user._id,
+      decidedAt
+    });
+
+    if (outcome === 'reject') {
+      next.status = 'rejected';
+      transition = 'reject_report';
+    } else {
+      // The first officer's conclusion can call for a longer chain
+      if (index === 0 && options.conclusion && options.incident) {
+        const chain = selectChain(settings.chains, options.incident, options.conclusion);
+        if (chain.name !== next.chain && chain.steps.length > 1) {
+          next.chain = chain.name;
+          next.steps = [step, ...chain.steps.slice(1).map(toPendingStep)];
+        }
+      }
+
+      if (index === next.steps.length - 1) {
+        next.status = 'approved';
+        transition = 'approve_report';
+      } else {
+        next.currentStep = index + 1;
+      }
+    }
+  }
+
+  return {
+    approval: next,
+    transition,
+    step: { ...step, number: index + 1 },
+    nextStep: next.status === 'in_progress'
+      ? { ...next.steps[next.currentStep], number: next.currentStep + 1 }
+      : null
+  };
+}
+
+/**
+ * Users a step is waiting for
+ * @param {Object} step - Approval step
+ * @returns {Promise<Array>} - User IDs: the named approvers, otherwise every active user with the step's role
+ */
+async function getStepApprovers(step) {
+  if (step.approvers?.length > 0) {
+    return step.approvers;
+  }
+  const users = await mongoose.model('User').find({ role: step.role, isActive: true }).select('_id').lean();
+  return users.map(user => user._id);
+}
+
+/**
+ * Summary of the approval for the incident list and detail views
+ * @param {Object} incident - Incident document
+ * @param {Object} user - Authenticated user
+ * @param {Object} settings - Approval settings
+ * @returns {Object|null} - Null while no report is awaiting or has had approval
+ */
+function describeApproval(incident, user, settings) {
+  if (!incident.caseFile?.investigationReport?.submittedAt) {
+    return null;
+  }
+
+  const { approval } = getApproval(incident);
+  const current = approval.status === 'in_progress' ? approval.steps[approval.currentStep] : null;
+  const blocker = getDecisionBlocker(approval, user, settings);
+
+  return {
+    chain: approval.chain,
+    version: approval.version,
+    status: approval.status,
+    currentStep: current ? approval.currentStep + 1 : null,
+    totalSteps: approval.steps.length,
+    awaiting: current ? { label: current.label, role: current.role, approvers: current.approvers } : null,
+    steps: approval.steps,
+    decisions: approval.decisions,
+    canDecide: !blocker,
+    blocker
+  };
+}
+
+module.exports = {
+  DEFAULT_CHAIN,
+  OUTCOMES,
+  getApprovalSettings,
+  selectChain,
+  startApproval,
+  getApproval,
+  getStepBlocker,
+  decide,
+  getStepApprovers,
+  describeApproval
+};
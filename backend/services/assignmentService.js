@@ -0,0 +1,251 @@
+/**
+ * Assignment Service
+ *
+ * Ranks investigators for an incident. Each active investigator gets a 0-100
+ * score from three parts, weighted by Settings.assignment.weights:
+ *  - workload: open cases weighted by their case file priority, against the
+ *    investigator's case limit
+ *  - experience: closed cases of the same incident type
+ *  - department: whether the investigator works in the incident's department
+ * Investigators outside their working hours, on time off or at their case
+ * limit are listed as unavailable and never picked.
+ */
+
+const mongoose = require('mongoose');
+const Incident = require('../models/incidentModel');
+const Settings = require('../models/Settings');
+
+// Used when no settings document exists yet
+const DEFAULT_SETTINGS = {
+  autoAssignCritical: true,
+  maxOpenCases: 10,
+  weights: { workload: 0.5, experience: 0.3, department: 0.2 }
+};
+
+// How much an open case counts towards an investigator's workload
+const PRIORITY_LOAD = { low: 0.5, medium: 1, high: 1.5, urgent: 2 };
+
+// Case file priority for incidents that have not been assigned a priority yet
+const SEVERITY_PRIORITY = { low: 'low', medium: 'medium', high: 'high', critical: 'urgent' };
+
+// Closed cases of the same type at which experience counts in full
+const EXPERIENCE_CAP = 5;
+
+/**
+ * Load the assignment settings
+ * @returns {Promise<Object>} - autoAssignCritical, maxOpenCases and weights
+ */
+async function getAssignmentSettings() {
+  const settings = await Settings.findOne().select('assignment').lean();
+  const assignment = (settings && settings.assignment) || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...assignment,
+    weights: { ...DEFAULT_SETTINGS.weights, ...(assignment.weights || {}) }
+  };
+}
+
+/**
+ * Case file priority for an incident
+ * @param {Object} incident - Incident document
+ * @returns {string}
+ */
+function getIncidentPriority(incident) {
+  if (incident.caseFile?.assignedInvestigator && incident.caseFile?.priority) {
+    return incident.caseFile.priority;
+  }
+  return SEVERITY_PRIORITY[incident.severity] || incident.caseFile?.priority || 'medium';
+}
+
+/**
+ * Minutes since midnight for an HH:mm time
+ * @param {string} time - HH:mm
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check a user's availability windows
+ * @param {Object} user - User document
+ * @param {Date} at - Time to check
+ * @returns {string|null} - Why the user is unavailable, or null
+ */
+function getUnavailableReason(user, at = new Date()) {
+  const availability = user.availability || {};
+
+  const timeOff = (availability.timeOff || []).find(period => (
+    new Date(period.from) <= at && new Date(period.to) >= at
+  ));
+  if (timeOff) {
+    return `Time off until ${new Date(timeOff.to).toISOString()}${timeOff.reason ? ` (${timeOff.reason})` : ''}`;
+  }
+
+  const weeklyHours = availability.weeklyHours || [];
+  if (weeklyHours.length > 0) {
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    const working = weeklyHours.some(window => (
+      window.day === at.getDay() &&
+      toMinutes(window.start) <= minutes &&
+      minutes < toMinutes(window.end)
+    ));
+    if (!working) {
+      return 'Outside working hours';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Open caseload and same-type experience per investigator
+ * @param {Array} investigatorIds - User IDs
+ * @param {string} type - Incident type
+ * @param {string} excludeId - Incident being assigned, left out of the caseload
+ * @returns {Promise<Map>} - investigatorId -> { openCases, weightedLoad, sameTypeCases }
+ */
+async function getCaseStats(investigatorIds, type, excludeId) {
+  const rows = await Incident.aggregate([
+    {
+      $match: {
+        assignedTo: { $in: investigatorIds },
+        _id: { $ne: new mongoose.Types.ObjectId(String(excludeId)) }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          investigator: '$assignedTo',
+          open: { $ne: ['$status', 'closed'] },
+          priority: '$caseFile.priority',
+          sameType: { $eq: ['$type', type] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const stats = new Map();
+  rows.forEach(row => {
+    const key = row._id.investigator.toString();
+    if (!stats.has(key)) {
+      stats.set(key, { openCases: 0, weightedLoad: 0, sameTypeCases: 0 });
+    }
+    const entry = stats.get(key);
+    if (row._id.open) {
+      entry.openCases += row.count;
+      entry.weightedLoad += row.count * (PRIORITY_LOAD[row._id.priority] || PRIORITY_LOAD.medium);
+    } else if (row._id.sameType) {
+      entry.sameTypeCases += row.count;
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * Score and rank the active investigators for an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} options - priority and department overrides, `at` time and result `limit`
+ * @returns {Promise<Object>} - { priority, department, suggestions, unavailable }
+ */
+async function rankInvestigators(incident, options = {}) {
+  const User = mongoose.model('User');
+  const settings = await getAssignmentSettings();
+  const priority = options.priority || getIncidentPriority(incident);
+  const at = options.at || new Date();
+
+  let department = options.department;
+  if (!department && incident.reportedBy) {
+    const reporter = incident.reportedBy.department !== undefined
+      ? incident.reportedBy
+      : await User.findById(incident.reportedBy).select('department').lean();
+    department = reporter?.department;
+  }
+
+  const investigators = await User.find({ role: 'investigator', isActive: true })
+    .select('name email department availability')
+    .lean();
+  const stats = await getCaseStats(investigators.map(user => user._id), incident.type, incident._id);
+
+  // Urgent work favours whoever has the most room to start on it now
+  const weights = {
+    ...settings.weights,
+    workload: settings.weights.workload * (PRIORITY_LOAD[priority] || PRIORITY_LOAD.medium)
+  };
+  const totalWeight = weights.workload + weights.experience + weights.department || 1;
+
+  const suggestions = [];
+  const unavailable = [];
+
+  investigators.forEach(user => {
+    const caseStats = stats.get(user._id.toString()) || { openCases: 0, weightedLoad: 0, sameTypeCases: 0 };
+    const capacity = user.availability?.maxOpenCases || settings.maxOpenCases;
+
+    const breakdown = {
+      workload: Math.max(0, 1 - caseStats.weightedLoad / capacity),
+      experience: Math.min(caseStats.sameTypeCases, EXPERIENCE_CAP) / EXPERIENCE_CAP,
+      department: department && user.department &&
+        user.department.toLowerCase() === String(department).toLowerCase() ? 1 : 0
+    };
+    const score = (
+      breakdown.workload * weights.workload +
+      breakdown.experience * weights.experience +
+      breakdown.department * weights.department
+    ) / totalWeight;
+
+    const candidate = {
+      investigator: { _id: user._id, name: user.name, email: user.email, department: user.department },
+      score: Math.round(score * 100),
+      breakdown: Object.fromEntries(
+        Object.entries(breakdown).map(([key, value]) => [key, Number(value.toFixed(2))])
+      ),
+      ...caseStats,
+      capacity
+    };
+
+    const reason = caseStats.openCases >= capacity
+      ? `At case limit (${caseStats.openCases}/${capacity} open cases)`
+      : getUnavailableReason(user, at);
+
+    if (reason) {
+      unavailable.push({ ...candidate, reason });
+    } else {
+      suggestions.push(candidate);
+    }
+  });
+
+  // Highest score first; fewer open cases breaks ties
+  suggestions.sort((a, b) => b.score - a.score || a.openCases - b.openCases);
+
+  return {
+    priority,
+    department: department || null,
+    suggestions: options.limit ? suggestions.slice(0, options.limit) : suggestions,
+    unavailable
+  };
+}
+
+/**
+ * Whether a new incident should be assigned automatically on creation
+ * @param {Object} incident - Newly created incident
+ * @returns {Promise<boolean>}
+ */
+async function shouldAutoAssign(incident) {
+  if (incident.severity !== 'critical') {
+    return false;
+  }
+  const settings = await getAssignmentSettings();
+  return Boolean(settings.autoAssignCritical);
+}
+
+module.exports = {
+  PRIORITY_LOAD,
+  getAssignmentSettings,
+  getIncidentPriority,
+  getUnavailableReason,
+  rankInvestigators,
+  shouldAutoAssign
+};
@@ -0,0 +1,148 @@
+/**
+ * Citation PDF Service
+ *
+ * Renders a traffic citation as a one-page PDF: the vehicle and driver, the
+ * violations with their fines, the amount and due date, any court hearing and
+ * how to pay or contest.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const formatDateTime = (date) => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '-');
+const formatMoney = (amount) => (amount || 0).toFixed(2);
+
+/**
+ * Write a heading followed by label/value rows
+ * @param {PDFDocument} pdf - Document being written
+ * @param {string} title - Section heading
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ */
+function section(pdf, title, rows) {
+  pdf.moveDown(0.8);
+  pdf.font('Helvetica-Bold').fontSize(11).text(title.toUpperCase());
+  pdf.moveDown(0.2);
+  rows.forEach(([label, value]) => {
+    pdf.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true });
+    pdf.font('Helvetica').text(value || '-');
+  });
+}
+
+/**
+ * Write the violations as a table
+ * @param {PDFDocument} pdf - Document being written
+ * @param {Array} violations - Citation violations
+ */
+function violationTable(pdf, violations) {
+  const columns = [
+    { label: 'Code', x: PAGE_MARGIN, width: 70 },
+    { label: 'Violation', x: PAGE_MARGIN + 75, width: 290 },
+    { label: 'Points', x: PAGE_MARGIN + 370, width: 45, align: 'right' },
+    { label: 'Fine', x: PAGE_MARGIN + 420, width: 75, align: 'right' }
+  ];
+
+  const row = (values, font) => {
+    const top = pdf.y;
+    pdf.font(font).fontSize(10);
+    const heights = values.map((value, index) => pdf.heightOfString(value, { width: columns[index].width }));
+    values.forEach((value, index) => {
+      const column = columns[index];
+      pdf.text(value, column.x, top, { width: column.width, align: column.align || 'left' });
+    });
+    pdf.x = PAGE_MARGIN;
+    pdf.y = top + Math.max(...heights) + 4;
+  };
+
+  pdf.moveDown(0.8);
+  pdf.font('Helvetica-Bold').fontSize(11).text('VIOLATIONS');
+  pdf.moveDown(0.2);
+  row(columns.map(column => column.label), 'Helvetica-Bold');
+  violations.forEach(violation => {
+    row([
+      violation.code,
+      `${violation.description || ''}${violation.courtRequired ? ' (court appearance required)' : ''}`,
+      String(violation.points || 0),
+      formatMoney(violation.amount)
+    ], 'Helvetica');
+  });
+}
+
+/**
+ * Render a citation to PDF
+ * @param {Object} citation - Citation with vehicle, issuedBy and person populated
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+function renderCitationPdf(citation) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Citation ${citation.citationNumber}` } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const vehicle = citation.vehicle || {};
+    const officer = citation.issuedBy || {};
+    const driverName = citation.driver?.name || citation.person?.name;
+
+    pdf.font('Helvetica-Bold').fontSize(18).text('TRAFFIC CITATION', { align: 'center' });
+    pdf.font('Helvetica').fontSize(12).text(citation.citationNumber, { align: 'center' });
+    if (citation.status === 'void') {
+      pdf.moveDown(0.3).font('Helvetica-Bold').fontSize(14).fillColor('red').text('VOID', { align: 'center' }).fillColor('black');
+    }
+
+    section(pdf, 'Issued', [
+      ['Date and time', formatDateTime(citation.issuedAt)],
+      ['Location', citation.location?.address],
+      ['Officer', officer.name]
+    ]);
+
+    section(pdf, 'Vehicle', [
+      ['Licence plate', vehicle.licensePlate],
+      ['Vehicle', [vehicle.year, vehicle.make, vehicle.model, vehicle.color && `(${vehicle.color})`].filter(Boolean).join(' ')],
+      ['VIN', vehicle.vin],
+      ['Registered owner', vehicle.ownerName]
+    ]);
+
+    section(pdf, 'Driver', [
+      ['Name', driverName || 'Not identified'],
+      ['Licence number', citation.driver?.licenseNumber]
+    ]);
+
+    violationTable(pdf, citation.violations || []);
+
+    const amountRows = [];
+    if (citation.originalAmount !== undefined && citation.originalAmount !== citation.totalAmount) {
+      amountRows.push(['Original fine', formatMoney(citation.originalAmount)]);
+    }
+    amountRows.push(['Total fine', formatMoney(citation.totalAmount)]);
+    if (citation.amountPaid > 0) {
+      amountRows.push(['Paid', formatMoney(citation.amountPaid)]);
+    }
+    amountRows.push(['Due by', formatDate(citation.dueDate)]);
+    section(pdf, 'Amount', amountRows);
+
+    const courtRequired = (citation.violations || []).some(violation => violation.courtRequired);
+    if (courtRequired || citation.court?.date) {
+      section(pdf, 'Court', [
+        ['Hearing', citation.court?.date ? formatDateTime(citation.court.date) : 'Date to be notified'],
+        ['Court', citation.court?.location],
+        ['Case number', citation.court?.caseNumber]
+      ]);
+    }
+
+    pdf.moveDown(1.2);
+    pdf.font('Helvetica').fontSize(9).text(
+      `Pay the total fine by the due date quoting citation number ${citation.citationNumber}, ` +
+      'or contest the citation before the due date. Fines that are contested are not due until ' +
+      'the contest is decided. Where a court appearance is required the driver must also attend the hearing.'
+    );
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  renderCitationPdf
+};
@@ -0,0 +1,837 @@
+/**
+ * Citation Service
+ *
+ * Traffic citations issued against a vehicle (and optionally a registered
+ * person) for one or more codes from the violation code table. Fines, points
+ * and court requirements are copied from the codes at issue. A citation is
+ * paid (in one or more payments), or contested and then upheld, reduced or
+ * dismissed; contested fines are not due until the contest is decided. Every
+ * citation has a generated PDF stored as a `citation` Document for the
+ * vehicle, which is refreshed whenever the citation changes.
+ */
+
+const mongoose = require('mongoose');
+const Citation = require('../models/Citation');
+const ViolationCode = require('../models/ViolationCode');
+const Vehicle = require('../models/Vehicle');
+const Person = require('../models/Person');
+const Incident = require('../models/incidentModel');
+const Document = require('../models/document');
+const Settings = require('../models/Settings');
+const { nextNumber, seedFromField } = require('./sequenceService');
+const { renderCitationPdf } = require('./citationPdfService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no settings document exists yet
+const DEFAULT_PAYMENT_DUE_DAYS = 30;
+
+const VIOLATION_CATEGORIES = ['moving', 'parking', 'equipment', 'documentation', 'other'];
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'online', 'other'];
+const CONTEST_OUTCOMES = ['upheld', 'reduced', 'dismissed'];
+
+// Violation code fields that can be set through the API
+const VIOLATION_CODE_FIELDS = ['code', 'description', 'category', 'fineAmount', 'points', 'courtRequired', 'isActive'];
+
+const VEHICLE_FIELDS = 'licensePlate vin make model year color ownerName';
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Throw a 400 unless the value is a valid ObjectId
+ * @param {string} id - ID sent by the client
+ * @param {string} label - Name used in the error message
+ */
+function assertId(id, label) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw serviceError(400, `Invalid ${label} ID format`);
+  }
+}
+
+/**
+ * Parse a date sent by the client
+ * @param {*} value - Date string or Date
+ * @param {string} label - Field name used in the error message
+ * @returns {Date}
+ */
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw serviceError(400, `${label} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Parse an optional date that cannot be in the future, defaulting to now
+ * @param {*} value - Date string or Date
+ * @param {string} label - Field name used in the error message
+ * @returns {Date}
+ */
+function parsePastDate(value, label) {
+  const date = value ? parseDate(value, label) : new Date();
+  if (date > new Date()) {
+    throw serviceError(400, `${label} cannot be in the future`);
+  }
+  return date;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Days from issue until a fine is due
+ * @returns {Promise<number>}
+ */
+async function getPaymentDueDays() {
+  const settings = await Settings.findOne().select('citations').lean();
+  return settings?.citations?.paymentDueDays || DEFAULT_PAYMENT_DUE_DAYS;
+}
+
+/**
+ * Citation with its outstanding balance and whether it is overdue
+ * @param {Object} citation - Citation document or lean object
+ * @param {Date} now - Time overdue is measured against
+ * @returns {Object}
+ */
+function withBalance(citation, now = new Date()) {
+  const plain = citation.toObject ? citation.toObject() : citation;
+  const open = ['unpaid', 'contested'].includes(plain.status);
+  return {
+    ...plain,
+    balance: open ? roundMoney(plain.totalAmount - (plain.amountPaid || 0)) : 0,
+    isOverdue: plain.status === 'unpaid' && new Date(plain.dueDate) < now
+  };
+}
+
+/**
+ * Violation codes, ordered by code
+ * @param {Object} options - `includeInactive` to list retired codes too, `category`
+ * @returns {Promise<Array>}
+ */
+async function listViolationCodes({ includeInactive = false, category } = {}) {
+  const query = includeInactive ? {} : { isActive: true };
+  if (category) query.category = category;
+  return ViolationCode.find(query).sort({ code: 1 }).lean();
+}
+
+/**
+ * Copy the settable violation code fields from a request body
+ * @param {Object} data - Request body
+ * @returns {Object}
+ */
+function pickViolationCodeFields(data) {
+  const fields = {};
+  VIOLATION_CODE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+}
+
+/**
+ * Add a code to the violation code table
+ * @param {Object} data - Code fields
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function createViolationCode(data, user) {
+  try {
+    return await ViolationCode.create({ ...pickViolationCodeFields(data), createdBy: user._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw serviceError(409, `Violation code ${String(data.code).toUpperCase()} already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a violation code; citations already issued keep the fine they were issued with
+ * @param {string} codeId - Violation code ID
+ * @param {Object} data - Code fields
+ * @returns {Promise<Object>}
+ */
+async function updateViolationCode(codeId, data) {
+  assertId(codeId, 'violation code');
+  const violationCode = await ViolationCode.findById(codeId);
+  if (!violationCode) {
+    throw serviceError(404, 'Violation code not found');
+  }
+
+  Object.assign(violationCode, pickViolationCodeFields(data));
+  try {
+    await violationCode.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw serviceError(409, `Violation code ${violationCode.code} already exists`);
+    }
+    throw error;
+  }
+  return violationCode;
+}
+
+/**
+ * Look up the active violation codes a citation is issued for
+ * @param {Array<string>} codes - Violation codes
+ * @returns {Promise<Array>} - Citation violation entries
+ */
+async function resolveViolations(codes) {
+  const wanted = [...new Set((Array.isArray(codes) ? codes : [])
+    .filter(code => typeof code === 'string' && code.trim())
+    .map(code => code.trim().toUpperCase()))];
+  if (wanted.length === 0) {
+    throw serviceError(400, 'At least one violation code is required');
+  }
+
+  const found = await ViolationCode.find({ code: { $in: wanted } }).lean();
+  const unknown = wanted.filter(code => !found.some(entry => entry.code === code));
+  if (unknown.length > 0) {
+    throw serviceError(400, `Unknown violation code(s): ${unknown.join(', ')}`);
+  }
+  const inactive = found.filter(entry => !entry.isActive).map(entry => entry.code);
+  if (inactive.length > 0) {
+    throw serviceError(400, `Violation code(s) no longer in use: ${inactive.join(', ')}`);
+  }
+
+  return wanted.map(code => {
+    const entry = found.find(item => item.code === code);
+    return {
+      violationCode: entry._id,
+      code: entry.code,
+      description: entry.description,
+      amount: entry.fineAmount,
+      points: entry.points,
+      courtRequired: entry.courtRequired
+    };
+  });
+}
+
+/**
+ * Validate an optional location
+ * @param {Object} location - `address` and/or `coordinates` ([lng, lat])
+ * @returns {Object|undefined}
+ */
+function normalizeLocation(location) {
+  if (!location) return undefined;
+  const { address, coordinates } = location;
+  if (coordinates !== undefined) {
+    const valid = Array.isArray(coordinates) && coordinates.length === 2 &&
+      coordinates.every(value => typeof value === 'number' && isFinite(value)) &&
+      Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90;
+    if (!valid) {
+      throw serviceError(400, 'Location coordinates must be [longitude, latitude]');
+    }
+  }
+  return { address, coordinates };
+}
+
+/**
+ * Validate an optional court hearing as `$set` paths, so fields that are not
+ * sent keep their stored values
+ * @param {Object} court - `date`, `location` and `caseNumber`
+ * @returns {Object} - e.g. { 'court.date': Date }
+ */
+function courtUpdate(court) {
+  const set = {};
+  if (!court) return set;
+  if (court.date) set['court.date'] = parseDate(court.date, 'Court date');
+  if (court.location !== undefined) set['court.location'] = court.location;
+  if (court.caseNumber !== undefined) set['court.caseNumber'] = court.caseNumber;
+  return set;
+}
+
+/**
+ * Citation by ID as a document, for updates
+ * @param {string} citationId - Citation ID
+ * @returns {Promise<Object>}
+ */
+async function findCitation(citationId) {
+  assertId(citationId, 'citation');
+  const citation = await Citation.findById(citationId);
+  if (!citation) {
+    throw serviceError(404, 'Citation not found');
+  }
+  return citation;
+}
+
+/**
+ * Render the citation PDF and store it on the citation's Document, creating
+ * the Document the first time
+ * @param {string} citationId - Citation ID
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} - Document without its file data
+ */
+async function generateCitationDocument(citationId, user) {
+  const citation = await Citation.findById(citationId)
+    .populate('vehicle', VEHICLE_FIELDS)
+    .populate('person', 'name')
+    .populate('issuedBy', 'name');
+  if (!citation) {
+    throw serviceError(404, 'Citation not found');
+  }
+
+  const fileData = await renderCitationPdf(citation);
+  const now = new Date();
+
+  if (citation.document) {
+    const existing = await Document.findByIdAndUpdate(
+      citation.document,
+      { $set: { fileData, size: fileData.length, lastBinaryUpdate: now } },
+      { new: true }
+    ).select('-fileData');
+    if (existing) {
+      return existing;
+    }
+  }
+
+  // The URL serves the stored PDF, so the Document needs no copy elsewhere
+  const document = await Document.create({
+    name: `${citation.citationNumber}.pdf`,
+    type: 'citation',
+    url: `/api/citations/${citation._id}/pdf`,
+    publicId: `citations/${citation.citationNumber}`,
+    size: fileData.length,
+    uploadedBy: user._id,
+    vehicle: citation.vehicle._id,
+    fileData,
+    lastBinaryUpdate: now,
+    description: `Traffic citation ${citation.citationNumber}`,
+    tags: ['citation', citation.citationNumber]
+  });
+  await Citation.updateOne({ _id: citation._id }, { $set: { document: document._id } });
+
+  const plain = document.toObject();
+  delete plain.fileData;
+  return plain;
+}
+
+/**
+ * Refresh the stored PDF after a change; a failure is logged rather than
+ * undoing the change, and the PDF is rebuilt the next time it is requested
+ * @param {string} citationId - Citation ID
+ * @param {Object} user - Acting user
+ */
+async function refreshCitationDocument(citationId, user) {
+  try {
+    await generateCitationDocument(citationId, user);
+  } catch (error) {
+    logger.error(`Could not generate PDF for citation ${citationId}: ${error.message}`);
+  }
+}
+
+/**
+ * Add an entry to the linked incident's timeline
+ * @param {Object} citation - Citation
+ * @param {string} action - Timeline action
+ * @param {string} description - Timeline description
+ * @param {Object} user - Acting user
+ */
+async function addIncidentTimeline(citation, action, description, user) {
+  if (!citation.incident) return;
+  await Incident.updateOne(
+    { _id: citation.incident },
+    {
+      $push: {
+        timeline: {
+          date: new Date(),
+          action,
+          description,
+          performedBy: user._id
+        }
+      }
+    }
+  );
+}
+
+/**
+ * Issue a citation
+ * @param {Object} data - `vehicleId`, `violationCodes`, `personId`, `driver`
+ * ({ name, licenseNumber }), `incidentId`, `location`, `issuedAt`, `dueDate`,
+ * `court` and `notes`
+ * @param {Object} user - Issuing officer
+ * @returns {Promise<Object>} - { citation, vehicle }
+ */
+async function issueCitation(data, user) {
+  assertId(data.vehicleId, 'vehicle');
+  const vehicle = await Vehicle.findById(data.vehicleId).select(VEHICLE_FIELDS).lean();
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+
+  let person = null;
+  if (data.personId) {
+    assertId(data.personId, 'person');
+    person = await Person.findById(data.personId).select('name mergedInto').lean();
+    if (!person) {
+      throw serviceError(404, 'Person not found');
+    }
+    if (person.mergedInto) {
+      person = await Person.findById(person.mergedInto).select('name').lean();
+    }
+  }
+
+  let incident = null;
+  if (data.incidentId) {
+    assertId(data.incidentId, 'incident');
+    incident = await Incident.findById(data.incidentId).select('incidentNumber title').lean();
+    if (!incident) {
+      throw serviceError(404, 'Incident not found');
+    }
+  }
+
+  const violations = await resolveViolations(data.violationCodes);
+  const issuedAt = parsePastDate(data.issuedAt, 'Issue date');
+
+  let dueDate;
+  if (data.dueDate) {
+    dueDate = parseDate(data.dueDate, 'Due date');
+    if (dueDate <= issuedAt) {
+      throw serviceError(400, 'Due date must be after the issue date');
+    }
+  } else {
+    dueDate = new Date(issuedAt.getTime() + (await getPaymentDueDays()) * DAY_MS);
+  }
+
+  const location = normalizeLocation(data.location);
+  const court = courtUpdate(data.court);
+
+  const citationNumber = await nextNumber('citation', {
+    date: issuedAt,
+    seed: seedFromField(Citation, 'citationNumber')
+  });
+
+  const citation = await Citation.create({
+    citationNumber,
+    vehicle: vehicle._id,
+    person: person?._id,
+    driver: {
+      name: data.driver?.name || person?.name,
+      licenseNumber: data.driver?.licenseNumber
+    },
+    incident: incident?._id,
+    violations,
+    location,
+    issuedAt,
+    issuedBy: user._id,
+    totalAmount: roundMoney(violations.reduce((sum, violation) => sum + violation.amount, 0)),
+    dueDate,
+    court: {
+      date: court['court.date'],
+      location: court['court.location'],
+      caseNumber: court['court.caseNumber']
+    },
+    notes: data.notes
+  });
+
+  await addIncidentTimeline(
+    citation,
+    'Citation Issued',
+    `Citation ${citationNumber} issued to ${vehicle.licensePlate} for ${violations.map(violation => violation.code).join(', ')}`,
+    user
+  );
+  await refreshCitationDocument(citation._id, user);
+
+  return { citation: await getCitation(citation._id), vehicle };
+}
+
+/**
+ * Citation with its vehicle, people, payments, PDF document and balance
+ * @param {string} citationId - Citation ID
+ * @returns {Promise<Object>}
+ */
+async function getCitation(citationId) {
+  assertId(citationId, 'citation');
+  const citation = await Citation.findById(citationId)
+    .populate('vehicle', VEHICLE_FIELDS)
+    .populate('person', 'name')
+    .populate('incident', 'incidentNumber title type status')
+    .populate('issuedBy', 'name email')
+    .populate('payments.recordedBy', 'name')
+    .populate('contest.filedBy', 'name')
+    .populate('contest.resolvedBy', 'name')
+    .populate('voided.by', 'name')
+    .populate('document', 'name type url size')
+    .lean();
+  if (!citation) {
+    throw serviceError(404, 'Citation not found');
+  }
+  return withBalance(citation);
+}
+
+/**
+ * Citations, newest first
+ * @param {Object} filters - `vehicle`, `person`, `incident`, `status`,
+ * `overdue` ('true' for unpaid citations past their due date), `page`, `limit`
+ * @returns {Promise<Object>} - { citations, total, page, pages }
+ */
+async function listCitations({ vehicle, person, incident, status, overdue, page = 1, limit = 20 } = {}) {
+  const query = {};
+  [['vehicle', vehicle], ['person', person], ['incident', incident]].forEach(([field, id]) => {
+    if (id) {
+      assertId(id, field);
+      query[field] = id;
+    }
+  });
+  if (status) query.status = status;
+  if (overdue === 'true' || overdue === true) {
+    query.status = 'unpaid';
+    query.dueDate = { $lt: new Date() };
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+
+  const [citations, total] = await Promise.all([
+    Citation.find(query)
+      .populate('vehicle', 'licensePlate make model year')
+      .populate('person', 'name')
+      .populate('issuedBy', 'name')
+      .sort({ issuedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Citation.countDocuments(query)
+  ]);
+
+  const now = new Date();
+  return {
+    citations: citations.map(citation => withBalance(citation, now)),
+    total,
+    page: pageNumber,
+    pages: Math.ceil(total / pageSize)
+  };
+}
+
+/**
+ * Apply an update only if the citation is still in the expected state
+ * @param {Object} citation - Citation as loaded
+ * @param {Object} update - MongoDB update
+ * @param {Object} extraFilter - Further conditions on the stored citation
+ * @returns {Promise<Object>} - Updated citation
+ */
+async function updateIfUnchanged(citation, update, extraFilter = {}) {
+  const updated = await Citation.findOneAndUpdate(
+    { _id: citation._id, status: citation.status, amountPaid: citation.amountPaid, ...extraFilter },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw serviceError(409, 'The citation changed in the meantime. Reload and try again.');
+  }
+  return updated;
+}
+
+/**
+ * Record a payment against an unpaid citation; it becomes paid once the
+ * balance reaches zero
+ * @param {string} citationId - Citation ID
+ * @param {Object} payment - `amount`, `method`, `reference` and `paidAt`
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function recordPayment(citationId, payment, user) {
+  const citation = await findCitation(citationId);
+  if (citation.status === 'contested') {
+    throw serviceError(409, 'The citation is contested; record the outcome before taking payment');
+  }
+  if (citation.status !== 'unpaid') {
+    throw serviceError(409, `The citation is ${citation.status}`);
+  }
+
+  const amount = roundMoney(Number(payment.amount));
+  if (!isFinite(amount) || amount <= 0) {
+    throw serviceError(400, 'Payment amount must be a positive number');
+  }
+  const balance = roundMoney(citation.totalAmount - citation.amountPaid);
+  if (amount > balance) {
+    throw serviceError(400, `Payment exceeds the balance of ${balance.toFixed(2)}`);
+  }
+  const method = payment.method || 'other';
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw serviceError(400, `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  const paidAt = parsePastDate(payment.paidAt, 'Payment date');
+  const settled = amount === balance;
+
+  await updateIfUnchanged(citation, {
+    $push: { payments: { amount, method, reference: payment.reference, paidAt, recordedBy: user._id } },
+    $inc: { amountPaid: amount },
+    ...(settled && { $set: { status: 'paid', paidAt } })
+  });
+
+  if (settled) {
+    await addIncidentTimeline(citation, 'Citation Paid', `Citation ${citation.citationNumber} paid in full`, user);
+  }
+  await refreshCitationDocument(citation._id, user);
+  return getCitation(citation._id);
+}
+
+/**
+ * Contest an unpaid citation before its due date
+ * @param {string} citationId - Citation ID
+ * @param {Object} details - `reason` and optional `court` ({ date, location, caseNumber })
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function contestCitation(citationId, details, user) {
+  const citation = await findCitation(citationId);
+  if (citation.status !== 'unpaid') {
+    throw serviceError(409, `Only unpaid citations can be contested; this one is ${citation.status}`);
+  }
+  if (citation.amountPaid > 0) {
+    throw serviceError(409, 'A citation that has been partly paid cannot be contested');
+  }
+  if (citation.dueDate < new Date()) {
+    throw serviceError(409, 'The due date has passed; the citation can no longer be contested');
+  }
+  if (!details.reason || !details.reason.trim()) {
+    throw serviceError(400, 'A reason for the contest is required');
+  }
+
+  await updateIfUnchanged(citation, {
+    $set: {
+      status: 'contested',
+      contest: { filedAt: new Date(), reason: details.reason.trim(), filedBy: user._id, outcome: 'pending' },
+      ...courtUpdate(details.court)
+    }
+  });
+
+  await addIncidentTimeline(citation, 'Citation Contested', `Citation ${citation.citationNumber} contested: ${details.reason.trim()}`, user);
+  await refreshCitationDocument(citation._id, user);
+  return getCitation(citation._id);
+}
+
+/**
+ * Set or change the court hearing of an open citation
+ * @param {string} citationId - Citation ID
+ * @param {Object} court - `date`, `location` and `caseNumber`
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function setCourtDate(citationId, court, user) {
+  const citation = await findCitation(citationId);
+  if (!['unpaid', 'contested'].includes(citation.status)) {
+    throw serviceError(409, `Court dates can only be set on open citations; this one is ${citation.status}`);
+  }
+  if (!court || !court.date) {
+    throw serviceError(400, 'Court date is required');
+  }
+
+  const hearing = courtUpdate(court);
+  const updated = await updateIfUnchanged(citation, { $set: hearing });
+
+  await addIncidentTimeline(
+    citation,
+    'Court Date Set',
+    `Citation ${citation.citationNumber} hearing on ${hearing['court.date'].toISOString().slice(0, 10)}${updated.court?.location ? ` at ${updated.court.location}` : ''}`,
+    user
+  );
+  await refreshCitationDocument(citation._id, user);
+  return getCitation(citation._id);
+}
+
+/**
+ * Record the outcome of a contest. An upheld or reduced fine is due again,
+ * no sooner than the standard payment period from the decision.
+ * @param {string} citationId - Citation ID
+ * @param {Object} decision - `outcome` (upheld, reduced, dismissed),
+ * `reducedAmount` for reduced fines, and `notes`
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function resolveContest(citationId, decision, user) {
+  const citation = await findCitation(citationId);
+  if (citation.status !== 'contested') {
+    throw serviceError(409, 'The citation is not contested');
+  }
+  if (!CONTEST_OUTCOMES.includes(decision.outcome)) {
+    throw serviceError(400, `Outcome must be one of: ${CONTEST_OUTCOMES.join(', ')}`);
+  }
+
+  const now = new Date();
+  const set = {
+    'contest.outcome': decision.outcome,
+    'contest.resolvedAt': now,
+    'contest.resolvedBy': user._id,
+    'contest.notes': decision.notes
+  };
+
+  if (decision.outcome === 'dismissed') {
+    set.status = 'dismissed';
+  } else {
+    if (decision.outcome === 'reduced') {
+      const reducedAmount = roundMoney(Number(decision.reducedAmount));
+      if (!isFinite(reducedAmount) || reducedAmount <= 0 || reducedAmount >= citation.totalAmount) {
+        throw serviceError(400, `Reduced amount must be more than 0 and less than ${citation.totalAmount.toFixed(2)}`);
+      }
+      set.originalAmount = citation.totalAmount;
+      set.totalAmount = reducedAmount;
+    }
+    set.status = 'unpaid';
+    const paymentWindow = new Date(now.getTime() + (await getPaymentDueDays()) * DAY_MS);
+    set.dueDate = citation.dueDate > paymentWindow ? citation.dueDate : paymentWindow;
+  }
+
+  await updateIfUnchanged(citation, { $set: set });
+
+  const outcome = decision.outcome === 'reduced'
+    ? `reduced to ${set.totalAmount.toFixed(2)}`
+    : decision.outcome;
+  await addIncidentTimeline(citation, 'Citation Contest Decided', `Citation ${citation.citationNumber} ${outcome}`, user);
+  await refreshCitationDocument(citation._id, user);
+  return getCitation(citation._id);
+}
+
+/**
+ * Void a citation issued in error; citations with payments cannot be voided
+ * @param {string} citationId - Citation ID
+ * @param {string} reason - Why the citation is voided
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function voidCitation(citationId, reason, user) {
+  const citation = await findCitation(citationId);
+  if (!['unpaid', 'contested'].includes(citation.status)) {
+    throw serviceError(409, `The citation is ${citation.status}`);
+  }
+  if (citation.amountPaid > 0) {
+    throw serviceError(409, 'A citation with payments cannot be voided');
+  }
+  if (!reason || !reason.trim()) {
+    throw serviceError(400, 'A reason is required to void a citation');
+  }
+
+  await updateIfUnchanged(citation, {
+    $set: { status: 'void', voided: { at: new Date(), by: user._id, reason: reason.trim() } }
+  });
+
+  await addIncidentTimeline(citation, 'Citation Voided', `Citation ${citation.citationNumber} voided: ${reason.trim()}`, user);
+  await refreshCitationDocument(citation._id, user);
+  return getCitation(citation._id);
+}
+
+/**
+ * The stored citation PDF, rendering it first if it is missing
+ * @param {string} citationId - Citation ID
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} - { fileData, filename, documentId }
+ */
+async function getCitationPdf(citationId, user) {
+  const citation = await findCitation(citationId);
+  let document = citation.document ? await Document.findById(citation.document).select('name fileData') : null;
+
+  if (!document || !document.fileData || document.fileData.length === 0) {
+    const generated = await generateCitationDocument(citation._id, user);
+    document = await Document.findById(generated._id).select('name fileData');
+  }
+
+  return {
+    fileData: document.fileData,
+    filename: document.name,
+    documentId: document._id
+  };
+}
+
+/**
+ * Outstanding citation totals per vehicle, largest unpaid balance first.
+ * Contested citations are counted separately since they are not due yet.
+ * @param {Object} options - `vehicle` to total a single vehicle, `limit`
+ * @returns {Promise<Array>} - Per vehicle: unpaidCount, unpaidBalance,
+ * overdueCount, overdueBalance, contestedCount, contestedBalance
+ */
+async function getUnpaidTotals({ vehicle, limit = 50 } = {}) {
+  const match = { status: { $in: ['unpaid', 'contested'] } };
+  if (vehicle) {
+    assertId(vehicle, 'vehicle');
+    match.vehicle = new mongoose.Types.ObjectId(vehicle);
+  }
+
+  const now = new Date();
+  const balance = { $subtract: ['$totalAmount', '$amountPaid'] };
+  const isUnpaid = { $eq: ['$status', 'unpaid'] };
+  const isOverdue = { $and: [isUnpaid, { $lt: ['$dueDate', now] }] };
+  const isContested = { $eq: ['$status', 'contested'] };
+
+  const totals = await Citation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$vehicle',
+        unpaidCount: { $sum: { $cond: [isUnpaid, 1, 0] } },
+        unpaidBalance: { $sum: { $cond: [isUnpaid, balance, 0] } },
+        overdueCount: { $sum: { $cond: [isOverdue, 1, 0] } },
+        overdueBalance: { $sum: { $cond: [isOverdue, balance, 0] } },
+        contestedCount: { $sum: { $cond: [isContested, 1, 0] } },
+        contestedBalance: { $sum: { $cond: [isContested, balance, 0] } },
+        oldestDueDate: { $min: { $cond: [isUnpaid, '$dueDate', null] } }
+      }
+    },
+    { $sort: { unpaidBalance: -1, _id: 1 } },
+    { $limit: Math.min(Math.max(1, parseInt(limit, 10) || 50), 200) }
+  ]);
+
+  const vehicles = await Vehicle.find({ _id: { $in: totals.map(total => total._id) } })
+    .select('licensePlate make model year ownerName')
+    .lean();
+
+  return totals.map(({ _id, ...total }) => ({
+    vehicle: vehicles.find(entry => entry._id.equals(_id)) || { _id },
+    ...total,
+    unpaidBalance: roundMoney(total.unpaidBalance),
+    overdueBalance: roundMoney(total.overdueBalance),
+    contestedBalance: roundMoney(total.contestedBalance)
+  }));
+}
+
+/**
+ * Outstanding citation totals of one vehicle, zero when it has none
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Object>}
+ */
+async function getVehicleUnpaidTotal(vehicleId) {
+  const [total] = await getUnpaidTotals({ vehicle: vehicleId, limit: 1 });
+  if (total) {
+    return total;
+  }
+  return {
+    vehicle: { _id: vehicleId },
+    unpaidCount: 0,
+    unpaidBalance: 0,
+    overdueCount: 0,
+    overdueBalance: 0,
+    contestedCount: 0,
+    contestedBalance: 0,
+    oldestDueDate: null
+  };
+}
+
+module.exports = {
+  VIOLATION_CATEGORIES,
+  PAYMENT_METHODS,
+  CONTEST_OUTCOMES,
+  listViolationCodes,
+  createViolationCode,
+  updateViolationCode,
+  issueCitation,
+  getCitation,
+  listCitations,
+  recordPayment,
+  contestCitation,
+  setCourtDate,
+  resolveContest,
+  voidCitation,
+  generateCitationDocument,
+  getCitationPdf,
+  getUnpaidTotals,
+  getVehicleUnpaidTotal
+};
@@ -0,0 +1,321 @@
+/**
+ * Vehicle Compliance Service
+ *
+ * Rules engine that checks a vehicle's registration and insurance dates and
+ * its linked registration, insurance and inspection documents. Grace periods
+ * and the documents required for each vehicle status come from the Settings model.
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Document = require('../models/document');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Used when no settings document exists yet
+const DEFAULT_RULES = {
+  registrationGracePeriod: 30,
+  insuranceGracePeriod: 0,
+  expiryWarningPeriod: 30,
+  inspectionValidityPeriod: 365,
+  requiredDocuments: {
+    active: ['registration', 'insurance', 'inspection'],
+    stolen: ['registration'],
+    recovered: ['registration', 'insurance'],
+    impounded: ['registration']
+  }
+};
+
+const RESULT_RANK = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Load the compliance rules from the system settings
+ * @returns {Promise<Object>} - Compliance rules merged over the defaults
+ */
+async function getComplianceRules() {
+  const settings = await Settings.findOne().lean();
+  const configured = (settings && settings.compliance) || {};
+
+  return {
+    ...DEFAULT_RULES,
+    ...configured,
+    requiredDocuments: {
+      ...DEFAULT_RULES.requiredDocuments,
+      ...(configured.requiredDocuments || {})
+    }
+  };
+}
+
+/**
+ * Whole days from `now` until `date` (negative once the date has passed)
+ * @param {Date} date - Target date
+ * @param {Date} now - Reference date
+ * @returns {number} - Days remaining
+ */
+function daysUntil(date, now) {
+  return Math.ceil((new Date(date) - now) / DAY_MS);
+}
+
+/**
+ * Evaluate an expiry date against a grace period and warning window
+ * @param {string} rule - Rule identifier
+ * @param {string} label - Human readable name of what expires
+ * @param {Date} expiry - Expiry date
+ * @param {number} gracePeriod - Days after expiry that are still tolerated
+ * @param {number} warningPeriod - Days before expiry that raise a warning
+ * @param {Date} now - Reference date
+ * @returns {Object} - Rule result
+ */
+function evaluateExpiry(rule, label, expiry, gracePeriod, warningPeriod, now) {
+  if (!expiry) {
+    return {
+      rule,
+      result: 'warn',
+      message: `${label} expiry date is not recorded`
+    };
+  }
+
+  const daysRemaining = daysUntil(expiry, now);
+
+  if (daysRemaining < 0 && -daysRemaining > gracePeriod) {
+    return {
+      rule,
+      result: 'fail',
+      message: `${label} expired ${-daysRemaining} day(s) ago`,
+      expiryDate: expiry,
+      daysRemaining
+    };
+  }
+
+  if (daysRemaining < 0) {
+    return {
+      rule,
+      result: 'warn',
+      message: `${label} expired ${-daysRemaining} day(s) ago and is within the ${gracePeriod} day grace period`,
+      expiryDate: expiry,
+      daysRemaining
+    };
+  }
+
+  if (daysRemaining <= warningPeriod) {
+    return {
+      rule,
+      result: 'warn',
+      message: `${label} expires in ${daysRemaining} day(s)`,
+      expiryDate: expiry,
+      daysRemaining
+    };
+  }
+
+  return {
+    rule,
+    result: 'pass',
+    message: `${label} is valid`,
+    expiryDate: expiry,
+    daysRemaining
+  };
+}
+
+/**
+ * Evaluate a required document type against the vehicle's documents
+ * @param {string} type - Document type (registration, insurance, inspection...)
+ * @param {Array} documents - Documents linked to the vehicle
+ * @param {Object} rules - Compliance rules
+ * @param {Date} now - Reference date
+ * @returns {Object} - Rule result
+ */
+function evaluateDocument(type, documents, rules, now) {
+  const rule = `document_${type}`;
+  const label = `${type.charAt(0).toUpperCase() + type.slice(1)} document`;
+  const candidates = documents.filter(doc =>
+    doc.type === type &&
+    doc.isActive !== false &&
+    !['revoked', 'replaced'].includes(doc.status)
+  );
+
+  if (candidates.length === 0) {
+    return {
+      rule,
+      result: 'fail',
+      message: `${label} is required but none is on file`
+    };
+  }
+
+  // Inspections without an explicit expiry are valid for a fixed period after upload
+  const withExpiry = candidates.map(doc => {
+    let expiry = doc.expiration;
+    if (!expiry && type === 'inspection') {
+      const issued = new Date(doc.uploadDate || doc.createdAt);
+      expiry = new Date(issued.getTime() + rules.inspectionValidityPeriod * DAY_MS);
+    }
+    return { doc, expiry };
+  });
+
+  // Documents without an expiry never lapse, so they win over any dated document
+  const undated = withExpiry.find(item => !item.expiry);
+  if (undated) {
+    return {
+      rule,
+      result: 'pass',
+      message: `${label} is on file`,
+      documentId: undated.doc._id
+    };
+  }
+
+  const latest = withExpiry.sort((a, b) => new Date(b.expiry) - new Date(a.expiry))[0];
+  const result = evaluateExpiry(rule, label, latest.expiry, 0, rules.expiryWarningPeriod, now);
+
+  return {
+    ...result,
+    documentId: latest.doc._id
+  };
+}
+
+/**
+ * Run every compliance rule for a vehicle
+ * @param {Object} vehicle - Vehicle document or lean object
+ * @param {Array} documents - Documents linked to the vehicle
+ * @param {Object} rules - Compliance rules
+ * @param {Date} now - Reference date
+ * @returns {Object} - Compliance report with an overall status and per-rule results
+ */
+function evaluateVehicleCompliance(vehicle, documents, rules, now = new Date()) {
+  const results = [
+    evaluateExpiry(
+      'registration_expiry',
+      'Registration',
+      vehicle.registrationExpiry,
+      rules.registrationGracePeriod,
+      rules.expiryWarningPeriod,
+      now
+    ),
+    evaluateExpiry(
+      'insurance_expiry',
+      'Insurance',
+      vehicle.insuranceExpiry,
+      rules.insuranceGracePeriod,
+      rules.expiryWarningPeriod,
+      now
+    )
+  ];
+
+  const requiredTypes = rules.requiredDocuments[vehicle.status] || [];
+  requiredTypes.forEach(type => {
+    results.push(evaluateDocument(type, documents, rules, now));
+  });
+
+  const status = results.reduce(
+    (worst, item) => (RESULT_RANK[item.result] > RESULT_RANK[worst] ? item.result : worst),
+    'pass'
+  );
+
+  return {
+    vehicleId: vehicle._id,
+    licensePlate: vehicle.licensePlate,
+    vehicleStatus: vehicle.status,
+    status,
+    summary: {
+      pass: results.filter(item => item.result === 'pass').length,
+      warn: results.filter(item => item.result === 'warn').length,
+      fail: results.filter(item => item.result === 'fail').length
+    },
+    results,
+    checkedAt: now
+  };
+}
+
+/**
+ * Check a single vehicle and record the outcome on the vehicle
+ * @param {string} vehicleId - ID of the vehicle to check
+ * @returns {Promise<Object|null>} - Compliance report, or null if the vehicle does not exist
+ */
+async function checkVehicleCompliance(vehicleId) {
+  const vehicle = await Vehicle.findById(vehicleId).lean();
+  if (!vehicle) {
+    return null;
+  }
+
+  const [rules, documents] = await Promise.all([
+    getComplianceRules(),
+    Document.find({ vehicle: vehicle._id }).select('-fileData').lean()
+  ]);
+
+  const report = evaluateVehicleCompliance(vehicle, documents, rules);
+
+  await Vehicle.updateOne(
+    { _id: vehicle._id },
+    { $set: { complianceStatus: report.status, lastComplianceCheck: report.checkedAt } }
+  );
+
+  return report;
+}
+
+/**
+ * Check every vehicle in the fleet (or those matching a filter)
+ * @param {Object} filter - Mongo filter applied to vehicles
+ * @returns {Promise<Object>} - Fleet summary and per-vehicle reports
+ */
+async function checkFleetCompliance(filter = {}) {
+  const rules = await getComplianceRules();
+  const now = new Date();
+  const reports = [];
+  const statusUpdates = [];
+
+  const cursor = Vehicle.find(filter).lean().cursor();
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const documents = await Document.find({ vehicle: { $in: batch.map(v => v._id) } })
+      .select('-fileData')
+      .lean();
+
+    batch.forEach(vehicle => {
+      const vehicleDocuments = documents.filter(doc => doc.vehicle && doc.vehicle.toString() === vehicle._id.toString());
+      const report = evaluateVehicleCompliance(vehicle, vehicleDocuments, rules, now);
+      reports.push(report);
+      statusUpdates.push({
+        updateOne: {
+          filter: { _id: vehicle._id },
+          update: { $set: { complianceStatus: report.status, lastComplianceCheck: now } }
+        }
+      });
+    });
+
+    batch = [];
+  };
+
+  for await (const vehicle of cursor) {
+    batch.push(vehicle);
+    if (batch.length >= 100) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (statusUpdates.length > 0) {
+    await Vehicle.bulkWrite(statusUpdates);
+  }
+
+  logger.info(`Fleet compliance check completed for ${reports.length} vehicles`);
+
+  return {
+    checkedAt: now,
+    total: reports.length,
+    summary: {
+      pass: reports.filter(report => report.status === 'pass').length,
+      warn: reports.filter(report => report.status === 'warn').length,
+      fail: reports.filter(report => report.status === 'fail').length
+    },
+    reports
+  };
+}
+
+module.exports = {
+  getComplianceRules,
+  evaluateVehicleCompliance,
+  checkVehicleCompliance,
+  checkFleetCompliance
+};
@@ -0,0 +1,297 @@
+/**
+ * Evidence Service
+ *
+ * Storage, hashing and chain of custody for incident evidence. Files are kept
+ * unmodified in a private evidence store (never the public uploads folder) so
+ * the SHA-256 hash taken on upload can be checked again later. Every handling
+ * step is appended to the item's custody log; the log is never edited.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const EVIDENCE_DIR = path.resolve(process.env.EVIDENCE_STORAGE_DIR || path.join(__dirname, '../evidence-store'));
+const HASH_ALGORITHM = 'sha256';
+
+/**
+ * Custody actions that can be recorded after collection. `from` lists the
+ * custody states the action is allowed in, `to` the resulting state.
+ */
+const CUSTODY_ACTIONS = {
+  transferred: {
+    label: 'Transferred',
+    from: ['in_custody'],
+    to: 'in_custody'
+  },
+  checked_out: {
+    label: 'Checked out',
+    from: ['in_custody'],
+    to: 'checked_out'
+  },
+  returned: {
+    label: 'Returned',
+    from: ['checked_out'],
+    to: 'in_custody'
+  },
+  destroyed: {
+    label: 'Destroyed',
+    from: ['in_custody'],
+    to: 'destroyed',
+    roles: ['admin', 'officer']
+  }
+};
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Directory holding the evidence files of one incident, created on demand
+ * @param {string} incidentId - Incident ID
+ * @returns {string} - Absolute directory path
+ */
+function getIncidentDir(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw serviceError(400, 'Invalid incident ID');
+  }
+  const dir = path.join(EVIDENCE_DIR, String(incidentId));
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Absolute path of a stored evidence file
+ * @param {string} storagePath - Path relative to the evidence store
+ * @returns {string|null} - Null when the path points outside the store
+ */
+function resolveStoredFile(storagePath) {
+  if (!storagePath) {
+    return null;
+  }
+  const filePath = path.resolve(EVIDENCE_DIR, storagePath);
+  return filePath.startsWith(EVIDENCE_DIR + path.sep) ? filePath : null;
+}
+
+/**
+ * Hash a file without reading it into memory
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Remove uploaded or stored files, ignoring ones that are already gone
+ * @param {Array<string>} filePaths - Absolute file paths
+ */
+function removeFiles(filePaths) {
+  filePaths.filter(Boolean).forEach(filePath => {
+    fs.rm(filePath, { force: true }, () => {});
+  });
+}
+
+/**
+ * Evidence type for a MIME type
+ * @param {string} mimetype - File MIME type
+ * @returns {string}
+ */
+function evidenceTypeFor(mimetype = '') {
+  if (mimetype.startsWith('image/')) return 'photo';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+/**
+ * Build evidence items for uploaded files, each with its content hash and a
+ * `collected` custody entry
+ * @param {string} incidentId - Incident ID
+ * @param {Array} files - Multer files already written to the evidence store
+ * @param {Object} details - type, description, tags and reason from the request
+ * @param {Object} user - Collecting user
+ * @returns {Promise<Array>} - Evidence subdocuments
+ */
+async function buildEvidenceItems(incidentId, files, details, user) {
+  const tags = Array.isArray(details.tags)
+    ? details.tags
+    : String(details.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  const collectedAt = new Date();
+
+  return Promise.all(files.map(async (file) => {
+    const _id = new mongoose.Types.ObjectId();
+
+    return {
+      _id,
+      type: details.type || evidenceTypeFor(file.mimetype),
+      fileUrl: `/api/incidents/${incidentId}/evidence/${_id}/file`,
+      description: details.description,
+      collectedBy: user._id,
+      collectedAt,
+      tags,
+      metadata: {
+        fileType: file.mimetype,
+        fileSize: file.size
+      },
+      originalName: file.originalname,
+      storagePath: path.relative(EVIDENCE_DIR, file.path),
+      hash: {
+        algorithm: HASH_ALGORITHM,
+        value: await hashFile(file.path)
+      },
+      custodyStatus: 'in_custody',
+      currentHolder: user._id,
+      custody: [{
+        action: 'collected',
+        performedBy: user._id,
+        performedAt: collectedAt,
+        reason: details.reason || 'Uploaded as incident evidence'
+      }]
+    };
+  }));
+}
+
+/**
+ * Find an evidence item on an incident
+ * @param {Object} incident - Incident document
+ * @param {string} evidenceId - Evidence item ID
+ * @returns {Object} - Evidence subdocument
+ */
+function findEvidence(incident, evidenceId) {
+  const item = mongoose.Types.ObjectId.isValid(evidenceId) && incident.evidence.id(evidenceId);
+  if (!item) {
+    throw serviceError(404, 'Evidence item not found');
+  }
+  return item;
+}
+
+/**
+ * Build the update that appends a custody entry to an evidence item. The
+ * filter includes the item's current custody state, so an update that
+ * matches nothing means another request changed it first.
+ * @param {Object} incident - Incident document
+ * @param {string} evidenceId - Evidence item ID
+ * @param {string} action - Custody action
+ * @param {Object} user - Acting user
+ * @param {Object} options - reason, and transferredTo for transfers
+ * @returns {Object} - { filter, update, item, entry }
+ */
+function buildCustodyUpdate(incident, evidenceId, action, user, { reason, transferredTo } = {}) {
+  const definition = CUSTODY_ACTIONS[action];
+  if (!definition) {
+    throw serviceError(400, `Unknown custody action: ${action}. Allowed actions: ${Object.keys(CUSTODY_ACTIONS).join(', ')}`);
+  }
+
+  const item = findEvidence(incident, evidenceId);
+
+  if (definition.roles && !definition.roles.includes(user.role)) {
+    throw serviceError(403, `Only ${definition.roles.join(' or ')} users can record "${definition.label}"`);
+  }
+  if (!definition.from.includes(item.custodyStatus)) {
+    throw serviceError(409, `Evidence that is ${item.custodyStatus.replace('_', ' ')} cannot be ${definition.label.toLowerCase()}`);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw serviceError(400, 'A reason is required for every custody entry');
+  }
+  if (action === 'transferred') {
+    if (!transferredTo) {
+      throw serviceError(400, 'The receiving user is required for a transfer');
+    }
+    if (item.currentHolder && item.currentHolder.toString() === transferredTo.toString()) {
+      throw serviceError(400, 'Evidence is already held by that user');
+    }
+  }
+
+  const entry = {
+    action,
+    performedBy: user._id,
+    performedAt: new Date(),
+    reason: String(reason).trim()
+  };
+
+  const set = { 'evidence.$.custodyStatus': definition.to };
+  if (action === 'transferred') {
+    entry.transferredTo = transferredTo;
+    set['evidence.$.currentHolder'] = transferredTo;
+  } else if (action === 'checked_out' || action === 'returned') {
+    set['evidence.$.currentHolder'] = user._id;
+  }
+
+  return {
+    filter: {
+      _id: incident._id,
+      evidence: { $elemMatch: { _id: item._id, custodyStatus: item.custodyStatus } }
+    },
+    update: {
+      $set: set,
+      $push: {
+        'evidence.$.custody': entry,
+        timeline: {
+          date: entry.performedAt,
+          action: `Evidence ${definition.label}`,
+          description: `${item.originalName || item.type}: ${entry.reason}`,
+          performedBy: user._id
+        }
+      }
+    },
+    item,
+    entry
+  };
+}
+
+/**
+ * Hash the stored file again and compare it with the hash taken on upload
+ * @param {Object} item - Evidence subdocument
+ * @returns {Promise<Object>} - { status, matches, expectedHash, actualHash }
+ */
+async function verifyEvidence(item) {
+  const result = {
+    algorithm: item.hash?.algorithm || HASH_ALGORITHM,
+    expectedHash: item.hash?.value || null,
+    actualHash: null
+  };
+
+  if (item.custodyStatus === 'destroyed') {
+    return { ...result, status: 'destroyed', matches: false };
+  }
+  if (!result.expectedHash) {
+    throw serviceError(400, 'This evidence item has no stored file to verify');
+  }
+
+  const filePath = resolveStoredFile(item.storagePath);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { ...result, status: 'missing', matches: false };
+  }
+
+  result.actualHash = await hashFile(filePath);
+  const matches = result.actualHash === result.expectedHash;
+  return { ...result, status: matches ? 'intact' : 'altered', matches };
+}
+
+module.exports = {
+  EVIDENCE_DIR,
+  CUSTODY_ACTIONS,
+  getIncidentDir,
+  resolveStoredFile,
+  hashFile,
+  removeFiles,
+  buildEvidenceItems,
+  findEvidence,
+  buildCustodyUpdate,
+  verifyEvidence
+};
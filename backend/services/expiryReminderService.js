@@ -0,0 +1,256 @@
+/**
+ * Expiry Reminder Service
+ *
+ * Daily sweep over document expiry dates and vehicle registration/insurance
+ * expiry dates. Sends reminders at the configured intervals (30/7/1 days by
+ * default) and marks documents that have passed their expiry date as expired.
+ */
+
+const Document = require('../models/document');
+const Vehicle = require('../models/Vehicle');
+const Settings = require('../models/Settings');
+const { notifyUser, notifyAdmins } = require('../utils/notificationUtils');
+const { emailUser } = require('./mail/mailService');
+const { scheduleDailyJob } = require('./scheduler');
+const logger = require('../utils/logger');
+
+const JOB_NAME = 'expiry-reminders';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Expired vehicle dates older than this are not announced again
+const EXPIRED_NOTICE_WINDOW_DAYS = 7;
+
+// Document statuses that are no longer tracked for expiry
+const INACTIVE_DOCUMENT_STATUSES = ['expired', 'revoked', 'replaced'];
+
+const VEHICLE_EXPIRY_FIELDS = {
+  registrationExpiry: 'Registration',
+  insuranceExpiry: 'Insurance'
+};
+
+/**
+ * Load the reminder configuration from the system settings
+ * @returns {Promise<Object>} - Reminder configuration
+ */
+async function getReminderConfig() {
+  const settings = await Settings.findOne().lean();
+  const configured = (settings && settings.expiryReminders) || {};
+  const intervals = (configured.intervals && configured.intervals.length ? configured.intervals : [30, 7, 1])
+    .filter(interval => interval > 0)
+    .sort((a, b) => a - b);
+
+  return {
+    enabled: configured.enabled !== false,
+    intervals,
+    runHour: configured.runHour !== undefined ? configured.runHour : 2
+  };
+}
+
+/**
+ * Pick the reminder interval that applies to the days remaining
+ * @param {number} daysRemaining - Whole days until expiry
+ * @param {Array<number>} intervals - Reminder intervals sorted ascending
+ * @returns {number|null} - The smallest interval covering the days remaining
+ */
+function pickInterval(daysRemaining, intervals) {
+  return intervals.find(interval => daysRemaining <= interval) || null;
+}
+
+/**
+ * Check whether a reminder was already recorded for this interval and expiry date
+ * @param {Array} sent - Recorded reminders
+ * @param {number} interval - Reminder interval
+ * @param {Date} expiryDate - Expiry date the reminder was for
+ * @param {string} field - Optional field name for vehicle reminders
+ * @returns {boolean}
+ */
+function alreadySent(sent, interval, expiryDate, field) {
+  return (sent || []).some(entry =>
+    entry.interval === interval &&
+    (!field || entry.field === field) &&
+    entry.expiryDate && new Date(entry.expiryDate).getTime() === new Date(expiryDate).getTime()
+  );
+}
+
+/**
+ * Mark documents past their expiry date as expired and notify their uploaders
+ * @param {Date} now - Reference date
+ * @returns {Promise<number>} - Number of documents expired
+ */
+async function expireDocuments(now) {
+  const documents = await Document.find({
+    expiration: { $lte: now },
+    status: { $nin: INACTIVE_DOCUMENT_STATUSES }
+  }).select('name type expiration uploadedBy vehicle');
+
+  for (const doc of documents) {
+    await Document.updateOne({ _id: doc._id }, { $set: { status: 'expired' } });
+
+    if (doc.uploadedBy) {
+      await notifyUser(
+        doc.uploadedBy,
+        'Document Expired',
+        `Document "${doc.name}" (${doc.type}) expired on ${doc.expiration.toDateString()}.`,
+        'warning',
+        'document',
+        doc._id
+      );
+      await emailUser(doc.uploadedBy, 'documentExpiry', {
+        documentName: doc.name,
+        documentType: doc.type,
+        expiryDate: doc.expiration,
+        daysRemaining: 0
+      }, { resourceType: 'document', resourceId: doc._id });
+    }
+  }
+
+  if (documents.length > 0) {
+    await notifyAdmins(
+      'Documents Expired',
+      `${documents.length} document(s) passed their expiry date and were marked as expired.`,
+      'warning',
+      'document'
+    );
+  }
+
+  return documents.length;
+}
+
+/**
+ * Send reminders for documents approaching their expiry date
+ * @param {Array<number>} intervals - Reminder intervals sorted ascending
+ * @param {Date} now - Reference date
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+async function remindExpiringDocuments(intervals, now) {
+  const horizon = new Date(now.getTime() + intervals[intervals.length - 1] * DAY_MS);
+  const documents = await Document.find({
+    expiration: { $gt: now, $lte: horizon },
+    status: { $nin: INACTIVE_DOCUMENT_STATUSES },
+    isActive: { $ne: false }
+  }).select('name type expiration uploadedBy remindersSent');
+
+  let sent = 0;
+  for (const doc of documents) {
+    const daysRemaining = Math.ceil((doc.expiration - now) / DAY_MS);
+    const interval = pickInterval(daysRemaining, intervals);
+
+    if (!interval || !doc.uploadedBy || alreadySent(doc.remindersSent, interval, doc.expiration)) {
+      continue;
+    }
+
+    await notifyUser(
+      doc.uploadedBy,
+      'Document Expiring Soon',
+      `Document "${doc.name}" (${doc.type}) expires in ${daysRemaining} day(s) on ${doc.expiration.toDateString()}.`,
+      'warning',
+      'document',
+      doc._id,
+      interval <= 1
+    );
+    await emailUser(doc.uploadedBy, 'documentExpiry', {
+      documentName: doc.name,
+      documentType: doc.type,
+      expiryDate: doc.expiration,
+      daysRemaining
+    }, { resourceType: 'document', resourceId: doc._id });
+
+    await Document.updateOne(
+      { _id: doc._id },
+      { $push: { remindersSent: { interval, expiryDate: doc.expiration, sentAt: now } } }
+    );
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Send reminders for vehicle registrations and insurance policies that are
+ * about to expire or have just expired
+ * @param {Array<number>} intervals - Reminder intervals sorted ascending
+ * @param {Date} now - Reference date
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+async function remindVehicleExpiries(intervals, now) {
+  const horizon = new Date(now.getTime() + intervals[intervals.length - 1] * DAY_MS);
+  const noticeWindowStart = new Date(now.getTime() - EXPIRED_NOTICE_WINDOW_DAYS * DAY_MS);
+  let sent = 0;
+
+  for (const [field, label] of Object.entries(VEHICLE_EXPIRY_FIELDS)) {
+    const vehicles = await Vehicle.find({
+      [field]: { $gte: noticeWindowStart, $lte: horizon }
+    }).select(`licensePlate make model ${field} expiryReminders`);
+
+    for (const vehicle of vehicles) {
+      const expiryDate = vehicle[field];
+      const daysRemaining = Math.ceil((expiryDate - now) / DAY_MS);
+
+      // Interval 0 records the notice sent once the date has passed
+      const interval = daysRemaining <= 0 ? 0 : pickInterval(daysRemaining, intervals);
+      if (interval === null || alreadySent(vehicle.expiryReminders, interval, expiryDate, field)) {
+        continue;
+      }
+
+      const message = daysRemaining <= 0
+        ? `${label} for vehicle ${vehicle.licensePlate} (${vehicle.make} ${vehicle.model}) expired on ${expiryDate.toDateString()}.`
+        : `${label} for vehicle ${vehicle.licensePlate} (${vehicle.make} ${vehicle.model}) expires in ${daysRemaining} day(s) on ${expiryDate.toDateString()}.`;
+
+      await notifyAdmins(
+        daysRemaining <= 0 ? `Vehicle ${label} Expired` : `Vehicle ${label} Expiring Soon`,
+        message,
+        'warning',
+        'vehicle',
+        vehicle._id,
+        interval <= 1
+      );
+
+      await Vehicle.updateOne(
+        { _id: vehicle._id },
+        { $push: { expiryReminders: { field, interval, expiryDate, sentAt: now } } }
+      );
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Run one full expiry sweep
+ * @returns {Promise<Object>} - Statistics for the run history
+ */
+async function runExpirySweep() {
+  const config = await getReminderConfig();
+  if (!config.enabled) {
+    logger.info('Expiry reminders are disabled in settings, skipping sweep');
+    return { skipped: true };
+  }
+
+  const now = new Date();
+  const documentsExpired = await expireDocuments(now);
+  const documentReminders = config.intervals.length ? await remindExpiringDocuments(config.intervals, now) : 0;
+  const vehicleReminders = config.intervals.length ? await remindVehicleExpiries(config.intervals, now) : 0;
+
+  return {
+    intervals: config.intervals,
+    documentsExpired,
+    documentReminders,
+    vehicleReminders
+  };
+}
+
+/**
+ * Register the daily expiry sweep with the scheduler
+ * @returns {Promise<void>}
+ */
+async function startExpiryReminderJob() {
+  const config = await getReminderConfig();
+  scheduleDailyJob(JOB_NAME, runExpirySweep, { hour: config.runHour });
+}
+
+module.exports = {
+  JOB_NAME,
+  runExpirySweep,
+  startExpiryReminderJob
+};
@@ -0,0 +1,618 @@
+/**
+ * Geocoding Service
+ *
+ * Offline forward and reverse geocoding against a local gazetteer of
+ * addresses, streets, places and cities imported from CSV or GeoJSON.
+ * Matching works on normalized names (lower case, punctuation removed and
+ * common street abbreviations expanded), so "12 Main St." finds "Main Street".
+ */
+
+const GazetteerEntry = require('../models/GazetteerEntry');
+const { parseCsv } = require('../utils/csvUtils');
+
+const MAX_IMPORT_ROWS = 50000;
+const INSERT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 100;
+const MAX_CANDIDATES = 200;
+
+// Best match must reach this confidence before an incident address is placed on it
+const MIN_CONFIDENCE = 0.6;
+
+const ABBREVIATIONS = {
+  st: 'street',
+  str: 'street',
+  ave: 'avenue',
+  av: 'avenue',
+  rd: 'road',
+  blvd: 'boulevard',
+  dr: 'drive',
+  ln: 'lane',
+  ct: 'court',
+  pl: 'place',
+  sq: 'square',
+  hwy: 'highway',
+  pkwy: 'parkway',
+  cir: 'circle',
+  ter: 'terrace',
+  mt: 'mount',
+  ft: 'fort',
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west',
+  ne: 'northeast',
+  nw: 'northwest',
+  se: 'southeast',
+  sw: 'southwest'
+};
+
+// Import column names accepted for each gazetteer field
+const FIELD_ALIASES = {
+  name: ['name', 'label', 'title'],
+  kind: ['kind', 'type', 'category'],
+  street: ['street', 'road', 'streetname'],
+  city: ['city', 'town', 'locality', 'municipality'],
+  state: ['state', 'region', 'province'],
+  zipCode: ['zipcode', 'zip', 'postcode', 'postalcode'],
+  country: ['country'],
+  lat: ['lat', 'latitude', 'y'],
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  population: ['population', 'pop']
+};
+
+const KINDS = ['address', 'street', 'place', 'city'];
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a name for matching
+ * @param {string} text - Name or address fragment
+ * @returns {string} - Lower-case words with abbreviations expanded
+ */
+function normalize(text) {
+  if (!text) {
+    return '';
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Validate a [lng, lat] pair. [0, 0] is the "unknown location" placeholder.
+ * @param {Array} coordinates - Position to check
+ * @returns {boolean}
+ */
+function isValidCoordinates(coordinates) {
+  return Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    coordinates.every(Number.isFinite) &&
+    Math.abs(coordinates[0]) <= 180 &&
+    Math.abs(coordinates[1]) <= 90 &&
+    !(coordinates[0] === 0 && coordinates[1] === 0);
+}
+
+/**
+ * Split a free-text address into its parts
+ * @param {string} text - e.g. "12 Main St, Springfield, IL 62701"
+ * @returns {Object} - houseNumber, street, city, state and zipCode
+ */
+function parseAddress(text) {
+  const segments = String(text || '').split(',').map(segment => segment.trim()).filter(Boolean);
+  const parsed = { houseNumber: null, street: '', city: '', state: '', zipCode: '' };
+  if (segments.length === 0) {
+    return parsed;
+  }
+
+  const first = segments.shift();
+  const house = first.match(/^(\d+[a-z]?)\s+(.+)$/i);
+  if (house) {
+    parsed.houseNumber = house[1];
+  }
+  parsed.street = normalize(house ? house[2] : first);
+
+  // The remaining segments hold the city, state and zip code, e.g. "Springfield, IL 62701"
+  segments.forEach(segment => {
+    let rest = segment;
+
+    const zip = rest.match(/\b(\d{5})(?:-\d{4})?\b/);
+    if (zip) {
+      parsed.zipCode = zip[1];
+      rest = rest.replace(zip[0], '').trim();
+    }
+    if (!rest) {
+      return;
+    }
+
+    const cityAndState = rest.match(/^(.+)\s+([A-Za-z]{2})$/);
+    if (/^[A-Za-z]{2}$/.test(rest)) {
+      parsed.state = rest.toUpperCase();
+    } else if (!parsed.city && cityAndState) {
+      parsed.city = normalize(cityAndState[1]);
+      parsed.state = cityAndState[2].toUpperCase();
+    } else if (!parsed.city) {
+      parsed.city = normalize(rest);
+    } else if (!parsed.state) {
+      parsed.state = rest.toUpperCase();
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Join address parts into one line
+ * @param {Object} address - street, city, state and zipCode
+ * @returns {string}
+ */
+function formatAddress(address = {}) {
+  const region = [address.state, address.zipCode].filter(Boolean).join(' ');
+  return [address.street, address.city, region].filter(Boolean).join(', ');
+}
+
+/**
+ * Distance between two positions in metres
+ * @param {Array} a - [lng, lat]
+ * @param {Array} b - [lng, lat]
+ * @returns {number}
+ */
+function distanceMetres(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b[1] - a[1]);
+  const dLng = toRad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return Math.round(6371000 * 2 * Math.asin(Math.sqrt(h)));
+}
+
+/**
+ * Score how well a gazetteer entry matches a parsed address
+ * @param {Object} entry - Gazetteer entry
+ * @param {Object} parsed - Result of parseAddress
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreEntry(entry, parsed) {
+  const term = parsed.street;
+  let score = 0;
+
+  if (entry.normalizedName === term) {
+    score = 1;
+  } else if (term && entry.normalizedName.startsWith(term)) {
+    // Partial input while the user is still typing
+    score = 0.5 + 0.4 * (term.length / entry.normalizedName.length);
+  } else if (entry.kind === 'city' && parsed.city && entry.normalizedName === parsed.city) {
+    // Only the city is known; its centre is a rough fallback
+    score = 0.5;
+  }
+
+  if (parsed.city && entry.kind !== 'city') {
+    score += entry.normalizedCity === parsed.city ? 0.1 : -0.5;
+  }
+  // Only compare like with like: "IL" against "IL", "ILLINOIS" against "Illinois"
+  if (parsed.state && entry.state && (parsed.state.length === 2) === (entry.state.length === 2)) {
+    score += entry.state.toUpperCase() === parsed.state ? 0.05 : -0.2;
+  }
+  if (parsed.zipCode && entry.zipCode) {
+    score += entry.zipCode === parsed.zipCode ? 0.1 : -0.1;
+  }
+
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
+
+/**
+ * Shape a gazetteer entry as a geocoding result
+ * @param {Object} entry - Gazetteer entry
+ * @param {string|null} houseNumber - House number from the query
+ * @param {number} confidence - Match confidence
+ * @returns {Object}
+ */
+function toResult(entry, houseNumber, confidence) {
+  const isStreet = entry.kind === 'street';
+  const street = entry.kind === 'city'
+    ? ''
+    : [isStreet ? houseNumber : null, isStreet ? entry.name : (entry.street || entry.name)].filter(Boolean).join(' ');
+
+  const address = {
+    street,
+    city: entry.city || (entry.kind === 'city' ? entry.name : ''),
+    state: entry.state || '',
+    zipCode: entry.zipCode || '',
+    country: entry.country || 'USA'
+  };
+
+  return {
+    id: entry._id,
+    name: entry.name,
+    kind: entry.kind,
+    label: formatAddress(address) || entry.name,
+    address,
+    coordinates: entry.location.coordinates,
+    confidence
+  };
+}
+
+/**
+ * Find gazetteer entries matching a free-text address, best first
+ * @param {string} query - Address or partial address
+ * @param {Object} options - limit
+ * @returns {Promise<Array>} - Results with address, coordinates and confidence
+ */
+async function geocode(query, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 5, 1), 20);
+  const parsed = parseAddress(query);
+  if (!parsed.street && !parsed.city) {
+    return [];
+  }
+
+  const conditions = [];
+  if (parsed.street) {
+    conditions.push({ normalizedName: { $regex: `^${escapeRegex(parsed.street)}` } });
+  }
+  if (parsed.city) {
+    conditions.push({ kind: 'city', normalizedName: parsed.city });
+  }
+
+  const candidates = await GazetteerEntry.find({ $or: conditions })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map(entry => ({ entry, confidence: scoreEntry(entry, parsed) }))
+    .filter(match => match.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence || (b.entry.population || 0) - (a.entry.population || 0))
+    .slice(0, limit)
+    .map(match => toResult(match.entry, parsed.houseNumber, match.confidence));
+}
+
+/**
+ * Find the address nearest to a position
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} options - maxDistance in metres for the street match
+ * @returns {Promise<Object|null>} - Address, label and distance, or null when nothing is near
+ */
+async function reverseGeocode(lng, lat, options = {}) {
+  const position = [Number(lng), Number(lat)];
+  if (!isValidCoordinates(position)) {
+    throw badRequest('lng and lat must be valid coordinates');
+  }
+
+  const near = (maxDistance) => ({
+    $near: {
+      $geometry: { type: 'Point', coordinates: position },
+      $maxDistance: maxDistance
+    }
+  });
+
+  const [entry, city] = await Promise.all([
+    GazetteerEntry.findOne({ kind: { $ne: 'city' }, location: near(options.maxDistance || 250) }).lean(),
+    GazetteerEntry.findOne({ kind: 'city', location: near(25000) }).lean()
+  ]);
+
+  if (!entry && !city) {
+    return null;
+  }
+
+  const result = toResult(entry || city, null, 1);
+  if (city && !result.address.city) {
+    result.address.city = city.name;
+    result.address.state = result.address.state || city.state || '';
+    result.label = formatAddress(result.address);
+  }
+  result.distance = distanceMetres(position, (entry || city).location.coordinates);
+
+  return result;
+}
+
+/**
+ * Resolve an incident location to coordinates and a structured address.
+ * Addresses without coordinates are geocoded; coordinates without an address
+ * (captured on a mobile device) are reverse geocoded.
+ * @param {string|Object} location - Address string or { coordinates, address }
+ * @returns {Promise<Object>} - GeoJSON point with address and geocode details
+ */
+async function resolveLocation(location) {
+  const raw = typeof location === 'string' ? { address: location } : (location || {});
+  const address = typeof raw.address === 'string'
+    ? { street: raw.address }
+    : { ...(raw.address || {}) };
+  const coordinates = Array.isArray(raw.coordinates) ? raw.coordinates.map(Number) : null;
+
+  if (isValidCoordinates(coordinates)) {
+    const resolved = { type: 'Point', coordinates, address, geocode: { source: 'device', resolvedAt: new Date() } };
+    if (!formatAddress(address)) {
+      const reverse = await reverseGeocode(coordinates[0], coordinates[1]);
+      if (reverse) {
+        resolved.address = reverse.address;
+        resolved.geocode.matchedName = reverse.name;
+      }
+    }
+    return resolved;
+  }
+
+  const text = formatAddress(address);
+  const [best] = text ? await geocode(text, { limit: 1 }) : [];
+
+  if (best && best.confidence >= MIN_CONFIDENCE) {
+    // A one-line address is replaced by the structured match; otherwise the
+    // fields the user filled in win over the gazetteer's
+    const typed = Object.entries(address).filter(([, value]) => value);
+    const isOneLine = typed.length === 1 && typed[0][0] === 'street';
+
+    return {
+      type: 'Point',
+      coordinates: best.coordinates,
+      address: isOneLine ? best.address : { ...best.address, ...Object.fromEntries(typed) },
+      geocode: {
+        source: 'gazetteer',
+        confidence: best.confidence,
+        matchedName: best.label,
+        resolvedAt: new Date()
+      }
+    };
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [0, 0],
+    address,
+    geocode: { source: 'unresolved', resolvedAt: new Date() }
+  };
+}
+
+/**
+ * Look up a field in an import row by any of its accepted names
+ * @param {Object} row - Row keyed by the file's column names
+ * @param {string} field - Gazetteer field
+ * @returns {*}
+ */
+function pick(row, field) {
+  const key = Object.keys(row).find(column =>
+    FIELD_ALIASES[field].includes(column.toLowerCase().replace(/[^a-z]/g, '')));
+  const value = key !== undefined ? row[key] : undefined;
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Representative point of a GeoJSON geometry
+ * @param {Object} geometry - Point, LineString, MultiLineString, Polygon or MultiPolygon
+ * @returns {Array|null} - [lng, lat]
+ */
+function representativePoint(geometry) {
+  if (!geometry || !geometry.coordinates) {
+    return null;
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      return geometry.coordinates;
+    case 'LineString':
+      // A street is placed at its middle vertex
+      return geometry.coordinates[Math.floor(geometry.coordinates.length / 2)];
+    case 'MultiLineString':
+      return representativePoint({ type: 'LineString', coordinates: geometry.coordinates[0] });
+    case 'Polygon': {
+      const ring = geometry.coordinates[0].slice(0, -1);
+      return [
+        ring.reduce((sum, point) => sum + point[0], 0) / ring.length,
+        ring.reduce((sum, point) => sum + point[1], 0) / ring.length
+      ];
+    }
+    case 'MultiPolygon':
+      return representativePoint({ type: 'Polygon', coordinates: geometry.coordinates[0] });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read import rows from a CSV or GeoJSON file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv or geojson
+ * @returns {Array<Object>} - Rows with a `coordinates` field when taken from geometry
+ */
+function readRows(buffer, format) {
+  const text = buffer.toString('utf8');
+
+  if (format === 'csv') {
+    return parseCsv(text).records;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw badRequest(`Invalid GeoJSON: ${error.message}`);
+  }
+
+  const features = data.type === 'FeatureCollection' ? data.features : [data];
+  if (!Array.isArray(features)) {
+    throw badRequest('GeoJSON must be a Feature or FeatureCollection');
+  }
+
+  return features.map(feature => ({
+    ...(feature.properties || {}),
+    coordinates: representativePoint(feature.geometry)
+  }));
+}
+
+/**
+ * Build a gazetteer entry from an import row
+ * @param {Object} row - Import row
+ * @param {string} source - Import source name
+ * @returns {{ entry: Object|null, error: string|null }}
+ */
+function toEntry(row, source) {
+  const coordinates = row.coordinates
+    ? row.coordinates.slice(0, 2).map(Number)
+    : [parseFloat(pick(row, 'lng')), parseFloat(pick(row, 'lat'))];
+  if (!isValidCoordinates(coordinates)) {
+    return { entry: null, error: 'Missing or invalid coordinates' };
+  }
+
+  const city = pick(row, 'city');
+  const street = pick(row, 'street');
+  const kindValue = String(pick(row, 'kind') || '').toLowerCase();
+  const kind = KINDS.includes(kindValue) ? kindValue : (street || pick(row, 'name') ? 'street' : 'city');
+  const name = pick(row, 'name') || (kind === 'city' ? city : street);
+  if (!name) {
+    return { entry: null, error: 'A name, street or city is required' };
+  }
+
+  const population = parseInt(pick(row, 'population'), 10);
+
+  return {
+    entry: {
+      name,
+      kind,
+      street: street || undefined,
+      city: city || (kind === 'city' ? name : undefined),
+      state: pick(row, 'state') || undefined,
+      zipCode: pick(row, 'zipCode') ? String(pick(row, 'zipCode')) : undefined,
+      country: pick(row, 'country') || undefined,
+      location: { type: 'Point', coordinates },
+      normalizedName: normalize(name),
+      normalizedCity: normalize(city || (kind === 'city' ? name : '')) || undefined,
+      population: Number.isFinite(population) ? population : undefined,
+      source
+    },
+    error: null
+  };
+}
+
+/**
+ * Detect the gazetteer file format from its name
+ * @param {string} fileName - Uploaded file name
+ * @returns {string|null} - csv, geojson or null
+ */
+function detectFormat(fileName = '') {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return 'geojson';
+  return null;
+}
+
+/**
+ * Import gazetteer entries from a CSV or GeoJSON file
+ * @param {Object} options - buffer, fileName, source and replace
+ * @returns {Promise<Object>} - Import summary with row errors
+ */
+async function importGazetteer({ buffer, fileName, source, replace = false }) {
+  const format = detectFormat(fileName);
+  if (!format) {
+    throw badRequest('Unsupported file type. Upload a .csv, .geojson or .json file');
+  }
+
+  const rows = readRows(buffer, format);
+  if (rows.length === 0) {
+    throw badRequest('The file contains no entries');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`A gazetteer file can contain at most ${MAX_IMPORT_ROWS} entries`);
+  }
+
+  const sourceName = (source || fileName).trim();
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const { entry, error } = toEntry(row, sourceName);
+    if (entry) {
+      entries.push(entry);
+    } else if (errors.length < MAX_REPORTED_ERRORS) {
+      errors.push({ row: index + 1, message: error });
+    }
+  });
+
+  let removedCount = 0;
+  if (replace && entries.length > 0) {
+    const removed = await GazetteerEntry.deleteMany({ source: sourceName });
+    removedCount = removed.deletedCount;
+  }
+
+  for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+    await GazetteerEntry.insertMany(entries.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+  }
+
+  return {
+    source: sourceName,
+    format,
+    totalRows: rows.length,
+    importedCount: entries.length,
+    skippedCount: rows.length - entries.length,
+    removedCount,
+    errors
+  };
+}
+
+/**
+ * Count gazetteer entries by source and kind
+ * @returns {Promise<Array>} - One row per source
+ */
+async function getGazetteerSources() {
+  const rows = await GazetteerEntry.aggregate([
+    {
+      $group: {
+        _id: { source: '$source', kind: '$kind' },
+        count: { $sum: 1 },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    }
+  ]);
+
+  const sources = new Map();
+  rows.forEach(row => {
+    const source = sources.get(row._id.source) || { source: row._id.source, total: 0, byKind: {}, updatedAt: null };
+    source.total += row.count;
+    source.byKind[row._id.kind] = row.count;
+    if (!source.updatedAt || row.updatedAt > source.updatedAt) {
+      source.updatedAt = row.updatedAt;
+    }
+    sources.set(row._id.source, source);
+  });
+
+  return [...sources.values()].sort((a, b) => a.source.localeCompare(b.source));
+}
+
+/**
+ * Remove every entry imported from a source
+ * @param {string} source - Source name
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function deleteGazetteerSource(source) {
+  const result = await GazetteerEntry.deleteMany({ source });
+  return result.deletedCount;
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  normalize,
+  parseAddress,
+  formatAddress,
+  detectFormat,
+  geocode,
+  reverseGeocode,
+  resolveLocation,
+  importGazetteer,
+  getGazetteerSources,
+  deleteGazetteerSource
+};
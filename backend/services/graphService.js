@@ -0,0 +1,504 @@
+/**
+ * Graph Service
+ *
+ * Link analysis across vehicles, their owners, incidents, registered persons
+ * and the phone numbers, emails and addresses they share. Starting from one
+ * entity, the graph is expanded breadth first up to the requested depth. Each
+ * entity type has an expander that loads its direct neighbours; owners and
+ * contact details are not stored as documents, so their node IDs are the
+ * normalized owner name or contact value and they are expanded by searching
+ * the vehicles, persons and incidents that mention them.
+ */
+
+const mongoose = require('mongoose');
+const Incident = require('../models/incidentModel');
+const Person = require('../models/Person');
+const {
+  normalizeName,
+  normalizePhone,
+  normalizeEmail
+} = require('../utils/nameMatching');
+
+const MAX_DEPTH = 3;
+
+// Beyond this the graph is cut off and flagged as truncated
+const MAX_NODES = 200;
+
+// Neighbours loaded per query when expanding a node
+const NEIGHBOR_LIMIT = 50;
+
+const ENTITY_TYPES = ['vehicle', 'incident', 'person', 'incident_person', 'owner', 'phone', 'email', 'address'];
+
+const EDGE_TYPES = {
+  involved_in: 'Vehicle involved in incident',
+  party_to: 'Person named in incident',
+  owns: 'Current owner of vehicle',
+  previously_owned: 'Previous owner of vehicle',
+  has_phone: 'Phone number',
+  has_email: 'Email address',
+  has_address: 'Address',
+  same_name: 'Registered person with the same name as an owner'
+};
+
+const VEHICLE_FIELDS = 'licensePlate registrationNumber make model year color status ownerName ownerContact ownerEmail ownerAddress ownershipHistory';
+const INCIDENT_FIELDS = 'incidentNumber title type status severity date vehicle vehicles persons';
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lower-case address with punctuation and spacing collapsed
+ * @param {string} address - Address as entered
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+  return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// How each kind of contact detail is normalized and searched for
+const CONTACT_TYPES = {
+  phone: {
+    edge: 'has_phone',
+    normalize: normalizePhone,
+    // Stored numbers keep their formatting, so allow separators between digits
+    pattern: key => new RegExp(`${key.split('').join('\\D*')}\\D*$`),
+    personQuery: key => ({ 'matchKeys.phones': key }),
+    personField: 'phone',
+    ownerField: 'ownerContact'
+  },
+  email: {
+    edge: 'has_email',
+    normalize: normalizeEmail,
+    pattern: key => new RegExp(`^\\s*${escapeRegex(key)}\\s*$`, 'i'),
+    personQuery: key => ({ 'matchKeys.emails': key }),
+    personField: 'email',
+    ownerField: 'ownerEmail'
+  },
+  address: {
+    edge: 'has_address',
+    normalize: normalizeAddress,
+    pattern: key => new RegExp(`^[^a-z0-9]*${key.split(' ').map(escapeRegex).join('[^a-z0-9]+')}[^a-z0-9]*$`, 'i'),
+    personQuery: key => ({ 'contactHistory.address': CONTACT_TYPES.address.pattern(key) }),
+    personField: 'address',
+    ownerField: 'ownerAddress'
+  }
+};
+
+/**
+ * Regular expression matching owner names containing every token of a name;
+ * callers compare normalized names to rule out extra tokens
+ * @param {string} key - Normalized name
+ * @returns {RegExp}
+ */
+function namePattern(key) {
+  return new RegExp(key.split(' ').map(token => `(?=.*\\b${escapeRegex(token)}\\b)`).join(''), 'i');
+}
+
+/**
+ * Nodes and edges found while expanding one node
+ */
+class Fragment {
+  constructor() {
+    this.nodes = [];
+    this.edges = [];
+  }
+
+  node(type, key, label, data = {}) {
+    const id = `${type}:${key}`;
+    this.nodes.push({ id, type, key: String(key), label, data });
+    return id;
+  }
+
+  edge(source, target, type, data = {}) {
+    this.edges.push({ source, target, type, data });
+  }
+
+  vehicle(vehicle) {
+    return this.node('vehicle', vehicle._id, vehicle.licensePlate || vehicle.registrationNumber, {
+      licensePlate: vehicle.licensePlate,
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+      color: vehicle.color,
+      status: vehicle.status
+    });
+  }
+
+  incident(incident) {
+    return this.node('incident', incident._id, incident.incidentNumber || incident.title, {
+      title: incident.title,
+      type: incident.type,
+      status: incident.status,
+      severity: incident.severity,
+      date: incident.date
+    });
+  }
+
+  person(person) {
+    return this.node('person', person._id, person.name, { aliases: person.aliases });
+  }
+
+  incidentPerson(entry) {
+    return this.node('incident_person', entry._id, entry.name, { role: entry.role, linked: false });
+  }
+
+  owner(name) {
+    const key = normalizeName(name);
+    return key ? this.node('owner', key, name.trim()) : null;
+  }
+
+  contact(type, value) {
+    const key = CONTACT_TYPES[type].normalize(value);
+    return key ? this.node(type, key, String(value).trim()) : null;
+  }
+
+  // Edges from a node to each of its contact details
+  contacts(source, details) {
+    Object.entries(details).forEach(([type, value]) => {
+      const target = value && this.contact(type, value);
+      if (target) {
+        this.edge(source, target, CONTACT_TYPES[type].edge);
+      }
+    });
+  }
+
+  // An incident person entry: the registry record when linked, otherwise the entry itself
+  incidentParty(incidentNode, incidentId, entry) {
+    const source = entry.person
+      ? this.node('person', entry.person._id || entry.person, entry.name)
+      : this.incidentPerson(entry);
+    this.edge(source, incidentNode, 'party_to', { role: entry.role });
+    if (!entry.person && entry.contact) {
+      this.contacts(source, entry.contact);
+    }
+    return source;
+  }
+}
+
+/**
+ * Owner records of a vehicle, current first
+ * @param {Object} vehicle - Vehicle with owner fields and ownership history
+ * @returns {Array<{ record: Object, edge: string }>}
+ */
+function ownerRecords(vehicle) {
+  return [
+    { record: vehicle, edge: 'owns' },
+    ...(vehicle.ownershipHistory || []).map(record => ({ record, edge: 'previously_owned' }))
+  ].filter(({ record }) => record.ownerName);
+}
+
+/**
+ * Add a vehicle's owners, with the contact details recorded for them
+ * @param {Fragment} fragment - Fragment being built
+ * @param {Object} vehicle - Vehicle
+ * @param {Function} include - Which owner records to add
+ */
+function addOwners(fragment, vehicle, include = () => true) {
+  const vehicleNode = fragment.vehicle(vehicle);
+  ownerRecords(vehicle).filter(({ record }) => include(record)).forEach(({ record, edge }) => {
+    const ownerNode = fragment.owner(record.ownerName);
+    if (!ownerNode) return;
+    fragment.edge(ownerNode, vehicleNode, edge, edge === 'previously_owned'
+      ? { ownedFrom: record.ownedFrom, ownedTo: record.ownedTo }
+      : {});
+    fragment.contacts(ownerNode, {
+      phone: record.ownerContact,
+      email: record.ownerEmail,
+      address: record.ownerAddress
+    });
+  });
+}
+
+const expanders = {
+  async vehicle(id, fragment) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const vehicle = await mongoose.model('Vehicle').findById(id).select(VEHICLE_FIELDS).lean();
+    if (!vehicle) return false;
+
+    const vehicleNode = fragment.vehicle(vehicle);
+    ownerRecords(vehicle).forEach(({ record, edge }) => {
+      const ownerNode = fragment.owner(record.ownerName);
+      if (ownerNode) {
+        fragment.edge(ownerNode, vehicleNode, edge, edge === 'previously_owned'
+          ? { ownedFrom: record.ownedFrom, ownedTo: record.ownedTo }
+          : {});
+      }
+    });
+
+    const incidents = await Incident.find({ $or: [{ vehicle: vehicle._id }, { 'vehicles.vehicle': vehicle._id }] })
+      .select(INCIDENT_FIELDS)
+      .sort({ date: -1 })
+      .limit(NEIGHBOR_LIMIT)
+      .lean();
+    incidents.forEach(incident => {
+      const entry = (incident.vehicles || []).find(item => String(item.vehicle) === String(vehicle._id));
+      fragment.edge(vehicleNode, fragment.incident(incident), 'involved_in', { involvement: entry?.involvement });
+    });
+    return true;
+  },
+
+  async incident(id, fragment) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const incident = await Incident.findById(id)
+      .select(INCIDENT_FIELDS)
+      .populate('vehicle', VEHICLE_FIELDS)
+      .populate('vehicles.vehicle', VEHICLE_FIELDS)
+      .populate('persons.person', 'name aliases')
+      .lean();
+    if (!incident) return false;
+
+    const incidentNode = fragment.incident(incident);
+    const vehicles = [
+      ...(incident.vehicle ? [{ vehicle: incident.vehicle }] : []),
+      ...(incident.vehicles || [])
+    ];
+    vehicles.filter(entry => entry.vehicle).forEach(entry => {
+      fragment.edge(fragment.vehicle(entry.vehicle), incidentNode, 'involved_in', { involvement: entry.involvement });
+    });
+    (incident.persons || []).forEach(entry => {
+      if (entry.person) fragment.person(entry.person);
+      fragment.incidentParty(incidentNode, incident._id, entry);
+    });
+    return true;
+  },
+
+  async person(id, fragment) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const person = await Person.findById(id).lean();
+    if (!person) return false;
+
+    const personNode = fragment.person(person);
+    (person.contactHistory || []).forEach(contact => fragment.contacts(personNode, {
+      phone: contact.phone,
+      email: contact.email,
+      address: contact.address
+    }));
+
+    const incidents = await Incident.find({ 'persons.person': person._id })
+      .select(INCIDENT_FIELDS)
+      .sort({ date: -1 })
+      .limit(NEIGHBOR_LIMIT)
+      .lean();
+    incidents.forEach(incident => {
+      const incidentNode = fragment.incident(incident);
+      incident.persons
+        .filter(entry => String(entry.person) === String(person._id))
+        .forEach(entry => fragment.edge(personNode, incidentNode, 'party_to', { role: entry.role }));
+    });
+
+    // Vehicle owners with the person's name or one of their aliases
+    for (const key of person.matchKeys?.names || []) {
+      const owners = await mongoose.model('Vehicle').find({
+        $or: [{ ownerName: namePattern(key) }, { 'ownershipHistory.ownerName': namePattern(key) }]
+      }).select('ownerName ownershipHistory.ownerName').limit(NEIGHBOR_LIMIT).lean();
+
+      const owned = owners.flatMap(vehicle => ownerRecords(vehicle)).find(({ record }) => normalizeName(record.ownerName) === key);
+      if (owned) {
+        fragment.edge(personNode, fragment.owner(owned.record.ownerName), 'same_name');
+      }
+    }
+    return true;
+  },
+
+  async incident_person(id, fragment) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return false;
+    const incident = await Incident.findOne({ 'persons._id': id }).select(INCIDENT_FIELDS).lean();
+    if (!incident) return false;
+
+    const entry = incident.persons.find(item => String(item._id) === String(id));
+    fragment.incidentParty(fragment.incident(incident), incident._id, entry);
+    return true;
+  },
+
+  async owner(key, fragment) {
+    const vehicles = await mongoose.model('Vehicle').find({
+      $or: [{ ownerName: namePattern(key) }, { 'ownershipHistory.ownerName': namePattern(key) }]
+    }).select(VEHICLE_FIELDS).limit(NEIGHBOR_LIMIT).lean();
+
+    const matches = record => normalizeName(record.ownerName) === key;
+    const matching = vehicles.filter(vehicle => ownerRecords(vehicle).some(({ record }) => matches(record)));
+    if (matching.length === 0) return false;
+
+    matching.forEach(vehicle => addOwners(fragment, vehicle, matches));
+
+    const persons = await Person.find({ 'matchKeys.names': key, mergedInto: null })
+      .select('name aliases')
+      .limit(NEIGHBOR_LIMIT)
+      .lean();
+    const ownerNode = `owner:${key}`;
+    persons.forEach(person => fragment.edge(fragment.person(person), ownerNode, 'same_name'));
+    return true;
+  },
+
+  phone: (key, fragment) => expandContact('phone', key, fragment),
+  email: (key, fragment) => expandContact('email', key, fragment),
+  address: (key, fragment) => expandContact('address', key, fragment)
+};
+
+/**
+ * Everyone recorded with a phone number, email or address: registered
+ * persons, vehicle owners and incident persons not linked to the registry
+ * @param {string} type - phone, email or address
+ * @param {string} key - Normalized value
+ * @param {Fragment} fragment - Fragment being built
+ * @returns {Promise<boolean>} - Whether anything uses the value
+ */
+async function expandContact(type, key, fragment) {
+  const config = CONTACT_TYPES[type];
+  if (!key) return false;
+  const pattern = config.pattern(key);
+  const matches = value => value && config.normalize(value) === key;
+  let found = false;
+
+  const persons = await Person.find({ ...config.personQuery(key), mergedInto: null })
+    .select('name aliases contactHistory')
+    .limit(NEIGHBOR_LIMIT)
+    .lean();
+  persons.forEach(person => {
+    const contact = person.contactHistory.find(item => matches(item[config.personField]));
+    if (contact) {
+      fragment.contacts(fragment.person(person), { [type]: contact[config.personField] });
+      found = true;
+    }
+  });
+
+  const historyField = `ownershipHistory.${config.ownerField}`;
+  const vehicles = await mongoose.model('Vehicle').find({
+    $or: [{ [config.ownerField]: pattern }, { [historyField]: pattern }]
+  }).select(VEHICLE_FIELDS).limit(NEIGHBOR_LIMIT).lean();
+  vehicles.forEach(vehicle => {
+    ownerRecords(vehicle)
+      .filter(({ record }) => matches(record[config.ownerField]))
+      .forEach(({ record }) => {
+        const ownerNode = fragment.owner(record.ownerName);
+        if (ownerNode) {
+          fragment.contacts(ownerNode, { [type]: record[config.ownerField] });
+          found = true;
+        }
+      });
+  });
+
+  const incidents = await Incident.find({ [`persons.contact.${config.personField}`]: pattern })
+    .select(INCIDENT_FIELDS)
+    .limit(NEIGHBOR_LIMIT)
+    .lean();
+  incidents.forEach(incident => {
+    incident.persons
+      .filter(entry => !entry.person && matches(entry.contact?.[config.personField]))
+      .forEach(entry => {
+        fragment.incidentParty(fragment.incident(incident), incident._id, entry);
+        found = true;
+      });
+  });
+
+  return found;
+}
+
+/**
+ * Node key for an entity ID given in a request
+ * @param {string} entity - Entity type
+ * @param {string} id - Document ID, owner name or contact value
+ * @returns {string}
+ */
+function toKey(entity, id) {
+  if (entity === 'owner') return normalizeName(id);
+  if (CONTACT_TYPES[entity]) return CONTACT_TYPES[entity].normalize(id);
+  return String(id);
+}
+
+/**
+ * Expand the link graph around an entity
+ * @param {string} entity - vehicle, incident, person, incident_person, owner, phone, email or address
+ * @param {string} id - Document ID, owner name or contact value
+ * @param {number} depth - Hops to follow from the entity (1 to 3)
+ * @returns {Promise<Object>} - { root, depth, nodes, edges, truncated }
+ */
+async function expand(entity, id, depth = 1) {
+  if (!ENTITY_TYPES.includes(entity)) {
+    throw serviceError(400, `Unknown entity: ${entity}. Allowed entities: ${ENTITY_TYPES.join(', ')}`);
+  }
+  const key = toKey(entity, id);
+  if (!key) {
+    throw serviceError(400, 'Please provide the id of the entity to expand');
+  }
+  const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 1, 1), MAX_DEPTH);
+
+  const root = `${entity}:${key}`;
+  const nodes = new Map();
+  const edges = new Map();
+  let truncated = false;
+  let frontier = [{ id: root, type: entity, key }];
+
+  for (let level = 0; level < maxDepth && frontier.length > 0; level++) {
+    const next = [];
+
+    for (const current of frontier) {
+      const fragment = new Fragment();
+      const found = await expanders[current.type](current.key, fragment);
+      if (!found) {
+        if (current.id === root) {
+          throw serviceError(404, `No ${entity.replace(/_/g, ' ')} found for ${id}`);
+        }
+        continue;
+      }
+
+      fragment.nodes.forEach(node => {
+        const known = nodes.get(node.id);
+        if (known) {
+          // Keep the richest description of a node seen from different sides
+          Object.assign(known.data, node.data);
+          return;
+        }
+        if (nodes.size >= MAX_NODES) {
+          truncated = true;
+          return;
+        }
+        nodes.set(node.id, { ...node, depth: node.id === root ? 0 : level + 1 });
+        if (node.id !== root) next.push(node);
+      });
+
+      fragment.edges.forEach(edge => {
+        const edgeId = `${edge.source}|${edge.type}|${edge.target}`;
+        if (!edges.has(edgeId)) {
+          edges.set(edgeId, { id: edgeId, ...edge, label: edge.data.role || edge.data.involvement || edge.type.replace(/_/g, ' ') });
+        }
+      });
+    }
+
+    frontier = next;
+  }
+
+  return {
+    root,
+    depth: maxDepth,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()].filter(edge => nodes.has(edge.source) && nodes.has(edge.target)),
+    edgeTypes: EDGE_TYPES,
+    truncated
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  EDGE_TYPES,
+  MAX_DEPTH,
+  expand
+};
@@ -0,0 +1,773 @@
+/**
+ * Impound Service
+ *
+ * Impound lots and the vehicles held in them. An intake reserves a space in
+ * the lot (lots never go over capacity), records why and by whom the vehicle
+ * was impounded with its photos and contents, and sets the vehicle to
+ * `impounded`. Fees are the lot's intake fee plus its daily fee for every
+ * started day, using the rates in force at intake; a daily job keeps the
+ * accrued amount on each open record current. A vehicle is only released
+ * against proof of ownership (registration, title deed or purchase Document
+ * records) and with the fees paid, or waived by an admin. Intakes and releases
+ * are appended to the vehicle's status history and to the linked incident's
+ * timeline.
+ */
+
+const mongoose = require('mongoose');
+const ImpoundLot = require('../models/ImpoundLot');
+const ImpoundRecord = require('../models/ImpoundRecord');
+const Vehicle = require('../models/Vehicle');
+const Incident = require('../models/incidentModel');
+const Document = require('../models/document');
+const { scheduleDailyJob } = require('./scheduler');
+
+const JOB_NAME = 'impound-fee-accrual';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses a vehicle can be impounded from; it returns to the same status on release
+const IMPOUND_FROM = ['active', 'recovered'];
+
+// Document types accepted as proof of ownership at release
+const RELEASE_DOCUMENT_TYPES = ['registration', 'title_deed', 'purchase'];
+
+const REASON_LABELS = {
+  illegal_parking: 'Illegal parking',
+  abandoned: 'Abandoned',
+  evidence: 'Held as evidence',
+  unregistered: 'Unregistered',
+  uninsured: 'Uninsured',
+  stolen_recovered: 'Recovered stolen vehicle',
+  dui: 'DUI',
+  other: 'Other'
+};
+
+// Lot fields that can be set through the API
+const LOT_FIELDS = ['name', 'code', 'address', 'contactPhone', 'capacity', 'intakeFee', 'dailyFee', 'isActive', 'notes'];
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse an optional date sent by the client
+ * @param {*} value - Date string or Date
+ * @param {string} label - Field name used in the error message
+ * @returns {Date}
+ */
+function parsePastDate(value, label) {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime()) || date > new Date()) {
+    throw serviceError(400, `${label} must be a valid date that is not in the future`);
+  }
+  return date;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const describeVehicle = (vehicle) =>
+  `${vehicle.licensePlate} (${[vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')})`;
+
+/**
+ * Fees for a stay, up to its release or the given time
+ * @param {Object} record - Impound record
+ * @param {Date} asOf - End of the stay for records still open
+ * @returns {Object} - { daysCharged, intakeFee, dailyRate, accrued }
+ */
+function computeFees(record, asOf = new Date()) {
+  const end = record.release?.releasedAt || asOf;
+  const daysCharged = Math.max(1, Math.ceil((end - record.intakeAt) / DAY_MS));
+  const intakeFee = record.fees?.intakeFee || 0;
+  const dailyRate = record.fees?.dailyRate || 0;
+
+  return {
+    daysCharged,
+    intakeFee,
+    dailyRate,
+    accrued: roundMoney(intakeFee + daysCharged * dailyRate)
+  };
+}
+
+/**
+ * Lot with its free spaces and utilization
+ * @param {Object} lot - Lot document or lean object
+ * @returns {Object}
+ */
+function withOccupancy(lot) {
+  const plain = lot.toObject ? lot.toObject() : lot;
+  return {
+    ...plain,
+    available: Math.max(0, plain.capacity - plain.occupied),
+    utilization: plain.capacity ? Math.round((plain.occupied / plain.capacity) * 100) : 0
+  };
+}
+
+/**
+ * Impound lots with their occupancy
+ * @param {Object} options - `includeInactive` to list closed lots too
+ * @returns {Promise<Array>}
+ */
+async function listLots({ includeInactive = false } = {}) {
+  const lots = await ImpoundLot.find(includeInactive ? {} : { isActive: true }).sort({ name: 1 }).lean();
+  return lots.map(withOccupancy);
+}
+
+/**
+ * Impound lot by ID
+ * @param {string} lotId - Lot ID
+ * @returns {Promise<Object>}
+ */
+async function getLot(lotId) {
+  if (!mongoose.Types.ObjectId.isValid(lotId)) {
+    throw serviceError(400, 'Invalid lot ID format');
+  }
+  const lot = await ImpoundLot.findById(lotId);
+  if (!lot) {
+    throw serviceError(404, 'Impound lot not found');
+  }
+  return lot;
+}
+
+/**
+ * Create an impound lot
+ * @param {Object} data - Lot fields
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>}
+ */
+async function createLot(data, user) {
+  const fields = {};
+  LOT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+
+  try {
+    const lot = await ImpoundLot.create({ ...fields, createdBy: user._id });
+    return withOccupancy(lot);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw serviceError(409, `A lot with code ${String(data.code).toUpperCase()} already exists`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update an impound lot; its capacity cannot drop below the vehicles it holds
+ * @param {string} lotId - Lot ID
+ * @param {Object} data - Lot fields
+ * @returns {Promise<Object>}
+ */
+async function updateLot(lotId, data) {
+  const lot = await getLot(lotId);
+  LOT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) lot[field] = data[field];
+  });
+
+  if (lot.capacity < lot.occupied) {
+    throw serviceError(400, `Capacity cannot be lower than the ${lot.occupied} vehicle(s) currently held`);
+  }
+
+  try {
+    await lot.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw serviceError(409, `A lot with code ${lot.code} already exists`);
+    }
+    throw error;
+  }
+  return withOccupancy(lot);
+}
+
+/**
+ * Reserve a space in a lot, failing when the lot is closed or full
+ * @param {string} lotId - Lot ID
+ * @returns {Promise<Object>} - Lot after the reservation
+ */
+async function reserveSpace(lotId) {
+  const lot = await ImpoundLot.findOneAndUpdate(
+    { _id: lotId, isActive: true, $expr: { $lt: ['$occupied', '$capacity'] } },
+    { $inc: { occupied: 1 } },
+    { new: true }
+  );
+  if (lot) {
+    return lot;
+  }
+
+  const existing = await getLot(lotId);
+  if (!existing.isActive) {
+    throw serviceError(400, `${existing.name} is not accepting vehicles`);
+  }
+  throw serviceError(409, `${existing.name} is full (${existing.capacity} vehicles)`);
+}
+
+/**
+ * Give back a space reserved in a lot
+ * @param {string} lotId - Lot ID
+ * @returns {Promise<void>}
+ */
+async function freeSpace(lotId) {
+  await ImpoundLot.updateOne({ _id: lotId, occupied: { $gt: 0 } }, { $inc: { occupied: -1 } });
+}
+
+/**
+ * Inventory lines sent with an intake
+ * @param {Array} inventory - { item, quantity, condition, notes }
+ * @returns {Array}
+ */
+function normalizeInventory(inventory) {
+  if (inventory === undefined || inventory === null) {
+    return [];
+  }
+  if (!Array.isArray(inventory)) {
+    throw serviceError(400, 'inventory must be an array');
+  }
+  return inventory.map(line => {
+    if (!line || !String(line.item || '').trim()) {
+      throw serviceError(400, 'Every inventory line needs an item');
+    }
+    return {
+      item: String(line.item).trim(),
+      quantity: line.quantity ? Number(line.quantity) : 1,
+      condition: line.condition,
+      notes: line.notes
+    };
+  });
+}
+
+/**
+ * Take a vehicle into an impound lot
+ * @param {Object} data - `vehicleId`, `lotId`, `reason`, `reasonDetails`,
+ * `incidentId`, `inventory`, `intakeAt` and `officerId` (defaults to the acting user)
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} - { record, lot, vehicle }
+ */
+async function intakeVehicle(data, user) {
+  if (!mongoose.Types.ObjectId.isValid(data.vehicleId)) {
+    throw serviceError(400, 'Invalid vehicle ID format');
+  }
+  if (!mongoose.Types.ObjectId.isValid(data.lotId)) {
+    throw serviceError(400, 'Invalid lot ID format');
+  }
+  if (!REASON_LABELS[data.reason]) {
+    throw serviceError(400, `Reason must be one of: ${Object.keys(REASON_LABELS).join(', ')}`);
+  }
+
+  const vehicle = await Vehicle.findById(data.vehicleId);
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+  if (vehicle.status === 'impounded') {
+    throw serviceError(409, `${vehicle.licensePlate} is already impounded`);
+  }
+  if (vehicle.status === 'stolen') {
+    throw serviceError(409, `${vehicle.licensePlate} is reported stolen; mark it recovered before impounding it`);
+  }
+  if (!IMPOUND_FROM.includes(vehicle.status)) {
+    throw serviceError(409, `${vehicle.status} vehicles cannot be impounded`);
+  }
+
+  let incident = null;
+  if (data.incidentId) {
+    if (!mongoose.Types.ObjectId.isValid(data.incidentId)) {
+      throw serviceError(400, 'Invalid incident ID format');
+    }
+    incident = await Incident.findById(data.incidentId).select('incidentNumber title');
+    if (!incident) {
+      throw serviceError(404, 'Incident not found');
+    }
+  }
+
+  const inventory = normalizeInventory(data.inventory);
+  const intakeAt = parsePastDate(data.intakeAt, 'Intake date');
+  const lot = await reserveSpace(data.lotId);
+
+  const record = new ImpoundRecord({
+    vehicle: vehicle._id,
+    lot: lot._id,
+    reason: data.reason,
+    reasonDetails: data.reasonDetails,
+    officer: data.officerId || user._id,
+    incident: incident?._id,
+    previousStatus: vehicle.status,
+    intakeAt,
+    inventory,
+    fees: { intakeFee: lot.intakeFee, dailyRate: lot.dailyFee },
+    createdBy: user._id
+  });
+  const fees = computeFees(record);
+  record.fees.daysCharged = fees.daysCharged;
+  record.fees.accrued = fees.accrued;
+  record.fees.accruedAt = new Date();
+
+  try {
+    await record.save();
+  } catch (error) {
+    await freeSpace(lot._id);
+    if (error.code === 11000) {
+      throw serviceError(409, `${vehicle.licensePlate} is already impounded`);
+    }
+    throw error;
+  }
+
+  const note = `${lot.name}: ${REASON_LABELS[data.reason]}${data.reasonDetails ? ` - ${data.reasonDetails}` : ''}`;
+  const updated = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, status: vehicle.status },
+    {
+      $set: { status: 'impounded', lastUpdated: new Date() },
+      $push: {
+        statusHistory: {
+          event: 'impounded',
+          fromStatus: vehicle.status,
+          toStatus: 'impounded',
+          incident: incident?._id,
+          impoundRecord: record._id,
+          note,
+          performedBy: user._id,
+          performedAt: record.intakeAt
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await ImpoundRecord.deleteOne({ _id: record._id });
+    await freeSpace(lot._id);
+    throw serviceError(409, 'The vehicle status changed in the meantime. Reload and try again.');
+  }
+
+  if (incident) {
+    await Incident.updateOne(
+      { _id: incident._id },
+      {
+        $push: {
+          timeline: {
+            date: record.intakeAt,
+            action: 'Vehicle Impounded',
+            description: `${describeVehicle(vehicle)} impounded at ${note}`,
+            performedBy: user._id
+          }
+        }
+      }
+    );
+  }
+
+  return { record, lot: withOccupancy(lot), vehicle: updated };
+}
+
+/**
+ * Add intake photos to an impound record
+ * @param {string} recordId - Impound record ID
+ * @param {Array} files - Uploaded files (Cloudinary `path` and `filename`)
+ * @param {Object} user - Acting user
+ * @param {string} caption - Caption for all the photos
+ * @returns {Promise<Object>} - Updated record
+ */
+async function addPhotos(recordId, files, user, caption) {
+  if (!files || files.length === 0) {
+    throw serviceError(400, 'No photos uploaded');
+  }
+
+  const record = await getRecordDocument(recordId);
+  if (record.status !== 'impounded') {
+    throw serviceError(409, 'Photos can only be added while the vehicle is impounded');
+  }
+
+  record.photos.push(...files.map(file => ({
+    url: file.path,
+    publicId: file.filename,
+    caption,
+    uploadedBy: user._id
+  })));
+  return record.save();
+}
+
+/**
+ * Proof of ownership documents on record for a vehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Array>}
+ */
+async function getProofDocuments(vehicleId) {
+  return Document.find({
+    vehicle: vehicleId,
+    type: { $in: RELEASE_DOCUMENT_TYPES },
+    isActive: { $ne: false }
+  }).select('name type url uploadDate').sort({ uploadDate: -1 }).lean();
+}
+
+/**
+ * Check the proof of ownership documents presented at release
+ * @param {Array} documentIds - Document IDs
+ * @param {string} vehicleId - Impounded vehicle ID
+ * @returns {Promise<Array>} - Documents
+ */
+async function checkReleaseDocuments(documentIds, vehicleId) {
+  const ids = [].concat(documentIds || []).filter(Boolean);
+  if (ids.length === 0) {
+    throw serviceError(400, `Proof of ownership is required: attach a ${RELEASE_DOCUMENT_TYPES.join(', ')} document`);
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw serviceError(400, 'Invalid document ID format');
+  }
+
+  const documents = await Document.find({ _id: { $in: ids } }).select('name type vehicle');
+  if (documents.length !== new Set(ids.map(String)).size) {
+    throw serviceError(404, 'Supporting document not found');
+  }
+  if (documents.some(document => document.vehicle && document.vehicle.toString() !== vehicleId.toString())) {
+    throw serviceError(400, 'Supporting document belongs to a different vehicle');
+  }
+  if (!documents.some(document => RELEASE_DOCUMENT_TYPES.includes(document.type))) {
+    throw serviceError(400, `Proof of ownership must include one of: ${RELEASE_DOCUMENT_TYPES.join(', ')}`);
+  }
+  return documents;
+}
+
+/**
+ * Release an impounded vehicle
+ * @param {string} recordId - Impound record ID
+ * @param {Object} data - `releasedTo` ({ name, contact, idNumber }),
+ * `documentIds`, `amountPaid`, `paymentReference`, `waiveFees`,
+ * `waiverReason`, `releasedAt` and `notes`
+ * @param {Object} user - Acting user
+ * @returns {Promise<Object>} - { record, vehicle }
+ */
+async function releaseVehicle(recordId, data, user) {
+  const record = await getRecordDocument(recordId);
+  if (record.status !== 'impounded') {
+    throw serviceError(409, 'The vehicle has already been released');
+  }
+
+  const releasedTo = data.releasedTo || {};
+  if (!String(releasedTo.name || '').trim()) {
+    throw serviceError(400, 'The name of the person collecting the vehicle is required');
+  }
+
+  const releasedAt = parsePastDate(data.releasedAt, 'Release date');
+  if (releasedAt < record.intakeAt) {
+    throw serviceError(400, 'Release date cannot be earlier than the intake');
+  }
+
+  const documents = await checkReleaseDocuments(data.documentIds, record.vehicle);
+  const fees = computeFees(record, releasedAt);
+
+  const release = {
+    releasedAt,
+    releasedBy: user._id,
+    releasedTo: {
+      name: String(releasedTo.name).trim(),
+      contact: releasedTo.contact,
+      idNumber: releasedTo.idNumber
+    },
+    documents: documents.map(document => document._id),
+    totalFees: fees.accrued,
+    notes: data.notes
+  };
+
+  if (fees.accrued > 0 && data.waiveFees) {
+    if (user.role !== 'admin') {
+      throw serviceError(403, 'Only administrators can waive impound fees');
+    }
+    if (!String(data.waiverReason || '').trim()) {
+      throw serviceError(400, 'A reason is required to waive impound fees');
+    }
+    release.feesWaived = true;
+    release.waiverReason = data.waiverReason;
+    release.amountPaid = 0;
+  } else if (fees.accrued > 0) {
+    const amountPaid = Number(data.amountPaid);
+    if (isNaN(amountPaid) || amountPaid < fees.accrued) {
+      throw serviceError(400, `Impound fees of ${fees.accrued.toFixed(2)} must be paid before release`);
+    }
+    if (!String(data.paymentReference || '').trim()) {
+      throw serviceError(400, 'A payment reference is required');
+    }
+    release.amountPaid = roundMoney(amountPaid);
+    release.paymentReference = String(data.paymentReference).trim();
+  }
+
+  const released = await ImpoundRecord.findOneAndUpdate(
+    { _id: record._id, status: 'impounded' },
+    {
+      $set: {
+        status: 'released',
+        release,
+        'fees.daysCharged': fees.daysCharged,
+        'fees.accrued': fees.accrued,
+        'fees.accruedAt': releasedAt
+      }
+    },
+    { new: true }
+  );
+  if (!released) {
+    throw serviceError(409, 'The vehicle has already been released');
+  }
+
+  await freeSpace(record.lot);
+
+  // Documents uploaded without a vehicle are filed against it
+  await Document.updateMany(
+    { _id: { $in: release.documents }, vehicle: null },
+    { $set: { vehicle: record.vehicle } }
+  );
+
+  const lot = await ImpoundLot.findById(record.lot).select('name');
+  const toStatus = record.previousStatus || 'active';
+  const vehicle = await Vehicle.findOneAndUpdate(
+    { _id: record.vehicle, status: 'impounded' },
+    {
+      $set: { status: toStatus, lastUpdated: new Date() },
+      $push: {
+        statusHistory: {
+          event: 'released',
+          fromStatus: 'impounded',
+          toStatus,
+          incident: record.incident,
+          impoundRecord: record._id,
+          note: `Released from ${lot?.name || 'impound'} to ${release.releasedTo.name}`,
+          performedBy: user._id,
+          performedAt: releasedAt
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (record.incident) {
+    await Incident.updateOne(
+      { _id: record.incident },
+      {
+        $push: {
+          timeline: {
+            date: releasedAt,
+            action: 'Vehicle Released from Impound',
+            description: `${vehicle ? describeVehicle(vehicle) : 'Vehicle'} released from ${lot?.name || 'impound'} ` +
+              `to ${release.releasedTo.name} after ${fees.daysCharged} day(s)` +
+              `${release.feesWaived ? '; fees waived' : ''}`,
+            performedBy: user._id
+          }
+        }
+      }
+    );
+  }
+
+  return { record: released, vehicle };
+}
+
+/**
+ * Impound record document by ID
+ * @param {string} recordId - Impound record ID
+ * @returns {Promise<Object>}
+ */
+async function getRecordDocument(recordId) {
+  if (!mongoose.Types.ObjectId.isValid(recordId)) {
+    throw serviceError(400, 'Invalid impound record ID format');
+  }
+  const record = await ImpoundRecord.findById(recordId);
+  if (!record) {
+    throw serviceError(404, 'Impound record not found');
+  }
+  return record;
+}
+
+/**
+ * Impound record with its current fees and the vehicle's proof of ownership documents
+ * @param {string} recordId - Impound record ID
+ * @returns {Promise<Object>}
+ */
+async function getRecord(recordId) {
+  await getRecordDocument(recordId);
+  const record = await ImpoundRecord.findById(recordId)
+    .populate('vehicle', 'licensePlate vin make model year color status ownerName ownerContact')
+    .populate('lot', 'name code address contactPhone')
+    .populate('officer', 'name email role')
+    .populate('incident', 'incidentNumber title status')
+    .populate('photos.uploadedBy', 'name')
+    .populate('release.releasedBy', 'name email role')
+    .populate('release.documents', 'name type url')
+    .lean();
+
+  return {
+    ...record,
+    currentFees: computeFees(record),
+    proofDocuments: record.status === 'impounded' ? await getProofDocuments(record.vehicle._id) : []
+  };
+}
+
+/**
+ * Impound records, newest intake first
+ * @param {Object} filters - `lot`, `vehicle`, `status`, `page`, `limit`
+ * @returns {Promise<Object>} - { records, total, page, pages }
+ */
+async function listRecords({ lot, vehicle, status, page = 1, limit = 20 } = {}) {
+  [lot, vehicle].filter(Boolean).forEach(id => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw serviceError(400, 'Invalid ID format');
+    }
+  });
+
+  const query = {};
+  if (lot) query.lot = lot;
+  if (vehicle) query.vehicle = vehicle;
+  if (status) query.status = status;
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+
+  const [records, total] = await Promise.all([
+    ImpoundRecord.find(query)
+      .populate('vehicle', 'licensePlate make model year color')
+      .populate('lot', 'name code')
+      .populate('officer', 'name')
+      .sort({ intakeAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    ImpoundRecord.countDocuments(query)
+  ]);
+
+  return {
+    records: records.map(record => ({ ...record, currentFees: computeFees(record) })),
+    total,
+    page: pageNumber,
+    pages: Math.ceil(total / pageSize)
+  };
+}
+
+/**
+ * Bring the accrued fees of every open record up to date
+ * @returns {Promise<Object>} - Statistics for the run history
+ */
+async function runFeeAccrual() {
+  const now = new Date();
+  const records = await ImpoundRecord.find({ status: 'impounded' }).select('intakeAt fees').lean();
+
+  const operations = records.map(record => {
+    const fees = computeFees(record, now);
+    return {
+      updateOne: {
+        filter: { _id: record._id, status: 'impounded' },
+        update: {
+          $set: {
+            'fees.daysCharged': fees.daysCharged,
+            'fees.accrued': fees.accrued,
+            'fees.accruedAt': now
+          }
+        }
+      }
+    };
+  });
+
+  if (operations.length) {
+    await ImpoundRecord.bulkWrite(operations);
+  }
+
+  return {
+    records: operations.length,
+    outstandingFees: roundMoney(records.reduce((sum, record) => sum + computeFees(record, now).accrued, 0))
+  };
+}
+
+/**
+ * Register the daily fee accrual with the scheduler
+ * @returns {Promise<void>}
+ */
+async function startFeeAccrualJob() {
+  scheduleDailyJob(JOB_NAME, runFeeAccrual, { hour: 0 });
+}
+
+/**
+ * Occupancy, held vehicles, fees and intake/release activity of a lot
+ * @param {string} lotId - Lot ID
+ * @param {Object} options - `from` and `to` bound the activity period (default: last 30 days)
+ * @returns {Promise<Object>}
+ */
+async function getLotReport(lotId, { from, to } = {}) {
+  const lot = await getLot(lotId);
+  const periodEnd = to ? new Date(to) : new Date();
+  const periodStart = from ? new Date(from) : new Date(periodEnd.getTime() - 30 * DAY_MS);
+  if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+    throw serviceError(400, 'from and to must be valid dates');
+  }
+  const range = { $gte: periodStart, $lte: periodEnd };
+  const now = new Date();
+
+  const [held, intakes, releases] = await Promise.all([
+    ImpoundRecord.find({ lot: lot._id, status: 'impounded' })
+      .populate('vehicle', 'licensePlate make model year color ownerName')
+      .populate('officer', 'name')
+      .sort({ intakeAt: 1 })
+      .lean(),
+    ImpoundRecord.find({ lot: lot._id, intakeAt: range }).select('reason').lean(),
+    ImpoundRecord.find({ lot: lot._id, 'release.releasedAt': range }).select('intakeAt release fees').lean()
+  ]);
+
+  const vehicles = held.map(record => {
+    const fees = computeFees(record, now);
+    return {
+      _id: record._id,
+      vehicle: record.vehicle,
+      reason: record.reason,
+      reasonDetails: record.reasonDetails,
+      officer: record.officer,
+      incident: record.incident,
+      intakeAt: record.intakeAt,
+      daysHeld: fees.daysCharged,
+      fees
+    };
+  });
+
+  const byReason = {};
+  intakes.forEach(({ reason }) => {
+    byReason[reason] = (byReason[reason] || 0) + 1;
+  });
+
+  const stayDays = releases.map(record => (record.release.releasedAt - record.intakeAt) / DAY_MS);
+
+  return {
+    lot: withOccupancy(lot),
+    vehicles,
+    outstandingFees: roundMoney(vehicles.reduce((sum, vehicle) => sum + vehicle.fees.accrued, 0)),
+    period: {
+      from: periodStart,
+      to: periodEnd,
+      intakes: intakes.length,
+      releases: releases.length,
+      feesCollected: roundMoney(releases.reduce((sum, record) => sum + (record.release.amountPaid || 0), 0)),
+      feesWaived: roundMoney(releases
+        .filter(record => record.release.feesWaived)
+        .reduce((sum, record) => sum + (record.release.totalFees || 0), 0)),
+      averageStayDays: stayDays.length
+        ? Math.round((stayDays.reduce((sum, days) => sum + days, 0) / stayDays.length) * 10) / 10
+        : null,
+      byReason
+    }
+  };
+}
+
+module.exports = {
+  JOB_NAME,
+  REASON_LABELS,
+  RELEASE_DOCUMENT_TYPES,
+  computeFees,
+  listLots,
+  getLot,
+  createLot,
+  updateLot,
+  intakeVehicle,
+  addPhotos,
+  releaseVehicle,
+  getRecord,
+  listRecords,
+  runFeeAccrual,
+  startFeeAccrualJob,
+  getLotReport
+};
@@ -0,0 +1,353 @@
+/**
+ * Incident Geo Service
+ *
+ * Radius and polygon searches over the `location` 2dsphere index, and grid
+ * clustering of incidents into hotspot cells. Incidents still at the [0, 0]
+ * placeholder (no known position) are left out of every query.
+ */
+
+const Incident = require('../models/incidentModel');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_RADIUS = 1000; // metres
+const MAX_RADIUS = 50000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_CELL_SIZE = 0.01; // degrees, roughly 1.1 km of latitude
+const DEFAULT_HOTSPOT_DAYS = 90;
+
+const POPULATE_PATHS = [
+  { path: 'vehicles.vehicle', select: 'registrationNumber licensePlate make model year color' },
+  { path: 'vehicle', select: 'registrationNumber licensePlate make model year color' },
+  { path: 'reportedBy', select: 'name email role' }
+];
+
+// Matches incidents that have a real position
+const LOCATED = { 'location.coordinates': { $ne: [0, 0] } };
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse a numeric query value within bounds
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number}
+ */
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) {
+    throw badRequest(`${name} must be a number`);
+  }
+  if (number < min || number > max) {
+    throw badRequest(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Parse an optional integer with a default and an upper limit
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value used when none is given
+ * @param {number} max - Largest allowed value
+ * @returns {number}
+ */
+function parseLimit(value, fallback, max) {
+  const number = parseInt(value, 10);
+  if (!Number.isFinite(number) || number < 1) {
+    return fallback;
+  }
+  return Math.min(number, max);
+}
+
+/**
+ * Validate a GeoJSON position
+ * @param {Array} position - [lng, lat]
+ * @returns {boolean}
+ */
+function isPosition(position) {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+    Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90;
+}
+
+/**
+ * Validate the rings of a GeoJSON polygon
+ * @param {Array} rings - Polygon coordinates
+ * @returns {boolean}
+ */
+function isPolygonRings(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(ring => {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+      return false;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+  });
+}
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon, optionally wrapped in a Feature
+ * @param {Object} input - Request body geometry
+ * @returns {Object} - The geometry
+ */
+function parsePolygon(input) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+
+  if (!geometry || typeof geometry !== 'object') {
+    throw badRequest('A GeoJSON Polygon or MultiPolygon geometry is required');
+  }
+
+  const valid = (geometry.type === 'Polygon' && isPolygonRings(geometry.coordinates)) ||
+    (geometry.type === 'MultiPolygon' &&
+      Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygonRings));
+
+  if (!valid) {
+    throw badRequest('Geometry must be a GeoJSON Polygon or MultiPolygon with closed rings of [lng, lat] positions');
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+/**
+ * Parse a date query value
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name used in error messages
+ * @returns {Date|null}
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Build the attribute filters shared by all geo queries
+ * @param {Object} params - type, severity, status, from and to
+ * @returns {Object} - Mongo filter
+ */
+function buildFilter(params = {}) {
+  const filter = { ...LOCATED };
+
+  ['type', 'severity', 'status'].forEach(field => {
+    if (params[field]) {
+      const values = String(params[field]).split(',').map(value => value.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+  });
+
+  const from = parseDate(params.from, 'from');
+  const to = parseDate(params.to, 'to');
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  return filter;
+}
+
+/**
+ * Find incidents within a radius of a point, nearest first
+ * @param {Object} params - lng, lat, radius (metres), limit and attribute filters
+ * @param {Object} scope - Extra filter limiting which incidents the user may see
+ * @returns {Promise<Array>} - Incidents with a `distance` field in metres
+ */
+async function findNear(params, scope = {}) {
+  const lng = parseNumber(params.lng, 'lng', -180, 180);
+  const lat = parseNumber(params.lat, 'lat', -90, 90);
+  const radius = params.radius === undefined || params.radius === ''
+    ? DEFAULT_RADIUS
+    : parseNumber(params.radius, 'radius', 1, MAX_RADIUS);
+  const limit = parseLimit(params.limit, DEFAULT_LIMIT, MAX_LIMIT);
+
+  const incidents = await Incident.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: { ...buildFilter(params), ...scope }
+      }
+    },
+    { $limit: limit }
+  ]);
+
+  return Incident.populate(incidents, POPULATE_PATHS);
+}
+
+/**
+ * Find incidents inside a polygon
+ * @param {Object} geometry - GeoJSON Polygon, MultiPolygon or Feature
+ * @param {Object} params - limit and attribute filters
+ * @param {Object} scope - Extra filter limiting which incidents the user may see
+ * @returns {Promise<Array>} - Incidents, newest first
+ */
+async function findWithin(geometry, params = {}, scope = {}) {
+  const polygon = parsePolygon(geometry);
+  const limit = parseLimit(params.limit, DEFAULT_LIMIT, MAX_LIMIT);
+
+  return Incident.find({
+    ...buildFilter(params),
+    ...scope,
+    location: { $geoWithin: { $geometry: polygon } }
+  })
+    .sort({ date: -1 })
+    .limit(limit)
+    .populate(POPULATE_PATHS);
+}
+
+/**
+ * Increment a count in a plain object
+ * @param {Object} counts - Counts keyed by value
+ * @param {string} key - Value to count
+ * @param {number} amount - Amount to add
+ */
+function addCount(counts, key, amount) {
+  const name = key || 'unknown';
+  counts[name] = (counts[name] || 0) + amount;
+}
+
+/**
+ * Cluster incidents into square grid cells and rank the busiest cells
+ * @param {Object} params - from, to, cellSize (degrees), minCount, limit, bbox and attribute filters
+ * @param {Object} scope - Extra filter limiting which incidents the user may see
+ * @returns {Promise<Object>} - Range, cell size and hotspot cells
+ */
+async function getHotspots(params = {}, scope = {}) {
+  const to = parseDate(params.to, 'to') || new Date();
+  const from = parseDate(params.from, 'from') || new Date(to.getTime() - DEFAULT_HOTSPOT_DAYS * DAY_MS);
+  if (from > to) {
+    throw badRequest('from must be before to');
+  }
+
+  const cellSize = params.cellSize === undefined || params.cellSize === ''
+    ? DEFAULT_CELL_SIZE
+    : parseNumber(params.cellSize, 'cellSize', 0.001, 1);
+  const minCount = parseLimit(params.minCount, 2, Number.MAX_SAFE_INTEGER);
+  const limit = parseLimit(params.limit, DEFAULT_LIMIT, MAX_LIMIT);
+
+  const match = { ...buildFilter({ ...params, from, to }), ...scope };
+
+  if (params.bbox) {
+    const values = String(params.bbox).split(',').map(Number);
+    if (values.length !== 4 || !isPosition(values.slice(0, 2)) || !isPosition(values.slice(2))) {
+      throw badRequest('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+    const [minLng, minLat, maxLng, maxLat] = values;
+    match.location = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+        }
+      }
+    };
+  }
+
+  // Group by cell, type and severity in the database; the per-cell breakdown is
+  // assembled here so only one row per combination crosses the wire
+  const rows = await Incident.aggregate([
+    { $match: match },
+    {
+      $project: {
+        type: 1,
+        severity: 1,
+        date: 1,
+        lng: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lng', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } },
+          type: '$type',
+          severity: '$severity'
+        },
+        count: { $sum: 1 },
+        lngTotal: { $sum: '$lng' },
+        latTotal: { $sum: '$lat' },
+        latestAt: { $max: '$date' }
+      }
+    }
+  ]);
+
+  const cells = new Map();
+  rows.forEach(row => {
+    const key = `${row._id.x}:${row._id.y}`;
+    if (!cells.has(key)) {
+      const minLng = row._id.x * cellSize;
+      const minLat = row._id.y * cellSize;
+      cells.set(key, {
+        bounds: [[minLng, minLat], [minLng + cellSize, minLat + cellSize]]
+          .map(corner => corner.map(value => Number(value.toFixed(6)))),
+        count: 0,
+        lngTotal: 0,
+        latTotal: 0,
+        latestAt: null,
+        byType: {},
+        bySeverity: {}
+      });
+    }
+
+    const cell = cells.get(key);
+    cell.count += row.count;
+    cell.lngTotal += row.lngTotal;
+    cell.latTotal += row.latTotal;
+    if (!cell.latestAt || row.latestAt > cell.latestAt) {
+      cell.latestAt = row.latestAt;
+    }
+    addCount(cell.byType, row._id.type, row.count);
+    addCount(cell.bySeverity, row._id.severity, row.count);
+  });
+
+  const hotspots = [...cells.values()]
+    .filter(cell => cell.count >= minCount)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ lngTotal, latTotal, ...cell }) => ({
+      ...cell,
+      // Mean position of the incidents in the cell
+      center: [lngTotal / cell.count, latTotal / cell.count]
+    }));
+
+  return {
+    from,
+    to,
+    cellSize,
+    totalIncidents: rows.reduce((sum, row) => sum + row.count, 0),
+    hotspots
+  };
+}
+
+module.exports = {
+  LOCATED,
+  parsePolygon,
+  buildFilter,
+  findNear,
+  findWithin,
+  getHotspots
+};
@@ -0,0 +1,289 @@
+/**
+ * Incident Workflow
+ *
+ * State machine for Incident.status and caseFile.status. Every status change
+ * goes through one of the transitions below, which define the statuses it may
+ * start from, who may perform it and any precondition it has. Each applied
+ * transition is recorded in the incident timeline.
+ */
+
+const { getApproval, getStepBlocker } = require('./approvalService');
+
+const STATUSES = ['open', 'under_investigation', 'pending', 'closed', 'reopened'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const isAssignee = (incident, user) =>
+  Boolean(incident.assignedTo) && idOf(incident.assignedTo).toString() === user._id.toString();
+
+const reportStatus = (incident) => incident.caseFile?.investigationReport?.status;
+
+const hasSubmittedReport = (incident) => reportStatus(incident) === 'submitted';
+
+const hasReport = (incident) =>
+  Boolean(incident.caseFile?.investigationReport?.submittedAt) ||
+  ['submitted', 'reviewed', 'approved', 'rejected'].includes(reportStatus(incident));
+
+// Reports are reviewed by whoever the current step of the approval chain is waiting for
+const reviewBlocker = (incident, user, { lastStep } = {}) => {
+  if (!hasSubmittedReport(incident)) {
+    return 'No submitted investigation report to review';
+  }
+  const { approval } = getApproval(incident);
+  const blocker = getStepBlocker(approval, user);
+  if (blocker) {
+    return blocker;
+  }
+  if (lastStep && approval.currentStep < approval.steps.length - 1) {
+    return `The report needs ${approval.steps.length - approval.currentStep - 1} more sign-off(s) before it can be approved`;
+  }
+  return null;
+};
+
+/**
+ * Allowed transitions keyed by action. `endpoint` marks actions that need a
+ * dedicated request body (investigator, report or review) and cannot be run
+ * through the generic transition endpoint.
+ */
+const TRANSITIONS = {
+  assign: {
+    label: 'Assign to Investigator',
+    timelineAction: 'Assigned to Investigator',
+    from: ['open', 'under_investigation', 'reopened'],
+    to: 'under_investigation',
+    caseFileStatus: 'assigned',
+    roles: ['admin'],
+    endpoint: 'assign'
+  },
+  start_investigation: {
+    label: 'Start Investigation',
+    timelineAction: 'Investigation Started',
+    from: ['under_investigation'],
+    caseFileFrom: ['assigned'],
+    to: 'under_investigation',
+    caseFileStatus: 'under_investigation',
+    roles: ['investigator'],
+    guard: (incident, user) => (isAssignee(incident, user) ? null : 'You are not assigned to this incident')
+  },
+  submit_report: {
+    label: 'Submit Investigation Report',
+    timelineAction: 'Investigation Report Submitted',
+    from: ['under_investigation', 'reopened'],
+    to: 'pending',
+    caseFileStatus: 'report_submitted',
+    roles: ['investigator'],
+    endpoint: 'report',
+    guard: (incident, user) => {
+      if (!isAssignee(incident, user)) {
+        return 'You are not assigned to this incident';
+      }
+      return hasSubmittedReport(incident) ? 'A report is already awaiting review' : null;
+    }
+  },
+  approve_report: {
+    label: 'Approve Report',
+    timelineAction: 'Investigation Report Approved',
+    from: ['pending'],
+    to: 'closed',
+    caseFileStatus: 'review_complete',
+    roles: ['officer', 'admin'],
+    endpoint: 'review',
+    guard: (incident, user) => reviewBlocker(incident, user, { lastStep: true })
+  },
+  reject_report: {
+    label: 'Reject Report',
+    timelineAction: 'Investigation Report Rejected',
+    from: ['pending'],
+    to: 'reopened',
+    caseFileStatus: 'under_investigation',
+    roles: ['officer', 'admin'],
+    endpoint: 'review',
+    guard: (incident, user) => reviewBlocker(incident, user)
+  },
+  close: {
+    label: 'Close Incident',
+    timelineAction: 'Incident Closed',
+    from: ['open', 'under_investigation', 'pending', 'reopened'],
+    to: 'closed',
+    caseFileStatus: 'closed',
+    roles: ['admin'],
+    guard: (incident) => (hasReport(incident) ? null : 'An incident cannot be closed before an investigation report is submitted')
+  },
+  reopen: {
+    label: 'Reopen Incident',
+    timelineAction: 'Incident Reopened',
+    from: ['closed'],
+    to: 'reopened',
+    caseFileStatus: (incident) => (incident.assignedTo ? 'under_investigation' : 'not_assigned'),
+    roles: ['admin', 'officer'],
+    requiresNote: true
+  }
+};
+
+/**
+ * Create an error carrying the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function workflowError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Check whether a transition can be applied to an incident by a user
+ * @param {Object} incident - Incident document
+ * @param {string} action - Transition name
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - `system: true` for transitions applied by a rule
+ * configured in the settings, which skip the role check
+ * @returns {Error|null} - Reason the transition is not allowed, or null
+ */
+function checkTransition(incident, action, user, options = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return workflowError(400, `Unknown transition: ${action}`);
+  }
+
+  const status = incident.status || 'open';
+  if (!transition.from.includes(status)) {
+    return workflowError(409, `Cannot ${transition.label.toLowerCase()} while the incident is ${status}`);
+  }
+
+  const caseFileStatus = incident.caseFile?.status || 'not_assigned';
+  if (transition.caseFileFrom && !transition.caseFileFrom.includes(caseFileStatus)) {
+    return workflowError(409, `Cannot ${transition.label.toLowerCase()} while the case file is ${caseFileStatus}`);
+  }
+
+  if (!options.system && !transition.roles.includes(user.role)) {
+    return workflowError(403, `Only ${transition.roles.join(' or ')} users can ${transition.label.toLowerCase()}`);
+  }
+
+  const reason = transition.guard ? transition.guard(incident, user) : null;
+  if (reason) {
+    return workflowError(409, reason);
+  }
+
+  return null;
+}
+
+/**
+ * List the transitions available to a user for an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} user - Authenticated user
+ * @returns {Object} - Allowed transitions, plus those the user's role could
+ * perform from the current status but that are blocked by a precondition
+ */
+function getTransitions(incident, user) {
+  const transitions = [];
+  const blocked = [];
+
+  Object.entries(TRANSITIONS).forEach(([action, transition]) => {
+    const error = checkTransition(incident, action, user);
+    const summary = {
+      action,
+      label: transition.label,
+      to: transition.to,
+      requiresNote: Boolean(transition.requiresNote),
+      endpoint: transition.endpoint || null
+    };
+
+    if (!error) {
+      transitions.push(summary);
+    } else if (error.statusCode === 409 && transition.roles.includes(user.role) && transition.from.includes(incident.status)) {
+      blocked.push({ ...summary, reason: error.message });
+    }
+  });
+
+  return {
+    currentStatus: incident.status,
+    caseFileStatus: incident.caseFile?.status || 'not_assigned',
+    transitions,
+    blocked
+  };
+}
+
+/**
+ * Find the transition that moves an incident to the given status
+ * @param {Object} incident - Incident document
+ * @param {string} status - Target status
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} - Action name of a generic transition the user may perform
+ */
+function findTransitionForStatus(incident, status, user) {
+  const action = Object.keys(TRANSITIONS).find(name => {
+    const transition = TRANSITIONS[name];
+    return !transition.endpoint && transition.to === status && transition.from.includes(incident.status);
+  });
+
+  return action && !checkTransition(incident, action, user) ? action : null;
+}
+
+/**
+ * Build the update for a transition. The returned filter only matches while the
+ * incident still has the status the transition was checked against, so two
+ * concurrent transitions cannot both be applied.
+ * @param {Object} incident - Incident document
+ * @param {string} action - Transition name
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - note, description, extra `set` fields and `system`
+ * @returns {{ filter: Object, update: Object }} - Arguments for findOneAndUpdate
+ * @throws {Error} - With statusCode 400, 403 or 409 when the transition is not allowed
+ */
+function buildTransition(incident, action, user, options = {}) {
+  const error = checkTransition(incident, action, user, { system: options.system });
+  if (error) {
+    throw error;
+  }
+
+  const transition = TRANSITIONS[action];
+  const note = options.note ? String(options.note).trim() : '';
+  if (transition.requiresNote && !note) {
+    throw workflowError(400, `A note is required to ${transition.label.toLowerCase()}`);
+  }
+
+  const fromStatus = incident.status || 'open';
+  const caseFileStatus = typeof transition.caseFileStatus === 'function'
+    ? transition.caseFileStatus(incident)
+    : transition.caseFileStatus;
+  const performer = user.name || user.email;
+
+  let description = options.description ||
+    `Status changed from ${fromStatus} to ${transition.to} by ${performer}`;
+  if (note) {
+    description += `. Note: ${note}`;
+  }
+
+  return {
+    filter: { _id: incident._id, status: fromStatus },
+    update: {
+      $set: {
+        ...(options.set || {}),
+        status: transition.to,
+        'caseFile.status': caseFileStatus
+      },
+      $push: {
+        timeline: {
+          date: new Date(),
+          action: transition.timelineAction,
+          description,
+          performedBy: user._id,
+          transition: action,
+          fromStatus,
+          toStatus: transition.to
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  checkTransition,
+  getTransitions,
+  findTransitionForStatus,
+  buildTransition
+};
@@ -0,0 +1,244 @@
+/**
+ * Mail Service
+ *
+ * Renders templates, delivers them through the configured transport and keeps
+ * a delivery log in the EmailLog collection. Failed deliveries are retried
+ * with exponential backoff by the queue worker until maxAttempts is reached.
+ */
+
+const mongoose = require('mongoose');
+const EmailLog = require('../../models/EmailLog');
+const User = require('../../models/User');
+const Settings = require('../../models/Settings');
+const { renderTemplate } = require('./templates');
+const { getTransport, getTransportName } = require('./transport');
+const logger = require('../../utils/logger');
+
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const QUEUE_INTERVAL_MS = 60 * 1000;
+
+// Transactional templates are sent even when email notifications are switched off
+const TRANSACTIONAL_TEMPLATES = ['passwordReset'];
+
+// Templates whose body carries a secret (such as a reset link). Their body is
+// never stored, so they get a single delivery attempt and cannot be resent
+const SENSITIVE_TEMPLATES = ['passwordReset'];
+
+let queueTimer = null;
+let processingQueue = false;
+
+/**
+ * Check the system setting for email notifications
+ * @returns {Promise<boolean>}
+ */
+async function emailNotificationsEnabled() {
+  const settings = await Settings.findOne().select('emailNotifications').lean();
+  return !settings || settings.emailNotifications !== false;
+}
+
+/**
+ * Build a link into the frontend for use in emails
+ * @param {string} path - Frontend path, e.g. /incidents/123
+ * @returns {string|null} - Absolute URL, or null when FRONTEND_URL is not configured
+ */
+function getFrontendUrl(path) {
+  if (!process.env.FRONTEND_URL) {
+    return null;
+  }
+  return `${process.env.FRONTEND_URL.replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Whether a logged email can be delivered again from its stored body
+ * @param {Object} log - EmailLog document
+ * @returns {boolean}
+ */
+function isResendable(log) {
+  return !SENSITIVE_TEMPLATES.includes(log.template);
+}
+
+/**
+ * Attempt delivery of a logged email and update its log entry
+ * @param {Object} log - EmailLog document
+ * @param {Object} content - Body to send ({ text, html }), for emails whose body is not stored
+ * @returns {Promise<Object>} - Updated EmailLog document
+ */
+async function deliver(log, content = log) {
+  log.status = 'sending';
+  log.attempts += 1;
+  log.transport = getTransportName();
+  await log.save();
+
+  try {
+    const info = await getTransport().sendMail({
+      from: process.env.MAIL_FROM || 'Vehicle Investigation System <no-reply@vis.local>',
+      to: log.to,
+      subject: log.subject,
+      text: content.text,
+      html: content.html
+    });
+
+    log.status = 'sent';
+    log.sentAt = new Date();
+    log.messageId = info.messageId;
+    log.lastError = undefined;
+    log.nextAttemptAt = undefined;
+    logger.info(`Email "${log.subject}" sent to ${log.to}`);
+  } catch (error) {
+    log.lastError = error.message;
+
+    if (log.attempts >= log.maxAttempts) {
+      log.status = 'failed';
+      log.nextAttemptAt = undefined;
+      logger.error(`Email "${log.subject}" to ${log.to} failed permanently: ${error.message}`);
+    } else {
+      log.status = 'retrying';
+      log.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, log.attempts - 1));
+      logger.warn(`Email "${log.subject}" to ${log.to} failed (attempt ${log.attempts}), retrying at ${log.nextAttemptAt.toISOString()}`);
+    }
+  }
+
+  await log.save();
+  return log;
+}
+
+/**
+ * Render and send an email, recording it in the delivery log
+ * @param {string} template - Template name
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template data
+ * @param {Object} options - Extra log fields (user, resourceType, resourceId)
+ * @returns {Promise<Object>} - EmailLog entry
+ */
+async function sendEmail(template, to, data = {}, options = {}) {
+  const { subject, text, html } = renderTemplate(template, data);
+  const sensitive = SENSITIVE_TEMPLATES.includes(template);
+
+  const log = await EmailLog.create({
+    to,
+    template,
+    subject,
+    ...(sensitive ? { maxAttempts: 1 } : { text, html }),
+    user: options.user,
+    resourceType: options.resourceType,
+    resourceId: options.resourceId && mongoose.Types.ObjectId.isValid(options.resourceId) ? options.resourceId : undefined
+  });
+
+  if (!TRANSACTIONAL_TEMPLATES.includes(template) && !(await emailNotificationsEnabled())) {
+    log.status = 'skipped';
+    log.lastError = 'Email notifications are disabled in settings';
+    await log.save();
+    return log;
+  }
+
+  return deliver(log, { text, html });
+}
+
+/**
+ * Email a specific user
+ * @param {string} userId - The user ID to email
+ * @param {string} template - Template name
+ * @param {Object} data - Template data (the user's name is added automatically)
+ * @param {Object} options - Extra log fields (resourceType, resourceId)
+ * @returns {Promise<Object|null>} - EmailLog entry, or null if the user has no email
+ */
+async function emailUser(userId, template, data = {}, options = {}) {
+  try {
+    const user = await User.findById(userId).select('name email');
+    if (!user || !user.email) {
+      logger.warn(`No email address found for user ${userId}`);
+      return null;
+    }
+
+    return await sendEmail(template, user.email, { name: user.name, ...data }, { ...options, user: user._id });
+  } catch (error) {
+    logger.error(`Error emailing user ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Email all admin users
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @param {Object} options - Extra log fields (resourceType, resourceId)
+ * @returns {Promise<Array>} - EmailLog entries
+ */
+async function emailAdmins(template, data = {}, options = {}) {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: { $ne: false } }).select('name email');
+    const results = await Promise.all(admins
+      .filter(admin => admin.email)
+      .map(admin => sendEmail(template, admin.email, { name: admin.name, ...data }, { ...options, user: admin._id })
+        .catch(error => {
+          logger.error(`Error emailing admin ${admin._id}: ${error.message}`);
+          return null;
+        })));
+
+    return results.filter(Boolean);
+  } catch (error) {
+    logger.error(`Error emailing admins: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Retry deliveries that are due
+ * @returns {Promise<number>} - Number of emails attempted
+ */
+async function processRetryQueue() {
+  if (processingQueue) {
+    return 0;
+  }
+
+  processingQueue = true;
+  try {
+    const due = await EmailLog.find({
+      status: 'retrying',
+      nextAttemptAt: { $lte: new Date() }
+    }).sort({ nextAttemptAt: 1 }).limit(50);
+
+    for (const log of due) {
+      await deliver(log);
+    }
+
+    return due.length;
+  } catch (error) {
+    logger.error(`Error processing email retry queue: ${error.message}`);
+    return 0;
+  } finally {
+    processingQueue = false;
+  }
+}
+
+/**
+ * Start the background retry worker
+ */
+function startMailQueue() {
+  if (queueTimer) {
+    return;
+  }
+  queueTimer = setInterval(processRetryQueue, QUEUE_INTERVAL_MS);
+  logger.info(`Email retry queue started using ${getTransportName()} transport`);
+}
+
+/**
+ * Stop the background retry worker
+ */
+function stopMailQueue() {
+  if (queueTimer) {
+    clearInterval(queueTimer);
+    queueTimer = null;
+  }
+}
+
+module.exports = {
+  getFrontendUrl,
+  isResendable,
+  sendEmail,
+  emailUser,
+  emailAdmins,
+  processRetryQueue,
+  startMailQueue,
+  stopMailQueue
+};
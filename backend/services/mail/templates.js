@@ -0,0 +1,160 @@
+/**
+ * Email Templates
+ *
+ * Each template takes a data object and returns { subject, text, html }.
+ */
+
+const SYSTEM_NAME = 'Vehicle Investigation System';
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap template body paragraphs in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {Array<string>} paragraphs - Body paragraphs (already escaped HTML)
+ * @param {Object} action - Optional call-to-action { label, url }
+ * @returns {string}
+ */
+function layout(title, paragraphs, action) {
+  const button = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#1890ff;color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#333333;background:#f5f5f5;padding:24px;">
+    <div style="max-width:600px;margin:0 auto;background:#ffffff;padding:24px;border-radius:6px;">
+      <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+      ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n      ')}
+      ${button}
+      <p style="font-size:12px;color:#999999;">This message was sent by the ${SYSTEM_NAME}.</p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Join plain text lines with a footer
+ * @param {Array<string>} lines - Body lines
+ * @returns {string}
+ */
+function plainText(lines) {
+  return [...lines, '', `-- ${SYSTEM_NAME}`].join('\n');
+}
+
+const templates = {
+  passwordReset: ({ name, resetUrl, expiresInMinutes = 10 }) => ({
+    subject: 'Password reset request',
+    text: plainText([
+      `Hello ${name || ''},`,
+      '',
+      'We received a request to reset the password for your account.',
+      `Reset your password here: ${resetUrl}`,
+      `This link expires in ${expiresInMinutes} minutes. If you did not request a reset you can ignore this email.`
+    ]),
+    html: layout('Password reset request', [
+      `Hello ${escapeHtml(name)},`,
+      'We received a request to reset the password for your account.',
+      `This link expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not request a reset you can ignore this email.`
+    ], { label: 'Reset password', url: resetUrl })
+  }),
+
+  incidentAssigned: ({ name, incidentNumber, title, priority, incidentUrl }) => ({
+    subject: `Incident ${incidentNumber} assigned to you`,
+    text: plainText([
+      `Hello ${name || ''},`,
+      '',
+      `You have been assigned to investigate incident ${incidentNumber}: ${title}.`,
+      `Priority: ${priority || 'medium'}`,
+      incidentUrl ? `View the incident: ${incidentUrl}` : ''
+    ]),
+    html: layout(`Incident ${incidentNumber} assigned to you`, [
+      `Hello ${escapeHtml(name)},`,
+      `You have been assigned to investigate incident <strong>${escapeHtml(incidentNumber)}</strong>: ${escapeHtml(title)}.`,
+      `Priority: <strong>${escapeHtml(priority || 'medium')}</strong>`
+    ], incidentUrl ? { label: 'View incident', url: incidentUrl } : null)
+  }),
+
+  reportSubmitted: ({ incidentNumber, title, investigatorName, conclusion, incidentUrl }) => ({
+    subject: `Investigation report submitted for ${incidentNumber}`,
+    text: plainText([
+      `${investigatorName} submitted an investigation report for incident ${incidentNumber}: ${title}.`,
+      `Conclusion: ${conclusion}`,
+      incidentUrl ? `Review the report: ${incidentUrl}` : ''
+    ]),
+    html: layout(`Investigation report submitted for ${incidentNumber}`, [
+      `${escapeHtml(investigatorName)} submitted an investigation report for incident <strong>${escapeHtml(incidentNumber)}</strong>: ${escapeHtml(title)}.`,
+      `Conclusion: <strong>${escapeHtml(conclusion)}</strong>`
+    ], incidentUrl ? { label: 'Review report', url: incidentUrl } : null)
+  }),
+
+  reportReviewed: ({ name, incidentNumber, title, reportStatus, officerName, notes, incidentUrl }) => ({
+    subject: `Investigation report ${reportStatus} for ${incidentNumber}`,
+    text: plainText([
+      `Hello ${name || ''},`,
+      '',
+      `Your investigation report for incident ${incidentNumber}: ${title} was ${reportStatus} by ${officerName}.`,
+      notes ? `Notes: ${notes}` : '',
+      incidentUrl ? `View the incident: ${incidentUrl}` : ''
+    ]),
+    html: layout(`Investigation report ${reportStatus}`, [
+      `Hello ${escapeHtml(name)},`,
+      `Your investigation report for incident <strong>${escapeHtml(incidentNumber)}</strong>: ${escapeHtml(title)} was <strong>${escapeHtml(reportStatus)}</strong> by ${escapeHtml(officerName)}.`,
+      notes ? `Notes: ${escapeHtml(notes)}` : ''
+    ].filter(Boolean), incidentUrl ? { label: 'View incident', url: incidentUrl } : null)
+  }),
+
+  documentExpiry: ({ name, documentName, documentType, expiryDate, daysRemaining }) => {
+    const expired = daysRemaining <= 0;
+    const when = new Date(expiryDate).toDateString();
+    const summary = expired
+      ? `Document "${documentName}" (${documentType}) expired on ${when}.`
+      : `Document "${documentName}" (${documentType}) expires in ${daysRemaining} day(s) on ${when}.`;
+
+    return {
+      subject: expired ? `Document expired: ${documentName}` : `Document expiring soon: ${documentName}`,
+      text: plainText([
+        `Hello ${name || ''},`,
+        '',
+        summary,
+        'Please upload a renewed document.'
+      ]),
+      html: layout(expired ? 'Document expired' : 'Document expiring soon', [
+        `Hello ${escapeHtml(name)},`,
+        escapeHtml(summary),
+        'Please upload a renewed document.'
+      ])
+    };
+  }
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate,
+  templateNames: Object.keys(templates)
+};
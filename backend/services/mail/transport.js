@@ -0,0 +1,126 @@
+/**
+ * Mail Transport
+ *
+ * Builds the nodemailer transport from environment variables:
+ *   MAIL_TRANSPORT=smtp  - SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS);
+ *                          point it at a local stand-in such as MailHog for development
+ *   MAIL_TRANSPORT=json  - renders messages to JSON without sending them
+ *   MAIL_TRANSPORT=file  - writes each message as an .eml file to MAIL_FILE_DIR
+ * Defaults to smtp when SMTP_HOST is set and json otherwise.
+ * Tests can swap in their own transport with setTransport().
+ */
+
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+let transport = null;
+let transportName = null;
+
+/**
+ * Create a transport that writes raw messages to disk
+ * @param {string} directory - Output directory
+ * @returns {Object} - nodemailer transport
+ */
+function createFileTransport(directory) {
+  return nodemailer.createTransport({
+    name: 'file',
+    version: '1.0.0',
+    send(mail, callback) {
+      mail.message.build((buildError, message) => {
+        if (buildError) {
+          return callback(buildError);
+        }
+
+        const messageId = mail.message.messageId();
+        const fileName = `${Date.now()}-${messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+
+        fs.mkdir(directory, { recursive: true }, (mkdirError) => {
+          if (mkdirError) {
+            return callback(mkdirError);
+          }
+
+          fs.writeFile(path.join(directory, fileName), message, (writeError) => {
+            if (writeError) {
+              return callback(writeError);
+            }
+            callback(null, { messageId, envelope: mail.message.getEnvelope(), path: path.join(directory, fileName) });
+          });
+        });
+      });
+    }
+  });
+}
+
+/**
+ * Build a transport from the environment
+ * @returns {{ name: string, transport: Object }}
+ */
+function createTransportFromEnv() {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json')).toLowerCase();
+
+  switch (name) {
+    case 'smtp':
+      return {
+        name,
+        transport: nodemailer.createTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port: parseInt(process.env.SMTP_PORT) || 1025,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        })
+      };
+    case 'file':
+      return {
+        name,
+        transport: createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox'))
+      };
+    case 'json':
+      return {
+        name,
+        transport: nodemailer.createTransport({ jsonTransport: true })
+      };
+    default:
+      throw new Error(`Unsupported MAIL_TRANSPORT: ${name}`);
+  }
+}
+
+/**
+ * Get the active transport, creating it on first use
+ * @returns {Object} - nodemailer transport
+ */
+function getTransport() {
+  if (!transport) {
+    const created = createTransportFromEnv();
+    transport = created.transport;
+    transportName = created.name;
+  }
+  return transport;
+}
+
+/**
+ * Name of the active transport (smtp, json, file or custom)
+ * @returns {string}
+ */
+function getTransportName() {
+  getTransport();
+  return transportName;
+}
+
+/**
+ * Replace the active transport (used by tests and custom integrations)
+ * @param {Object} customTransport - nodemailer transport, or null to rebuild from the environment
+ * @param {string} name - Name recorded in the delivery log
+ */
+function setTransport(customTransport, name = 'custom') {
+  transport = customTransport;
+  transportName = customTransport ? name : null;
+}
+
+module.exports = {
+  getTransport,
+  getTransportName,
+  setTransport
+};
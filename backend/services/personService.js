@@ -0,0 +1,461 @@
+/**
+ * Person Service
+ *
+ * Registry of people named in incidents. Incident person entries are linked to
+ * a Person record: an explicit `person` reference is used as given, an exact
+ * identification number match reuses the existing record, and anyone else gets
+ * a new record. Names are never merged automatically; fuzzy matching on
+ * normalized names, identification numbers, dates of birth and contact details
+ * only suggests merges for a user to confirm.
+ */
+
+const mongoose = require('mongoose');
+const Person = require('../models/Person');
+const Incident = require('../models/incidentModel');
+const {
+  normalizeName,
+  normalizeIdNumber,
+  normalizePhone,
+  normalizeEmail,
+  phoneticKeys,
+  nameSimilarity
+} = require('../utils/nameMatching');
+
+// Lowest score worth suggesting as a possible duplicate
+const MATCH_THRESHOLD = 0.6;
+
+// Candidates fetched per person before scoring
+const CANDIDATE_LIMIT = 200;
+
+// People scanned when looking for duplicates across the whole registry
+const MERGE_SCAN_LIMIT = 1000;
+
+// Suspect in this many incidents or more
+const REPEAT_OFFENDER_INCIDENTS = 2;
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Score how likely two people are the same person
+ * @param {Object} a - Person (or unsaved person data)
+ * @param {Object} b - Person
+ * @returns {{ score: number, reasons: Array<string> }} - Score from 0 to 1
+ */
+function scoreMatch(a, b) {
+  const reasons = [];
+  const keysA = a.matchKeys || {};
+  const keysB = b.matchKeys || {};
+  const shares = (listA = [], listB = []) => listA.some(value => value && listB.includes(value));
+
+  if (shares(keysA.idNumbers, keysB.idNumbers)) {
+    return { score: 1, reasons: ['Same identification number'] };
+  }
+
+  const namesA = [a.name, ...(a.aliases || [])].filter(Boolean);
+  const namesB = [b.name, ...(b.aliases || [])].filter(Boolean);
+  const similarity = Math.max(0, ...namesA.flatMap(nameA => namesB.map(nameB => nameSimilarity(nameA, nameB))));
+  let score = similarity * 0.75;
+  if (similarity === 1) {
+    reasons.push('Same name');
+  } else if (similarity >= 0.8) {
+    reasons.push(`Similar name (${Math.round(similarity * 100)}%)`);
+  }
+
+  if (a.dateOfBirth && b.dateOfBirth) {
+    if (new Date(a.dateOfBirth).toDateString() === new Date(b.dateOfBirth).toDateString()) {
+      score += 0.15;
+      reasons.push('Same date of birth');
+    } else {
+      score -= 0.3;
+      reasons.push('Different date of birth');
+    }
+  }
+  if (shares(keysA.phones, keysB.phones)) {
+    score += 0.2;
+    reasons.push('Shared phone number');
+  }
+  if (shares(keysA.emails, keysB.emails)) {
+    score += 0.2;
+    reasons.push('Shared email address');
+  }
+
+  return { score: Number(Math.min(1, Math.max(0, score)).toFixed(2)), reasons };
+}
+
+/**
+ * Match keys for person data that has not been saved
+ * @param {Object} data - name, aliases, identifications and contacts
+ * @returns {Object}
+ */
+function buildMatchKeys(data) {
+  const names = [data.name, ...(data.aliases || [])].filter(Boolean);
+  const contacts = data.contactHistory || [];
+  return {
+    names: names.map(normalizeName),
+    phonetic: names.flatMap(phoneticKeys),
+    idNumbers: (data.identifications || []).map(id => normalizeIdNumber(id.number)).filter(Boolean),
+    phones: contacts.map(contact => normalizePhone(contact.phone)).filter(Boolean),
+    emails: contacts.map(contact => normalizeEmail(contact.email)).filter(Boolean)
+  };
+}
+
+/**
+ * Find people who may be the same as the given person
+ * @param {Object} person - Person document or unsaved person data
+ * @param {Object} options - `limit` and `minScore`
+ * @returns {Promise<Array>} - { person, score, reasons }, best first
+ */
+async function findMatches(person, { limit = 10, minScore = MATCH_THRESHOLD } = {}) {
+  const keys = person.matchKeys?.names?.length ? person.matchKeys : buildMatchKeys(person);
+  const conditions = [
+    { 'matchKeys.phonetic': { $in: keys.phonetic || [] } },
+    { 'matchKeys.idNumbers': { $in: keys.idNumbers || [] } },
+    { 'matchKeys.phones': { $in: keys.phones || [] } },
+    { 'matchKeys.emails': { $in: keys.emails || [] } }
+  ];
+
+  const query = { mergedInto: null, $or: conditions };
+  if (person._id) {
+    query._id = { $ne: person._id };
+  }
+
+  const candidates = await Person.find(query).limit(CANDIDATE_LIMIT).lean();
+  const subject = { ...person, matchKeys: keys };
+
+  return candidates
+    .map(candidate => ({ person: candidate, ...scoreMatch(subject, candidate) }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Look across the registry for likely duplicates
+ * @param {Object} options - `limit` on the number of pairs and `minScore`
+ * @returns {Promise<Array>} - { persons: [a, b], score, reasons }, best first
+ */
+async function suggestMerges({ limit = 20, minScore = MATCH_THRESHOLD } = {}) {
+  const persons = await Person.find({ mergedInto: null })
+    .sort({ updatedAt: -1 })
+    .limit(MERGE_SCAN_LIMIT)
+    .lean();
+
+  const pairs = new Map();
+  for (const person of persons) {
+    const matches = await findMatches(person, { limit: 5, minScore });
+    matches.forEach(match => {
+      const key = [person._id.toString(), match.person._id.toString()].sort().join(':');
+      if (!pairs.has(key)) {
+        pairs.set(key, { persons: [person, match.person], score: match.score, reasons: match.reasons });
+      }
+    });
+  }
+
+  return [...pairs.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Follow merges to the record a person now lives in
+ * @param {string} personId - Person ID
+ * @returns {Promise<Object|null>} - Person document
+ */
+async function findActivePerson(personId) {
+  if (!mongoose.Types.ObjectId.isValid(personId)) {
+    return null;
+  }
+
+  let person = await Person.findById(personId);
+  const seen = new Set();
+  while (person?.mergedInto && !seen.has(person._id.toString())) {
+    seen.add(person._id.toString());
+    person = await Person.findById(person.mergedInto);
+  }
+  return person;
+}
+
+/**
+ * Record a contact on a person unless the same details are already known
+ * @param {Object} person - Person document
+ * @param {Object} contact - phone, email and address
+ * @param {Object} source - incident and recordedBy
+ */
+function addContact(person, contact, source = {}) {
+  const entry = {
+    phone: contact?.phone?.trim() || undefined,
+    email: contact?.email?.trim() || undefined,
+    address: contact?.address?.trim() || undefined
+  };
+  if (!entry.phone && !entry.email && !entry.address) {
+    return;
+  }
+
+  const known = person.contactHistory.some(existing =>
+    normalizePhone(existing.phone) === normalizePhone(entry.phone) &&
+    normalizeEmail(existing.email) === normalizeEmail(entry.email) &&
+    (existing.address || '').toLowerCase() === (entry.address || '').toLowerCase()
+  );
+  if (!known) {
+    person.contactHistory.push({ ...entry, recordedAt: new Date(), ...source });
+  }
+}
+
+/**
+ * Keep a different spelling of the person's name as an alias
+ * @param {Object} person - Person document
+ * @param {string} name - Name as entered
+ */
+function addAlias(person, name) {
+  const key = normalizeName(name);
+  const known = [person.name, ...person.aliases].some(existing => normalizeName(existing) === key);
+  if (key && !known) {
+    person.aliases.push(name.trim());
+  }
+}
+
+/**
+ * Find or create the registry record for an incident person entry
+ * @param {Object} entry - Incident person: name, role, contact, identification and optional `person`
+ * @param {Object} user - Acting user
+ * @param {string} incidentId - Incident the entry belongs to
+ * @returns {Promise<Object>} - Person document
+ */
+async function resolvePerson(entry, user, incidentId) {
+  if (!entry?.name || !String(entry.name).trim()) {
+    throw serviceError(400, 'Every incident person needs a name');
+  }
+
+  let person = null;
+  if (entry.person) {
+    person = await findActivePerson(entry.person._id || entry.person);
+    if (!person) {
+      throw serviceError(404, `Person ${entry.person} not found`);
+    }
+  }
+
+  const idNumber = normalizeIdNumber(entry.identification);
+  if (!person && idNumber) {
+    person = await Person.findOne({ 'matchKeys.idNumbers': idNumber, mergedInto: null });
+  }
+
+  if (!person) {
+    person = new Person({
+      name: entry.name,
+      identifications: idNumber ? [{ number: entry.identification }] : [],
+      createdBy: user._id
+    });
+  } else {
+    addAlias(person, entry.name);
+    if (idNumber && !person.matchKeys.idNumbers.includes(idNumber)) {
+      person.identifications.push({ number: entry.identification });
+    }
+  }
+
+  addContact(person, entry.contact, { incident: incidentId, recordedBy: user._id });
+  await person.save();
+  return person;
+}
+
+/**
+ * Link every person entry of an incident to the registry
+ * @param {Array} persons - Incident person entries
+ * @param {Object} user - Acting user
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Array>} - Entries with `person` set
+ */
+async function linkIncidentPersons(persons, user, incidentId) {
+  if (!Array.isArray(persons)) {
+    throw serviceError(400, 'persons must be an array');
+  }
+
+  const linked = [];
+  for (const entry of persons) {
+    const person = await resolvePerson(entry, user, incidentId);
+    linked.push({ ...entry, person: person._id });
+  }
+  return linked;
+}
+
+/**
+ * Incidents and vehicles a person is tied to
+ * @param {Object} person - Person document
+ * @returns {Promise<Object>} - { incidents, vehicles, summary }
+ */
+async function getPersonLinks(person) {
+  const Vehicle = mongoose.model('Vehicle');
+  const vehicleFields = 'licensePlate registrationNumber make model year color status ownerName';
+
+  const incidents = await Incident.find({ 'persons.person': person._id })
+    .select('incidentNumber title type status severity date createdAt persons vehicle vehicles')
+    .populate('vehicle', vehicleFields)
+    .populate('vehicles.vehicle', vehicleFields)
+    .sort({ date: -1 })
+    .lean();
+
+  const vehicles = new Map();
+  const tieVehicle = (vehicle, relation, detail) => {
+    if (!vehicle?._id) return;
+    const key = vehicle._id.toString();
+    if (!vehicles.has(key)) {
+      vehicles.set(key, { vehicle, relations: [] });
+    }
+    vehicles.get(key).relations.push({ relation, ...detail });
+  };
+
+  const roleCounts = {};
+  const incidentLinks = incidents.map(incident => {
+    const roles = incident.persons
+      .filter(entry => entry.person && entry.person.toString() === person._id.toString())
+      .map(entry => entry.role);
+    roles.forEach(role => { roleCounts[role] = (roleCounts[role] || 0) + 1; });
+
+    const detail = { incident: incident._id, incidentNumber: incident.incidentNumber, roles };
+    tieVehicle(incident.vehicle, 'incident', detail);
+    (incident.vehicles || []).forEach(entry => tieVehicle(entry.vehicle, 'incident', { ...detail, involvement: entry.involvement }));
+
+    return {
+      _id: incident._id,
+      incidentNumber: incident.incidentNumber,
+      title: incident.title,
+      type: incident.type,
+      status: incident.status,
+      severity: incident.severity,
+      date: incident.date || incident.createdAt,
+      roles
+    };
+  });
+
+  // Vehicles the person owns or owned, matched on name, email or phone
+  const names = [person.name, ...(person.aliases || [])].filter(Boolean);
+  const emails = person.matchKeys?.emails || [];
+  const phones = (person.contactHistory || []).map(contact => contact.phone).filter(Boolean);
+  const nameRegexes = names.map(name => new RegExp(`^\\s*${escapeRegex(name.trim())}\\s*$`, 'i'));
+
+  const owned = await Vehicle.find({
+    $or: [
+      { ownerName: { $in: nameRegexes } },
+      { ownerEmail: { $in: emails } },
+      { ownerContact: { $in: phones } },
+      { 'ownershipHistory.ownerName': { $in: nameRegexes } },
+      { 'ownershipHistory.ownerEmail': { $in: emails } }
+    ]
+  }).select(`${vehicleFields} ownerEmail ownerContact ownershipHistory`).lean();
+
+  const nameKeys = person.matchKeys?.names || names.map(normalizeName);
+  const phoneKeys = person.matchKeys?.phones || [];
+  const matchedOn = (owner) => [
+    nameKeys.includes(normalizeName(owner.ownerName)) && 'name',
+    emails.includes(normalizeEmail(owner.ownerEmail)) && 'email',
+    phoneKeys.includes(normalizePhone(owner.ownerContact)) && 'phone'
+  ].filter(Boolean);
+
+  owned.forEach(vehicle => {
+    const { ownershipHistory, ownerEmail, ownerContact, ...summary } = vehicle;
+    const current = matchedOn(vehicle);
+    if (current.length > 0) {
+      tieVehicle(summary, 'owner', { matchedOn: current });
+    }
+    (ownershipHistory || []).forEach(record => {
+      const previous = matchedOn(record);
+      if (previous.length > 0) {
+        tieVehicle(summary, 'previous_owner', { matchedOn: previous, ownedFrom: record.ownedFrom, ownedTo: record.ownedTo });
+      }
+    });
+  });
+
+  const suspectCount = roleCounts.suspect || 0;
+  return {
+    incidents: incidentLinks,
+    vehicles: [...vehicles.values()],
+    summary: {
+      incidentCount: incidentLinks.length,
+      roles: roleCounts,
+      vehicleCount: vehicles.size,
+      repeatOffender: suspectCount >= REPEAT_OFFENDER_INCIDENTS
+    }
+  };
+}
+
+/**
+ * Merge one person into another. The source record is kept, pointing at the
+ * target, and incident links move to the target.
+ * @param {string} targetId - Person that remains
+ * @param {string} sourceId - Person merged into the target
+ * @returns {Promise<Object>} - { person, incidentsUpdated }
+ */
+async function mergePersons(targetId, sourceId) {
+  if (String(targetId) === String(sourceId)) {
+    throw serviceError(400, 'A person cannot be merged into themselves');
+  }
+
+  const [target, source] = await Promise.all([
+    mongoose.Types.ObjectId.isValid(targetId) ? Person.findById(targetId) : null,
+    mongoose.Types.ObjectId.isValid(sourceId) ? Person.findById(sourceId) : null
+  ]);
+  if (!target || !source) {
+    throw serviceError(404, 'Person not found');
+  }
+  if (target.mergedInto || source.mergedInto) {
+    throw serviceError(409, 'One of these people has already been merged into another record');
+  }
+
+  [source.name, ...source.aliases].forEach(name => addAlias(target, name));
+
+  const knownIds = new Set(target.identifications.map(id => normalizeIdNumber(id.number)));
+  source.identifications.forEach(id => {
+    if (!knownIds.has(normalizeIdNumber(id.number))) {
+      target.identifications.push(id.toObject());
+    }
+  });
+
+  target.contactHistory = [...target.contactHistory, ...source.contactHistory.map(contact => contact.toObject())]
+    .sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  target.dateOfBirth = target.dateOfBirth || source.dateOfBirth;
+  target.notes = [target.notes, source.notes].filter(Boolean).join('\n\n') || undefined;
+  await target.save();
+
+  source.mergedInto = target._id;
+  source.mergedAt = new Date();
+  await source.save();
+
+  const result = await Incident.updateMany(
+    { 'persons.person': source._id },
+    { $set: { 'persons.$[entry].person': target._id } },
+    { arrayFilters: [{ 'entry.person': source._id }] }
+  );
+
+  return { person: target, incidentsUpdated: result.modifiedCount };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  scoreMatch,
+  findMatches,
+  suggestMerges,
+  findActivePerson,
+  addContact,
+  resolvePerson,
+  linkIncidentPersons,
+  getPersonLinks,
+  mergePersons
+};
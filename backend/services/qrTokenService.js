@@ -0,0 +1,328 @@
+/**
+ * QR Token Service
+ *
+ * Vehicle QR codes encode a signed token instead of the vehicle ID, so codes
+ * cannot be guessed from one another. The token is a JWT for the `vehicle-qr`
+ * audience whose subject is the vehicle and whose `jti` must equal the
+ * vehicle's current `qrToken.tokenId`. Rotating a vehicle's code issues a new
+ * tokenId, which invalidates every code printed before; revoking marks the
+ * current one so nothing scans until the code is rotated. Codes expire after
+ * `qrCodes.defaultExpiryDays` from the settings unless an expiry is given.
+ *
+ * A scanner who is not signed in only sees the fields in
+ * `qrCodes.publicFields`; signed-in staff get the full record.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Settings = require('../models/Settings');
+
+const QR_TOKEN_AUDIENCE = 'vehicle-qr';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when no settings document exists yet
+const DEFAULT_EXPIRY_DAYS = 0;
+const DEFAULT_PUBLIC_FIELDS = ['licensePlate', 'make', 'model', 'year', 'color', 'status', 'activeFlags'];
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Secret the tokens are signed with. A dedicated QR_TOKEN_SECRET lets QR
+ * codes be invalidated wholesale without signing everyone out
+ * @returns {string}
+ */
+function getSecret() {
+  return process.env.QR_TOKEN_SECRET || process.env.JWT_SECRET;
+}
+
+/**
+ * QR code settings, with defaults when none are stored
+ * @returns {Promise<Object>} - { defaultExpiryDays, publicFields }
+ */
+async function getQrSettings() {
+  const settings = await Settings.findOne().select('qrCodes').lean();
+  return {
+    defaultExpiryDays: settings?.qrCodes?.defaultExpiryDays ?? DEFAULT_EXPIRY_DAYS,
+    publicFields: settings?.qrCodes?.publicFields || DEFAULT_PUBLIC_FIELDS
+  };
+}
+
+/**
+ * State of a vehicle's current QR code
+ * @param {Object} vehicle - Vehicle document or lean object
+ * @returns {string} - none, active, expired or revoked
+ */
+function getTokenStatus(vehicle) {
+  const qrToken = vehicle.qrToken;
+  if (!qrToken?.tokenId) {
+    return 'none';
+  }
+  if (qrToken.revokedAt) {
+    return 'revoked';
+  }
+  if (qrToken.expiresAt && new Date(qrToken.expiresAt) <= new Date()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * QR code details for the API, without the tokenId
+ * @param {Object} vehicle - Vehicle document or lean object
+ * @returns {Object}
+ */
+function describeToken(vehicle) {
+  const qrToken = vehicle.qrToken || {};
+  return {
+    status: getTokenStatus(vehicle),
+    issuedAt: qrToken.issuedAt,
+    issuedBy: qrToken.issuedBy,
+    expiresAt: qrToken.expiresAt,
+    revokedAt: qrToken.revokedAt,
+    revokedBy: qrToken.revokedBy,
+    revokeReason: qrToken.revokeReason
+  };
+}
+
+/**
+ * Sign the token for a vehicle's current tokenId
+ * @param {Object} vehicle - Vehicle with an issued qrToken
+ * @returns {string}
+ */
+function signToken(vehicle) {
+  const { tokenId, expiresAt } = vehicle.qrToken;
+  const payload = expiresAt ? { exp: Math.floor(new Date(expiresAt).getTime() / 1000) } : {};
+  return jwt.sign(payload, getSecret(), {
+    subject: String(vehicle._id),
+    jwtid: tokenId,
+    audience: QR_TOKEN_AUDIENCE
+  });
+}
+
+/**
+ * Expiry for a new code: an explicit date, a number of days (0 for never) or
+ * the default from the settings
+ * @param {Object} options - `expiresAt` or `expiresInDays`
+ * @returns {Promise<Date|null>}
+ */
+async function resolveExpiry({ expiresAt, expiresInDays } = {}) {
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date <= new Date()) {
+      throw serviceError(400, 'Expiry must be a valid date in the future');
+    }
+    return date;
+  }
+
+  let days = expiresInDays;
+  if (days === undefined || days === null || days === '') {
+    days = (await getQrSettings()).defaultExpiryDays;
+  }
+  days = Number(days);
+  if (isNaN(days) || days < 0) {
+    throw serviceError(400, 'Expiry days must be zero or a positive number');
+  }
+  return days > 0 ? new Date(Date.now() + days * DAY_MS) : null;
+}
+
+/**
+ * Find a vehicle or throw
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Object>} - Vehicle document
+ */
+async function findVehicle(vehicleId) {
+  if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+    throw serviceError(400, 'Invalid vehicle ID format');
+  }
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+  return vehicle;
+}
+
+/**
+ * Store a new tokenId on a vehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Date|null} expiresAt - Expiry, or null for never
+ * @param {Object} user - User issuing the code
+ * @param {Object} condition - Extra filter the vehicle must match
+ * @returns {Promise<Object|null>} - Updated vehicle, or null when the condition failed
+ */
+function issueToken(vehicleId, expiresAt, user, condition = {}) {
+  return Vehicle.findOneAndUpdate(
+    { _id: vehicleId, ...condition },
+    {
+      $set: {
+        qrToken: {
+          tokenId: crypto.randomBytes(12).toString('base64url'),
+          issuedAt: new Date(),
+          ...(user && { issuedBy: user._id }),
+          ...(expiresAt && { expiresAt })
+        }
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Issue a new QR code for a vehicle, replacing any earlier one
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} options - `expiresAt` or `expiresInDays` (0 for never)
+ * @param {Object} user - User issuing the code
+ * @returns {Promise<Object>} - { vehicle, token }
+ */
+async function rotateToken(vehicleId, options, user) {
+  await findVehicle(vehicleId);
+  const vehicle = await issueToken(vehicleId, await resolveExpiry(options), user);
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+
+  return { vehicle, token: signToken(vehicle) };
+}
+
+/**
+ * Revoke a vehicle's current QR code. Nothing scans until it is rotated
+ * @param {string} vehicleId - Vehicle ID
+ * @param {string} reason - Why the code was revoked
+ * @param {Object} user - User revoking the code
+ * @returns {Promise<Object>} - Vehicle document
+ */
+async function revokeToken(vehicleId, reason, user) {
+  const vehicle = await findVehicle(vehicleId);
+  const status = getTokenStatus(vehicle);
+  if (status === 'none') {
+    throw serviceError(409, 'This vehicle has no QR code to revoke');
+  }
+  if (status === 'revoked') {
+    throw serviceError(409, 'This QR code is already revoked');
+  }
+
+  // Only revoke the code that was checked, not one rotated in the meantime
+  const revoked = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, 'qrToken.tokenId': vehicle.qrToken.tokenId, 'qrToken.revokedAt': null },
+    {
+      $set: {
+        'qrToken.revokedAt': new Date(),
+        ...(user && { 'qrToken.revokedBy': user._id }),
+        ...(reason && { 'qrToken.revokeReason': reason })
+      }
+    },
+    { new: true }
+  );
+  if (!revoked) {
+    throw serviceError(409, 'The QR code changed while it was being revoked. Please try again');
+  }
+
+  return revoked;
+}
+
+/**
+ * Token for a vehicle's current QR code. The first code is issued on demand;
+ * a revoked or expired code has to be rotated explicitly
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} user - User asking for the code
+ * @returns {Promise<Object>} - { vehicle, token }
+ */
+async function getCurrentToken(vehicleId, user) {
+  const vehicle = await findVehicle(vehicleId);
+
+  switch (getTokenStatus(vehicle)) {
+    case 'none': {
+      // Two first requests at once must not hand out different codes
+      const issued = await issueToken(vehicle._id, await resolveExpiry(), user, { 'qrToken.tokenId': null });
+      const current = issued || await Vehicle.findById(vehicle._id);
+      return { vehicle: current, token: signToken(current) };
+    }
+    case 'revoked':
+      throw serviceError(409, 'This QR code has been revoked. Rotate it to issue a new one');
+    case 'expired':
+      throw serviceError(409, 'This QR code has expired. Rotate it to issue a new one');
+    default:
+      return { vehicle, token: signToken(vehicle) };
+  }
+}
+
+/**
+ * Whether a scanned value is a bare vehicle ID from a code printed before
+ * tokens were introduced
+ * @param {string} value - Scanned value
+ * @returns {boolean}
+ */
+function isLegacyVehicleId(value) {
+  return /^[0-9a-fA-F]{24}$/.test(value || '');
+}
+
+/**
+ * Verify a scanned token and load its vehicle
+ * @param {string} token - Token from the QR code
+ * @returns {Promise<Object>} - Lean vehicle
+ */
+async function resolveScanToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret(), { audience: QR_TOKEN_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw serviceError(410, 'This QR code has expired');
+    }
+    throw serviceError(401, 'This QR code is not valid');
+  }
+
+  const vehicle = mongoose.Types.ObjectId.isValid(payload.sub)
+    ? await Vehicle.findById(payload.sub).select('-__v').lean()
+    : null;
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+
+  if (vehicle.qrToken?.tokenId !== payload.jti) {
+    throw serviceError(401, 'This QR code has been replaced by a newer one');
+  }
+  if (vehicle.qrToken.revokedAt) {
+    throw serviceError(401, 'This QR code has been revoked');
+  }
+
+  return vehicle;
+}
+
+/**
+ * Copy only the allowed fields of a scan result
+ * @param {Object} details - Vehicle details
+ * @param {Array<string>} fields - Allowed field names
+ * @returns {Object}
+ */
+function pickPublicFields(details, fields) {
+  return fields.reduce((result, field) => {
+    if (details[field] !== undefined) {
+      result[field] = details[field];
+    }
+    return result;
+  }, {});
+}
+
+module.exports = {
+  getQrSettings,
+  getTokenStatus,
+  describeToken,
+  rotateToken,
+  revokeToken,
+  getCurrentToken,
+  isLegacyVehicleId,
+  resolveScanToken,
+  pickPublicFields
+};
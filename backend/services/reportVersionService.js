@@ -0,0 +1,222 @@
+/**
+ * Report Version Service
+ *
+ * Every investigation report submission is kept as a numbered version in
+ * `caseFile.reportVersions`, with a line diff against the version before it.
+ * Officers reviewing a version can attach comments to individual lines; a
+ * rejection turns those into a revision request for the investigator.
+ */
+
+const REPORT_FIELDS = ['content', 'findings', 'recommendations'];
+
+// Above this many line comparisons the diff falls back to replacing every line
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Split report text into lines
+ * @param {string} text - Report text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  return text ? String(text).replace(/\r\n/g, '\n').split('\n') : [];
+}
+
+/**
+ * Line diff based on the longest common subsequence
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Array} - Changes: { type: 'added' | 'removed', line, text }, where
+ * `line` is the line number in the new text for additions and in the old text
+ * for removals
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text, index) => ({ type: 'removed', line: index + 1, text })),
+      ...b.map((text, index) => ({ type: 'added', line: index + 1, text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', line: i + 1, text: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: j + 1, text: b[j] });
+      j++;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Diff every report field of a version against the previous version
+ * @param {Object|null} previous - Previous version, or null for the first
+ * @param {Object} current - New version fields
+ * @returns {Object|null} - { previousVersion, added, removed, conclusionChanged, fields }
+ */
+function diffVersions(previous, current) {
+  if (!previous) {
+    return null;
+  }
+
+  const fields = {};
+  let added = 0;
+  let removed = 0;
+
+  REPORT_FIELDS.forEach(field => {
+    const changes = diffLines(previous[field], current[field]);
+    if (changes.length > 0) {
+      fields[field] = changes;
+      changes.forEach(change => {
+        if (change.type === 'added') added++;
+        else removed++;
+      });
+    }
+  });
+
+  return {
+    previousVersion: previous.version,
+    added,
+    removed,
+    conclusionChanged: previous.conclusion !== current.conclusion,
+    fields
+  };
+}
+
+/**
+ * Build the next report version
+ * @param {Object} caseFile - Incident case file
+ * @param {Object} report - findings, recommendations, conclusion, content and attachments
+ * @param {Object} user - Submitting investigator
+ * @param {Date} submittedAt - Submission time
+ * @returns {Object} - Version subdocument
+ */
+function buildReportVersion(caseFile, report, user, submittedAt = new Date()) {
+  const versions = caseFile?.reportVersions || [];
+  const previous = versions.length > 0 ? versions[versions.length - 1] : null;
+
+  const version = {
+    version: versions.length + 1,
+    submittedBy: user._id,
+    submittedAt,
+    content: report.content,
+    findings: report.findings,
+    recommendations: report.recommendations,
+    conclusion: report.conclusion,
+    attachments: report.attachments || []
+  };
+  version.diff = diffVersions(previous, version);
+
+  return version;
+}
+
+/**
+ * Snapshot a report submitted before versioning existed, so it can be reviewed
+ * and commented on like any other version
+ * @param {Object} caseFile - Incident case file
+ * @returns {Object|null} - Version subdocument, or null when there is nothing to snapshot
+ */
+function buildLegacyVersion(caseFile) {
+  const report = caseFile?.investigationReport;
+  if (!report?.submittedAt || (caseFile.reportVersions || []).length > 0) {
+    return null;
+  }
+
+  return {
+    version: 1,
+    submittedBy: report.submittedBy,
+    submittedAt: report.submittedAt,
+    content: report.content,
+    findings: caseFile.findings,
+    recommendations: caseFile.recommendations,
+    conclusion: caseFile.conclusion,
+    attachments: report.attachments || [],
+    diff: null
+  };
+}
+
+/**
+ * Validate officer comments against the lines of the version they refer to
+ * @param {Array} comments - { field, line, comment } from the request
+ * @param {Object} version - Reviewed version
+ * @param {Object} user - Reviewing officer
+ * @returns {Array} - Comment subdocuments with the quoted line
+ */
+function buildRevisionComments(comments, version, user) {
+  if (comments === undefined || comments === null) {
+    return [];
+  }
+  if (!Array.isArray(comments)) {
+    throw badRequest('revisionComments must be an array');
+  }
+
+  const createdAt = new Date();
+  return comments.map((entry, index) => {
+    const field = entry?.field || 'content';
+    if (!REPORT_FIELDS.includes(field)) {
+      throw badRequest(`Comment ${index + 1}: field must be one of ${REPORT_FIELDS.join(', ')}`);
+    }
+
+    const lines = splitLines(version[field]);
+    const line = Number(entry.line);
+    if (!Number.isInteger(line) || line < 1 || line > lines.length) {
+      throw badRequest(`Comment ${index + 1}: line must be between 1 and ${lines.length} of the ${field}`);
+    }
+
+    const comment = String(entry.comment || '').trim();
+    if (!comment) {
+      throw badRequest(`Comment ${index + 1}: comment text is required`);
+    }
+
+    return {
+      field,
+      line,
+      quote: lines[line - 1],
+      comment,
+      author: user._id,
+      createdAt
+    };
+  });
+}
+
+module.exports = {
+  REPORT_FIELDS,
+  splitLines,
+  diffLines,
+  diffVersions,
+  buildReportVersion,
+  buildLegacyVersion,
+  buildRevisionComments
+};
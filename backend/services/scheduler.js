@@ -0,0 +1,166 @@
+/**
+ * In-process Job Scheduler
+ *
+ * Runs registered jobs once a day at a fixed hour, or every few minutes, and records every run in
+ * the JobRun collection so admins can see when each job last ran and what it did.
+ */
+
+const JobRun = require('../models/JobRun');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+/**
+ * Milliseconds from now until the next occurrence of the given hour
+ * @param {number} hour - Hour of the day (0-23, server local time)
+ * @returns {number} - Delay in milliseconds
+ */
+function msUntilHour(hour) {
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - now;
+}
+
+/**
+ * Execute a registered job and record the run
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'scheduled' or 'manual'
+ * @param {string} options.triggeredBy - ID of the user who started a manual run
+ * @returns {Promise<Object>} - The JobRun record
+ */
+async function runJob(name, { trigger = 'scheduled', triggeredBy = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    throw new Error(`Job ${name} is already running`);
+  }
+
+  job.running = true;
+  let run;
+  try {
+    run = await JobRun.create({ job: name, trigger, triggeredBy });
+  } catch (error) {
+    // Without a run record the finally below never executes, so release the job here
+    job.running = false;
+    throw error;
+  }
+
+  try {
+    logger.info(`Job ${name} started (${trigger})`);
+    const stats = await job.task();
+
+    run.status = 'success';
+    run.stats = stats || {};
+    logger.info(`Job ${name} finished: ${JSON.stringify(run.stats)}`);
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    logger.error(`Job ${name} failed: ${error.message}`);
+  } finally {
+    job.running = false;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+  }
+
+  return run;
+}
+
+/**
+ * Register a job that runs once a day
+ * @param {string} name - Job name
+ * @param {Function} task - Async function returning run statistics
+ * @param {Object} options - Scheduling options
+ * @param {number} options.hour - Hour of the day to run at (default 2am)
+ */
+function scheduleDailyJob(name, task, { hour = 2 } = {}) {
+  if (jobs.has(name)) {
+    stopJob(name);
+  }
+
+  const job = { name, task, hour, running: false, timer: null };
+  jobs.set(name, job);
+
+  const tick = () => {
+    runJob(name).catch(error => logger.error(`Scheduled run of ${name} failed: ${error.message}`));
+  };
+
+  job.timer = setTimeout(() => {
+    tick();
+    job.timer = setInterval(tick, DAY_MS);
+  }, msUntilHour(hour));
+
+  logger.info(`Job ${name} scheduled daily at ${hour}:00`);
+}
+
+/**
+ * Register a job that runs every few minutes
+ * @param {string} name - Job name
+ * @param {Function} task - Async function returning run statistics
+ * @param {Object} options - Scheduling options
+ * @param {number} options.minutes - Minutes between runs (default 15)
+ */
+function scheduleIntervalJob(name, task, { minutes = 15 } = {}) {
+  if (jobs.has(name)) {
+    stopJob(name);
+  }
+
+  const job = { name, task, hour: null, intervalMinutes: minutes, running: false, timer: null };
+  jobs.set(name, job);
+
+  job.timer = setInterval(() => {
+    // Skip a tick while the previous run is still going instead of logging a failure
+    if (job.running) {
+      return;
+    }
+    runJob(name).catch(error => logger.error(`Scheduled run of ${name} failed: ${error.message}`));
+  }, minutes * 60 * 1000);
+
+  logger.info(`Job ${name} scheduled every ${minutes} minute(s)`);
+}
+
+/**
+ * Stop a scheduled job
+ * @param {string} name - Job name
+ */
+function stopJob(name) {
+  const job = jobs.get(name);
+  if (job && job.timer) {
+    clearTimeout(job.timer);
+    clearInterval(job.timer);
+  }
+  jobs.delete(name);
+}
+
+/**
+ * List registered jobs with their latest run
+ * @returns {Promise<Array>} - Job summaries
+ */
+async function getJobs() {
+  return Promise.all([...jobs.values()].map(async job => ({
+    name: job.name,
+    hour: job.hour,
+    intervalMinutes: job.intervalMinutes || null,
+    running: job.running,
+    lastRun: await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean()
+  })));
+}
+
+module.exports = {
+  scheduleDailyJob,
+  scheduleIntervalJob,
+  runJob,
+  stopJob,
+  getJobs
+};
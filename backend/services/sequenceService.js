@@ -0,0 +1,170 @@
+/**
+ * Sequence Service
+ *
+ * Generates reference numbers (incident, case, report and citation numbers) from an
+ * atomic counter collection, so concurrent requests never receive the same
+ * number and deleting a record never causes a number to be reused. Each
+ * sequence restarts every year or month, depending on its format in
+ * Settings.numbering.
+ */
+
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+
+// Used when no settings document exists yet
+const DEFAULT_FORMATS = {
+  incident: { prefix: 'INC', period: 'month', padding: 4 },
+  case: { prefix: 'CASE', period: 'year', padding: 5 },
+  report: { prefix: 'RPT', period: 'year', padding: 6 },
+  citation: { prefix: 'CIT', period: 'year', padding: 6 }
+};
+
+/**
+ * Load the number format for a sequence from the system settings
+ * @param {string} sequence - Sequence name
+ * @returns {Promise<Object>} - prefix, period and padding
+ */
+async function getSequenceFormat(sequence) {
+  const defaults = DEFAULT_FORMATS[sequence];
+  if (!defaults) {
+    throw new Error(`Unknown sequence: ${sequence}`);
+  }
+
+  const settings = await Settings.findOne().select('numbering').lean();
+  return {
+    ...defaults,
+    ...((settings && settings.numbering && settings.numbering[sequence]) || {})
+  };
+}
+
+/**
+ * Period a date falls in, as used in counter keys and formatted numbers
+ * @param {string} period - none, year or month
+ * @param {Date} date - Date the number is issued
+ * @returns {{ key: string, label: string }} - Counter key suffix and number segment
+ */
+function getPeriod(period, date) {
+  const year = date.getFullYear().toString();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+
+  if (period === 'month') {
+    return { key: `${year}-${month}`, label: `${year.slice(-2)}${month}` };
+  }
+  if (period === 'year') {
+    return { key: year, label: year };
+  }
+  return { key: '', label: '' };
+}
+
+/**
+ * Text that comes before the counter in a number
+ * @param {Object} format - prefix
+ * @param {string} label - Period segment (empty when the sequence never restarts)
+ * @returns {string} - e.g. INC-2610-
+ */
+function numberPrefix(format, label) {
+  const parts = [format.prefix, label].filter(Boolean);
+  return parts.length > 0 ? `${parts.join('-')}-` : '';
+}
+
+/**
+ * Build the number for a counter value
+ * @param {Object} format - prefix and padding
+ * @param {string} label - Period segment
+ * @param {number} seq - Counter value
+ * @returns {string} - e.g. INC-2610-0001 or CASE-2026-00001
+ */
+function formatNumber(format, label, seq) {
+  return `${numberPrefix(format, label)}${seq.toString().padStart(format.padding, '0')}`;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Seed function that continues from the highest number already stored in a
+ * collection, so switching an existing database to counters does not reissue numbers
+ * @param {Object} Model - Mongoose model holding the numbers
+ * @param {string} field - Path of the number field
+ * @returns {Function} - (prefix) => Promise<number>
+ */
+function seedFromField(Model, field) {
+  return async (prefix) => {
+    const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`);
+    const latest = await Model.find({ [field]: pattern })
+      .sort({ [field]: -1 })
+      .limit(1)
+      .select(field)
+      .lean();
+
+    if (latest.length === 0) {
+      return 0;
+    }
+
+    const value = field.split('.').reduce((doc, key) => (doc ? doc[key] : undefined), latest[0]);
+    const match = pattern.exec(value || '');
+    return match ? parseInt(match[1], 10) : 0;
+  };
+}
+
+/**
+ * Atomically increment the counter for a sequence and period
+ * @param {string} key - Counter id
+ * @param {Object} fields - sequence and period stored on a new counter
+ * @param {Function} seed - Optional function returning the starting value
+ * @param {string} prefix - Number text before the counter, passed to seed
+ * @returns {Promise<number>} - The new counter value
+ */
+async function increment(key, fields, seed, prefix) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  if (counter) {
+    return counter.seq;
+  }
+
+  // First number in this period. Create the counter at the seed value; if another
+  // request created it first the duplicate key error is expected and ignored.
+  const start = seed ? await seed(prefix) : 0;
+  try {
+    await Counter.create({ _id: key, ...fields, seq: start });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const created = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return created.seq;
+}
+
+/**
+ * Issue the next number in a sequence
+ * @param {string} sequence - incident, case, report or citation
+ * @param {Object} options - date the number is issued for and an optional seed function
+ * @returns {Promise<string>} - Formatted number
+ */
+async function nextNumber(sequence, options = {}) {
+  const date = options.date || new Date();
+  const format = await getSequenceFormat(sequence);
+  const period = getPeriod(format.period, date);
+
+  // Including the prefix in the key restarts the counter when the prefix changes
+  const key = [sequence, format.prefix, period.key].filter(Boolean).join(':');
+  const seq = await increment(key, { sequence, period: period.key }, options.seed, numberPrefix(format, period.label));
+  return formatNumber(format, period.label, seq);
+}
+
+module.exports = {
+  DEFAULT_FORMATS,
+  getSequenceFormat,
+  getPeriod,
+  formatNumber,
+  seedFromField,
+  nextNumber
+};
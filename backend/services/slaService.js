@@ -0,0 +1,268 @@
+/**
+ * SLA Service
+ *
+ * Deadlines for the three phases of an incident case file, per case priority:
+ *  - assignment: from reporting (or reopening) until an investigator is assigned
+ *  - report: from assignment (or a rejected report) until the report is submitted
+ *  - review: from report submission until its approval chain is finished
+ * A case is on track, at risk once `atRiskThreshold` of its time has passed,
+ * or breached. A background check warns whoever the case is waiting on when it
+ * becomes at risk, and escalates to the admins once it is breached.
+ */
+
+const Incident = require('../models/incidentModel');
+const Settings = require('../models/Settings');
+const { getIncidentPriority } = require('./assignmentService');
+const { getApproval, getStepApprovers } = require('./approvalService');
+const { notifyUser, notifyAdmins } = require('../utils/notificationUtils');
+const { scheduleIntervalJob } = require('./scheduler');
+const logger = require('../utils/logger');
+
+const JOB_NAME = 'sla-monitor';
+const HOUR_MS = 1000 * 60 * 60;
+
+// Used when no settings document exists yet (hours)
+const DEFAULT_CONFIG = {
+  enabled: true,
+  checkIntervalMinutes: 15,
+  atRiskThreshold: 0.75,
+  targets: {
+    assignment: { low: 72, medium: 24, high: 8, urgent: 2 },
+    report: { low: 720, medium: 336, high: 168, urgent: 72 },
+    review: { low: 168, medium: 72, high: 48, urgent: 24 }
+  }
+};
+
+const PHASE_LABELS = {
+  assignment: 'assignment',
+  report: 'report submission',
+  review: 'report review'
+};
+
+// Fields needed to work out the SLA of an incident
+const SLA_FIELDS = 'incidentNumber title status severity caseFile createdAt timeline assignedTo slaAlerts';
+
+/**
+ * Load the SLA configuration from the system settings
+ * @returns {Promise<Object>} - enabled, checkIntervalMinutes, atRiskThreshold and targets
+ */
+async function getSlaConfig() {
+  const settings = await Settings.findOne().select('sla').lean();
+  const configured = (settings && settings.sla) || {};
+  const targets = {};
+  Object.keys(DEFAULT_CONFIG.targets).forEach(phase => {
+    targets[phase] = { ...DEFAULT_CONFIG.targets[phase], ...((configured.targets || {})[phase] || {}) };
+  });
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...configured,
+    targets
+  };
+}
+
+/**
+ * Latest time the incident moved back to `reopened`
+ * @param {Object} incident - Incident document
+ * @returns {Date|null}
+ */
+function getLastReopenedAt(incident) {
+  return (incident.timeline || [])
+    .filter(entry => entry.toStatus === 'reopened' && entry.date)
+    .reduce((latest, entry) => (!latest || entry.date > latest ? new Date(entry.date) : latest), null);
+}
+
+/**
+ * The phase an incident is currently in and when that phase started
+ * @param {Object} incident - Incident document
+ * @returns {{ phase: string, startedAt: Date }|null} - Null for closed incidents
+ */
+function getCurrentPhase(incident) {
+  if (incident.status === 'closed') {
+    return null;
+  }
+
+  const caseFile = incident.caseFile || {};
+  const reopenedAt = getLastReopenedAt(incident);
+  const latest = (...dates) => dates
+    .filter(Boolean)
+    .map(date => new Date(date))
+    .reduce((a, b) => (a > b ? a : b));
+
+  switch (caseFile.status || 'not_assigned') {
+    case 'not_assigned':
+      return { phase: 'assignment', startedAt: latest(incident.createdAt, reopenedAt) };
+    case 'assigned':
+    case 'under_investigation':
+      return {
+        phase: 'report',
+        startedAt: latest(caseFile.investigationStartDate || incident.createdAt, reopenedAt)
+      };
+    case 'report_submitted':
+      return {
+        phase: 'review',
+        startedAt: latest(caseFile.investigationReport?.submittedAt || incident.createdAt)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Work out the SLA state of an incident
+ * @param {Object} incident - Incident document
+ * @param {Object} config - SLA configuration
+ * @param {Date} now - Reference time
+ * @returns {Object} - { state, phase, priority, startedAt, dueAt, remainingHours }; state is
+ * on_track, at_risk or breached, or none when no deadline applies
+ */
+function computeSla(incident, config, now = new Date()) {
+  const current = config.enabled ? getCurrentPhase(incident) : null;
+  if (!current) {
+    return { state: 'none' };
+  }
+
+  const priority = getIncidentPriority(incident);
+  const hours = config.targets[current.phase][priority];
+  const dueAt = new Date(current.startedAt.getTime() + hours * HOUR_MS);
+  const elapsed = (now - current.startedAt) / (hours * HOUR_MS);
+
+  let state = 'on_track';
+  if (now >= dueAt) {
+    state = 'breached';
+  } else if (elapsed >= config.atRiskThreshold) {
+    state = 'at_risk';
+  }
+
+  return {
+    state,
+    phase: current.phase,
+    priority,
+    startedAt: current.startedAt,
+    dueAt,
+    remainingHours: Number(((dueAt - now) / HOUR_MS).toFixed(1))
+  };
+}
+
+/**
+ * Check whether an alert was already sent for this phase deadline
+ * @param {Array} alerts - Recorded SLA alerts
+ * @param {string} phase - SLA phase
+ * @param {string} level - warning or escalation
+ * @param {Date} dueAt - Deadline the alert was for
+ * @returns {boolean}
+ */
+function alreadyAlerted(alerts, phase, level, dueAt) {
+  return (alerts || []).some(alert =>
+    alert.phase === phase &&
+    alert.level === level &&
+    alert.dueAt && new Date(alert.dueAt).getTime() === dueAt.getTime()
+  );
+}
+
+/**
+ * Users a case is waiting on in its current phase
+ * @param {Object} incident - Incident document
+ * @param {string} phase - SLA phase
+ * @returns {Promise<Array>} - User IDs; empty when the admins are responsible
+ */
+async function getResponsibleUsers(incident, phase) {
+  if (phase === 'report') {
+    const investigator = incident.caseFile?.assignedInvestigator || incident.assignedTo;
+    return investigator ? [investigator] : [];
+  }
+  if (phase === 'review') {
+    const { approval } = getApproval(incident);
+    const step = approval.steps[approval.currentStep];
+    return step ? getStepApprovers(step) : [];
+  }
+  return [];
+}
+
+/**
+ * Warn about an at-risk case, or escalate a breached one
+ * @param {Object} incident - Incident document
+ * @param {Object} sla - Computed SLA
+ * @param {string} level - warning or escalation
+ */
+async function sendAlert(incident, sla, level) {
+  const label = PHASE_LABELS[sla.phase];
+  const due = sla.dueAt.toLocaleString();
+  const responsible = await getResponsibleUsers(incident, sla.phase);
+
+  const title = level === 'warning' ? 'Case Deadline Approaching' : 'Case Deadline Breached';
+  const text = level === 'warning'
+    ? `Incident #${incident.incidentNumber} (${sla.priority}) is due for ${label} by ${due}.`
+    : `Incident #${incident.incidentNumber} (${sla.priority}) missed its ${label} deadline of ${due}.`;
+
+  for (const userId of responsible) {
+    await notifyUser(userId, title, text, 'warning', 'incident', incident._id, level === 'escalation');
+  }
+
+  // Admins own the assignment phase and receive every escalation
+  if (level === 'escalation' || responsible.length === 0) {
+    await notifyAdmins(title, text, level === 'escalation' ? 'error' : 'warning', 'incident', incident._id, level === 'escalation');
+  }
+}
+
+/**
+ * Check every open incident and send the warnings and escalations that are due
+ * @returns {Promise<Object>} - Statistics for the run history
+ */
+async function runSlaCheck() {
+  const config = await getSlaConfig();
+  if (!config.enabled) {
+    logger.info('SLA monitoring is disabled in settings, skipping check');
+    return { skipped: true };
+  }
+
+  const now = new Date();
+  const incidents = await Incident.find({ status: { $ne: 'closed' } }).select(SLA_FIELDS).lean();
+  const stats = { checked: incidents.length, onTrack: 0, atRisk: 0, breached: 0, warnings: 0, escalations: 0 };
+
+  for (const incident of incidents) {
+    const sla = computeSla(incident, config, now);
+    if (sla.state === 'none') {
+      continue;
+    }
+
+    if (sla.state === 'on_track') {
+      stats.onTrack += 1;
+      continue;
+    }
+
+    const level = sla.state === 'breached' ? 'escalation' : 'warning';
+    stats[sla.state === 'breached' ? 'breached' : 'atRisk'] += 1;
+
+    if (alreadyAlerted(incident.slaAlerts, sla.phase, level, sla.dueAt)) {
+      continue;
+    }
+
+    await sendAlert(incident, sla, level);
+    await Incident.updateOne(
+      { _id: incident._id },
+      { $push: { slaAlerts: { phase: sla.phase, level, dueAt: sla.dueAt, sentAt: now } } }
+    );
+    stats[level === 'warning' ? 'warnings' : 'escalations'] += 1;
+  }
+
+  return stats;
+}
+
+/**
+ * Register the SLA check with the scheduler
+ * @returns {Promise<void>}
+ */
+async function startSlaMonitorJob() {
+  const config = await getSlaConfig();
+  scheduleIntervalJob(JOB_NAME, runSlaCheck, { minutes: config.checkIntervalMinutes });
+}
+
+module.exports = {
+  JOB_NAME,
+  SLA_FIELDS,
+  getSlaConfig,
+  computeSla,
+  runSlaCheck,
+  startSlaMonitorJob
+};
@@ -0,0 +1,239 @@
+/**
+ * Stolen Vehicle Service
+ *
+ * Hit detection for vehicles whose status is `stolen`. The QR scan, plate
+ * recognition, vehicle search and registration paths pass the vehicles they
+ * found through detectHits(), which records a VehicleHit with the time, user,
+ * IP and location (when the client sent one) and raises an urgent alert to the
+ * investigators of the vehicle's open theft incidents and to the admins: a
+ * stored notification plus a `stolen_vehicle_hit` Socket.IO event. Repeated
+ * hits on the same vehicle from the same user and source within a few minutes
+ * reuse the first hit, so a search typed letter by letter or a list refreshing
+ * itself does not flood anyone. Detection never fails the request it runs in.
+ */
+
+const mongoose = require('mongoose');
+const VehicleHit = require('../models/VehicleHit');
+const logger = require('../utils/logger');
+const { notifyUser, notifyAdmins } = require('../utils/notificationUtils');
+
+const SOURCE_LABELS = {
+  qr_scan: 'QR code scan',
+  plate_scan: 'plate recognition',
+  search: 'vehicle search',
+  registration: 'registration attempt'
+};
+
+// Repeat hits within this window reuse the earlier hit instead of alerting again
+const ALERT_COOLDOWN_MINUTES = 10;
+
+/**
+ * Position sent with a request as `lat`/`lng` (query or body) or as a GeoJSON
+ * `location` in the body
+ * @param {Object} req - Express request
+ * @returns {Object|null} - GeoJSON point with optional accuracy in meters
+ */
+function getRequestLocation(req) {
+  const body = req.body || {};
+  const source = body.location?.coordinates
+    ? { lng: body.location.coordinates[0], lat: body.location.coordinates[1], accuracy: body.location.accuracy }
+    : { ...req.query, ...body };
+
+  const lng = parseFloat(source.lng ?? source.longitude);
+  const lat = parseFloat(source.lat ?? source.latitude);
+  if (isNaN(lng) || isNaN(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+    return null;
+  }
+
+  const accuracy = parseFloat(source.accuracy);
+  return {
+    type: 'Point',
+    coordinates: [lng, lat],
+    ...(isNaN(accuracy) ? {} : { accuracy })
+  };
+}
+
+/**
+ * Investigators assigned to the open theft incidents of a vehicle
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Array>} - User IDs
+ */
+async function getOwningInvestigators(vehicleId) {
+  const incidents = await mongoose.model('Incident').find({
+    $or: [{ vehicle: vehicleId }, { 'vehicles.vehicle': vehicleId }],
+    type: 'theft',
+    status: { $ne: 'closed' },
+    assignedTo: { $ne: null }
+  }).select('assignedTo').lean();
+
+  return [...new Set(incidents.map(incident => incident.assignedTo.toString()))];
+}
+
+/**
+ * Push a hit to connected users over Socket.IO
+ * @param {Array} userIds - Users to alert
+ * @param {Object} payload - Event payload
+ */
+function emitHit(userIds, payload) {
+  try {
+    const app = global.app || require('../server').app;
+    const io = app && app.get('io');
+    const userSockets = app && app.get('userSockets');
+    if (!io || !userSockets) {
+      logger.warn('Socket.IO instance not found for stolen vehicle alerts');
+      return;
+    }
+
+    userIds.forEach(userId => {
+      const socketId = userSockets.get(userId.toString());
+      if (socketId) {
+        io.to(socketId).emit('stolen_vehicle_hit', payload);
+      }
+    });
+  } catch (error) {
+    logger.error(`Error sending stolen vehicle alert: ${error.message}`);
+  }
+}
+
+/**
+ * Warning shown to whoever triggered the hit
+ * @param {Array} hits - Vehicle and hit pairs
+ * @returns {Object}
+ */
+function buildAlert(hits) {
+  const plates = hits.map(({ vehicle }) => vehicle.licensePlate || vehicle.vin).join(', ');
+  return {
+    level: 'critical',
+    message: `STOLEN VEHICLE: ${plates} ${hits.length === 1 ? 'is' : 'are'} reported stolen. Do not approach; investigators have been alerted.`,
+    vehicles: hits.map(({ vehicle, hit }) => ({
+      _id: vehicle._id,
+      licensePlate: vehicle.licensePlate,
+      vin: vehicle.vin,
+      make: vehicle.make,
+      model: vehicle.model,
+      color: vehicle.color,
+      hitId: hit._id,
+      detectedAt: hit.detectedAt
+    }))
+  };
+}
+
+/**
+ * Record and alert a single hit, unless the same user already triggered it moments ago
+ * @param {Object} vehicle - Stolen vehicle
+ * @param {string} source - qr_scan, plate_scan, search or registration
+ * @param {Object} req - Express request
+ * @param {string} query - Plate, VIN or search text
+ * @returns {Promise<Object>} - VehicleHit document
+ */
+async function recordHit(vehicle, source, req, query) {
+  const user = req.user || null;
+  const ipAddress = req.ip || req.connection?.remoteAddress;
+  const detectedAt = new Date();
+
+  const recent = await VehicleHit.findOne({
+    vehicle: vehicle._id,
+    source,
+    ...(user ? { user: user._id } : { ipAddress }),
+    detectedAt: { $gte: new Date(detectedAt.getTime() - ALERT_COOLDOWN_MINUTES * 60 * 1000) }
+  }).sort({ detectedAt: -1 });
+  if (recent) {
+    return recent;
+  }
+
+  const location = getRequestLocation(req);
+  const investigators = await getOwningInvestigators(vehicle._id);
+  const plate = vehicle.licensePlate || vehicle.vin;
+  const where = location
+    ? ` at ${location.coordinates[1].toFixed(5)}, ${location.coordinates[0].toFixed(5)}`
+    : '';
+  const by = user ? `${user.name || user.email}` : 'an anonymous user';
+  const message = `Stolen vehicle ${plate} (${[vehicle.make, vehicle.model].filter(Boolean).join(' ')}) found by ${SOURCE_LABELS[source]} by ${by}${where}`;
+
+  const notified = await Promise.all(investigators.map(investigatorId =>
+    notifyUser(investigatorId, 'Stolen Vehicle Hit', message, 'error', 'vehicle', vehicle._id, true)
+  ));
+  const adminNotifications = await notifyAdmins('Stolen Vehicle Hit', message, 'error', 'vehicle', vehicle._id, true);
+
+  const alertedUsers = [...new Set([
+    ...notified.filter(Boolean).map(notification => notification.user.toString()),
+    ...adminNotifications.map(notification => notification.user.toString())
+  ])];
+
+  emitHit(alertedUsers, {
+    vehicle: {
+      _id: vehicle._id,
+      licensePlate: vehicle.licensePlate,
+      vin: vehicle.vin,
+      make: vehicle.make,
+      model: vehicle.model,
+      color: vehicle.color
+    },
+    source,
+    sourceLabel: SOURCE_LABELS[source],
+    message,
+    user: user ? { _id: user._id, name: user.name } : null,
+    location,
+    detectedAt
+  });
+
+  return VehicleHit.create({
+    vehicle: vehicle._id,
+    source,
+    query,
+    user: user?._id,
+    ipAddress,
+    userAgent: req.get ? req.get('User-Agent') : undefined,
+    location: location || undefined,
+    alertedUsers,
+    detectedAt
+  });
+}
+
+/**
+ * Check vehicles found by a scan, search or registration for stolen ones
+ * @param {Array|Object} vehicles - Vehicle or vehicles found
+ * @param {Object} options - `source` (qr_scan, plate_scan, search or registration), the
+ * Express `req` and the `query` that found them
+ * @returns {Promise<Object|null>} - Alert for the response, or null when none is stolen
+ */
+async function detectHits(vehicles, { source, req, query } = {}) {
+  const stolen = [].concat(vehicles || []).filter(vehicle => vehicle && vehicle.status === 'stolen');
+  if (stolen.length === 0) {
+    return null;
+  }
+
+  const hits = [];
+  for (const vehicle of stolen) {
+    try {
+      hits.push({ vehicle, hit: await recordHit(vehicle, source, req, query) });
+    } catch (error) {
+      // The warning is still shown even if the hit could not be stored
+      logger.error(`Error recording stolen vehicle hit for ${vehicle._id}: ${error.message}`);
+      hits.push({ vehicle, hit: { detectedAt: new Date() } });
+    }
+  }
+
+  logger.warn(`Stolen vehicle hit on ${SOURCE_LABELS[source]}: ${stolen.map(vehicle => vehicle.licensePlate || vehicle._id).join(', ')}`);
+  return buildAlert(hits);
+}
+
+/**
+ * Hits recorded for a vehicle, newest first
+ * @param {string} vehicleId - Vehicle ID
+ * @param {number} limit - Maximum number of hits
+ * @returns {Promise<Array>}
+ */
+async function getVehicleHits(vehicleId, limit = 50) {
+  return VehicleHit.find({ vehicle: vehicleId })
+    .populate('user', 'name email role')
+    .sort({ detectedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+module.exports = {
+  getRequestLocation,
+  detectHits,
+  getVehicleHits
+};
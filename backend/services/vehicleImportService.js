@@ -0,0 +1,457 @@
+/**
+ * Vehicle Import/Export Service
+ *
+ * Bulk registration of vehicles from CSV, XLSX or JSON files. Every row is
+ * validated against the Vehicle schema, the VIN decoder and the duplicate
+ * VIN/plate checks (within the file and against existing vehicles) before
+ * anything is written, so a dry run returns the same per-row report that a
+ * real import would act on. Imported vehicles are tagged with their
+ * ImportBatch so a batch can be reverted.
+ */
+
+const Vehicle = require('../models/Vehicle');
+const Document = require('../models/document');
+const Incident = require('../models/incidentModel');
+const VehicleHit = require('../models/VehicleHit');
+const ImpoundRecord = require('../models/ImpoundRecord');
+const Citation = require('../models/Citation');
+const ImportBatch = require('../models/ImportBatch');
+const vinDecoder = require('./vinDecoder');
+const { buildFilter, parseSort } = require('./vehicleSearchService');
+const { parseCsv } = require('../utils/csvUtils');
+const { parseXlsx } = require('../utils/xlsxUtils');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Normalized header -> Vehicle field
+const HEADER_ALIASES = {
+  licenseplate: 'licensePlate',
+  plate: 'licensePlate',
+  platenumber: 'licensePlate',
+  registrationnumber: 'registrationNumber',
+  vin: 'vin',
+  make: 'make',
+  model: 'model',
+  year: 'year',
+  color: 'color',
+  colour: 'color',
+  registrationstate: 'registrationState',
+  state: 'registrationState',
+  ownername: 'ownerName',
+  owner: 'ownerName',
+  ownercontact: 'ownerContact',
+  ownerphone: 'ownerContact',
+  owneremail: 'ownerEmail',
+  owneraddress: 'ownerAddress',
+  registrationexpiry: 'registrationExpiry',
+  insuranceprovider: 'insuranceProvider',
+  insurancepolicynumber: 'insurancePolicyNumber',
+  insuranceexpiry: 'insuranceExpiry',
+  status: 'status'
+};
+
+const DATE_FIELDS = ['registrationExpiry', 'insuranceExpiry'];
+
+// Status history events that are part of a theft or impound record
+const LIFECYCLE_EVENTS = ['reported_stolen', 'recovered', 'impounded', 'released'];
+
+// Columns written by the export, in order. They use the import field names so
+// an export can be edited and imported again.
+const EXPORT_COLUMNS = [
+  'licensePlate', 'registrationNumber', 'vin', 'make', 'model', 'year', 'color', 'registrationState',
+  'ownerName', 'ownerContact', 'ownerEmail', 'ownerAddress',
+  'registrationExpiry', 'insuranceProvider', 'insurancePolicyNumber', 'insuranceExpiry',
+  'status', 'complianceStatus', 'createdAt'
+];
+
+/**
+ * Detect the file format from the file name or MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type reported by the upload
+ * @returns {string|null} - csv, xlsx, json or null if unsupported
+ */
+function detectFormat(fileName = '', mimeType = '') {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.csv') || mimeType === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  if (name.endsWith('.json') || mimeType === 'application/json') return 'json';
+  return null;
+}
+
+/**
+ * Parse an uploaded file into raw row objects
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv, xlsx or json
+ * @returns {Promise<Array<Object>>} - Raw rows
+ */
+async function parseImportFile(buffer, format) {
+  if (format === 'xlsx') {
+    try {
+      return (await parseXlsx(buffer)).records;
+    } catch (error) {
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const text = buffer.toString('utf8');
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    const rows = Array.isArray(parsed) ? parsed : parsed.vehicles;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of vehicles or an object with a "vehicles" array');
+    }
+    return rows;
+  }
+
+  return parseCsv(text).records;
+}
+
+/**
+ * Map a raw row onto Vehicle fields and convert value types
+ * @param {Object} raw - Raw row from the file
+ * @returns {{ data: Object, errors: Array<string> }}
+ */
+function normalizeRow(raw) {
+  const data = {};
+  const errors = [];
+
+  Object.entries(raw || {}).forEach(([header, value]) => {
+    const field = HEADER_ALIASES[header.toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (!field || value === undefined || value === null) return;
+
+    // Undo the formula guard added by the CSV export
+    const text = typeof value === 'string' ? value.trim().replace(/^'(?=[=+@-])/, '') : value;
+    if (text === '') return;
+
+    data[field] = text;
+  });
+
+  if (data.year !== undefined) {
+    const year = parseInt(data.year, 10);
+    if (isNaN(year)) {
+      errors.push(`year: "${data.year}" is not a number`);
+      delete data.year;
+    } else {
+      data.year = year;
+    }
+  }
+
+  DATE_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    const date = new Date(data[field]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${field}: "${data[field]}" is not a valid date`);
+      delete data[field];
+    } else {
+      data[field] = date;
+    }
+  });
+
+  if (data.status) data.status = String(data.status).toLowerCase();
+  if (data.licensePlate) data.licensePlate = String(data.licensePlate).toUpperCase();
+  if (data.vin) data.vin = vinDecoder.normalizeVin(data.vin);
+  if (!data.registrationNumber && data.licensePlate) data.registrationNumber = data.licensePlate;
+
+  return { data, errors };
+}
+
+/**
+ * Validate every row and build the per-row report
+ * @param {Array<Object>} rawRows - Raw rows from the file
+ * @returns {Promise<Object>} - Report with `rows` and the validated vehicle data
+ */
+async function validateRows(rawRows) {
+  const normalized = rawRows.map(normalizeRow);
+
+  // Existing vehicles that clash with any VIN or plate in the file
+  const vins = normalized.map(({ data }) => data.vin).filter(Boolean);
+  const plates = normalized.map(({ data }) => data.licensePlate).filter(Boolean);
+  const registrationNumbers = normalized.map(({ data }) => data.registrationNumber).filter(Boolean);
+  const existing = await Vehicle.find({
+    $or: [
+      { vin: { $in: vins } },
+      { licensePlate: { $in: plates } },
+      { registrationNumber: { $in: registrationNumbers } }
+    ]
+  }).select('vin licensePlate registrationNumber').lean();
+
+  const existingVins = new Set(existing.map(vehicle => vehicle.vin));
+  const existingPlates = new Set(existing.map(vehicle => vehicle.licensePlate));
+  const existingRegistrations = new Set(existing.map(vehicle => vehicle.registrationNumber));
+  const seenVins = new Map();
+  const seenPlates = new Map();
+
+  const rows = normalized.map(({ data, errors }, index) => {
+    // Rows are numbered from 1, not counting the CSV header line
+    const row = index + 1;
+    const rowErrors = [...errors];
+    const warnings = [];
+
+    const validationError = new Vehicle(data).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => rowErrors.push(`${error.path}: ${error.message}`));
+    }
+
+    // A theft has to be reported on the imported vehicle so an incident is linked,
+    // and an impound needs a lot record
+    if (['stolen', 'recovered'].includes(data.status)) {
+      rowErrors.push(`status: ${data.status} vehicles cannot be imported; report the theft after importing`);
+    } else if (data.status === 'impounded') {
+      rowErrors.push('status: impounded vehicles cannot be imported; take them into an impound lot after importing');
+    }
+
+    if (data.vin) {
+      const vinResult = vinDecoder.checkVin(data.vin, { make: data.make, year: data.year });
+      if (!vinResult.valid) {
+        vinResult.errors.forEach(error => rowErrors.push(`vin: ${error}`));
+      } else {
+        warnings.push(...vinResult.vinCheck.warnings);
+        data.vinCheck = vinResult.vinCheck;
+      }
+
+      if (existingVins.has(data.vin)) {
+        rowErrors.push(`vin: ${data.vin} is already registered`);
+      } else if (seenVins.has(data.vin)) {
+        rowErrors.push(`vin: ${data.vin} duplicates row ${seenVins.get(data.vin)}`);
+      } else {
+        seenVins.set(data.vin, row);
+      }
+    }
+
+    if (data.licensePlate) {
+      if (existingPlates.has(data.licensePlate)) {
+        rowErrors.push(`licensePlate: ${data.licensePlate} is already registered`);
+      } else if (seenPlates.has(data.licensePlate)) {
+        rowErrors.push(`licensePlate: ${data.licensePlate} duplicates row ${seenPlates.get(data.licensePlate)}`);
+      } else {
+        seenPlates.set(data.licensePlate, row);
+      }
+    }
+
+    if (data.registrationNumber && data.registrationNumber !== data.licensePlate && existingRegistrations.has(data.registrationNumber)) {
+      rowErrors.push(`registrationNumber: ${data.registrationNumber} is already registered`);
+    }
+
+    return {
+      row,
+      status: rowErrors.length ? 'invalid' : 'valid',
+      licensePlate: data.licensePlate,
+      vin: data.vin,
+      errors: rowErrors,
+      warnings,
+      data
+    };
+  });
+
+  return {
+    totalRows: rows.length,
+    validCount: rows.filter(item => item.status === 'valid').length,
+    invalidCount: rows.filter(item => item.status === 'invalid').length,
+    rows
+  };
+}
+
+/**
+ * Strip the validated vehicle data from a report before it is returned
+ * @param {Object} report - Validation report
+ * @returns {Object}
+ */
+function publicReport(report) {
+  return {
+    ...report,
+    rows: report.rows.map(({ data, ...row }) => row)
+  };
+}
+
+/**
+ * Validate and (unless dryRun) import a file of vehicles
+ * @param {Object} options
+ * @param {Buffer} options.buffer - File contents
+ * @param {string} options.fileName - Original file name
+ * @param {string} options.format - csv, xlsx or json
+ * @param {boolean} options.dryRun - Only validate
+ * @param {boolean} options.skipInvalid - Import the valid rows even if some rows fail
+ * @param {Object} options.user - User running the import
+ * @returns {Promise<Object>} - { committed, report, batch }
+ */
+async function importVehicles({ buffer, fileName, format, dryRun = false, skipInvalid = false, user }) {
+  const rawRows = await parseImportFile(buffer, format);
+
+  if (rawRows.length === 0) {
+    const error = new Error('The import file contains no rows');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (rawRows.length > MAX_IMPORT_ROWS) {
+    const error = new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file (got ${rawRows.length})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const report = await validateRows(rawRows);
+
+  if (dryRun || report.validCount === 0 || (report.invalidCount > 0 && !skipInvalid)) {
+    return { committed: false, report: publicReport(report) };
+  }
+
+  const batch = await ImportBatch.create({
+    fileName,
+    format,
+    totalRows: report.totalRows,
+    importedBy: user._id
+  });
+
+  const validRows = report.rows.filter(item => item.status === 'valid');
+  const rowErrors = report.rows
+    .filter(item => item.status === 'invalid')
+    .map(({ row, licensePlate, vin, errors }) => ({ row, licensePlate, vin, messages: errors }));
+
+  try {
+    await Vehicle.insertMany(
+      validRows.map(item => ({ ...item.data, importBatch: batch._id })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A vehicle registered between validation and insert; the rest are still inserted
+    logger.warn(`Import batch ${batch._id} partially failed: ${error.message}`);
+  }
+
+  const inserted = await Vehicle.find({ importBatch: batch._id }).select('licensePlate').lean();
+  const insertedPlates = new Set(inserted.map(vehicle => vehicle.licensePlate));
+  validRows
+    .filter(item => !insertedPlates.has(item.licensePlate))
+    .forEach(({ row, licensePlate, vin }) => {
+      rowErrors.push({ row, licensePlate, vin, messages: ['Vehicle could not be saved (registered by someone else during the import)'] });
+    });
+
+  batch.vehicles = inserted.map(vehicle => vehicle._id);
+  batch.importedCount = inserted.length;
+  batch.skippedCount = report.totalRows - inserted.length;
+  batch.rowErrors = rowErrors.sort((a, b) => a.row - b.row);
+  batch.status = batch.skippedCount > 0 ? 'partial' : 'completed';
+  await batch.save();
+
+  logger.info(`Import batch ${batch._id}: ${batch.importedCount} of ${batch.totalRows} vehicles imported by ${user._id}`);
+
+  return { committed: true, report: publicReport(report), batch };
+}
+
+/**
+ * Vehicles that other records point at. Deleting one would leave those
+ * records dangling, so they are kept on revert even with `force`
+ * @param {Array} vehicleIds - Vehicle IDs
+ * @returns {Promise<Set<string>>} - IDs of the referenced vehicles
+ */
+async function findReferencedVehicles(vehicleIds) {
+  const lookups = await Promise.all([
+    Incident.distinct('vehicle', { vehicle: { $in: vehicleIds } }),
+    Incident.distinct('vehicles.vehicle', { 'vehicles.vehicle': { $in: vehicleIds } }),
+    VehicleHit.distinct('vehicle', { vehicle: { $in: vehicleIds } }),
+    ImpoundRecord.distinct('vehicle', { vehicle: { $in: vehicleIds } }),
+    Citation.distinct('vehicle', { vehicle: { $in: vehicleIds } })
+  ]);
+  return new Set(lookups.flat().filter(Boolean).map(id => id.toString()));
+}
+
+/**
+ * Revert an import batch by deleting the vehicles it created. Vehicles that
+ * have since gained documents, notes, flags, ownership transfers or status
+ * changes are kept unless `force` is set; vehicles with a theft or impound
+ * history or referenced by incidents, stolen vehicle hits, impound records or
+ * citations are always kept.
+ * @param {string} batchId - ImportBatch ID
+ * @param {Object} user - User reverting the batch
+ * @param {Object} options - { force }
+ * @returns {Promise<Object|null>} - Updated batch, or null if it does not exist
+ */
+async function revertImport(batchId, user, { force = false } = {}) {
+  const batch = await ImportBatch.findById(batchId);
+  if (!batch) {
+    return null;
+  }
+
+  if (batch.status === 'reverted') {
+    const error = new Error('This import batch has already been reverted');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const vehicles = await Vehicle.find({ _id: { $in: batch.vehicles }, importBatch: batch._id })
+    .select('notes flags ownershipHistory theft statusHistory')
+    .lean();
+  const vehicleIds = vehicles.map(vehicle => vehicle._id);
+  const withDocuments = new Set(
+    (await Document.distinct('vehicle', { vehicle: { $in: vehicleIds } })).map(id => id.toString())
+  );
+
+  const referenced = await findReferencedVehicles(vehicleIds);
+
+  const inUse = vehicles.filter(vehicle =>
+    referenced.has(vehicle._id.toString()) ||
+    Boolean(vehicle.theft?.incident) ||
+    (vehicle.statusHistory || []).some(entry => LIFECYCLE_EVENTS.includes(entry.event)) ||
+    (!force && (
+      withDocuments.has(vehicle._id.toString()) ||
+      (vehicle.notes || []).length > 0 ||
+      (vehicle.flags || []).length > 0 ||
+      (vehicle.ownershipHistory || []).length > 0 ||
+      (vehicle.statusHistory || []).length > 0
+    ))
+  );
+  const inUseIds = new Set(inUse.map(vehicle => vehicle._id.toString()));
+  const toDelete = vehicleIds.filter(id => !inUseIds.has(id.toString()));
+
+  const { deletedCount } = await Vehicle.deleteMany({ _id: { $in: toDelete } });
+
+  batch.status = 'reverted';
+  batch.revertedBy = user._id;
+  batch.revertedAt = new Date();
+  batch.revertedCount = deletedCount;
+  batch.keptOnRevert = inUse.map(vehicle => vehicle._id);
+  await batch.save();
+
+  logger.info(`Import batch ${batch._id} reverted by ${user._id}: ${deletedCount} vehicles removed, ${inUse.length} kept`);
+
+  return batch;
+}
+
+/**
+ * Format a vehicle for export
+ * @param {Object} vehicle - Lean vehicle
+ * @returns {Object} - Export row keyed by EXPORT_COLUMNS
+ */
+function toExportRow(vehicle) {
+  const row = {};
+  EXPORT_COLUMNS.forEach(column => {
+    const value = vehicle[column];
+    row[column] = value instanceof Date && DATE_FIELDS.includes(column)
+      ? value.toISOString().slice(0, 10)
+      : value;
+  });
+  return row;
+}
+
+/**
+ * Cursor over the vehicles matching the export filters
+ * @param {Object} params - Search parameters (same as the vehicle search)
+ * @returns {Object} - Mongoose query cursor
+ */
+function getExportCursor(params = {}) {
+  return Vehicle.find(buildFilter(params))
+    .sort(parseSort(params.sort))
+    .select(EXPORT_COLUMNS.join(' '))
+    .lean()
+    .cursor();
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  detectFormat,
+  importVehicles,
+  revertImport,
+  toExportRow,
+  getExportCursor
+};
@@ -0,0 +1,492 @@
+/**
+ * Vehicle Lifecycle Service
+ *
+ * Stolen and recovered transitions for vehicles. A vehicle only becomes
+ * `stolen` through reportStolen(), which links an open theft incident or opens
+ * a new one, and only leaves `stolen` through markRecovered(), which records
+ * where and in what condition it was found and links back to the same theft
+ * incident. Both transitions append to the vehicle's status history and to the
+ * incident timeline; the time from theft to recovery is kept on the recovery
+ * entry for the recovery time metrics.
+ */
+
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Incident = require('../models/incidentModel');
+const logger = require('../utils/logger');
+const geocodingService = require('./geocodingService');
+const personService = require('./personService');
+const { notifyUser, notifyAdmins } = require('../utils/notificationUtils');
+
+// Statuses a vehicle can be reported stolen from
+const STOLEN_FROM = ['active', 'recovered'];
+
+const RECOVERY_CONDITIONS = ['intact', 'minor_damage', 'major_damage', 'stripped', 'burned', 'total_loss'];
+
+/**
+ * Create an error with the HTTP status the controller should respond with
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function serviceError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse an optional date sent by the client
+ * @param {*} value - Date string or Date
+ * @param {string} label - Field name used in the error message
+ * @returns {Date}
+ */
+function parsePastDate(value, label) {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime()) || date > new Date()) {
+    throw serviceError(400, `${label} must be a valid date that is not in the future`);
+  }
+  return date;
+}
+
+const describeVehicle = (vehicle) =>
+  `${vehicle.licensePlate} (${[vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')})`;
+
+/**
+ * Reject status changes made through the general vehicle update that belong
+ * to the stolen/recovered transitions or to the impound lot
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ */
+function checkDirectStatusChange(fromStatus, toStatus) {
+  if (!toStatus || fromStatus === toStatus) {
+    return;
+  }
+  if (toStatus === 'stolen') {
+    throw serviceError(400, 'Vehicles can only be marked stolen by reporting them stolen');
+  }
+  if (toStatus === 'recovered' || fromStatus === 'stolen') {
+    throw serviceError(400, 'Stolen vehicles can only leave the stolen status by being marked recovered');
+  }
+  if (toStatus === 'impounded' || fromStatus === 'impounded') {
+    throw serviceError(400, 'Vehicles are impounded and released through an impound lot');
+  }
+}
+
+/**
+ * Status history entry for a status changed through the general vehicle update
+ * @param {string} fromStatus - Previous status
+ * @param {string} toStatus - New status
+ * @param {Object} user - Acting user
+ * @returns {Object}
+ */
+function statusChangeEntry(fromStatus, toStatus, user) {
+  return {
+    event: 'status_change',
+    fromStatus,
+    toStatus,
+    performedBy: user._id,
+    performedAt: new Date()
+  };
+}
+
+/**
+ * Geocode the theft location; a gazetteer failure must not block the report
+ * @param {string|Object} location - Address string or { coordinates, address }
+ * @returns {Promise<Object|undefined>}
+ */
+async function resolveTheftLocation(location) {
+  if (!location) {
+    return undefined;
+  }
+  try {
+    return await geocodingService.resolveLocation(location);
+  } catch (error) {
+    logger.warn(`Could not geocode theft location: ${error.message}`);
+    const address = typeof location === 'string' ? location : location.address;
+    return {
+      type: 'Point',
+      coordinates: [0, 0],
+      address: typeof address === 'string' ? { street: address } : address,
+      geocode: { source: 'unresolved', resolvedAt: new Date() }
+    };
+  }
+}
+
+/**
+ * Open theft incident a vehicle is reported stolen under
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object>}
+ */
+async function findTheftIncident(incidentId) {
+  if (!mongoose.Types.ObjectId.isValid(incidentId)) {
+    throw serviceError(400, 'Invalid incident ID format');
+  }
+  const incident = await Incident.findById(incidentId);
+  if (!incident) {
+    throw serviceError(404, 'Incident not found');
+  }
+  if (incident.type !== 'theft') {
+    throw serviceError(400, `Incident ${incident.incidentNumber} is not a theft incident`);
+  }
+  if (incident.status === 'closed') {
+    throw serviceError(400, `Incident ${incident.incidentNumber} is closed`);
+  }
+  return incident;
+}
+
+/**
+ * New theft incident for a vehicle, with the registered owner as the victim
+ * @param {Object} vehicle - Vehicle document
+ * @param {Object} user - Acting user
+ * @param {Object} details - stolenAt, description, location, severity
+ * @param {Object} timelineEntry - First timeline entry
+ * @returns {Promise<Object>} - Saved incident
+ */
+async function createTheftIncident(vehicle, user, { stolenAt, description, location, severity }, timelineEntry) {
+  const incident = new Incident({
+    title: `Vehicle theft: ${describeVehicle(vehicle)}`,
+    description: description || `${describeVehicle(vehicle)} reported stolen.`,
+    type: 'theft',
+    severity: severity || 'high',
+    date: stolenAt,
+    time: stolenAt.toLocaleTimeString(),
+    location: await resolveTheftLocation(location),
+    vehicles: [{ vehicle: vehicle._id, involvement: 'victim', details: 'Stolen vehicle' }],
+    reportedBy: user._id,
+    status: 'open',
+    timeline: [timelineEntry]
+  });
+
+  if (vehicle.ownerName) {
+    incident.persons = await personService.linkIncidentPersons([{
+      name: vehicle.ownerName,
+      role: 'victim',
+      contact: {
+        phone: vehicle.ownerContact,
+        email: vehicle.ownerEmail,
+        address: vehicle.ownerAddress
+      },
+      details: 'Registered owner of the stolen vehicle'
+    }], user, incident._id);
+  }
+
+  return incident.save();
+}
+
+/**
+ * Report a vehicle stolen under an existing theft incident or a new one
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} user - Acting user
+ * @param {Object} details - `incidentId` of an open theft incident, or the
+ * `description`, `location` and `severity` for a new one; `stolenAt` and `note`
+ * @returns {Promise<Object>} - { vehicle, incident, entry, createdIncident }
+ */
+async function reportStolen(vehicleId, user, details = {}) {
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+  if (vehicle.status === 'stolen') {
+    throw serviceError(409, `${vehicle.licensePlate} is already reported stolen`);
+  }
+  if (!STOLEN_FROM.includes(vehicle.status)) {
+    throw serviceError(409, `${vehicle.status} vehicles cannot be reported stolen`);
+  }
+
+  const stolenAt = parsePastDate(details.stolenAt, 'Theft date');
+  const reportedAt = new Date();
+  const timelineEntry = {
+    date: reportedAt,
+    action: 'Vehicle Reported Stolen',
+    description: `${describeVehicle(vehicle)} reported stolen` +
+      `${details.note ? `: ${details.note}` : ''}`,
+    performedBy: user._id
+  };
+
+  const existing = details.incidentId ? await findTheftIncident(details.incidentId) : null;
+  const incident = existing || await createTheftIncident(vehicle, user, { ...details, stolenAt }, timelineEntry);
+
+  const entry = {
+    event: 'reported_stolen',
+    fromStatus: vehicle.status,
+    toStatus: 'stolen',
+    incident: incident._id,
+    note: details.note,
+    performedBy: user._id,
+    performedAt: reportedAt
+  };
+
+  // The status filter stops two officers reporting the same vehicle at once
+  const updated = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, status: vehicle.status },
+    {
+      $set: {
+        status: 'stolen',
+        theft: { incident: incident._id, stolenAt, reportedAt, reportedBy: user._id },
+        lastUpdated: reportedAt
+      },
+      $push: { statusHistory: entry }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    if (!existing) {
+      await Incident.deleteOne({ _id: incident._id });
+    }
+    throw serviceError(409, 'The vehicle status changed in the meantime. Reload and try again.');
+  }
+
+  if (existing) {
+    const linked = existing.vehicles.some(item => item.vehicle.toString() === vehicle._id.toString());
+    await Incident.updateOne(
+      { _id: existing._id },
+      {
+        $push: {
+          timeline: timelineEntry,
+          ...(!linked && {
+            vehicles: { vehicle: vehicle._id, involvement: 'victim', details: 'Stolen vehicle' }
+          })
+        }
+      }
+    );
+  }
+
+  await notifyAdmins(
+    'Vehicle Reported Stolen',
+    `${describeVehicle(vehicle)} was reported stolen under incident #${incident.incidentNumber}.`,
+    'warning',
+    'vehicle',
+    vehicle._id
+  );
+
+  return { vehicle: updated, incident, entry, createdIncident: !existing };
+}
+
+/**
+ * Theft incident a stolen vehicle should be recovered under. Vehicles marked
+ * stolen before the lifecycle existed fall back to their latest open theft incident.
+ * @param {Object} vehicle - Vehicle document
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenTheftIncident(vehicle) {
+  if (vehicle.theft?.incident) {
+    const incident = await Incident.findById(vehicle.theft.incident);
+    if (incident) {
+      return incident;
+    }
+  }
+  return Incident.findOne({
+    $or: [{ vehicle: vehicle._id }, { 'vehicles.vehicle': vehicle._id }],
+    type: 'theft',
+    status: { $ne: 'closed' }
+  }).sort({ date: -1 });
+}
+
+/**
+ * Mark a stolen vehicle recovered
+ * @param {string} vehicleId - Vehicle ID
+ * @param {Object} user - Acting user
+ * @param {Object} details - `condition`, `location` ({ type, coordinates } and/or
+ * `address`), `recoveredAt`, `damageAssessment`, `estimatedDamageCost`, `note`
+ * @returns {Promise<Object>} - { vehicle, incident, entry }
+ */
+async function markRecovered(vehicleId, user, details = {}) {
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+  if (vehicle.status !== 'stolen') {
+    throw serviceError(409, `Only stolen vehicles can be marked recovered; ${vehicle.licensePlate} is ${vehicle.status}`);
+  }
+
+  if (!RECOVERY_CONDITIONS.includes(details.condition)) {
+    throw serviceError(400, `Condition must be one of: ${RECOVERY_CONDITIONS.join(', ')}`);
+  }
+
+  const location = details.location || {};
+  const address = typeof location.address === 'string' ? location.address.trim() : '';
+  if (!location.coordinates && !address) {
+    throw serviceError(400, 'The recovery location is required');
+  }
+
+  const cost = details.estimatedDamageCost;
+  if (cost !== undefined && cost !== null && cost !== '' && (isNaN(Number(cost)) || Number(cost) < 0)) {
+    throw serviceError(400, 'Estimated damage cost must be a non-negative number');
+  }
+
+  const recoveredAt = parsePastDate(details.recoveredAt, 'Recovery date');
+  const incident = await findOpenTheftIncident(vehicle);
+  const stolenAt = vehicle.theft?.stolenAt || incident?.date;
+  if (stolenAt && recoveredAt < stolenAt) {
+    throw serviceError(400, 'Recovery date cannot be earlier than the theft');
+  }
+
+  const entry = {
+    event: 'recovered',
+    fromStatus: 'stolen',
+    toStatus: 'recovered',
+    incident: incident?._id,
+    note: details.note,
+    recovery: {
+      recoveredAt,
+      location: {
+        ...(location.coordinates && { type: 'Point', coordinates: location.coordinates }),
+        ...(address && { address })
+      },
+      condition: details.condition,
+      damageAssessment: details.damageAssessment,
+      estimatedDamageCost: cost !== undefined && cost !== null && cost !== '' ? Number(cost) : undefined,
+      recoveryTimeHours: stolenAt
+        ? Math.round((recoveredAt - stolenAt) / 36000) / 100
+        : undefined
+    },
+    performedBy: user._id,
+    performedAt: new Date()
+  };
+
+  const updated = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, status: 'stolen' },
+    {
+      $set: { status: 'recovered', lastUpdated: entry.performedAt },
+      $unset: { theft: '' },
+      $push: { statusHistory: entry }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw serviceError(409, 'The vehicle status changed in the meantime. Reload and try again.');
+  }
+
+  if (incident) {
+    const where = address || entry.recovery.location.coordinates.slice().reverse().join(', ');
+    await Incident.updateOne(
+      { _id: incident._id },
+      {
+        $push: {
+          timeline: {
+            date: entry.performedAt,
+            action: 'Vehicle Recovered',
+            description: `${describeVehicle(vehicle)} recovered at ${where} (${details.condition.replace(/_/g, ' ')})` +
+              `${details.damageAssessment ? `: ${details.damageAssessment}` : ''}`,
+            performedBy: user._id
+          }
+        }
+      }
+    );
+
+    if (incident.assignedTo) {
+      await notifyUser(
+        incident.assignedTo,
+        'Stolen Vehicle Recovered',
+        `${describeVehicle(vehicle)} from incident #${incident.incidentNumber} has been recovered.`,
+        'success',
+        'incident',
+        incident._id
+      );
+    }
+  }
+
+  return { vehicle: updated, incident, entry };
+}
+
+/**
+ * Median of a sorted list of numbers
+ * @param {Array<number>} values - Sorted values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(values.length / 2);
+  return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+}
+
+/**
+ * Time from theft to recovery over the recoveries in a date range
+ * @param {Object} options - `from` and `to` bound the recovery date
+ * @returns {Promise<Object>}
+ */
+async function getRecoveryMetrics({ from, to } = {}) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    throw serviceError(400, 'from and to must be valid dates');
+  }
+
+  const match = {
+    'statusHistory.event': 'recovered',
+    ...(Object.keys(range).length && { 'statusHistory.recovery.recoveredAt': range })
+  };
+
+  const [recoveries, currentlyStolen] = await Promise.all([
+    Vehicle.aggregate([
+      { $match: match },
+      { $unwind: '$statusHistory' },
+      { $match: match },
+      {
+        $project: {
+          _id: 0,
+          hours: '$statusHistory.recovery.recoveryTimeHours',
+          condition: '$statusHistory.recovery.condition'
+        }
+      }
+    ]),
+    Vehicle.countDocuments({ status: 'stolen' })
+  ]);
+
+  const hours = recoveries
+    .map(recovery => recovery.hours)
+    .filter(value => typeof value === 'number')
+    .sort((a, b) => a - b);
+  const byCondition = {};
+  recoveries.forEach(({ condition }) => {
+    byCondition[condition] = (byCondition[condition] || 0) + 1;
+  });
+
+  const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+  return {
+    recovered: recoveries.length,
+    currentlyStolen,
+    recoveryTimeHours: {
+      average: round(hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null),
+      median: round(median(hours)),
+      min: hours.length ? hours[0] : null,
+      max: hours.length ? hours[hours.length - 1] : null
+    },
+    byCondition
+  };
+}
+
+/**
+ * Stolen/recovered history of a vehicle, oldest first
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Object>}
+ */
+async function getStatusHistory(vehicleId) {
+  const vehicle = await Vehicle.findById(vehicleId)
+    .select('licensePlate status theft statusHistory')
+    .populate('statusHistory.incident', 'incidentNumber title status')
+    .populate('statusHistory.performedBy', 'name email role')
+    .populate('theft.incident', 'incidentNumber title status')
+    .lean();
+  if (!vehicle) {
+    throw serviceError(404, 'Vehicle not found');
+  }
+  return vehicle;
+}
+
+module.exports = {
+  RECOVERY_CONDITIONS,
+  checkDirectStatusChange,
+  statusChangeEntry,
+  reportStolen,
+  markRecovered,
+  getRecoveryMetrics,
+  getStatusHistory
+};
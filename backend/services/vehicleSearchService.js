@@ -0,0 +1,294 @@
+/**
+ * Vehicle Search Service
+ *
+ * Builds the Mongo filter for the vehicle search endpoint and runs it as a
+ * single aggregation that returns the requested page together with facet
+ * counts. Facets are disjunctive: each facet is counted with every filter
+ * applied except its own, so the UI can show the other values a user could
+ * add to a multi-select filter.
+ */
+
+const Vehicle = require('../models/Vehicle');
+
+const VIN_LENGTH = 17;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const VEHICLE_STATUSES = ['active', 'stolen', 'recovered', 'impounded'];
+
+// Fields the results can be sorted by
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'licensePlate', 'make', 'model', 'year', 'color', 'ownerName', 'registrationState', 'status'];
+
+// Facet name -> vehicle field
+const FACET_FIELDS = {
+  status: 'status',
+  make: 'make',
+  color: 'color',
+  registrationState: 'registrationState',
+  year: 'year'
+};
+
+// Fields searched by the free text query
+const TEXT_FIELDS = ['licensePlate', 'vin', 'make', 'model', 'ownerName', 'color', 'registrationNumber'];
+
+/**
+ * Escape a user supplied value for use in a regular expression
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a comma separated query parameter (or repeated parameter) into values
+ * @param {string|Array} value - Query parameter
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a query parameter that takes a single value. A repeated parameter
+ * arrives as an array (or an object for bracket syntax) and is rejected
+ * @param {Object} params - Search parameters
+ * @param {string} name - Parameter name
+ * @returns {string} - Trimmed value, or '' when not given
+ */
+function singleValue(params, name) {
+  const value = params[name];
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    const error = new Error(`${name} must be given once`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Case-insensitive exact match against one or more values
+ * @param {Array<string>} values - Accepted values
+ * @returns {Object} - Mongo condition
+ */
+function anyOfIgnoreCase(values) {
+  const patterns = values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+  return patterns.length === 1 ? patterns[0] : { $in: patterns };
+}
+
+/**
+ * Build the VIN condition. A full 17 character VIN is matched exactly; anything
+ * shorter is a partial lookup, anchored to the end when vinMatch=suffix (e.g. last-6)
+ * @param {string} vin - VIN or VIN fragment
+ * @param {string} vinMatch - exact, suffix or partial
+ * @returns {Object|string} - Mongo condition
+ */
+function buildVinCondition(vin, vinMatch) {
+  const normalized = vin.replace(/[\s-]/g, '').toUpperCase();
+  const mode = vinMatch || (normalized.length === VIN_LENGTH ? 'exact' : 'partial');
+
+  switch (mode) {
+    case 'exact':
+      return normalized;
+    case 'suffix':
+      return { $regex: `${escapeRegex(normalized)}$` };
+    default:
+      return { $regex: escapeRegex(normalized) };
+  }
+}
+
+/**
+ * Translate search parameters into one Mongo condition per filter so facets
+ * can drop their own condition
+ * @param {Object} params - Search parameters (usually req.query)
+ * @returns {Object} - Map of filter name -> Mongo condition
+ */
+function buildConditions(params = {}) {
+  const conditions = {};
+  const query = singleValue(params, 'q') || singleValue(params, 'query');
+  const vin = singleValue(params, 'vin');
+  const plate = singleValue(params, 'plate').replace(/\s+/g, '').toUpperCase();
+  const owner = singleValue(params, 'owner');
+  const model = singleValue(params, 'model');
+
+  if (query) {
+    const pattern = new RegExp(escapeRegex(query), 'i');
+    conditions.q = { $or: TEXT_FIELDS.map(field => ({ [field]: pattern })) };
+  }
+
+  if (vin) {
+    conditions.vin = { vin: buildVinCondition(vin, singleValue(params, 'vinMatch')) };
+  }
+
+  if (plate) {
+    conditions.plate = { licensePlate: { $regex: escapeRegex(plate) } };
+  }
+
+  if (owner) {
+    conditions.owner = { ownerName: { $regex: escapeRegex(owner), $options: 'i' } };
+  }
+
+  if (model) {
+    conditions.model = { model: { $regex: escapeRegex(model), $options: 'i' } };
+  }
+
+  const makes = toList(params.make);
+  if (makes.length) {
+    conditions.make = { make: anyOfIgnoreCase(makes) };
+  }
+
+  const colors = toList(params.color);
+  if (colors.length) {
+    conditions.color = { color: anyOfIgnoreCase(colors) };
+  }
+
+  const states = toList(params.registrationState || params.state);
+  if (states.length) {
+    conditions.registrationState = { registrationState: anyOfIgnoreCase(states) };
+  }
+
+  const statuses = toList(params.status).map(status => status.toLowerCase());
+  if (statuses.length) {
+    const invalid = statuses.filter(status => !VEHICLE_STATUSES.includes(status));
+    if (invalid.length) {
+      const error = new Error(`Invalid status: ${invalid.join(', ')}. Must be one of: ${VEHICLE_STATUSES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    conditions.status = { status: { $in: statuses } };
+  }
+
+  const yearFrom = parseInt(params.yearFrom);
+  const yearTo = parseInt(params.yearTo);
+  const years = toList(params.year).map(year => parseInt(year)).filter(year => !isNaN(year));
+  if (years.length || !isNaN(yearFrom) || !isNaN(yearTo)) {
+    const yearCondition = {};
+    if (years.length) yearCondition.$in = years;
+    if (!isNaN(yearFrom)) yearCondition.$gte = yearFrom;
+    if (!isNaN(yearTo)) yearCondition.$lte = yearTo;
+    conditions.year = { year: yearCondition };
+  }
+
+  return conditions;
+}
+
+/**
+ * Combine conditions into a single filter, optionally leaving one out
+ * @param {Object} conditions - Map of filter name -> Mongo condition
+ * @param {string} exclude - Filter name to leave out
+ * @returns {Object} - Mongo filter
+ */
+function combineConditions(conditions, exclude) {
+  const parts = Object.entries(conditions)
+    .filter(([name]) => name !== exclude)
+    .map(([, condition]) => condition);
+
+  if (parts.length === 0) return {};
+  if (parts.length === 1) return parts[0];
+  return { $and: parts };
+}
+
+/**
+ * Build the complete Mongo filter for a set of search parameters
+ * @param {Object} params - Search parameters (usually req.query)
+ * @returns {Object} - Mongo filter
+ */
+function buildFilter(params = {}) {
+  return combineConditions(buildConditions(params));
+}
+
+/**
+ * Parse a sort parameter such as "-year" or "make,-createdAt"
+ * @param {string} sort - Sort parameter
+ * @returns {Object} - Mongo sort specification
+ */
+function parseSort(sort) {
+  const spec = {};
+  toList(sort).forEach(item => {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+    if (SORTABLE_FIELDS.includes(field)) {
+      spec[field] = direction;
+    }
+  });
+
+  if (Object.keys(spec).length === 0) {
+    spec.createdAt = -1;
+  }
+  // Stable ordering across pages
+  spec._id = spec._id || 1;
+  return spec;
+}
+
+/**
+ * Search vehicles with pagination, sorting and facet counts
+ * @param {Object} params - Search parameters (usually req.query)
+ * @returns {Promise<Object>} - { vehicles, total, page, limit, pages, facets }
+ */
+async function searchVehicles(params = {}) {
+  const conditions = buildConditions(params);
+  const filter = combineConditions(conditions);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const facetStages = {};
+  Object.entries(FACET_FIELDS).forEach(([name, field]) => {
+    facetStages[name] = [
+      { $match: combineConditions(conditions, name) },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ''] } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 }
+    ];
+  });
+
+  const [result] = await Vehicle.aggregate([
+    {
+      $facet: {
+        vehicles: [
+          { $match: filter },
+          { $sort: parseSort(params.sort) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { __v: 0 } }
+        ],
+        total: [
+          { $match: filter },
+          { $count: 'count' }
+        ],
+        ...facetStages
+      }
+    }
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const facets = {};
+  Object.keys(FACET_FIELDS).forEach(name => {
+    facets[name] = result[name].map(bucket => ({ value: bucket._id, count: bucket.count }));
+  });
+
+  return {
+    vehicles: result.vehicles,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    facets
+  };
+}
+
+module.exports = {
+  VEHICLE_STATUSES,
+  buildConditions,
+  buildFilter,
+  parseSort,
+  searchVehicles
+};
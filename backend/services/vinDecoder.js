@@ -0,0 +1,345 @@
+/**
+ * VIN Decoder
+ *
+ * Offline decoding and validation of 17 character Vehicle Identification
+ * Numbers (ISO 3779). Validates the character set and the position 9 check
+ * digit, decodes the World Manufacturer Identifier (positions 1-3) into a
+ * manufacturer, region and country, and decodes the model year (position 10).
+ *
+ * The check digit is only mandatory for vehicles built for North America
+ * (WMI starting 1-5); for other regions a mismatch is reported as a warning.
+ */
+
+const VIN_LENGTH = 17;
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Check digit transliteration of letters to numbers
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+// Weight of each VIN position in the check digit sum
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Model year codes in order from 1980; the cycle repeats every 30 years
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_BASE = 1980;
+const MODEL_YEAR_CYCLE = 30;
+
+// Regions by first WMI character
+const REGIONS = [
+  { pattern: /^[A-H]/, region: 'Africa' },
+  { pattern: /^[J-R]/, region: 'Asia' },
+  { pattern: /^[S-Z]/, region: 'Europe' },
+  { pattern: /^[1-5]/, region: 'North America' },
+  { pattern: /^[67]/, region: 'Oceania' },
+  { pattern: /^[890]/, region: 'South America' }
+];
+
+// Countries by the first two WMI characters (ranges are inclusive)
+const COUNTRIES = [
+  { pattern: /^A[A-H]/, country: 'South Africa' },
+  { pattern: /^J/, country: 'Japan' },
+  { pattern: /^K[L-R]/, country: 'South Korea' },
+  { pattern: /^L/, country: 'China' },
+  { pattern: /^M[A-E]/, country: 'India' },
+  { pattern: /^M[F-K]/, country: 'Indonesia' },
+  { pattern: /^M[L-R]/, country: 'Thailand' },
+  { pattern: /^N[L-R]/, country: 'Turkey' },
+  { pattern: /^P[A-E]/, country: 'Philippines' },
+  { pattern: /^P[L-R]/, country: 'Malaysia' },
+  { pattern: /^S[A-M]/, country: 'United Kingdom' },
+  { pattern: /^S[N-T]/, country: 'Germany' },
+  { pattern: /^S[U-Z]/, country: 'Poland' },
+  { pattern: /^T[A-H]/, country: 'Switzerland' },
+  { pattern: /^T[J-P]/, country: 'Czech Republic' },
+  { pattern: /^T[R-V]/, country: 'Hungary' },
+  { pattern: /^V[A-E]/, country: 'Austria' },
+  { pattern: /^V[F-R]/, country: 'France' },
+  { pattern: /^V[S-W]/, country: 'Spain' },
+  { pattern: /^W/, country: 'Germany' },
+  { pattern: /^X[L-R]/, country: 'Netherlands' },
+  { pattern: /^X[S-W]/, country: 'Russia' },
+  { pattern: /^Y[A-E]/, country: 'Belgium' },
+  { pattern: /^Y[F-K]/, country: 'Finland' },
+  { pattern: /^Y[S-W]/, country: 'Sweden' },
+  { pattern: /^Z[A-R]/, country: 'Italy' },
+  { pattern: /^[145]/, country: 'United States' },
+  { pattern: /^2/, country: 'Canada' },
+  { pattern: /^3[A-W]/, country: 'Mexico' },
+  { pattern: /^6/, country: 'Australia' },
+  { pattern: /^7/, country: 'New Zealand' },
+  { pattern: /^8[A-E]/, country: 'Argentina' },
+  { pattern: /^9[A-E]/, country: 'Brazil' }
+];
+
+// Known World Manufacturer Identifiers. Three character codes are checked
+// first, then the two character manufacturer prefix.
+const WMI_CODES = {
+  '1FA': 'Ford', '1FT': 'Ford', '1FM': 'Ford', '1FD': 'Ford', '2FA': 'Ford', '3FA': 'Ford', 'NM0': 'Ford', 'WF0': 'Ford',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '2G1': 'Chevrolet', '3GN': 'Chevrolet',
+  '1GT': 'GMC', '1G6': 'Cadillac', '1GY': 'Cadillac', '1G4': 'Buick',
+  '1C3': 'Chrysler', '1C4': 'Jeep', '1J4': 'Jeep', '1C6': 'Ram', '1B3': 'Dodge', '2B3': 'Dodge', '2C3': 'Chrysler',
+  '1HG': 'Honda', '2HG': 'Honda', '5J6': 'Honda', '19X': 'Honda', '5FN': 'Honda', 'JHM': 'Honda', 'SHH': 'Honda',
+  '19U': 'Acura', 'JH4': 'Acura',
+  '1N4': 'Nissan', '1N6': 'Nissan', '5N1': 'Nissan', '3N1': 'Nissan', 'JN1': 'Nissan', 'JN8': 'Nissan', 'SJN': 'Nissan',
+  'JNK': 'Infiniti',
+  '4T1': 'Toyota', '4T3': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota', '2T1': 'Toyota', 'JT2': 'Toyota', 'JTD': 'Toyota',
+  'JTE': 'Toyota', 'JTM': 'Toyota', 'JTN': 'Toyota', 'MR0': 'Toyota', 'MR2': 'Toyota', 'SB1': 'Toyota',
+  'JTH': 'Lexus', 'JTJ': 'Lexus', '2T2': 'Lexus',
+  '5YJ': 'Tesla', '7SA': 'Tesla', 'LRW': 'Tesla',
+  'JM1': 'Mazda', 'JM3': 'Mazda',
+  'JF1': 'Subaru', 'JF2': 'Subaru', '4S3': 'Subaru', '4S4': 'Subaru',
+  'JA3': 'Mitsubishi', 'JA4': 'Mitsubishi', 'JMB': 'Mitsubishi',
+  'JS1': 'Suzuki', 'JS2': 'Suzuki', 'JS3': 'Suzuki', 'MA3': 'Suzuki', 'MBH': 'Suzuki',
+  'KMH': 'Hyundai', 'KM8': 'Hyundai', '5NP': 'Hyundai', 'MAL': 'Hyundai',
+  'KNA': 'Kia', 'KND': 'Kia', '5XY': 'Kia',
+  'WBA': 'BMW', 'WBS': 'BMW', 'WBX': 'BMW', '5UX': 'BMW', '4US': 'BMW',
+  'WDB': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'WDC': 'Mercedes-Benz', 'W1K': 'Mercedes-Benz', '4JG': 'Mercedes-Benz',
+  'WVW': 'Volkswagen', 'WV1': 'Volkswagen', 'WV2': 'Volkswagen', '3VW': 'Volkswagen', '1VW': 'Volkswagen', 'LFV': 'Volkswagen', 'LSV': 'Volkswagen',
+  'WAU': 'Audi', 'WUA': 'Audi', 'WP0': 'Porsche', 'WP1': 'Porsche',
+  'SAL': 'Land Rover', 'SAJ': 'Jaguar', 'SCC': 'Lotus', 'SCF': 'Aston Martin',
+  'VF1': 'Renault', 'VF3': 'Peugeot', 'VF7': 'Citroen',
+  'ZFA': 'Fiat', 'ZFF': 'Ferrari', 'ZAR': 'Alfa Romeo', 'ZHW': 'Lamborghini',
+  'YV1': 'Volvo', 'YV4': 'Volvo', 'YS3': 'Saab',
+  'TMB': 'Skoda', 'VSS': 'SEAT'
+};
+
+const WMI_PREFIXES = {
+  JH: 'Honda', JN: 'Nissan', JT: 'Toyota', JM: 'Mazda', JF: 'Subaru', JA: 'Mitsubishi', JS: 'Suzuki',
+  KM: 'Hyundai', KN: 'Kia', WB: 'BMW', WD: 'Mercedes-Benz', WV: 'Volkswagen', WA: 'Audi', WP: 'Porsche',
+  YV: 'Volvo', ZF: 'Fiat'
+};
+
+// Alternative spellings of makes accepted when comparing with the entered make
+const MAKE_ALIASES = {
+  'Chevrolet': ['chevy'],
+  'Mercedes-Benz': ['mercedes', 'benz'],
+  'Volkswagen': ['vw'],
+  'Land Rover': ['range rover'],
+  'Toyota': ['lexus'],
+  'Nissan': ['datsun', 'infiniti'],
+  'Honda': ['acura'],
+  'Ram': ['dodge'],
+  'Dodge': ['ram'],
+  'Chrysler': ['jeep', 'dodge'],
+  'Jeep': ['chrysler']
+};
+
+/**
+ * Normalize user input: uppercase and strip spaces and dashes
+ * @param {string} vin - Raw VIN
+ * @returns {string}
+ */
+function normalizeVin(vin) {
+  return String(vin || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Compute the ISO 3779 / North American check digit for a VIN
+ * @param {string} vin - 17 character VIN
+ * @returns {string} - Expected check digit (0-9 or X)
+ */
+function computeCheckDigit(vin) {
+  const sum = vin.split('').reduce((total, char, index) => {
+    const value = /[0-9]/.test(char) ? parseInt(char, 10) : TRANSLITERATION[char] || 0;
+    return total + value * POSITION_WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Decode the model year character (position 10). The code repeats every 30
+ * years; for North American vehicles a numeric position 7 means 1980-2009
+ * and a letter means 2010-2039.
+ * @param {string} vin - 17 character VIN
+ * @param {string} region - Decoded region
+ * @returns {{ modelYear: number|null, possibleModelYears: Array<number> }}
+ */
+function decodeModelYear(vin, region) {
+  const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) {
+    return { modelYear: null, possibleModelYears: [] };
+  }
+
+  const latestYear = new Date().getFullYear() + 1;
+  const possibleModelYears = [];
+  for (let year = MODEL_YEAR_BASE + index; year <= latestYear; year += MODEL_YEAR_CYCLE) {
+    possibleModelYears.push(year);
+  }
+
+  let modelYear = possibleModelYears[possibleModelYears.length - 1] || null;
+  if (region === 'North America' && possibleModelYears.length > 1) {
+    const firstCycle = /[0-9]/.test(vin[6]);
+    modelYear = firstCycle
+      ? possibleModelYears.find(year => year < 2010) || modelYear
+      : possibleModelYears.find(year => year >= 2010) || modelYear;
+  }
+
+  return { modelYear, possibleModelYears };
+}
+
+/**
+ * Decode and validate a VIN
+ * @param {string} rawVin - VIN as entered
+ * @returns {Object} - Decoded VIN with `valid`, `errors` and `warnings`
+ */
+function decodeVin(rawVin) {
+  const vin = normalizeVin(rawVin);
+  const errors = [];
+  const warnings = [];
+
+  if (vin.length !== VIN_LENGTH) {
+    errors.push(`VIN must be ${VIN_LENGTH} characters long (got ${vin.length})`);
+  }
+  if (/[IOQ]/.test(vin)) {
+    errors.push('VIN cannot contain the letters I, O or Q');
+  }
+  if (vin.length === VIN_LENGTH && !VIN_PATTERN.test(vin) && !/[IOQ]/.test(vin)) {
+    errors.push('VIN contains invalid characters');
+  }
+
+  if (errors.length > 0) {
+    return { vin, valid: false, errors, warnings };
+  }
+
+  const wmi = vin.slice(0, 3);
+  const regionEntry = REGIONS.find(entry => entry.pattern.test(wmi));
+  const countryEntry = COUNTRIES.find(entry => entry.pattern.test(wmi));
+  const region = regionEntry ? regionEntry.region : null;
+  const manufacturer = WMI_CODES[wmi] || WMI_PREFIXES[wmi.slice(0, 2)] || null;
+
+  const expectedCheckDigit = computeCheckDigit(vin);
+  const checkDigitValid = vin[8] === expectedCheckDigit;
+  const checkDigitRequired = region === 'North America';
+
+  if (!checkDigitValid) {
+    const message = `Check digit mismatch: position 9 is ${vin[8]} but should be ${expectedCheckDigit}`;
+    if (checkDigitRequired) {
+      errors.push(message);
+    } else {
+      warnings.push(message);
+    }
+  }
+
+  const { modelYear, possibleModelYears } = decodeModelYear(vin, region);
+  if (!modelYear) {
+    errors.push(`Position 10 (${vin[9]}) is not a valid model year code`);
+  }
+
+  if (!manufacturer) {
+    warnings.push(`Manufacturer code ${wmi} is not in the offline WMI table`);
+  }
+
+  return {
+    vin,
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    wmi,
+    vds: vin.slice(3, 9),
+    vis: vin.slice(9),
+    manufacturer,
+    region,
+    country: countryEntry ? countryEntry.country : null,
+    checkDigit: {
+      actual: vin[8],
+      expected: expectedCheckDigit,
+      valid: checkDigitValid,
+      required: checkDigitRequired
+    },
+    modelYear,
+    possibleModelYears,
+    plantCode: vin[10],
+    serialNumber: vin.slice(11)
+  };
+}
+
+/**
+ * Loose comparison of an entered make with the decoded manufacturer
+ * @param {string} manufacturer - Decoded manufacturer
+ * @param {string} make - Entered make
+ * @returns {boolean}
+ */
+function makesMatch(manufacturer, make) {
+  const simplify = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const entered = simplify(make);
+  const decoded = simplify(manufacturer);
+
+  if (!entered || entered === decoded || entered.startsWith(decoded) || decoded.startsWith(entered)) {
+    return true;
+  }
+  return (MAKE_ALIASES[manufacturer] || []).some(alias => simplify(alias) === entered);
+}
+
+/**
+ * Compare a decoded VIN with the make and year entered for the vehicle
+ * @param {Object} decoded - Result of decodeVin
+ * @param {Object} vehicle - { make, year }
+ * @returns {Array<Object>} - Mismatches ({ field, entered, decoded, message })
+ */
+function findMismatches(decoded, vehicle = {}) {
+  const mismatches = [];
+  if (!decoded || !decoded.valid) {
+    return mismatches;
+  }
+
+  if (vehicle.make && decoded.manufacturer && !makesMatch(decoded.manufacturer, vehicle.make)) {
+    mismatches.push({
+      field: 'make',
+      entered: vehicle.make,
+      decoded: decoded.manufacturer,
+      message: `Make "${vehicle.make}" does not match the VIN manufacturer "${decoded.manufacturer}"`
+    });
+  }
+
+  const year = parseInt(vehicle.year);
+  if (!isNaN(year) && decoded.possibleModelYears.length && !decoded.possibleModelYears.includes(year)) {
+    mismatches.push({
+      field: 'year',
+      entered: year,
+      decoded: decoded.modelYear,
+      message: `Year ${year} does not match the VIN model year ${decoded.modelYear}`
+    });
+  }
+
+  return mismatches;
+}
+
+/**
+ * Decode a VIN and compare it with the vehicle's details in one step
+ * @param {string} vin - VIN as entered
+ * @param {Object} vehicle - { make, year }
+ * @returns {Object} - Decoded VIN with `mismatches` and a `vinCheck` summary for storage
+ */
+function checkVin(vin, vehicle = {}) {
+  const decoded = decodeVin(vin);
+  const mismatches = findMismatches(decoded, vehicle);
+
+  return {
+    ...decoded,
+    mismatches,
+    vinCheck: {
+      valid: decoded.valid,
+      checkDigitValid: decoded.checkDigit ? decoded.checkDigit.valid : false,
+      manufacturer: decoded.manufacturer,
+      region: decoded.region,
+      country: decoded.country,
+      modelYear: decoded.modelYear,
+      warnings: [...decoded.warnings, ...mismatches.map(mismatch => mismatch.message)],
+      checkedAt: new Date()
+    }
+  };
+}
+
+module.exports = {
+  normalizeVin,
+  computeCheckDigit,
+  decodeVin,
+  findMismatches,
+  checkVin
+};
@@ -0,0 +1,110 @@
+/**
+ * Minimal RFC 4180 CSV parsing and formatting
+ */
+
+/**
+ * Parse CSV text into an array of records keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {{ headers: Array<string>, records: Array<Object> }}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  const records = nonEmpty.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+/**
+ * Format a single value as a CSV field
+ * @param {*} value - Value to format
+ * @returns {string}
+ */
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheets from evaluating exported text as a formula
+  if (typeof value === 'string' && /^([=+@\t\r]|-[^0-9])/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line including the trailing newline
+ */
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  formatCsvValue,
+  formatCsvRow
+};
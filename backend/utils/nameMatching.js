@@ -0,0 +1,156 @@
+/**
+ * Normalization and similarity helpers for matching people by name,
+ * identification number and contact details.
+ */
+
+// Words that do not help tell people apart
+const NAME_NOISE = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'jr', 'sr', 'ii', 'iii', 'iv']);
+
+/**
+ * Lower-case name tokens without accents, punctuation or titles
+ * @param {string} name - Name as entered
+ * @returns {Array<string>}
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_NOISE.has(token));
+}
+
+/**
+ * Name key that ignores word order, so "Smith, John" matches "John Smith"
+ * @param {string} name - Name as entered
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return nameTokens(name).sort().join(' ');
+}
+
+/**
+ * Identification number without spaces, dashes or case
+ * @param {string} number - ID number as entered
+ * @returns {string}
+ */
+function normalizeIdNumber(number) {
+  return String(number || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Last 10 digits of a phone number, so country prefixes do not matter
+ * @param {string} phone - Phone number as entered
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Trimmed lower-case email address
+ * @param {string} email - Email as entered
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Soundex code of a name token, so misspellings such as Jon/John share a key
+ * @param {string} token - Lower-case name token
+ * @returns {string}
+ */
+function soundex(token) {
+  const letters = token.replace(/[^a-z]/g, '');
+  if (!letters) {
+    return token;
+  }
+
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = letters[0].toUpperCase();
+  let previous = codes[letters[0]];
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const code = codes[letters[i]];
+    if (code && code !== previous) {
+      result += code;
+    }
+    // h and w do not separate letters with the same code
+    if (letters[i] !== 'h' && letters[i] !== 'w') {
+      previous = code;
+    }
+  }
+
+  return result.padEnd(4, '0');
+}
+
+/**
+ * Phonetic keys for every token of a name
+ * @param {string} name - Name as entered
+ * @returns {Array<string>}
+ */
+function phoneticKeys(name) {
+  return [...new Set(nameTokens(name).map(soundex))];
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two names from 0 to 1, comparing their normalized keys and
+ * allowing for a missing middle name
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const keyA = normalizeName(a);
+  const keyB = normalizeName(b);
+  if (!keyA || !keyB) {
+    return 0;
+  }
+  if (keyA === keyB) {
+    return 1;
+  }
+
+  const overall = 1 - levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
+
+  // "John Smith" against "John Paul Smith": every token of the shorter name appears in the longer one
+  const tokensA = keyA.split(' ');
+  const tokensB = keyB.split(' ');
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const contained = shorter.length > 1 && shorter.every(token => longer.includes(token)) ? 0.9 : 0;
+
+  return Math.max(overall, contained);
+}
+
+module.exports = {
+  nameTokens,
+  normalizeName,
+  normalizeIdNumber,
+  normalizePhone,
+  normalizeEmail,
+  phoneticKeys,
+  nameSimilarity
+};
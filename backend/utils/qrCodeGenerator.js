@@ -2,15 +2,15 @@ const QRCode = require('qrcode');
 
 /**
  * Generates a QR code for a vehicle
- * @param {string} vehicleId - The vehicle ID to encode in the QR code
+ * @param {string} token - Signed QR token for the vehicle (see qrTokenService)
  * @param {string} baseUrl - The base URL for the frontend (defaults to empty)
  * @returns {Promise<string>} A data URL containing the QR code as a base64 encoded image
  */
-const generateVehicleQRCode = async (vehicleId, baseUrl = '') => {
+const generateVehicleQRCode = async (token, baseUrl = '') => {
   try {
-    // Make sure we have a valid vehicle ID
-    if (!vehicleId) {
-      throw new Error('Vehicle ID is required');
+    // Make sure we have a token to encode
+    if (!token) {
+      throw new Error('QR token is required');
     }
     
     // Clean up baseUrl if provided
@@ -22,10 +22,8 @@ const generateVehicleQRCode = async (vehicleId, baseUrl = '') => {
     // Generate the URL that the QR code will point to
     // Note: Using absolute URL if baseUrl is provided, otherwise use relative URL
     const vehicleUrl = cleanBaseUrl 
-      ? `${cleanBaseUrl}/vehicles/scan/${vehicleId}` 
-      : `/vehicles/scan/${vehicleId}`;
-    
-    console.log('Generating QR code for URL:', vehicleUrl);
+      ? `${cleanBaseUrl}/vehicles/scan/${token}` 
+      : `/vehicles/scan/${token}`;
     
     // Generate QR code as data URL
     const qrCodeDataUrl = await QRCode.toDataURL(vehicleUrl, {
@@ -47,15 +45,15 @@ const generateVehicleQRCode = async (vehicleId, baseUrl = '') => {
 
 /**
  * Generates a QR code for a vehicle as a Buffer
- * @param {string} vehicleId - The vehicle ID to encode in the QR code
+ * @param {string} token - Signed QR token for the vehicle (see qrTokenService)
  * @param {string} baseUrl - The base URL for the frontend (defaults to empty)
  * @returns {Promise<Buffer>} A buffer containing the QR code image data
  */
-const generateVehicleQRCodeBuffer = async (vehicleId, baseUrl = '') => {
+const generateVehicleQRCodeBuffer = async (token, baseUrl = '') => {
   try {
-    // Make sure we have a valid vehicle ID
-    if (!vehicleId) {
-      throw new Error('Vehicle ID is required');
+    // Make sure we have a token to encode
+    if (!token) {
+      throw new Error('QR token is required');
     }
     
     // Clean up baseUrl if provided
@@ -67,10 +65,8 @@ const generateVehicleQRCodeBuffer = async (vehicleId, baseUrl = '') => {
     // Generate the URL that the QR code will point to
     // Note: Using absolute URL if baseUrl is provided, otherwise use relative URL
     const vehicleUrl = cleanBaseUrl 
-      ? `${cleanBaseUrl}/vehicles/scan/${vehicleId}` 
-      : `/vehicles/scan/${vehicleId}`;
-    
-    console.log('Generating QR code buffer for URL:', vehicleUrl);
+      ? `${cleanBaseUrl}/vehicles/scan/${token}` 
+      : `/vehicles/scan/${token}`;
     
     // Generate QR code as buffer
     const qrCodeBuffer = await QRCode.toBuffer(vehicleUrl, {
@@ -0,0 +1,91 @@
+/**
+ * XLSX reading and streaming writing on top of exceljs
+ */
+
+const ExcelJS = require('exceljs');
+
+/**
+ * Plain text of a cell. Dates become YYYY-MM-DD, everything else (numbers,
+ * rich text, hyperlinks, formula results) the text shown in the sheet
+ * @param {Object} cell - exceljs cell
+ * @returns {string}
+ */
+const cellText = (cell) => {
+  if (cell.value instanceof Date) {
+    return cell.value.toISOString().slice(0, 10);
+  }
+  return cell.text === undefined || cell.text === null ? '' : String(cell.text).trim();
+};
+
+/**
+ * Parse the first worksheet of an XLSX file into records keyed by the header row
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {Promise<{ headers: Array<string>, records: Array<Object> }>}
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('Malformed XLSX: the file could not be read as a workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { headers: [], records: [] };
+  }
+
+  // Ignore blank rows
+  const rows = [];
+  sheet.eachRow(row => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(cellText(row.getCell(column)));
+    }
+    if (cells.some(cell => cell !== '')) {
+      rows.push(cells);
+    }
+  });
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0];
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) record[header] = cells[index];
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+/**
+ * Stream a single-sheet XLSX workbook to a writable stream
+ * @param {Object} stream - Writable stream, e.g. the Express response
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<string>} headers - Header row
+ * @returns {{ addRow: Function, finish: Function }} - addRow(values) writes a
+ * row, finish() completes the workbook and ends the stream
+ */
+const createXlsxWriter = (stream, sheetName, headers) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.addRow(headers).commit();
+
+  return {
+    addRow: (values) => sheet.addRow(values.map(value => (value === undefined ? null : value))).commit(),
+    finish: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+module.exports = {
+  parseXlsx,
+  createXlsxWriter
+};
@@ -41,6 +41,17 @@ import IncidentDetailsPage from './pages/incidents/IncidentDetailsPage';
 import IncidentEditPage from './pages/incidents/IncidentEditPage';
 import OfficerReviewPage from './pages/incidents/OfficerReviewPage';
 
+// Protected Pages - Persons
+import PersonsListPage from './pages/persons/PersonsListPage';
+import PersonDetailsPage from './pages/persons/PersonDetailsPage';
+
+// Protected Pages - Impound
+import ImpoundLotsPage from './pages/impound/ImpoundLotsPage';
+import ImpoundLotReportPage from './pages/impound/ImpoundLotReportPage';
+
+// Protected Pages - Citations
+import CitationsPage from './pages/citations/CitationsPage';
+
 // Protected Pages - Documents
 import DocumentsListPage from './pages/documents/DocumentsListPage';
 import DocumentUploadPage from './pages/documents/DocumentUploadPage';
@@ -203,6 +214,21 @@ function App() {
                       <Route path="officer-review" element={<OfficerReviewPage />} />
                     </Route>
                     
+                    {/* Person Registry */}
+                    <Route path="persons">
+                      <Route index element={<PersonsListPage />} />
+                      <Route path=":id" element={<PersonDetailsPage />} />
+                    </Route>
+                    
+                    {/* Impound Lots */}
+                    <Route path="impound">
+                      <Route index element={<ImpoundLotsPage />} />
+                      <Route path="lots/:id" element={<ImpoundLotReportPage />} />
+                    </Route>
+                    
+                    {/* Traffic Citations */}
+                    <Route path="citations" element={<CitationsPage />} />
+                    
                     {/* Documents */}
                     <Route path="documents">
                       <Route index element={<DocumentsListPage />} />
@@ -0,0 +1,352 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Drawer, Descriptions, Table, Tag, Button, Space, Modal, Form, Input, InputNumber, Select, DatePicker, Radio, Spin, Typography, message } from 'antd';
+import { FilePdfOutlined, DollarOutlined, ExclamationCircleOutlined, CalendarOutlined, CheckOutlined, StopOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { citationService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+export const CITATION_STATUS = {
+  unpaid: { label: 'Unpaid', color: 'orange' },
+  paid: { label: 'Paid', color: 'green' },
+  contested: { label: 'Contested', color: 'purple' },
+  dismissed: { label: 'Dismissed', color: 'blue' },
+  void: { label: 'Void', color: 'default' }
+};
+
+const PAYMENT_METHODS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  online: 'Online',
+  other: 'Other'
+};
+
+const ACTION_TITLES = {
+  payment: 'Record Payment',
+  contest: 'Contest Citation',
+  court: 'Set Court Date',
+  resolve: 'Record Contest Outcome',
+  void: 'Void Citation'
+};
+
+/**
+ * Open a citation PDF in a new tab
+ * @param {string} citationId - Citation ID
+ */
+export const openCitationPdf = async (citationId) => {
+  try {
+    const response = await citationService.getCitationPdf(citationId);
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    window.open(url, '_blank');
+    setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+  } catch (error) {
+    console.error('Error opening citation PDF:', error);
+    message.error('Failed to open citation PDF');
+  }
+};
+
+/**
+ * A citation with its violations, payments, contest and court hearing, and
+ * the payment / contest / court / void actions.
+ */
+const CitationDetailDrawer = ({ citationId, open, onClose, onChange }) => {
+  const { currentUser } = useAuth();
+  const [citation, setCitation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [action, setAction] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [form] = Form.useForm();
+  const outcome = Form.useWatch('outcome', form);
+
+  const canManage = ['admin', 'officer'].includes(currentUser?.role);
+  const isAdmin = currentUser?.role === 'admin';
+
+  useEffect(() => {
+    if (open && citationId) {
+      fetchCitation();
+    }
+  }, [open, citationId]);
+
+  const fetchCitation = async () => {
+    try {
+      setLoading(true);
+      const response = await citationService.getCitation(citationId);
+      setCitation(response.data.data);
+    } catch (error) {
+      console.error('Error fetching citation:', error);
+      message.error(error.response?.data?.message || 'Failed to fetch citation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAction = (key) => {
+    form.resetFields();
+    if (key === 'payment') {
+      form.setFieldsValue({ amount: citation.balance, method: 'cash' });
+    }
+    if (key === 'court') {
+      form.setFieldsValue({
+        date: citation.court?.date ? dayjs(citation.court.date) : undefined,
+        location: citation.court?.location,
+        caseNumber: citation.court?.caseNumber
+      });
+    }
+    setAction(key);
+  };
+
+  const handleAction = async (values) => {
+    const courtDate = values.date ? values.date.toISOString() : undefined;
+    const requests = {
+      payment: () => citationService.recordPayment(citationId, values),
+      contest: () => citationService.contestCitation(citationId, {
+        reason: values.reason,
+        court: { date: courtDate, location: values.location }
+      }),
+      court: () => citationService.setCourtDate(citationId, { ...values, date: courtDate }),
+      resolve: () => citationService.resolveContest(citationId, values),
+      void: () => citationService.voidCitation(citationId, values.reason)
+    };
+
+    try {
+      setSubmitting(true);
+      const response = await requests[action]();
+      message.success(response.data.message || 'Citation updated');
+      setCitation(response.data.data);
+      setAction(null);
+      onChange();
+    } catch (error) {
+      console.error('Error updating citation:', error);
+      message.error(error.response?.data?.message || 'Failed to update citation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderActionFields = () => {
+    switch (action) {
+      case 'payment':
+        return (
+          <>
+            <Form.Item name="amount" label="Amount" rules={[{ required: true, message: 'Please enter the amount paid' }]}>
+              <InputNumber min={0.01} max={citation.balance} style={{ width: '100%' }} />
+            </Form.Item>
+            <Form.Item name="method" label="Method">
+              <Select options={Object.entries(PAYMENT_METHODS).map(([value, label]) => ({ value, label }))} />
+            </Form.Item>
+            <Form.Item name="reference" label="Receipt / Reference">
+              <Input />
+            </Form.Item>
+          </>
+        );
+      case 'contest':
+        return (
+          <>
+            <Form.Item name="reason" label="Grounds" rules={[{ required: true, message: 'Please enter the grounds for the contest' }]}>
+              <TextArea rows={3} />
+            </Form.Item>
+            <Form.Item name="date" label="Court Date">
+              <DatePicker showTime style={{ width: '100%' }} />
+            </Form.Item>
+            <Form.Item name="location" label="Court">
+              <Input />
+            </Form.Item>
+          </>
+        );
+      case 'court':
+        return (
+          <>
+            <Form.Item name="date" label="Court Date" rules={[{ required: true, message: 'Please select the hearing date' }]}>
+              <DatePicker showTime style={{ width: '100%' }} />
+            </Form.Item>
+            <Form.Item name="location" label="Court">
+              <Input />
+            </Form.Item>
+            <Form.Item name="caseNumber" label="Case Number">
+              <Input />
+            </Form.Item>
+          </>
+        );
+      case 'resolve':
+        return (
+          <>
+            <Form.Item name="outcome" label="Outcome" rules={[{ required: true, message: 'Please select the outcome' }]}>
+              <Radio.Group>
+                <Radio value="upheld">Upheld</Radio>
+                <Radio value="reduced">Fine reduced</Radio>
+                <Radio value="dismissed">Dismissed</Radio>
+              </Radio.Group>
+            </Form.Item>
+            {outcome === 'reduced' && (
+              <Form.Item name="reducedAmount" label="Reduced Fine" rules={[{ required: true, message: 'Please enter the reduced fine' }]}>
+                <InputNumber min={0.01} max={citation.totalAmount - 0.01} style={{ width: '100%' }} />
+              </Form.Item>
+            )}
+            <Form.Item name="notes" label="Notes">
+              <TextArea rows={2} />
+            </Form.Item>
+          </>
+        );
+      case 'void':
+        return (
+          <Form.Item name="reason" label="Reason" rules={[{ required: true, message: 'Please give a reason' }]}>
+            <TextArea rows={2} />
+          </Form.Item>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const isOpen = citation && ['unpaid', 'contested'].includes(citation.status);
+  const actions = citation ? [
+    citation.status === 'unpaid' && canManage && { key: 'payment', icon: <DollarOutlined />, label: 'Record Payment' },
+    citation.status === 'unpaid' && citation.amountPaid === 0 && !citation.isOverdue && canManage &&
+      { key: 'contest', icon: <ExclamationCircleOutlined />, label: 'Contest' },
+    isOpen && canManage && { key: 'court', icon: <CalendarOutlined />, label: 'Court Date' },
+    citation.status === 'contested' && canManage && { key: 'resolve', icon: <CheckOutlined />, label: 'Record Outcome' },
+    isOpen && citation.amountPaid === 0 && isAdmin && { key: 'void', icon: <StopOutlined />, label: 'Void', danger: true }
+  ].filter(Boolean) : [];
+
+  return (
+    <Drawer
+      title={citation ? `Citation ${citation.citationNumber}` : 'Citation'}
+      open={open}
+      onClose={onClose}
+      width={720}
+      extra={citation && (
+        <Button icon={<FilePdfOutlined />} onClick={() => openCitationPdf(citation._id)}>PDF</Button>
+      )}
+    >
+      <Spin spinning={loading}>
+        {citation && (
+          <>
+            <Space wrap style={{ marginBottom: 16 }}>
+              {actions.map(item => (
+                <Button key={item.key} icon={item.icon} danger={item.danger} onClick={() => openAction(item.key)}>
+                  {item.label}
+                </Button>
+              ))}
+            </Space>
+
+            <Descriptions bordered column={2} size="small" style={{ marginBottom: 16 }}>
+              <Descriptions.Item label="Status">
+                <Tag color={CITATION_STATUS[citation.status]?.color}>{CITATION_STATUS[citation.status]?.label}</Tag>
+                {citation.isOverdue && <Tag color="red">Overdue</Tag>}
+              </Descriptions.Item>
+              <Descriptions.Item label="Issued">
+                {dayjs(citation.issuedAt).format('YYYY-MM-DD HH:mm')} by {citation.issuedBy?.name || '-'}
+              </Descriptions.Item>
+              <Descriptions.Item label="Vehicle">
+                {citation.vehicle
+                  ? <Link to={`/vehicles/${citation.vehicle._id}`}>{citation.vehicle.licensePlate}</Link>
+                  : '-'}
+              </Descriptions.Item>
+              <Descriptions.Item label="Driver">
+                {citation.person
+                  ? <Link to={`/persons/${citation.person._id}`}>{citation.driver?.name || citation.person.name}</Link>
+                  : citation.driver?.name || 'Not identified'}
+                {citation.driver?.licenseNumber && <Text type="secondary"> ({citation.driver.licenseNumber})</Text>}
+              </Descriptions.Item>
+              <Descriptions.Item label="Location">{citation.location?.address || '-'}</Descriptions.Item>
+              <Descriptions.Item label="Incident">
+                {citation.incident
+                  ? <Link to={`/incidents/${citation.incident._id}`}>{citation.incident.incidentNumber || citation.incident.title}</Link>
+                  : '-'}
+              </Descriptions.Item>
+              <Descriptions.Item label="Fine">
+                {citation.totalAmount.toFixed(2)}
+                {citation.originalAmount !== undefined && (
+                  <Text type="secondary"> (reduced from {citation.originalAmount.toFixed(2)})</Text>
+                )}
+              </Descriptions.Item>
+              <Descriptions.Item label="Balance">
+                <strong>{citation.balance.toFixed(2)}</strong>
+              </Descriptions.Item>
+              <Descriptions.Item label="Due">{dayjs(citation.dueDate).format('YYYY-MM-DD')}</Descriptions.Item>
+              <Descriptions.Item label="Court">
+                {citation.court?.date
+                  ? `${dayjs(citation.court.date).format('YYYY-MM-DD HH:mm')}${citation.court.location ? `, ${citation.court.location}` : ''}${citation.court.caseNumber ? ` (${citation.court.caseNumber})` : ''}`
+                  : '-'}
+              </Descriptions.Item>
+              {citation.contest?.filedAt && (
+                <Descriptions.Item label="Contest" span={2}>
+                  {dayjs(citation.contest.filedAt).format('YYYY-MM-DD')}: {citation.contest.reason}
+                  <div>
+                    <Tag>{citation.contest.outcome}</Tag>
+                    {citation.contest.notes && <Text type="secondary">{citation.contest.notes}</Text>}
+                  </div>
+                </Descriptions.Item>
+              )}
+              {citation.voided?.at && (
+                <Descriptions.Item label="Voided" span={2}>
+                  {dayjs(citation.voided.at).format('YYYY-MM-DD')} by {citation.voided.by?.name || '-'}: {citation.voided.reason}
+                </Descriptions.Item>
+              )}
+              {citation.notes && <Descriptions.Item label="Notes" span={2}>{citation.notes}</Descriptions.Item>}
+            </Descriptions>
+
+            <Table
+              rowKey="code"
+              size="small"
+              pagination={false}
+              style={{ marginBottom: 16 }}
+              dataSource={citation.violations}
+              columns={[
+                { title: 'Code', dataIndex: 'code', key: 'code' },
+                {
+                  title: 'Violation',
+                  dataIndex: 'description',
+                  key: 'description',
+                  render: (description, record) => (
+                    <>
+                      {description}
+                      {record.courtRequired && <Tag color="red" style={{ marginLeft: 8 }}>Court</Tag>}
+                    </>
+                  )
+                },
+                { title: 'Points', dataIndex: 'points', key: 'points' },
+                { title: 'Fine', dataIndex: 'amount', key: 'amount', render: (amount) => amount.toFixed(2) }
+              ]}
+            />
+
+            {citation.payments.length > 0 && (
+              <Table
+                rowKey="_id"
+                size="small"
+                pagination={false}
+                dataSource={citation.payments}
+                columns={[
+                  { title: 'Paid', dataIndex: 'paidAt', key: 'paidAt', render: (date) => dayjs(date).format('YYYY-MM-DD') },
+                  { title: 'Amount', dataIndex: 'amount', key: 'amount', render: (amount) => amount.toFixed(2) },
+                  { title: 'Method', dataIndex: 'method', key: 'method', render: (method) => PAYMENT_METHODS[method] || method },
+                  { title: 'Reference', dataIndex: 'reference', key: 'reference', render: (reference) => reference || '-' },
+                  { title: 'Recorded By', dataIndex: 'recordedBy', key: 'recordedBy', render: (user) => user?.name || '-' }
+                ]}
+              />
+            )}
+          </>
+        )}
+      </Spin>
+
+      <Modal
+        title={ACTION_TITLES[action]}
+        open={!!action}
+        onCancel={() => setAction(null)}
+        onOk={() => form.submit()}
+        confirmLoading={submitting}
+        okButtonProps={{ danger: action === 'void' }}
+      >
+        <Form form={form} layout="vertical" onFinish={handleAction}>
+          {citation && renderActionFields()}
+        </Form>
+      </Modal>
+    </Drawer>
+  );
+};
+
+export default CitationDetailDrawer;
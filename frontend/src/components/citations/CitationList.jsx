@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Tag, Button, Select, Space, Statistic, Row, Col, Checkbox, message } from 'antd';
+import { PlusOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { citationService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import IssueCitationModal from './IssueCitationModal';
+import CitationDetailDrawer, { CITATION_STATUS } from './CitationDetailDrawer';
+
+/**
+ * Citations, optionally limited to a vehicle or incident. For a vehicle the
+ * unpaid, overdue and contested totals are shown above the list.
+ */
+const CitationList = ({ vehicle, incidentId, title = 'Citations' }) => {
+  const { currentUser } = useAuth();
+  const [citations, setCitations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState();
+  const [overdue, setOverdue] = useState(false);
+  const [totals, setTotals] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [issueOpen, setIssueOpen] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  // Officers and admins issue citations
+  const canIssue = ['admin', 'officer'].includes(currentUser?.role);
+
+  useEffect(() => {
+    fetchCitations();
+  }, [vehicle?._id, incidentId, page, status, overdue]);
+
+  useEffect(() => {
+    if (vehicle) {
+      fetchTotals();
+    }
+  }, [vehicle?._id]);
+
+  const fetchCitations = async () => {
+    try {
+      setLoading(true);
+      const response = await citationService.getCitations({
+        vehicle: vehicle?._id,
+        incident: incidentId,
+        status,
+        overdue: overdue || undefined,
+        page
+      });
+      setCitations(response.data.data || []);
+      setTotal(response.data.total || 0);
+    } catch (error) {
+      console.error('Error fetching citations:', error);
+      message.error('Failed to fetch citations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTotals = async () => {
+    try {
+      const response = await citationService.getUnpaidTotals({ vehicle: vehicle._id });
+      setTotals(response.data.data[0] || null);
+    } catch (error) {
+      console.error('Error fetching unpaid citation totals:', error);
+    }
+  };
+
+  const refresh = () => {
+    fetchCitations();
+    if (vehicle) {
+      fetchTotals();
+    }
+  };
+
+  const handleIssued = (citation) => {
+    setIssueOpen(false);
+    refresh();
+    setSelected(citation._id);
+  };
+
+  const columns = [
+    {
+      title: 'Citation',
+      dataIndex: 'citationNumber',
+      key: 'citationNumber',
+      render: (number, record) => <a onClick={() => setSelected(record._id)}>{number}</a>
+    },
+    ...(vehicle ? [] : [{
+      title: 'Vehicle',
+      dataIndex: 'vehicle',
+      key: 'vehicle',
+      render: (item) => item?.licensePlate || '-'
+    }]),
+    {
+      title: 'Issued',
+      dataIndex: 'issuedAt',
+      key: 'issuedAt',
+      render: (date) => dayjs(date).format('YYYY-MM-DD')
+    },
+    {
+      title: 'Violations',
+      dataIndex: 'violations',
+      key: 'violations',
+      render: (violations) => violations.map(violation => <Tag key={violation.code}>{violation.code}</Tag>)
+    },
+    {
+      title: 'Fine',
+      dataIndex: 'totalAmount',
+      key: 'totalAmount',
+      render: (amount) => amount.toFixed(2)
+    },
+    {
+      title: 'Balance',
+      dataIndex: 'balance',
+      key: 'balance',
+      render: (balance) => balance.toFixed(2)
+    },
+    {
+      title: 'Due',
+      dataIndex: 'dueDate',
+      key: 'dueDate',
+      render: (date, record) => (
+        <span style={record.isOverdue ? { color: 'red' } : undefined}>{dayjs(date).format('YYYY-MM-DD')}</span>
+      )
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value, record) => (
+        <>
+          <Tag color={CITATION_STATUS[value]?.color}>{CITATION_STATUS[value]?.label || value}</Tag>
+          {record.isOverdue && <Tag color="red">Overdue</Tag>}
+        </>
+      )
+    }
+  ];
+
+  return (
+    <Card
+      title={title}
+      extra={canIssue && (
+        <Button type="primary" icon={<PlusOutlined />} onClick={() => setIssueOpen(true)}>
+          Issue Citation
+        </Button>
+      )}
+    >
+      {vehicle && totals && (
+        <Row gutter={16} style={{ marginBottom: 16 }}>
+          <Col span={8}>
+            <Statistic title={`Unpaid (${totals.unpaidCount})`} value={totals.unpaidBalance} precision={2} />
+          </Col>
+          <Col span={8}>
+            <Statistic
+              title={`Overdue (${totals.overdueCount})`}
+              value={totals.overdueBalance}
+              precision={2}
+              valueStyle={totals.overdueCount > 0 ? { color: '#cf1322' } : undefined}
+            />
+          </Col>
+          <Col span={8}>
+            <Statistic title={`Contested (${totals.contestedCount})`} value={totals.contestedBalance} precision={2} />
+          </Col>
+        </Row>
+      )}
+
+      <Space style={{ marginBottom: 16 }}>
+        <Select
+          allowClear
+          placeholder="All statuses"
+          style={{ width: 160 }}
+          value={status}
+          disabled={overdue}
+          onChange={(value) => { setPage(1); setStatus(value); }}
+          options={Object.entries(CITATION_STATUS).map(([value, { label }]) => ({ value, label }))}
+        />
+        <Checkbox checked={overdue} onChange={(e) => { setPage(1); setOverdue(e.target.checked); }}>
+          Overdue only
+        </Checkbox>
+      </Space>
+
+      <Table
+        rowKey="_id"
+        loading={loading}
+        columns={columns}
+        dataSource={citations}
+        pagination={{ current: page, total, pageSize: 20, onChange: setPage }}
+      />
+
+      <IssueCitationModal
+        open={issueOpen}
+        vehicle={vehicle}
+        incidentId={incidentId}
+        onClose={() => setIssueOpen(false)}
+        onIssued={handleIssued}
+      />
+      <CitationDetailDrawer
+        citationId={selected}
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        onChange={refresh}
+      />
+    </Card>
+  );
+};
+
+export default CitationList;
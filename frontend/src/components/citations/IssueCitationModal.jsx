@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Select, Input, DatePicker, Alert, Typography, message } from 'antd';
+import { citationService, vehicleService, personService } from '../../services/api';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+/**
+ * Issue a citation for one or more violation codes. The vehicle and incident
+ * are fixed when the modal is opened from their pages.
+ */
+const IssueCitationModal = ({ open, onClose, onIssued, vehicle, incidentId }) => {
+  const [codes, setCodes] = useState([]);
+  const [vehicleOptions, setVehicleOptions] = useState([]);
+  const [personOptions, setPersonOptions] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [form] = Form.useForm();
+  const selectedCodes = Form.useWatch('violationCodes', form) || [];
+
+  useEffect(() => {
+    if (open) {
+      form.resetFields();
+      fetchCodes();
+    }
+  }, [open]);
+
+  const fetchCodes = async () => {
+    try {
+      const response = await citationService.getViolationCodes();
+      setCodes(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching violation codes:', error);
+      message.error('Failed to fetch violation codes');
+    }
+  };
+
+  const searchVehicles = async (value) => {
+    if (!value || value.length < 2) return;
+    try {
+      const response = await vehicleService.searchVehicles({ q: value, limit: 10 });
+      setVehicleOptions((response.data.data || []).map(item => ({
+        value: item._id,
+        label: `${item.licensePlate} - ${[item.year, item.make, item.model].filter(Boolean).join(' ')}`
+      })));
+    } catch (error) {
+      console.error('Error searching vehicles:', error);
+    }
+  };
+
+  const searchPersons = async (value) => {
+    if (!value || value.length < 2) return;
+    try {
+      const response = await personService.searchPersons({ q: value });
+      setPersonOptions((response.data.data || []).map(person => ({ value: person._id, label: person.name })));
+    } catch (error) {
+      console.error('Error searching persons:', error);
+    }
+  };
+
+  const handleIssue = async (values) => {
+    try {
+      setSubmitting(true);
+      const response = await citationService.issueCitation({
+        ...values,
+        vehicleId: vehicle?._id || values.vehicleId,
+        incidentId,
+        court: values.court?.date
+          ? { ...values.court, date: values.court.date.toISOString() }
+          : undefined
+      });
+      message.success(response.data.message);
+      onIssued(response.data.data);
+    } catch (error) {
+      console.error('Error issuing citation:', error);
+      message.error(error.response?.data?.message || 'Failed to issue citation');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const chosen = codes.filter(code => selectedCodes.includes(code.code));
+  const total = chosen.reduce((sum, code) => sum + code.fineAmount, 0);
+  const courtRequired = chosen.some(code => code.courtRequired);
+
+  return (
+    <Modal
+      title={vehicle ? `Issue Citation to ${vehicle.licensePlate}` : 'Issue Citation'}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Issue"
+      confirmLoading={submitting}
+      width={640}
+    >
+      <Form form={form} layout="vertical" onFinish={handleIssue}>
+        {!vehicle && (
+          <Form.Item name="vehicleId" label="Vehicle" rules={[{ required: true, message: 'Please select a vehicle' }]}>
+            <Select
+              showSearch
+              filterOption={false}
+              onSearch={searchVehicles}
+              options={vehicleOptions}
+              placeholder="Search by plate or VIN"
+            />
+          </Form.Item>
+        )}
+        <Form.Item
+          name="violationCodes"
+          label="Violations"
+          rules={[{ required: true, message: 'Please select at least one violation' }]}
+        >
+          <Select
+            mode="multiple"
+            optionFilterProp="label"
+            options={codes.map(code => ({
+              value: code.code,
+              label: `${code.code} - ${code.description} (${code.fineAmount.toFixed(2)})`
+            }))}
+          />
+        </Form.Item>
+        {chosen.length > 0 && (
+          <div style={{ marginBottom: 16 }}>
+            <Text strong>Total fine: {total.toFixed(2)}</Text>
+            {courtRequired && (
+              <Alert
+                type="warning"
+                showIcon
+                style={{ marginTop: 8 }}
+                message="A court appearance is required for at least one of these violations"
+              />
+            )}
+          </div>
+        )}
+        <Form.Item name="personId" label="Driver (Person Registry)">
+          <Select
+            allowClear
+            showSearch
+            filterOption={false}
+            onSearch={searchPersons}
+            options={personOptions}
+            placeholder="Optional"
+            onChange={(value, option) => value && form.setFieldValue(['driver', 'name'], option.label)}
+          />
+        </Form.Item>
+        <Form.Item name={['driver', 'name']} label="Driver Name">
+          <Input />
+        </Form.Item>
+        <Form.Item name={['driver', 'licenseNumber']} label="Driver's Licence Number">
+          <Input />
+        </Form.Item>
+        <Form.Item name={['location', 'address']} label="Location">
+          <Input />
+        </Form.Item>
+        <Form.Item name={['court', 'date']} label="Court Date">
+          <DatePicker showTime style={{ width: '100%' }} />
+        </Form.Item>
+        <Form.Item name={['court', 'location']} label="Court">
+          <Input />
+        </Form.Item>
+        <Form.Item name="notes" label="Notes">
+          <TextArea rows={2} />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
+export default IssueCitationModal;
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Select, Button, Space, Tag, Spin, Alert, Empty, Descriptions, Typography } from 'antd';
+import { AimOutlined, RollbackOutlined } from '@ant-design/icons';
+import { graphService } from '../../services/api';
+
+const { Text } = Typography;
+
+const WIDTH = 900;
+const HEIGHT = 560;
+
+const NODE_TYPES = {
+  vehicle: { label: 'Vehicle', color: '#1677ff', path: key => `/vehicles/${key}` },
+  incident: { label: 'Incident', color: '#fa541c', path: key => `/incidents/${key}` },
+  person: { label: 'Person', color: '#722ed1', path: key => `/persons/${key}` },
+  incident_person: { label: 'Unregistered person', color: '#b37feb' },
+  owner: { label: 'Owner', color: '#13c2c2' },
+  phone: { label: 'Phone', color: '#52c41a' },
+  email: { label: 'Email', color: '#faad14' },
+  address: { label: 'Address', color: '#8c8c8c' }
+};
+
+/**
+ * Place nodes with a small force simulation: rings by depth to start with,
+ * then linked nodes pull together while all nodes push each other apart.
+ */
+const layoutGraph = (nodes, edges) => {
+  const positions = {};
+  const byDepth = {};
+  nodes.forEach(node => { (byDepth[node.depth] = byDepth[node.depth] || []).push(node); });
+
+  Object.entries(byDepth).forEach(([depth, ring]) => {
+    ring.forEach((node, index) => {
+      const angle = (2 * Math.PI * index) / ring.length;
+      const radius = Number(depth) * 140;
+      positions[node.id] = { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+    });
+  });
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const forces = {};
+    nodes.forEach(node => { forces[node.id] = { x: 0, y: 0 }; });
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = positions[nodes[i].id];
+        const b = positions[nodes[j].id];
+        const dx = a.x - b.x || 0.01;
+        const dy = a.y - b.y || 0.01;
+        const distanceSquared = Math.max(dx * dx + dy * dy, 100);
+        const push = 4000 / distanceSquared;
+        forces[nodes[i].id].x += dx * push / Math.sqrt(distanceSquared);
+        forces[nodes[i].id].y += dy * push / Math.sqrt(distanceSquared);
+        forces[nodes[j].id].x -= dx * push / Math.sqrt(distanceSquared);
+        forces[nodes[j].id].y -= dy * push / Math.sqrt(distanceSquared);
+      }
+    }
+
+    edges.forEach(edge => {
+      const a = positions[edge.source];
+      const b = positions[edge.target];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const pull = (Math.sqrt(dx * dx + dy * dy) - 110) * 0.02;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      forces[edge.source].x += dx / distance * pull;
+      forces[edge.source].y += dy / distance * pull;
+      forces[edge.target].x -= dx / distance * pull;
+      forces[edge.target].y -= dy / distance * pull;
+    });
+
+    const step = 1 - iteration / 200;
+    nodes.forEach(node => {
+      // The starting entity stays in the middle
+      if (node.depth === 0) return;
+      positions[node.id].x += Math.max(-20, Math.min(20, forces[node.id].x)) * step;
+      positions[node.id].y += Math.max(-20, Math.min(20, forces[node.id].y)) * step;
+    });
+  }
+
+  return positions;
+};
+
+// Fit the laid out graph into the view box
+const getViewBox = (positions) => {
+  const points = Object.values(positions);
+  if (points.length === 0) return `0 0 ${WIDTH} ${HEIGHT}`;
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const padding = 60;
+  const minX = Math.min(...xs) - padding;
+  const minY = Math.min(...ys) - padding;
+  return `${minX} ${minY} ${Math.max(...xs) + padding - minX} ${Math.max(...ys) + padding - minY}`;
+};
+
+/**
+ * Link-analysis view around a vehicle, incident or other entity. Clicking a
+ * node shows its details; "Explore from here" re-centres the graph on it.
+ */
+const LinkGraph = ({ entity, id }) => {
+  const [center, setCenter] = useState({ entity, id });
+  const [depth, setDepth] = useState(2);
+  const [graph, setGraph] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    setCenter({ entity, id });
+  }, [entity, id]);
+
+  useEffect(() => {
+    const fetchGraph = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await graphService.expand(center.entity, center.id, depth);
+        setGraph(response.data.data);
+        setSelectedId(response.data.data.root);
+      } catch (err) {
+        console.error('Failed to load link graph:', err);
+        setError(err.response?.data?.message || 'Failed to load link graph');
+        setGraph(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (center.id) {
+      fetchGraph();
+    }
+  }, [center, depth]);
+
+  const positions = useMemo(
+    () => (graph ? layoutGraph(graph.nodes, graph.edges) : {}),
+    [graph]
+  );
+
+  const selected = graph?.nodes.find(node => node.id === selectedId);
+  const selectedEdges = graph?.edges.filter(edge => edge.source === selectedId || edge.target === selectedId) || [];
+  const nodeLabel = (nodeId) => graph?.nodes.find(node => node.id === nodeId)?.label || nodeId;
+  const isStart = center.entity === entity && center.id === id;
+
+  return (
+    <div>
+      <Space wrap style={{ marginBottom: 12 }}>
+        <Text>Depth</Text>
+        <Select
+          value={depth}
+          onChange={setDepth}
+          style={{ width: 80 }}
+          options={[1, 2, 3].map(value => ({ value, label: value }))}
+        />
+        {!isStart && (
+          <Button icon={<RollbackOutlined />} onClick={() => setCenter({ entity, id })}>
+            Back to start
+          </Button>
+        )}
+        {Object.entries(NODE_TYPES).map(([type, config]) => (
+          <Tag key={type} color={config.color}>{config.label}</Tag>
+        ))}
+      </Space>
+
+      {error && <Alert type="error" message={error} style={{ marginBottom: 12 }} />}
+      {graph?.truncated && (
+        <Alert
+          type="warning"
+          showIcon
+          message="The graph was cut off at its size limit. Explore from a node further out to see more."
+          style={{ marginBottom: 12 }}
+        />
+      )}
+
+      <Spin spinning={loading}>
+        {graph && graph.edges.length === 0 && !loading ? (
+          <Empty description="No links found" />
+        ) : (
+          <div style={{ display: 'flex', gap: 16, alignItems: 'flex-start' }}>
+            <svg
+              viewBox={getViewBox(positions)}
+              style={{ flex: 1, height: HEIGHT, border: '1px solid #f0f0f0', borderRadius: 8, background: '#fafafa' }}
+            >
+              {graph?.edges.map(edge => {
+                const source = positions[edge.source];
+                const target = positions[edge.target];
+                if (!source || !target) return null;
+                const highlighted = edge.source === selectedId || edge.target === selectedId;
+                return (
+                  <g key={edge.id}>
+                    <line
+                      x1={source.x}
+                      y1={source.y}
+                      x2={target.x}
+                      y2={target.y}
+                      stroke={highlighted ? '#1677ff' : '#bfbfbf'}
+                      strokeWidth={highlighted ? 2 : 1}
+                    >
+                      <title>{graph.edgeTypes?.[edge.type] || edge.type}</title>
+                    </line>
+                    {highlighted && (
+                      <text
+                        x={(source.x + target.x) / 2}
+                        y={(source.y + target.y) / 2}
+                        fontSize={10}
+                        fill="#595959"
+                        textAnchor="middle"
+                      >
+                        {edge.label}
+                      </text>
+                    )}
+                  </g>
+                );
+              })}
+              {graph?.nodes.map(node => {
+                const position = positions[node.id];
+                const config = NODE_TYPES[node.type] || {};
+                return (
+                  <g
+                    key={node.id}
+                    transform={`translate(${position.x}, ${position.y})`}
+                    onClick={() => setSelectedId(node.id)}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    <circle
+                      r={node.depth === 0 ? 14 : 10}
+                      fill={config.color}
+                      stroke={node.id === selectedId ? '#000' : '#fff'}
+                      strokeWidth={2}
+                    />
+                    <text y={24} fontSize={11} textAnchor="middle" fill="#262626">
+                      {node.label?.length > 22 ? `${node.label.slice(0, 21)}…` : node.label}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+
+            {selected && (
+              <Card size="small" style={{ width: 280 }} title={selected.label}>
+                <Descriptions column={1} size="small">
+                  <Descriptions.Item label="Type">{NODE_TYPES[selected.type]?.label || selected.type}</Descriptions.Item>
+                  {Object.entries(selected.data || {})
+                    .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+                    .map(([key, value]) => (
+                      <Descriptions.Item key={key} label={key}>
+                        {Array.isArray(value) ? value.join(', ') : String(value)}
+                      </Descriptions.Item>
+                    ))}
+                </Descriptions>
+
+                <div style={{ margin: '8px 0' }}>
+                  {selectedEdges.map(edge => (
+                    <div key={edge.id}>
+                      <Text type="secondary">{edge.label}</Text>{' '}
+                      {nodeLabel(edge.source === selected.id ? edge.target : edge.source)}
+                    </div>
+                  ))}
+                </div>
+
+                <Space>
+                  {selected.id !== graph.root && (
+                    <Button
+                      size="small"
+                      icon={<AimOutlined />}
+                      onClick={() => setCenter({ entity: selected.type, id: selected.key })}
+                    >
+                      Explore from here
+                    </Button>
+                  )}
+                  {NODE_TYPES[selected.type]?.path && (
+                    <Link to={NODE_TYPES[selected.type].path(selected.key)}>Open</Link>
+                  )}
+                </Space>
+              </Card>
+            )}
+          </div>
+        )}
+      </Spin>
+    </div>
+  );
+};
+
+export default LinkGraph;
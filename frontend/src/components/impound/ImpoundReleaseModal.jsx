@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Modal, Form, Input, InputNumber, Select, Checkbox, Descriptions, Alert, Spin, message } from 'antd';
+import { impoundService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const { TextArea } = Input;
+
+const DOCUMENT_LABELS = {
+  registration: 'Registration',
+  title_deed: 'Title deed',
+  purchase: 'Purchase'
+};
+
+/**
+ * Release an impounded vehicle: who collects it, the ownership documents they
+ * showed and the fee payment (or an admin waiver).
+ */
+const ImpoundReleaseModal = ({ recordId, open, onClose, onReleased }) => {
+  const { currentUser } = useAuth();
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [form] = Form.useForm();
+  const waiveFees = Form.useWatch('waiveFees', form);
+
+  const isAdmin = currentUser?.role === 'admin';
+
+  useEffect(() => {
+    if (open && recordId) {
+      fetchRecord();
+    }
+  }, [open, recordId]);
+
+  const fetchRecord = async () => {
+    try {
+      setLoading(true);
+      const response = await impoundService.getRecord(recordId);
+      const data = response.data.data;
+      setRecord(data);
+      form.setFieldsValue({
+        releasedTo: { name: data.vehicle?.ownerName, contact: data.vehicle?.ownerContact },
+        documentIds: [],
+        amountPaid: data.currentFees.accrued,
+        waiveFees: false
+      });
+    } catch (error) {
+      console.error('Error fetching impound record:', error);
+      message.error(error.response?.data?.message || 'Failed to load impound record');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRelease = async (values) => {
+    try {
+      setSubmitting(true);
+      await impoundService.releaseVehicle(recordId, values);
+      message.success('Vehicle released');
+      form.resetFields();
+      onReleased();
+    } catch (error) {
+      console.error('Error releasing vehicle:', error);
+      message.error(error.response?.data?.message || 'Failed to release vehicle');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fees = record?.currentFees;
+
+  return (
+    <Modal
+      title={`Release ${record?.vehicle?.licensePlate || 'Vehicle'}`}
+      open={open}
+      onCancel={onClose}
+      onOk={() => form.submit()}
+      okText="Release"
+      confirmLoading={submitting}
+      destroyOnClose
+    >
+      <Spin spinning={loading}>
+        {fees && (
+          <Descriptions bordered size="small" column={1} style={{ marginBottom: 16 }}>
+            <Descriptions.Item label="Days Held">{fees.daysCharged}</Descriptions.Item>
+            <Descriptions.Item label="Fees">
+              {fees.intakeFee.toFixed(2)} intake + {fees.daysCharged} x {fees.dailyRate.toFixed(2)} = <strong>{fees.accrued.toFixed(2)}</strong>
+            </Descriptions.Item>
+          </Descriptions>
+        )}
+
+        <Form form={form} layout="vertical" onFinish={handleRelease}>
+          <Form.Item
+            name={['releasedTo', 'name']}
+            label="Released To"
+            rules={[{ required: true, message: 'Please enter who is collecting the vehicle' }]}
+          >
+            <Input />
+          </Form.Item>
+          <Form.Item name={['releasedTo', 'contact']} label="Contact">
+            <Input />
+          </Form.Item>
+          <Form.Item name={['releasedTo', 'idNumber']} label="ID Number">
+            <Input />
+          </Form.Item>
+
+          {record && record.proofDocuments.length === 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              style={{ marginBottom: 16 }}
+              message="No proof of ownership on file"
+              description={
+                <span>
+                  Upload the registration, title deed or purchase document for this vehicle
+                  under <Link to="/documents/upload">Documents</Link> before releasing it.
+                </span>
+              }
+            />
+          )}
+          <Form.Item
+            name="documentIds"
+            label="Proof of Ownership"
+            rules={[{ required: true, message: 'Please select the ownership documents shown' }]}
+          >
+            <Select
+              mode="multiple"
+              options={(record?.proofDocuments || []).map(document => ({
+                value: document._id,
+                label: `${DOCUMENT_LABELS[document.type] || document.type}: ${document.name}`
+              }))}
+            />
+          </Form.Item>
+
+          {isAdmin && fees?.accrued > 0 && (
+            <Form.Item name="waiveFees" valuePropName="checked">
+              <Checkbox>Waive fees</Checkbox>
+            </Form.Item>
+          )}
+          {waiveFees ? (
+            <Form.Item
+              name="waiverReason"
+              label="Waiver Reason"
+              rules={[{ required: true, message: 'Please give a reason for the waiver' }]}
+            >
+              <TextArea rows={2} />
+            </Form.Item>
+          ) : fees?.accrued > 0 && (
+            <>
+              <Form.Item
+                name="amountPaid"
+                label="Amount Paid"
+                rules={[{ required: true, message: 'Please enter the amount paid' }]}
+              >
+                <InputNumber min={0} style={{ width: '100%' }} />
+              </Form.Item>
+              <Form.Item
+                name="paymentReference"
+                label="Payment Reference"
+                rules={[{ required: true, message: 'Please enter the receipt or payment reference' }]}
+              >
+                <Input />
+              </Form.Item>
+            </>
+          )}
+
+          <Form.Item name="notes" label="Notes">
+            <TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Spin>
+    </Modal>
+  );
+};
+
+export default ImpoundReleaseModal;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Steps, Typography } from 'antd';
+
+const { Text } = Typography;
+
+// Who a step is waiting for: its named approvers, or anyone with its role
+export const describeAwaited = (step) => {
+  if (!step) return null;
+  const names = (step.approvers || []).map(approver => approver?.name).filter(Boolean);
+  return names.length > 0 ? names.join(' or ') : `any ${step.role}`;
+};
+
+const STEP_STATUS = {
+  accepted: 'finish',
+  rejected: 'error'
+};
+
+/**
+ * Progress through a report's approval chain, as returned in the `approval`
+ * summary of the incident transitions and list endpoints.
+ */
+const ApprovalSteps = ({ approval, size = 'small' }) => {
+  if (!approval?.steps?.length) {
+    return null;
+  }
+
+  const currentIndex = approval.status === 'in_progress' ? approval.currentStep - 1 : -1;
+
+  return (
+    <>
+      <Text type="secondary">Approval chain: {approval.chain}</Text>
+      <Steps
+        size={size}
+        style={{ marginTop: 8 }}
+        items={approval.steps.map((step, index) => ({
+          title: step.label,
+          status: STEP_STATUS[step.status] || (index === currentIndex ? 'process' : 'wait'),
+          description: step.decidedBy
+            ? `${step.status === 'rejected' ? 'Rejected' : 'Signed off'} by ${step.decidedBy.name || 'Unknown'}`
+            : `Awaiting ${describeAwaited(step)}`
+        }))}
+      />
+    </>
+  );
+};
+
+export default ApprovalSteps;
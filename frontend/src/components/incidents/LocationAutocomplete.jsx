@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AutoComplete, Input, Button, Tooltip, Typography, message } from 'antd';
+import { AimOutlined } from '@ant-design/icons';
+import { geoService } from '../../services/api';
+
+const { Text } = Typography;
+
+// One-line address text for a stored incident location
+export const formatLocationAddress = (location) => {
+  const address = location?.address;
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  const region = [address.state, address.zipCode].filter(Boolean).join(' ');
+  return [address.street, address.city, region].filter(Boolean).join(', ');
+};
+
+/**
+ * Address input with suggestions from the local gazetteer.
+ * `value`/`onChange` hold the address text so it works as a Form control;
+ * `onResolve` receives the chosen match ({ coordinates, address }) or null
+ * once the text no longer matches a suggestion.
+ */
+const LocationAutocomplete = ({ value, onChange, onResolve, placeholder }) => {
+  const [options, setOptions] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [locating, setLocating] = useState(false);
+  // A ref, because AutoComplete may call onChange and onSelect in the same tick
+  const resolvedLabel = useRef(null);
+
+  useEffect(() => {
+    const query = (value || '').trim();
+    if (query.length < 3 || query === resolvedLabel.current) {
+      setOptions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const response = await geoService.geocode(query);
+        setOptions(response.data.data.map(result => ({
+          value: result.label,
+          label: (
+            <div>
+              {result.label}
+              <Text type="secondary" style={{ marginLeft: 8, fontSize: 12 }}>{result.kind}</Text>
+            </div>
+          ),
+          result
+        })));
+      } catch (error) {
+        console.error('Error fetching address suggestions:', error);
+        setOptions([]);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  const handleChange = (text) => {
+    if (text !== resolvedLabel.current) {
+      resolvedLabel.current = null;
+      onResolve?.(null);
+    }
+    onChange?.(text);
+  };
+
+  const handleSelect = (label, option) => {
+    resolvedLabel.current = label;
+    onChange?.(label);
+    onResolve?.({ coordinates: option.result.coordinates, address: option.result.address });
+  };
+
+  // Use the device position, e.g. when reporting from the scene on a phone
+  const handleUseCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      message.warning('Location is not available on this device');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        const coordinates = [position.coords.longitude, position.coords.latitude];
+        let label = `${coordinates[1].toFixed(5)}, ${coordinates[0].toFixed(5)}`;
+        let address = {};
+
+        try {
+          const response = await geoService.reverseGeocode(coordinates[0], coordinates[1]);
+          label = response.data.data.label;
+          address = response.data.data.address;
+        } catch (error) {
+          // No gazetteer entry nearby; the coordinates are still stored
+          console.error('Error reverse geocoding position:', error);
+        }
+
+        resolvedLabel.current = label;
+        onChange?.(label);
+        onResolve?.({ coordinates, address });
+        setLocating(false);
+      },
+      (error) => {
+        console.error('Error getting current position:', error);
+        message.error('Could not get your current location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: 8 }}>
+      <AutoComplete
+        value={value}
+        options={options}
+        onChange={handleChange}
+        onSelect={handleSelect}
+        style={{ flex: 1 }}
+        notFoundContent={searching ? 'Searching...' : null}
+      >
+        <Input placeholder={placeholder || 'Start typing an address'} />
+      </AutoComplete>
+      <Tooltip title="Use my current location">
+        <Button icon={<AimOutlined />} onClick={handleUseCurrentPosition} loading={locating} />
+      </Tooltip>
+    </div>
+  );
+};
+
+export default LocationAutocomplete;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Collapse, Tag, Spin, Alert, Empty, Typography, Space, List, Descriptions } from 'antd';
+import { incidentService } from '../../services/api';
+import { REPORT_FIELD_LABELS } from './RevisionCommentEditor';
+
+const { Text, Paragraph } = Typography;
+
+const REVIEW_COLORS = {
+  approved: 'success',
+  rejected: 'error'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'N/A');
+
+// Added and removed lines of one report field
+const FieldDiff = ({ changes }) => (
+  <div style={{ fontFamily: 'monospace', fontSize: 12, border: '1px solid #f0f0f0' }}>
+    {changes.map((change, index) => (
+      <div
+        key={index}
+        style={{
+          display: 'flex',
+          background: change.type === 'added' ? '#f6ffed' : '#fff1f0',
+          color: change.type === 'added' ? '#389e0d' : '#cf1322'
+        }}
+      >
+        <span style={{ width: 56, textAlign: 'right', paddingRight: 8, userSelect: 'none' }}>
+          {change.type === 'added' ? '+' : '-'} {change.line}
+        </span>
+        <span style={{ whiteSpace: 'pre-wrap', flex: 1 }}>{change.text || ' '}</span>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * Every submitted version of an incident's investigation report, newest first,
+ * with the changes against the previous version, the officer's review and any
+ * line comments. `refreshKey` reloads the history when the incident changes.
+ */
+const ReportHistory = ({ incidentId, refreshKey }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await incidentService.getReportVersions(incidentId);
+        setHistory(response.data.data);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching report history:', err);
+        setError(err.response?.data?.message || 'Failed to load report history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (incidentId) {
+      fetchHistory();
+    }
+  }, [incidentId, refreshKey]);
+
+  if (loading) {
+    return <Spin style={{ display: 'block', margin: '24px auto' }} />;
+  }
+
+  if (error) {
+    return <Alert type="error" message={error} showIcon />;
+  }
+
+  const versions = [...(history?.versions || [])].reverse();
+  const revisionRequest = history?.revisionRequest;
+
+  return (
+    <Card title="Report History" style={{ maxWidth: 1000, margin: '0 auto' }}>
+      {revisionRequest?.status === 'open' && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`Revision requested on version ${revisionRequest.version}`}
+          description={`${revisionRequest.requestedBy?.name || 'An officer'}: ${revisionRequest.summary || ''}`}
+        />
+      )}
+
+      {versions.length === 0 ? (
+        <Empty description="No investigation report has been submitted yet" />
+      ) : (
+        <Collapse
+          defaultActiveKey={[String(versions[0].version)]}
+          items={versions.map(version => ({
+            key: String(version.version),
+            label: (
+              <Space wrap>
+                <Text strong>Version {version.version}</Text>
+                <Text type="secondary">
+                  {version.submittedBy?.name || 'Unknown'} - {formatDate(version.submittedAt)}
+                </Text>
+                {version.review?.status ? (
+                  <Tag color={REVIEW_COLORS[version.review.status]}>{version.review.status.toUpperCase()}</Tag>
+                ) : (
+                  <Tag color="processing">AWAITING REVIEW</Tag>
+                )}
+                {version.diff && (
+                  <Text type="secondary">+{version.diff.added} / -{version.diff.removed} lines</Text>
+                )}
+              </Space>
+            ),
+            children: (
+              <>
+                <Descriptions size="small" column={1} bordered>
+                  <Descriptions.Item label="Conclusion">
+                    {version.conclusion?.toUpperCase() || 'N/A'}
+                    {version.diff?.conclusionChanged && <Tag color="orange" style={{ marginLeft: 8 }}>CHANGED</Tag>}
+                  </Descriptions.Item>
+                  {version.review?.status && (
+                    <Descriptions.Item label="Review">
+                      {version.review.reviewedBy?.name || 'Unknown'} - {formatDate(version.review.reviewedAt)}
+                      {version.review.notes && <Paragraph style={{ margin: 0 }}>{version.review.notes}</Paragraph>}
+                    </Descriptions.Item>
+                  )}
+                </Descriptions>
+
+                {version.diff ? (
+                  Object.keys(version.diff.fields || {}).length > 0 ? (
+                    Object.entries(version.diff.fields).map(([field, changes]) => (
+                      <div key={field} style={{ marginTop: 12 }}>
+                        <Text strong>{REPORT_FIELD_LABELS[field] || field}</Text>
+                        <FieldDiff changes={changes} />
+                      </div>
+                    ))
+                  ) : (
+                    <Paragraph type="secondary" style={{ marginTop: 12 }}>
+                      No text changes from version {version.diff.previousVersion}.
+                    </Paragraph>
+                  )
+                ) : (
+                  <Paragraph type="secondary" style={{ marginTop: 12 }}>First submission.</Paragraph>
+                )}
+
+                {version.revisionComments?.length > 0 && (
+                  <List
+                    size="small"
+                    header={<Text strong>Revision comments</Text>}
+                    style={{ marginTop: 12 }}
+                    dataSource={version.revisionComments}
+                    renderItem={comment => (
+                      <List.Item>
+                        <List.Item.Meta
+                          title={`${REPORT_FIELD_LABELS[comment.field] || comment.field}, line ${comment.line}`}
+                          description={
+                            <>
+                              <Text code>{comment.quote}</Text>
+                              <Paragraph style={{ margin: '4px 0 0' }}>
+                                {comment.comment}
+                                <Text type="secondary"> - {comment.author?.name || 'Unknown'}</Text>
+                              </Paragraph>
+                            </>
+                          }
+                        />
+                      </List.Item>
+                    )}
+                  />
+                )}
+              </>
+            )
+          }))}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default ReportHistory;
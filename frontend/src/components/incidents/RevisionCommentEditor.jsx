@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Select, Input, Button, List, Typography, Empty } from 'antd';
+import { PlusOutlined, DeleteOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+export const REPORT_FIELD_LABELS = {
+  content: 'Detailed Report',
+  findings: 'Findings',
+  recommendations: 'Recommendations'
+};
+
+export const splitReportLines = (text) => (text ? String(text).replace(/\r\n/g, '\n').split('\n') : []);
+
+/**
+ * Line-level comments on a submitted report.
+ * `value`/`onChange` hold the list of { field, line, comment } so it works as a
+ * Form control; `report` provides the text of each field being reviewed.
+ */
+const RevisionCommentEditor = ({ report, value = [], onChange }) => {
+  const [field, setField] = useState('content');
+  const [line, setLine] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const lines = splitReportLines(report?.[field]);
+
+  const handleAdd = () => {
+    onChange?.([...value, { field, line, comment: comment.trim() }]);
+    setLine(null);
+    setComment('');
+  };
+
+  const handleRemove = (index) => {
+    onChange?.(value.filter((_, itemIndex) => itemIndex !== index));
+  };
+
+  return (
+    <div>
+      <Select
+        value={field}
+        onChange={(nextField) => { setField(nextField); setLine(null); }}
+        style={{ width: 220, marginBottom: 8 }}
+        options={Object.entries(REPORT_FIELD_LABELS).map(([key, label]) => ({ value: key, label }))}
+      />
+
+      <div style={{ border: '1px solid #f0f0f0', maxHeight: 240, overflowY: 'auto', fontFamily: 'monospace', fontSize: 12 }}>
+        {lines.length === 0 ? (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No text in this section" />
+        ) : lines.map((text, index) => (
+          <div
+            key={index}
+            onClick={() => setLine(index + 1)}
+            style={{
+              display: 'flex',
+              cursor: 'pointer',
+              background: line === index + 1 ? '#e6f4ff' : undefined
+            }}
+          >
+            <span style={{ width: 40, textAlign: 'right', paddingRight: 8, color: '#999', userSelect: 'none' }}>
+              {index + 1}
+            </span>
+            <span style={{ whiteSpace: 'pre-wrap', flex: 1 }}>{text || ' '}</span>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+        <TextArea
+          rows={2}
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder={line ? `Comment on line ${line}` : 'Click a line above to comment on it'}
+          disabled={!line}
+        />
+        <Button icon={<PlusOutlined />} onClick={handleAdd} disabled={!line || !comment.trim()}>
+          Add
+        </Button>
+      </div>
+
+      {value.length > 0 && (
+        <List
+          size="small"
+          style={{ marginTop: 8 }}
+          dataSource={value}
+          renderItem={(item, index) => (
+            <List.Item
+              actions={[
+                <Button key="remove" type="text" size="small" danger icon={<DeleteOutlined />} onClick={() => handleRemove(index)} />
+              ]}
+            >
+              <Text type="secondary">{REPORT_FIELD_LABELS[item.field]}, line {item.line}:</Text>&nbsp;{item.comment}
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RevisionCommentEditor;
@@ -69,7 +69,9 @@ import {
   LightMode as LightModeIcon2,
   Psychology as AIIcon,
   FindInPage as FraudDetectionIcon,
-  BrokenImage as DamageAnalysisIcon
+  BrokenImage as DamageAnalysisIcon,
+  LocalParking as ImpoundIcon,
+  ReceiptLong as CitationsIcon
 } from '@mui/icons-material';
 
 // Context
@@ -137,6 +139,9 @@ const menuItems = [
   { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
   { text: 'Vehicles', icon: <CarsIcon />, path: '/vehicles' },
   { text: 'Incidents', icon: <ReportIcon />, path: '/incidents' },
+  { text: 'Persons', icon: <UsersIcon />, path: '/persons' },
+  { text: 'Impound Lots', icon: <ImpoundIcon />, path: '/impound' },
+  { text: 'Citations', icon: <CitationsIcon />, path: '/citations' },
   { text: 'Documents', icon: <DescriptionIcon />, path: '/documents' },
   { text: 'Messages', icon: <ChatIcon2 />, path: '/messages' },
   { text: 'AI Tools', icon: <AIIcon />, path: '/ai' },
@@ -205,6 +210,24 @@ const navigationItems = [
       },
     ],
   },
+  {
+    title: 'Persons',
+    path: '/persons',
+    icon: <UsersIcon />,
+    roles: ['Admin', 'Officer', 'Investigator'],
+  },
+  {
+    title: 'Impound Lots',
+    path: '/impound',
+    icon: <ImpoundIcon />,
+    roles: ['Admin', 'Officer', 'Investigator'],
+  },
+  {
+    title: 'Citations',
+    path: '/citations',
+    icon: <CitationsIcon />,
+    roles: ['Admin', 'Officer', 'Investigator'],
+  },
   {
     title: 'Documents',
     path: '/documents',
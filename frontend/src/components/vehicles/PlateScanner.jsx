@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Upload, Button, Spin, List, Tag, Typography, Space, Alert, Empty, message } from 'antd';
+import { CameraOutlined, ReloadOutlined } from '@ant-design/icons';
+import { vehicleService } from '../../services/api';
+import StolenVehicleAlert from './StolenVehicleAlert';
+
+const { Title, Text } = Typography;
+
+const MATCH_TAGS = {
+  exact: { color: 'green', label: 'Exact match' },
+  likely: { color: 'blue', label: 'Likely match' },
+  possible: { color: 'default', label: 'Possible match' }
+};
+
+/**
+ * Photograph a license plate and list the registered vehicles it matches.
+ * `getPosition` resolves to { lat, lng, accuracy } (or {}) so a stolen
+ * vehicle hit records where the photo was taken.
+ */
+const PlateScanner = ({ getPosition, onCancel }) => {
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [stolenAlert, setStolenAlert] = useState(null);
+  const [recognizing, setRecognizing] = useState(false);
+
+  useEffect(() => () => {
+    if (preview) {
+      URL.revokeObjectURL(preview);
+    }
+  }, [preview]);
+
+  const recognize = async (file) => {
+    setPreview(URL.createObjectURL(file));
+    setResult(null);
+    setStolenAlert(null);
+
+    try {
+      setRecognizing(true);
+      const formData = new FormData();
+      formData.append('image', file);
+      const position = getPosition ? await getPosition() : {};
+      Object.entries(position).forEach(([key, value]) => formData.append(key, value));
+
+      const response = await vehicleService.recognizePlate(formData);
+      setResult(response.data.data);
+      setStolenAlert(response.data.stolenVehicleAlert || null);
+    } catch (error) {
+      console.error('Error recognizing plate:', error);
+      message.error(error.response?.data?.message || 'Failed to read the plate');
+    } finally {
+      setRecognizing(false);
+    }
+  };
+
+  // The photo is posted by recognize(), not by the Upload component
+  const handleSelect = (file) => {
+    recognize(file);
+    return false;
+  };
+
+  const reset = () => {
+    setPreview(null);
+    setResult(null);
+    setStolenAlert(null);
+  };
+
+  if (!preview) {
+    return (
+      <div style={{ textAlign: 'center', padding: '40px 0' }}>
+        <CameraOutlined style={{ fontSize: '48px', color: '#1890ff', marginBottom: '20px' }} />
+        <Title level={4}>Scan a License Plate</Title>
+        <Text>Take or choose a photo of the vehicle with its plate clearly visible</Text>
+        <div style={{ marginTop: '30px' }}>
+          <Space>
+            <Upload accept="image/*" capture="environment" showUploadList={false} beforeUpload={handleSelect}>
+              <Button type="primary" size="large" icon={<CameraOutlined />}>
+                Take Photo
+              </Button>
+            </Upload>
+            <Button size="large" onClick={onCancel}>
+              Cancel
+            </Button>
+          </Space>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ textAlign: 'center' }}>
+        <img src={preview} alt="Vehicle" style={{ maxWidth: '100%', maxHeight: 300, borderRadius: 4 }} />
+      </div>
+
+      {recognizing && (
+        <div style={{ textAlign: 'center', padding: '24px' }}>
+          <Spin tip="Reading plate..." />
+        </div>
+      )}
+
+      {result && (
+        <div style={{ marginTop: '20px' }}>
+          <StolenVehicleAlert alert={stolenAlert} />
+          {result.plate ? (
+            <Space style={{ marginBottom: 16 }}>
+              <Text>Plate read as</Text>
+              <Text strong style={{ fontSize: 18 }}>{result.plate}</Text>
+              <Tag>{Math.round(result.confidence * 100)}% OCR confidence</Tag>
+            </Space>
+          ) : (
+            <Alert
+              type="warning"
+              showIcon
+              style={{ marginBottom: 16 }}
+              message="No plate could be read from this photo. Try a closer, straight-on photo of the plate."
+            />
+          )}
+
+          {result.plate && (
+            result.candidates.length > 0 ? (
+              <List
+                bordered
+                dataSource={result.candidates}
+                renderItem={(candidate) => (
+                  <List.Item
+                    actions={[
+                      <Link key="view" to={`/vehicles/${candidate.vehicle._id}`}>View Vehicle</Link>
+                    ]}
+                  >
+                    <List.Item.Meta
+                      title={
+                        <Space>
+                          {candidate.vehicle.licensePlate}
+                          <Tag color={MATCH_TAGS[candidate.match].color}>{MATCH_TAGS[candidate.match].label}</Tag>
+                          {candidate.vehicle.status === 'stolen' && <Tag color="red">Stolen</Tag>}
+                        </Space>
+                      }
+                      description={[candidate.vehicle.color, candidate.vehicle.year, candidate.vehicle.make, candidate.vehicle.model]
+                        .filter(Boolean).join(' ')}
+                    />
+                    <Text type="secondary">{Math.round(candidate.confidence * 100)}% confidence</Text>
+                  </List.Item>
+                )}
+              />
+            ) : (
+              <Empty description="No registered vehicle matches this plate" />
+            )
+          )}
+        </div>
+      )}
+
+      <div style={{ marginTop: '20px', display: 'flex', justifyContent: 'center', gap: 8 }}>
+        <Upload accept="image/*" capture="environment" showUploadList={false} beforeUpload={handleSelect} disabled={recognizing}>
+          <Button type="primary" icon={<ReloadOutlined />} disabled={recognizing}>
+            Try Another Photo
+          </Button>
+        </Upload>
+        <Button onClick={() => { reset(); onCancel(); }} disabled={recognizing}>
+          Done
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PlateScanner;
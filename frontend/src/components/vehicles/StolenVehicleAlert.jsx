@@ -0,0 +1,35 @@
+import React from 'react';
+import { Alert } from 'antd';
+import { WarningOutlined } from '@ant-design/icons';
+
+/**
+ * Banner for the `stolenVehicleAlert` returned by the QR scan, plate scan,
+ * search and registration endpoints when a stolen vehicle turns up.
+ */
+const StolenVehicleAlert = ({ alert, style }) => {
+  if (!alert) {
+    return null;
+  }
+
+  return (
+    <Alert
+      type="error"
+      showIcon
+      icon={<WarningOutlined />}
+      style={{ marginBottom: 16, ...style }}
+      message={<strong>{alert.message}</strong>}
+      description={
+        <ul style={{ margin: 0, paddingLeft: 20 }}>
+          {alert.vehicles.map(vehicle => (
+            <li key={vehicle._id}>
+              {vehicle.licensePlate} - {[vehicle.color, vehicle.make, vehicle.model].filter(Boolean).join(' ')}
+              {vehicle.vin && ` (VIN ${vehicle.vin})`}
+            </li>
+          ))}
+        </ul>
+      }
+    />
+  );
+};
+
+export default StolenVehicleAlert;
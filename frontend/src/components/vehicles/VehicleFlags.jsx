@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Tag, Button, Modal, Form, Select, Input, DatePicker, Typography, message } from 'antd';
+import { FlagOutlined, CheckOutlined } from '@ant-design/icons';
+import axios from 'axios';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+export const FLAG_TYPES = {
+  wanted: 'Wanted',
+  bolo: 'BOLO',
+  cloned_plate_suspected: 'Cloned Plate Suspected',
+  insurance_lapsed: 'Insurance Lapsed',
+  other: 'Other'
+};
+
+export const FLAG_SEVERITY_COLORS = {
+  low: 'blue',
+  medium: 'gold',
+  high: 'orange',
+  critical: 'red'
+};
+
+const VehicleFlags = ({ vehicleId, onFlagsChange }) => {
+  const [flags, setFlags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [addModalOpen, setAddModalOpen] = useState(false);
+  const [resolvingFlag, setResolvingFlag] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [addForm] = Form.useForm();
+  const [resolveForm] = Form.useForm();
+
+  useEffect(() => {
+    fetchFlags();
+  }, [vehicleId]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  const fetchFlags = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/vehicles/flags/${vehicleId}`, {
+        headers: authHeaders()
+      });
+      setFlags(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching vehicle flags:', error);
+      message.error('Failed to fetch vehicle flags');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddFlag = async (values) => {
+    try {
+      setSubmitting(true);
+      await axios.post(`/api/vehicles/flags/${vehicleId}`, {
+        ...values,
+        expiresAt: values.expiresAt ? values.expiresAt.toISOString() : undefined
+      }, {
+        headers: authHeaders()
+      });
+      message.success('Flag added successfully');
+      setAddModalOpen(false);
+      addForm.resetFields();
+      fetchFlags();
+      if (onFlagsChange) onFlagsChange();
+    } catch (error) {
+      console.error('Error adding vehicle flag:', error);
+      message.error(error.response?.data?.message || 'Failed to add flag');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResolveFlag = async (values) => {
+    try {
+      setSubmitting(true);
+      await axios.put(`/api/vehicles/flags/${vehicleId}/${resolvingFlag._id}`, values, {
+        headers: authHeaders()
+      });
+      message.success('Flag resolved successfully');
+      setResolvingFlag(null);
+      resolveForm.resetFields();
+      fetchFlags();
+      if (onFlagsChange) onFlagsChange();
+    } catch (error) {
+      console.error('Error resolving vehicle flag:', error);
+      message.error(error.response?.data?.message || 'Failed to resolve flag');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isExpired = (flag) => flag.expiresAt && new Date(flag.expiresAt) <= new Date();
+
+  const columns = [
+    {
+      title: 'Flag',
+      dataIndex: 'type',
+      key: 'type',
+      render: (type) => FLAG_TYPES[type] || type
+    },
+    {
+      title: 'Severity',
+      dataIndex: 'severity',
+      key: 'severity',
+      render: (severity) => (
+        <Tag color={FLAG_SEVERITY_COLORS[severity]}>{severity.toUpperCase()}</Tag>
+      )
+    },
+    {
+      title: 'Status',
+      key: 'status',
+      render: (_, flag) => {
+        if (flag.status === 'resolved') return <Tag color="green">Resolved</Tag>;
+        if (isExpired(flag)) return <Tag>Expired</Tag>;
+        return <Tag color="red">Active</Tag>;
+      }
+    },
+    {
+      title: 'Description',
+      dataIndex: 'description',
+      key: 'description',
+      render: (description, flag) => (
+        <div>
+          <div>{description || '-'}</div>
+          {flag.resolutionNote && (
+            <Text type="secondary">Resolution: {flag.resolutionNote}</Text>
+          )}
+        </div>
+      )
+    },
+    {
+      title: 'Raised By',
+      key: 'createdBy',
+      render: (_, flag) => (
+        <div>
+          <div>{flag.createdBy?.name || 'Unknown'}</div>
+          <Text type="secondary">{new Date(flag.createdAt).toLocaleDateString()}</Text>
+        </div>
+      )
+    },
+    {
+      title: 'Expires',
+      dataIndex: 'expiresAt',
+      key: 'expiresAt',
+      render: (expiresAt) => expiresAt ? new Date(expiresAt).toLocaleDateString() : 'Never'
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, flag) => flag.status === 'active' && (
+        <Button size="small" icon={<CheckOutlined />} onClick={() => setResolvingFlag(flag)}>
+          Resolve
+        </Button>
+      )
+    }
+  ];
+
+  return (
+    <Card
+      title="Vehicle Flags"
+      extra={
+        <Button type="primary" danger icon={<FlagOutlined />} onClick={() => setAddModalOpen(true)}>
+          Add Flag
+        </Button>
+      }
+    >
+      <Table
+        rowKey="_id"
+        columns={columns}
+        dataSource={flags}
+        loading={loading}
+        pagination={false}
+      />
+
+      <Modal
+        title="Add Vehicle Flag"
+        open={addModalOpen}
+        onCancel={() => setAddModalOpen(false)}
+        onOk={() => addForm.submit()}
+        confirmLoading={submitting}
+      >
+        <Form form={addForm} layout="vertical" onFinish={handleAddFlag} initialValues={{ severity: 'medium' }}>
+          <Form.Item name="type" label="Flag Type" rules={[{ required: true, message: 'Please select a flag type' }]}>
+            <Select
+              options={Object.entries(FLAG_TYPES).map(([value, label]) => ({ value, label }))}
+            />
+          </Form.Item>
+          <Form.Item name="severity" label="Severity">
+            <Select
+              options={Object.keys(FLAG_SEVERITY_COLORS).map(value => ({
+                value,
+                label: value.charAt(0).toUpperCase() + value.slice(1)
+              }))}
+            />
+          </Form.Item>
+          <Form.Item name="description" label="Description">
+            <TextArea rows={3} />
+          </Form.Item>
+          <Form.Item name="expiresAt" label="Expires On">
+            <DatePicker style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Resolve Flag"
+        open={!!resolvingFlag}
+        onCancel={() => setResolvingFlag(null)}
+        onOk={() => resolveForm.submit()}
+        confirmLoading={submitting}
+      >
+        <Form form={resolveForm} layout="vertical" onFinish={handleResolveFlag}>
+          <Form.Item
+            name="resolutionNote"
+            label="Resolution Note"
+            rules={[{ required: true, message: 'Please describe how the flag was resolved' }]}
+          >
+            <TextArea rows={3} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default VehicleFlags;
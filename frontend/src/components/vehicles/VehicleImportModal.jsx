@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Modal, Upload, Button, Table, Tag, Alert, Checkbox, Space, Typography, message } from 'antd';
+import { UploadOutlined } from '@ant-design/icons';
+import axios from 'axios';
+
+const { Text } = Typography;
+
+const VehicleImportModal = ({ open, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setReport(null);
+    setSkipInvalid(false);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const upload = async (dryRun) => {
+    if (!file) {
+      message.warning('Please choose a CSV, XLSX or JSON file');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post('/api/vehicles/import', formData, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'multipart/form-data'
+        },
+        params: { dryRun, skipInvalid }
+      });
+
+      setReport(response.data.report);
+      if (!dryRun) {
+        message.success(response.data.message);
+        if (onImported) onImported(response.data.batch);
+        handleClose();
+      }
+    } catch (error) {
+      console.error('Error importing vehicles:', error);
+      if (error.response?.data?.report) {
+        setReport(error.response.data.report);
+      }
+      message.error(error.response?.data?.message || 'Failed to import vehicles');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Row',
+      dataIndex: 'row',
+      key: 'row',
+      width: 70
+    },
+    {
+      title: 'Plate',
+      dataIndex: 'licensePlate',
+      key: 'licensePlate'
+    },
+    {
+      title: 'VIN',
+      dataIndex: 'vin',
+      key: 'vin'
+    },
+    {
+      title: 'Result',
+      dataIndex: 'status',
+      key: 'status',
+      render: (status) => (
+        <Tag color={status === 'valid' ? 'green' : 'red'}>{status.toUpperCase()}</Tag>
+      )
+    },
+    {
+      title: 'Details',
+      key: 'details',
+      render: (_, record) => (
+        <>
+          {record.errors.map(error => (
+            <div key={error}><Text type="danger">{error}</Text></div>
+          ))}
+          {record.warnings.map(warning => (
+            <div key={warning}><Text type="warning">{warning}</Text></div>
+          ))}
+        </>
+      )
+    }
+  ];
+
+  const canImport = report && report.validCount > 0 && (report.invalidCount === 0 || skipInvalid);
+
+  return (
+    <Modal
+      title="Import Vehicles"
+      open={open}
+      onCancel={handleClose}
+      width={900}
+      footer={[
+        <Button key="cancel" onClick={handleClose}>
+          Cancel
+        </Button>,
+        <Button key="validate" onClick={() => upload(true)} loading={submitting} disabled={!file}>
+          Validate (dry run)
+        </Button>,
+        <Button key="import" type="primary" onClick={() => upload(false)} loading={submitting} disabled={!canImport}>
+          Import
+        </Button>
+      ]}
+    >
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Text type="secondary">
+          Upload a CSV, XLSX or JSON file with one vehicle per row. Columns: licensePlate, vin, make, model, year,
+          color, registrationState, ownerName, ownerContact, ownerAddress and optional ownerEmail,
+          registrationExpiry, insuranceProvider, insurancePolicyNumber, insuranceExpiry, status.
+          Only the first sheet of a workbook is read. Validate the file first to see any errors.
+        </Text>
+
+        <Upload
+          accept=".csv,.xlsx,.json"
+          maxCount={1}
+          beforeUpload={(selected) => {
+            setFile(selected);
+            setReport(null);
+            return false;
+          }}
+          onRemove={reset}
+          fileList={file ? [file] : []}
+        >
+          <Button icon={<UploadOutlined />}>Choose File</Button>
+        </Upload>
+
+        {report && (
+          <>
+            <Alert
+              type={report.invalidCount === 0 ? 'success' : 'warning'}
+              showIcon
+              message={`${report.validCount} of ${report.totalRows} rows are valid`}
+              description={report.invalidCount > 0
+                ? 'Rows with errors are not imported. Fix the file and validate again, or import only the valid rows.'
+                : undefined}
+            />
+            {report.invalidCount > 0 && (
+              <Checkbox checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)}>
+                Import the valid rows and skip rows with errors
+              </Checkbox>
+            )}
+            <Table
+              columns={columns}
+              dataSource={report.rows}
+              rowKey="row"
+              size="small"
+              pagination={{ pageSize: 10 }}
+            />
+          </>
+        )}
+      </Space>
+    </Modal>
+  );
+};
+
+export default VehicleImportModal;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Table, Tag, Button, Modal, Form, Select, Input, InputNumber, Descriptions, Upload, Image, Space, Empty, Typography, message } from 'antd';
+import { PlusOutlined, MinusCircleOutlined, UploadOutlined, LogoutOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { impoundService, incidentService } from '../../services/api';
+import ImpoundReleaseModal from '../impound/ImpoundReleaseModal';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+export const IMPOUND_REASONS = {
+  illegal_parking: 'Illegal parking',
+  abandoned: 'Abandoned',
+  evidence: 'Held as evidence',
+  unregistered: 'Unregistered',
+  uninsured: 'Uninsured',
+  stolen_recovered: 'Recovered stolen vehicle',
+  dui: 'DUI',
+  other: 'Other'
+};
+
+/**
+ * Impound status of a vehicle: the current hold with its fees, inventory and
+ * photos, past impounds and the intake / release actions.
+ */
+const VehicleImpound = ({ vehicleId, status, canRelease, onStatusChange }) => {
+  const [records, setRecords] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [intakeModalOpen, setIntakeModalOpen] = useState(false);
+  const [releaseModalOpen, setReleaseModalOpen] = useState(false);
+  const [lots, setLots] = useState([]);
+  const [incidents, setIncidents] = useState([]);
+  const [photoList, setPhotoList] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [intakeForm] = Form.useForm();
+
+  // Stolen vehicles go through recovery first
+  const canIntake = ['active', 'recovered'].includes(status);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [vehicleId, status]);
+
+  const fetchRecords = async () => {
+    try {
+      setLoading(true);
+      const response = await impoundService.getRecords({ vehicle: vehicleId, limit: 50 });
+      const list = response.data.data || [];
+      setRecords(list);
+
+      const open = list.find(record => record.status === 'impounded');
+      if (open) {
+        const detail = await impoundService.getRecord(open._id);
+        setCurrent(detail.data.data);
+      } else {
+        setCurrent(null);
+      }
+    } catch (error) {
+      console.error('Error fetching impound records:', error);
+      message.error('Failed to fetch impound records');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openIntakeModal = async () => {
+    intakeForm.resetFields();
+    setIntakeModalOpen(true);
+    try {
+      const [lotsResponse, incidentsResponse] = await Promise.all([
+        impoundService.getLots(),
+        incidentService.getAllIncidents()
+      ]);
+      setLots(lotsResponse.data.data || []);
+      setIncidents((incidentsResponse.data || []).filter(incident => incident.status !== 'closed'));
+    } catch (error) {
+      console.error('Error fetching impound lots:', error);
+      message.error('Failed to fetch impound lots');
+    }
+  };
+
+  const handleIntake = async (values) => {
+    try {
+      setSubmitting(true);
+      const response = await impoundService.intakeVehicle({ ...values, vehicleId });
+      message.success(response.data.message);
+      setIntakeModalOpen(false);
+      onStatusChange();
+    } catch (error) {
+      console.error('Error impounding vehicle:', error);
+      message.error(error.response?.data?.message || 'Failed to impound vehicle');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUploadPhotos = async () => {
+    const formData = new FormData();
+    photoList.forEach(file => formData.append('photos', file));
+
+    try {
+      setUploading(true);
+      await impoundService.addPhotos(current._id, formData);
+      message.success('Photos uploaded');
+      setPhotoList([]);
+      fetchRecords();
+    } catch (error) {
+      console.error('Error uploading impound photos:', error);
+      message.error(error.response?.data?.message || 'Failed to upload photos');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleReleased = () => {
+    setReleaseModalOpen(false);
+    onStatusChange();
+  };
+
+  const columns = [
+    {
+      title: 'Impounded',
+      dataIndex: 'intakeAt',
+      key: 'intakeAt',
+      render: (date) => dayjs(date).format('YYYY-MM-DD HH:mm')
+    },
+    {
+      title: 'Lot',
+      dataIndex: 'lot',
+      key: 'lot',
+      render: (lot) => lot ? <Link to={`/impound/lots/${lot._id}`}>{lot.name}</Link> : '-'
+    },
+    {
+      title: 'Reason',
+      dataIndex: 'reason',
+      key: 'reason',
+      render: (reason) => IMPOUND_REASONS[reason] || reason
+    },
+    {
+      title: 'Status',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value) => <Tag color={value === 'impounded' ? 'orange' : 'green'}>{value}</Tag>
+    },
+    {
+      title: 'Released',
+      key: 'released',
+      render: (_, record) => record.release?.releasedAt
+        ? `${dayjs(record.release.releasedAt).format('YYYY-MM-DD HH:mm')} to ${record.release.releasedTo?.name}`
+        : '-'
+    },
+    {
+      title: 'Fees',
+      key: 'fees',
+      render: (_, record) => record.release?.feesWaived
+        ? <Text type="secondary">Waived</Text>
+        : record.currentFees.accrued.toFixed(2)
+    }
+  ];
+
+  return (
+    <Card
+      loading={loading}
+      title="Impound"
+      extra={
+        current ? (
+          canRelease && (
+            <Button type="primary" icon={<LogoutOutlined />} onClick={() => setReleaseModalOpen(true)}>
+              Release
+            </Button>
+          )
+        ) : (
+          <Button icon={<PlusOutlined />} disabled={!canIntake} onClick={openIntakeModal}>
+            Impound Vehicle
+          </Button>
+        )
+      }
+    >
+      {current && (
+        <>
+          <Descriptions bordered column={2} size="small" style={{ marginBottom: 16 }}>
+            <Descriptions.Item label="Lot">
+              <Link to={`/impound/lots/${current.lot._id}`}>{current.lot.name}</Link>
+            </Descriptions.Item>
+            <Descriptions.Item label="Since">{dayjs(current.intakeAt).format('YYYY-MM-DD HH:mm')}</Descriptions.Item>
+            <Descriptions.Item label="Reason">
+              {IMPOUND_REASONS[current.reason] || current.reason}
+              {current.reasonDetails && <div><Text type="secondary">{current.reasonDetails}</Text></div>}
+            </Descriptions.Item>
+            <Descriptions.Item label="Officer">{current.officer?.name || '-'}</Descriptions.Item>
+            <Descriptions.Item label="Incident">
+              {current.incident
+                ? <Link to={`/incidents/${current.incident._id}`}>{current.incident.incidentNumber || current.incident.title}</Link>
+                : '-'}
+            </Descriptions.Item>
+            <Descriptions.Item label="Fees to Date">
+              <strong>{current.currentFees.accrued.toFixed(2)}</strong>
+              <Text type="secondary"> ({current.currentFees.daysCharged} day(s))</Text>
+            </Descriptions.Item>
+            <Descriptions.Item label="Inventory" span={2}>
+              {current.inventory.length > 0
+                ? current.inventory.map(entry => (
+                  <div key={entry._id}>
+                    {entry.quantity} x {entry.item}
+                    {entry.condition && <Text type="secondary"> ({entry.condition})</Text>}
+                    {entry.notes && <Text type="secondary"> - {entry.notes}</Text>}
+                  </div>
+                ))
+                : 'No items recorded'}
+            </Descriptions.Item>
+          </Descriptions>
+
+          <Space align="start" wrap style={{ marginBottom: 16 }}>
+            <Image.PreviewGroup>
+              {current.photos.map(photo => (
+                <Image key={photo._id} src={photo.url} width={96} height={96} style={{ objectFit: 'cover' }} />
+              ))}
+            </Image.PreviewGroup>
+          </Space>
+          <Space style={{ marginBottom: 24 }}>
+            <Upload
+              multiple
+              accept="image/*"
+              fileList={photoList}
+              beforeUpload={(file) => {
+                setPhotoList(list => [...list, file]);
+                return false;
+              }}
+              onRemove={(file) => setPhotoList(list => list.filter(item => item.uid !== file.uid))}
+            >
+              <Button icon={<UploadOutlined />}>Add Intake Photos</Button>
+            </Upload>
+            {photoList.length > 0 && (
+              <Button type="primary" loading={uploading} onClick={handleUploadPhotos}>
+                Upload {photoList.length}
+              </Button>
+            )}
+          </Space>
+        </>
+      )}
+
+      {records.length > 0 ? (
+        <Table
+          rowKey="_id"
+          columns={columns}
+          dataSource={records}
+          pagination={false}
+          size="small"
+        />
+      ) : (
+        !current && <Empty description="This vehicle has not been impounded" />
+      )}
+
+      <Modal
+        title="Impound Vehicle"
+        open={intakeModalOpen}
+        onCancel={() => setIntakeModalOpen(false)}
+        onOk={() => intakeForm.submit()}
+        confirmLoading={submitting}
+        width={640}
+      >
+        <Form form={intakeForm} layout="vertical" onFinish={handleIntake}>
+          <Form.Item name="lotId" label="Lot" rules={[{ required: true, message: 'Please select a lot' }]}>
+            <Select
+              options={lots.map(lot => ({
+                value: lot._id,
+                label: `${lot.name} (${lot.available} of ${lot.capacity} free)`,
+                disabled: lot.available === 0
+              }))}
+            />
+          </Form.Item>
+          <Form.Item name="reason" label="Reason" rules={[{ required: true, message: 'Please select a reason' }]}>
+            <Select options={Object.entries(IMPOUND_REASONS).map(([value, label]) => ({ value, label }))} />
+          </Form.Item>
+          <Form.Item name="reasonDetails" label="Details">
+            <TextArea rows={2} />
+          </Form.Item>
+          <Form.Item name="incidentId" label="Incident">
+            <Select
+              allowClear
+              showSearch
+              optionFilterProp="label"
+              placeholder="Optional"
+              options={incidents.map(incident => ({
+                value: incident._id,
+                label: `${incident.incidentNumber || incident._id} - ${incident.title}`
+              }))}
+            />
+          </Form.Item>
+          <Form.List name="inventory">
+            {(fields, { add, remove }) => (
+              <>
+                {fields.map(({ key, name }) => (
+                  <Space key={key} align="baseline">
+                    <Form.Item name={[name, 'item']} rules={[{ required: true, message: 'Item' }]}>
+                      <Input placeholder="Item" />
+                    </Form.Item>
+                    <Form.Item name={[name, 'quantity']} initialValue={1}>
+                      <InputNumber min={1} style={{ width: 72 }} />
+                    </Form.Item>
+                    <Form.Item name={[name, 'condition']}>
+                      <Input placeholder="Condition" />
+                    </Form.Item>
+                    <MinusCircleOutlined onClick={() => remove(name)} />
+                  </Space>
+                ))}
+                <Button type="dashed" icon={<PlusOutlined />} onClick={() => add()}>
+                  Add Inventory Item
+                </Button>
+              </>
+            )}
+          </Form.List>
+        </Form>
+      </Modal>
+
+      {current && (
+        <ImpoundReleaseModal
+          recordId={current._id}
+          open={releaseModalOpen}
+          onClose={() => setReleaseModalOpen(false)}
+          onReleased={handleReleased}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default VehicleImpound;
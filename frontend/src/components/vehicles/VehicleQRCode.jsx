@@ -1,13 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Button, Typography, Spin, message } from 'antd';
-import { DownloadOutlined } from '@ant-design/icons';
-import axios from 'axios';
+import { Card, Button, Typography, Spin, Tag, Space, Modal, Form, InputNumber, Input, Alert, message } from 'antd';
+import { DownloadOutlined, ReloadOutlined, StopOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { vehicleService } from '../../services/api';
 
-const { Title } = Typography;
+const { Title, Text } = Typography;
+const { TextArea } = Input;
 
-const VehicleQRCode = ({ vehicleId }) => {
+const TOKEN_STATUS = {
+  active: { color: 'green', label: 'Active' },
+  expired: { color: 'orange', label: 'Expired' },
+  revoked: { color: 'red', label: 'Revoked' }
+};
+
+/**
+ * QR code for a vehicle. The code holds a signed token; rotating it issues a
+ * new code and stops every earlier one from scanning, revoking stops the
+ * current one until it is rotated.
+ */
+const VehicleQRCode = ({ vehicleId, canManage = false }) => {
   const [qrCode, setQrCode] = useState(null);
+  const [token, setToken] = useState(null);
+  const [unavailable, setUnavailable] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [rotateOpen, setRotateOpen] = useState(false);
+  const [revokeOpen, setRevokeOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [rotateForm] = Form.useForm();
+  const [revokeForm] = Form.useForm();
 
   useEffect(() => {
     fetchQRCode();
@@ -16,25 +36,57 @@ const VehicleQRCode = ({ vehicleId }) => {
   const fetchQRCode = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`/api/vehicles/${vehicleId}/qrcode`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-      
-      if (response.data.success) {
-        setQrCode(response.data.qrCode);
+      setUnavailable(null);
+      const response = await vehicleService.getQRCode(vehicleId);
+      setQrCode(response.data.qrCode);
+      setToken(response.data.token);
+    } catch (error) {
+      console.error('Error fetching QR code:', error);
+      setQrCode(null);
+      setToken(null);
+      // A revoked or expired code is not an error to report, it needs rotating
+      if (error.response?.status === 409) {
+        setUnavailable(error.response.data.message);
       } else {
         message.error('Failed to generate QR code');
       }
-    } catch (error) {
-      console.error('Error fetching QR code:', error);
-      message.error('Failed to generate QR code');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRotate = async (values) => {
+    try {
+      setSaving(true);
+      const response = await vehicleService.rotateQRCode(vehicleId, {
+        expiresInDays: values.expiresInDays ?? undefined
+      });
+      setQrCode(response.data.qrCode);
+      setToken(response.data.token);
+      setUnavailable(null);
+      setRotateOpen(false);
+      message.success(response.data.message);
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to issue a new QR code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (values) => {
+    try {
+      setSaving(true);
+      const response = await vehicleService.revokeQRCode(vehicleId, values.reason);
+      setRevokeOpen(false);
+      message.success(response.data.message);
+      fetchQRCode();
+    } catch (error) {
+      message.error(error.response?.data?.message || 'Failed to revoke QR code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const downloadQRCode = () => {
     if (!qrCode) return;
     
@@ -107,6 +159,25 @@ const VehicleQRCode = ({ vehicleId }) => {
     <Card
       title={<Title level={4}>Vehicle QR Code</Title>}
       style={{ width: '100%', marginBottom: '20px' }}
+      extra={canManage && (
+        <Space>
+          <Button
+            icon={<ReloadOutlined />}
+            onClick={() => { rotateForm.resetFields(); setRotateOpen(true); }}
+          >
+            Issue New Code
+          </Button>
+          {qrCode && (
+            <Button
+              danger
+              icon={<StopOutlined />}
+              onClick={() => { revokeForm.resetFields(); setRevokeOpen(true); }}
+            >
+              Revoke
+            </Button>
+          )}
+        </Space>
+      )}
     >
       <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
         {qrCode ? (
@@ -116,6 +187,15 @@ const VehicleQRCode = ({ vehicleId }) => {
               alt="Vehicle QR Code"
               style={{ maxWidth: '250px', marginBottom: '20px' }}
             />
+            {token && (
+              <Space style={{ marginBottom: '8px' }}>
+                <Tag color={TOKEN_STATUS[token.status]?.color}>{TOKEN_STATUS[token.status]?.label || token.status}</Tag>
+                <Text type="secondary">
+                  Issued {dayjs(token.issuedAt).format('YYYY-MM-DD')}
+                  {token.expiresAt ? `, expires ${dayjs(token.expiresAt).format('YYYY-MM-DD')}` : ', does not expire'}
+                </Text>
+              </Space>
+            )}
             <p>Scan this QR code to view vehicle details</p>
             <div style={{ marginTop: '16px' }}>
               <Button
@@ -129,10 +209,59 @@ const VehicleQRCode = ({ vehicleId }) => {
               <Button onClick={printQRCode}>Print QR Code</Button>
             </div>
           </>
+        ) : unavailable ? (
+          <Alert
+            type="warning"
+            showIcon
+            message={unavailable}
+            description={canManage ? 'Issue a new code to print a replacement.' : undefined}
+          />
         ) : (
           <p>Failed to generate QR code. Please try again.</p>
         )}
       </div>
+
+      <Modal
+        title="Issue New QR Code"
+        open={rotateOpen}
+        onCancel={() => setRotateOpen(false)}
+        onOk={() => rotateForm.submit()}
+        okText="Issue"
+        confirmLoading={saving}
+      >
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="Every QR code already printed for this vehicle will stop working."
+        />
+        <Form form={rotateForm} layout="vertical" onFinish={handleRotate}>
+          <Form.Item
+            name="expiresInDays"
+            label="Valid For (days)"
+            extra="0 for a code that never expires. Leave empty for the system default."
+          >
+            <InputNumber min={0} style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Revoke QR Code"
+        open={revokeOpen}
+        onCancel={() => setRevokeOpen(false)}
+        onOk={() => revokeForm.submit()}
+        okText="Revoke"
+        okButtonProps={{ danger: true }}
+        confirmLoading={saving}
+      >
+        <p>The current code will stop scanning until a new one is issued.</p>
+        <Form form={revokeForm} layout="vertical" onFinish={handleRevoke}>
+          <Form.Item name="reason" label="Reason">
+            <TextArea rows={2} placeholder="e.g. sticker stolen or damaged" />
+          </Form.Item>
+        </Form>
+      </Modal>
     </Card>
   );
 };
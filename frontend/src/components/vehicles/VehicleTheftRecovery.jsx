@@ -0,0 +1,357 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Table, Tag, Button, Modal, Form, Select, Input, InputNumber, DatePicker, Descriptions, Radio, Space, Typography, message } from 'antd';
+import { WarningOutlined, CheckCircleOutlined, AimOutlined } from '@ant-design/icons';
+import axios from 'axios';
+
+const { Text } = Typography;
+const { TextArea } = Input;
+
+export const RECOVERY_CONDITIONS = {
+  intact: 'Intact',
+  minor_damage: 'Minor damage',
+  major_damage: 'Major damage',
+  stripped: 'Stripped',
+  burned: 'Burned',
+  total_loss: 'Total loss'
+};
+
+const EVENT_LABELS = {
+  reported_stolen: { label: 'Reported stolen', color: 'red' },
+  recovered: { label: 'Recovered', color: 'green' },
+  impounded: { label: 'Impounded', color: 'orange' },
+  released: { label: 'Released', color: 'blue' },
+  status_change: { label: 'Status change', color: 'default' }
+};
+
+// Hours from theft to recovery as days and hours
+const formatDuration = (hours) => {
+  if (hours === undefined || hours === null) return null;
+  const days = Math.floor(hours / 24);
+  const rest = Math.round(hours % 24);
+  return days > 0 ? `${days}d ${rest}h` : `${Math.round(hours * 10) / 10}h`;
+};
+
+/**
+ * Theft and recovery lifecycle of a vehicle: the open theft case, the status
+ * history and the report stolen / mark recovered actions.
+ */
+const VehicleTheftRecovery = ({ vehicleId, status, canManage, onStatusChange }) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [stolenModalOpen, setStolenModalOpen] = useState(false);
+  const [recoverModalOpen, setRecoverModalOpen] = useState(false);
+  const [theftIncidents, setTheftIncidents] = useState([]);
+  const [position, setPosition] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [stolenForm] = Form.useForm();
+  const [recoverForm] = Form.useForm();
+  const incidentMode = Form.useWatch('incidentMode', stolenForm);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [vehicleId, status]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`
+  });
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/api/vehicles/${vehicleId}/status-history`, {
+        headers: authHeaders()
+      });
+      setHistory(response.data.data);
+    } catch (error) {
+      console.error('Error fetching vehicle status history:', error);
+      message.error('Failed to fetch theft and recovery history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openStolenModal = async () => {
+    setStolenModalOpen(true);
+    try {
+      const response = await axios.get('/api/incidents', {
+        params: { type: 'theft', limit: 50 },
+        headers: authHeaders()
+      });
+      setTheftIncidents((response.data || []).filter(incident => incident.status !== 'closed'));
+    } catch (error) {
+      console.error('Error fetching theft incidents:', error);
+      setTheftIncidents([]);
+    }
+  };
+
+  const openRecoverModal = () => {
+    setPosition(null);
+    setRecoverModalOpen(true);
+  };
+
+  const captureLocation = () => {
+    if (!navigator.geolocation) {
+      message.warning('Location is not available on this device');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setPosition({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy }),
+      () => message.warning('Could not get the current location'),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const handleReportStolen = async (values) => {
+    try {
+      setSubmitting(true);
+      const { incidentMode: mode, stolenAt, ...rest } = values;
+      const response = await axios.post(`/api/vehicles/${vehicleId}/report-stolen`, {
+        ...rest,
+        incidentId: mode === 'existing' ? values.incidentId : undefined,
+        stolenAt: stolenAt ? stolenAt.toISOString() : undefined
+      }, {
+        headers: authHeaders()
+      });
+      message.success(response.data.message);
+      setStolenModalOpen(false);
+      stolenForm.resetFields();
+      if (onStatusChange) onStatusChange();
+    } catch (error) {
+      console.error('Error reporting vehicle stolen:', error);
+      message.error(error.response?.data?.message || 'Failed to report vehicle stolen');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRecover = async (values) => {
+    if (!values.address && !position) {
+      message.warning('Enter the recovery address or use the current location');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      await axios.post(`/api/vehicles/${vehicleId}/recover`, {
+        ...values,
+        ...(position || {}),
+        recoveredAt: values.recoveredAt ? values.recoveredAt.toISOString() : undefined
+      }, {
+        headers: authHeaders()
+      });
+      message.success('Vehicle marked recovered');
+      setRecoverModalOpen(false);
+      recoverForm.resetFields();
+      if (onStatusChange) onStatusChange();
+    } catch (error) {
+      console.error('Error marking vehicle recovered:', error);
+      message.error(error.response?.data?.message || 'Failed to mark vehicle recovered');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Date',
+      dataIndex: 'performedAt',
+      key: 'performedAt',
+      render: (date) => new Date(date).toLocaleString()
+    },
+    {
+      title: 'Event',
+      dataIndex: 'event',
+      key: 'event',
+      render: (event, entry) => (
+        <div>
+          <Tag color={EVENT_LABELS[event]?.color}>{EVENT_LABELS[event]?.label || event}</Tag>
+          <Text type="secondary">{entry.fromStatus || '-'} → {entry.toStatus}</Text>
+        </div>
+      )
+    },
+    {
+      title: 'Incident',
+      dataIndex: 'incident',
+      key: 'incident',
+      render: (incident) => incident
+        ? <Link to={`/incidents/${incident._id}`}>#{incident.incidentNumber}</Link>
+        : '-'
+    },
+    {
+      title: 'Details',
+      key: 'details',
+      render: (_, entry) => (
+        <div>
+          {entry.recovery && (
+            <>
+              <div>
+                {RECOVERY_CONDITIONS[entry.recovery.condition] || entry.recovery.condition}
+                {entry.recovery.recoveryTimeHours !== undefined && (
+                  <Text type="secondary"> after {formatDuration(entry.recovery.recoveryTimeHours)}</Text>
+                )}
+              </div>
+              <div>
+                {entry.recovery.location?.address ||
+                  (entry.recovery.location?.coordinates && [...entry.recovery.location.coordinates].reverse().join(', '))}
+              </div>
+              {entry.recovery.damageAssessment && <div>{entry.recovery.damageAssessment}</div>}
+              {entry.recovery.estimatedDamageCost !== undefined && (
+                <Text type="secondary">Estimated damage: {entry.recovery.estimatedDamageCost.toLocaleString()}</Text>
+              )}
+            </>
+          )}
+          {entry.note && <div>{entry.note}</div>}
+          {!entry.recovery && !entry.note && '-'}
+        </div>
+      )
+    },
+    {
+      title: 'By',
+      dataIndex: 'performedBy',
+      key: 'performedBy',
+      render: (user) => user?.name || 'Unknown'
+    }
+  ];
+
+  const theft = history?.theft;
+
+  return (
+    <Card
+      title="Theft & Recovery"
+      extra={canManage && (
+        status === 'stolen' ? (
+          <Button type="primary" icon={<CheckCircleOutlined />} onClick={openRecoverModal}>
+            Mark Recovered
+          </Button>
+        ) : ['active', 'recovered'].includes(status) && (
+          <Button type="primary" danger icon={<WarningOutlined />} onClick={openStolenModal}>
+            Report Stolen
+          </Button>
+        )
+      )}
+    >
+      {status === 'stolen' && theft?.incident && (
+        <Descriptions bordered size="small" column={2} style={{ marginBottom: 16 }}>
+          <Descriptions.Item label="Theft Incident">
+            <Link to={`/incidents/${theft.incident._id}`}>#{theft.incident.incidentNumber}</Link>
+            {' '}{theft.incident.title}
+          </Descriptions.Item>
+          <Descriptions.Item label="Stolen">
+            {theft.stolenAt ? new Date(theft.stolenAt).toLocaleString() : 'N/A'}
+          </Descriptions.Item>
+          <Descriptions.Item label="Reported">
+            {theft.reportedAt ? new Date(theft.reportedAt).toLocaleString() : 'N/A'}
+          </Descriptions.Item>
+          <Descriptions.Item label="Missing For">
+            {theft.stolenAt ? formatDuration((Date.now() - new Date(theft.stolenAt)) / 3600000) : 'N/A'}
+          </Descriptions.Item>
+        </Descriptions>
+      )}
+
+      <Table
+        rowKey="_id"
+        columns={columns}
+        dataSource={[...(history?.statusHistory || [])].reverse()}
+        loading={loading}
+        pagination={false}
+        locale={{ emptyText: 'No status changes recorded' }}
+      />
+
+      <Modal
+        title="Report Vehicle Stolen"
+        open={stolenModalOpen}
+        onCancel={() => setStolenModalOpen(false)}
+        onOk={() => stolenForm.submit()}
+        okText="Report Stolen"
+        okButtonProps={{ danger: true }}
+        confirmLoading={submitting}
+      >
+        <Form form={stolenForm} layout="vertical" onFinish={handleReportStolen} initialValues={{ incidentMode: 'new', severity: 'high' }}>
+          <Form.Item name="incidentMode" label="Theft Incident">
+            <Radio.Group>
+              <Radio value="new">Open a new theft incident</Radio>
+              <Radio value="existing" disabled={theftIncidents.length === 0}>Link an existing one</Radio>
+            </Radio.Group>
+          </Form.Item>
+          {incidentMode === 'existing' ? (
+            <Form.Item name="incidentId" label="Incident" rules={[{ required: true, message: 'Please select the theft incident' }]}>
+              <Select
+                showSearch
+                optionFilterProp="label"
+                options={theftIncidents.map(incident => ({
+                  value: incident._id,
+                  label: `#${incident.incidentNumber} ${incident.title}`
+                }))}
+              />
+            </Form.Item>
+          ) : (
+            <>
+              <Form.Item name="location" label="Where was it stolen?">
+                <Input placeholder="Street, city" />
+              </Form.Item>
+              <Form.Item name="severity" label="Severity">
+                <Select
+                  options={['low', 'medium', 'high', 'critical'].map(value => ({
+                    value,
+                    label: value.charAt(0).toUpperCase() + value.slice(1)
+                  }))}
+                />
+              </Form.Item>
+              <Form.Item name="description" label="Description">
+                <TextArea rows={3} />
+              </Form.Item>
+            </>
+          )}
+          <Form.Item name="stolenAt" label="Stolen At">
+            <DatePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="note" label="Note">
+            <TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="Mark Vehicle Recovered"
+        open={recoverModalOpen}
+        onCancel={() => setRecoverModalOpen(false)}
+        onOk={() => recoverForm.submit()}
+        okText="Mark Recovered"
+        confirmLoading={submitting}
+      >
+        <Form form={recoverForm} layout="vertical" onFinish={handleRecover}>
+          <Form.Item label="Recovery Location">
+            <Space direction="vertical" style={{ width: '100%' }}>
+              <Form.Item name="address" noStyle>
+                <Input placeholder="Street, city" />
+              </Form.Item>
+              <Space>
+                <Button icon={<AimOutlined />} onClick={captureLocation}>Use current location</Button>
+                {position && <Text type="secondary">{position.lat.toFixed(5)}, {position.lng.toFixed(5)}</Text>}
+              </Space>
+            </Space>
+          </Form.Item>
+          <Form.Item name="condition" label="Condition" rules={[{ required: true, message: 'Please select the condition' }]}>
+            <Select
+              options={Object.entries(RECOVERY_CONDITIONS).map(([value, label]) => ({ value, label }))}
+            />
+          </Form.Item>
+          <Form.Item name="damageAssessment" label="Damage Assessment">
+            <TextArea rows={3} />
+          </Form.Item>
+          <Form.Item name="estimatedDamageCost" label="Estimated Damage Cost">
+            <InputNumber min={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="recoveredAt" label="Recovered At">
+            <DatePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="note" label="Note">
+            <TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default VehicleTheftRecovery;
@@ -2,6 +2,7 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import io from 'socket.io-client';
 import axios from 'axios';
+import { toast } from 'react-toastify';
 
 // Create notification context
 const NotificationContext = createContext();
@@ -54,6 +55,12 @@ export const NotificationProvider = ({ children }) => {
         setUnreadCount(prev => prev + 1);
       });
       
+      // Stolen vehicle hits stay on screen until dismissed
+      newSocket.on('stolen_vehicle_hit', (hit) => {
+        console.warn('Stolen vehicle hit:', hit);
+        toast.error(hit.message, { autoClose: false, toastId: `stolen-hit-${hit.vehicle._id}-${hit.detectedAt}` });
+      });
+      
       newSocket.on('connect_error', (err) => {
         console.error('Socket connection error:', err);
         setError('Failed to connect to notification service');
@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Tabs, Table, Tag, Button, Modal, Form, Input, InputNumber, Select, Switch, Space, Typography, message } from 'antd';
+import { PlusOutlined, EditOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { citationService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import CitationList from '../../components/citations/CitationList';
+
+const { Title } = Typography;
+
+const CATEGORIES = {
+  moving: 'Moving',
+  parking: 'Parking',
+  equipment: 'Equipment',
+  documentation: 'Documentation',
+  other: 'Other'
+};
+
+const CitationsPage = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [totals, setTotals] = useState([]);
+  const [totalsLoading, setTotalsLoading] = useState(false);
+  const [codes, setCodes] = useState([]);
+  const [codesLoading, setCodesLoading] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [codeModalOpen, setCodeModalOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form] = Form.useForm();
+
+  // Only admins maintain the violation code table
+  const isAdmin = currentUser?.role === 'admin';
+
+  const fetchTotals = async () => {
+    try {
+      setTotalsLoading(true);
+      const response = await citationService.getUnpaidTotals({ limit: 100 });
+      setTotals(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch unpaid citation totals:', err);
+      message.error(err.response?.data?.message || 'Failed to fetch unpaid citation totals');
+    } finally {
+      setTotalsLoading(false);
+    }
+  };
+
+  const fetchCodes = async () => {
+    try {
+      setCodesLoading(true);
+      const response = await citationService.getViolationCodes({ includeInactive: isAdmin || undefined });
+      setCodes(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch violation codes:', err);
+      message.error(err.response?.data?.message || 'Failed to fetch violation codes');
+    } finally {
+      setCodesLoading(false);
+    }
+  };
+
+  const openCodeModal = (code = null) => {
+    setEditing(code);
+    form.resetFields();
+    form.setFieldsValue(code || { category: 'moving', points: 0, courtRequired: false, isActive: true });
+    setCodeModalOpen(true);
+  };
+
+  const handleSaveCode = async (values) => {
+    try {
+      setSaving(true);
+      if (editing) {
+        await citationService.updateViolationCode(editing._id, values);
+        message.success('Violation code updated');
+      } else {
+        await citationService.createViolationCode(values);
+        message.success('Violation code added');
+      }
+      setCodeModalOpen(false);
+      fetchCodes();
+    } catch (err) {
+      message.error(err.response?.data?.message || 'Failed to save violation code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const totalsColumns = [
+    {
+      title: 'Vehicle',
+      dataIndex: 'vehicle',
+      key: 'vehicle',
+      render: (vehicle) => (
+        <a onClick={() => navigate(`/vehicles/${vehicle._id}`)}>
+          {vehicle.licensePlate || vehicle._id}
+        </a>
+      )
+    },
+    {
+      title: 'Owner',
+      key: 'owner',
+      render: (_, record) => record.vehicle.ownerName || '-'
+    },
+    {
+      title: 'Unpaid',
+      key: 'unpaid',
+      render: (_, record) => `${record.unpaidBalance.toFixed(2)} (${record.unpaidCount})`
+    },
+    {
+      title: 'Overdue',
+      key: 'overdue',
+      render: (_, record) => record.overdueCount > 0
+        ? <Tag color="red">{record.overdueBalance.toFixed(2)} ({record.overdueCount})</Tag>
+        : '-'
+    },
+    {
+      title: 'Contested',
+      key: 'contested',
+      render: (_, record) => record.contestedCount > 0
+        ? `${record.contestedBalance.toFixed(2)} (${record.contestedCount})`
+        : '-'
+    },
+    {
+      title: 'Oldest Due',
+      dataIndex: 'oldestDueDate',
+      key: 'oldestDueDate',
+      render: (date) => date ? dayjs(date).format('YYYY-MM-DD') : '-'
+    }
+  ];
+
+  const codeColumns = [
+    {
+      title: 'Code',
+      dataIndex: 'code',
+      key: 'code',
+      render: (code, record) => (
+        <Space>
+          {code}
+          {!record.isActive && <Tag>Inactive</Tag>}
+        </Space>
+      )
+    },
+    { title: 'Description', dataIndex: 'description', key: 'description' },
+    { title: 'Category', dataIndex: 'category', key: 'category', render: (category) => CATEGORIES[category] || category },
+    { title: 'Fine', dataIndex: 'fineAmount', key: 'fineAmount', render: (amount) => amount.toFixed(2) },
+    { title: 'Points', dataIndex: 'points', key: 'points' },
+    {
+      title: 'Court',
+      dataIndex: 'courtRequired',
+      key: 'courtRequired',
+      render: (required) => required ? <Tag color="red">Required</Tag> : '-'
+    },
+    ...(isAdmin ? [{
+      title: 'Action',
+      key: 'action',
+      render: (_, record) => <Button icon={<EditOutlined />} onClick={() => openCodeModal(record)}>Edit</Button>
+    }] : [])
+  ];
+
+  const items = [
+    {
+      key: 'citations',
+      label: 'Citations',
+      children: <CitationList title="All Citations" />
+    },
+    {
+      key: 'unpaid',
+      label: 'Unpaid by Vehicle',
+      children: (
+        <Table
+          rowKey={(record) => record.vehicle._id}
+          loading={totalsLoading}
+          columns={totalsColumns}
+          dataSource={totals}
+          pagination={{ pageSize: 20 }}
+        />
+      )
+    },
+    {
+      key: 'codes',
+      label: 'Violation Codes',
+      children: (
+        <>
+          {isAdmin && (
+            <Button type="primary" icon={<PlusOutlined />} style={{ marginBottom: 16 }} onClick={() => openCodeModal()}>
+              New Code
+            </Button>
+          )}
+          <Table
+            rowKey="_id"
+            loading={codesLoading}
+            columns={codeColumns}
+            dataSource={codes}
+            pagination={{ pageSize: 50 }}
+          />
+        </>
+      )
+    }
+  ];
+
+  return (
+    <Card>
+      <Title level={2}>Traffic Citations</Title>
+      <Tabs
+        items={items}
+        onChange={(key) => {
+          if (key === 'unpaid') fetchTotals();
+          if (key === 'codes') fetchCodes();
+        }}
+      />
+
+      <Modal
+        title={editing ? `Edit ${editing.code}` : 'New Violation Code'}
+        open={codeModalOpen}
+        onCancel={() => setCodeModalOpen(false)}
+        onOk={() => form.submit()}
+        confirmLoading={saving}
+      >
+        <Form form={form} layout="vertical" onFinish={handleSaveCode}>
+          <Form.Item name="code" label="Code" rules={[{ required: true, message: 'Please enter the code' }]}>
+            <Input style={{ textTransform: 'uppercase' }} />
+          </Form.Item>
+          <Form.Item name="description" label="Description" rules={[{ required: true, message: 'Please enter a description' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="category" label="Category">
+            <Select options={Object.entries(CATEGORIES).map(([value, label]) => ({ value, label }))} />
+          </Form.Item>
+          <Space>
+            <Form.Item name="fineAmount" label="Fine" rules={[{ required: true, message: 'Please enter the fine' }]}>
+              <InputNumber min={0} />
+            </Form.Item>
+            <Form.Item name="points" label="Points">
+              <InputNumber min={0} />
+            </Form.Item>
+          </Space>
+          <Form.Item name="courtRequired" label="Court Appearance Required" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+          {editing && (
+            <Form.Item name="isActive" label="Active" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default CitationsPage;
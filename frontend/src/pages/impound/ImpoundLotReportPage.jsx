@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Card, Table, Row, Col, Statistic, Progress, DatePicker, Button, Tag, Space, Typography, Alert, Spin } from 'antd';
+import { ArrowLeftOutlined, LogoutOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { impoundService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { IMPOUND_REASONS } from '../../components/vehicles/VehicleImpound';
+import ImpoundReleaseModal from '../../components/impound/ImpoundReleaseModal';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+
+const ImpoundLotReportPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [report, setReport] = useState(null);
+  const [range, setRange] = useState([dayjs().subtract(30, 'day'), dayjs()]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [releasing, setReleasing] = useState(null);
+
+  // Releases are signed off by officers and admins
+  const canRelease = ['admin', 'officer'].includes(currentUser?.role);
+
+  useEffect(() => {
+    fetchReport();
+  }, [id, range]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await impoundService.getLotReport(id, {
+        from: range[0].startOf('day').toISOString(),
+        to: range[1].endOf('day').toISOString()
+      });
+      setReport(response.data.data);
+    } catch (err) {
+      console.error('Failed to fetch impound lot report:', err);
+      setError(err.response?.data?.message || 'Failed to fetch impound lot report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReleased = () => {
+    setReleasing(null);
+    fetchReport();
+  };
+
+  const columns = [
+    {
+      title: 'Vehicle',
+      dataIndex: 'vehicle',
+      key: 'vehicle',
+      render: (vehicle) => vehicle ? (
+        <Space direction="vertical" size={0}>
+          <Link to={`/vehicles/${vehicle._id}`}>{vehicle.licensePlate}</Link>
+          <Text type="secondary">{vehicle.year} {vehicle.make} {vehicle.model}</Text>
+        </Space>
+      ) : '-'
+    },
+    {
+      title: 'Owner',
+      key: 'owner',
+      render: (_, record) => record.vehicle?.ownerName || '-'
+    },
+    {
+      title: 'Reason',
+      dataIndex: 'reason',
+      key: 'reason',
+      render: (reason) => IMPOUND_REASONS[reason] || reason
+    },
+    {
+      title: 'Impounded',
+      dataIndex: 'intakeAt',
+      key: 'intakeAt',
+      render: (date) => dayjs(date).format('YYYY-MM-DD')
+    },
+    {
+      title: 'Days',
+      dataIndex: 'daysHeld',
+      key: 'daysHeld',
+      sorter: (a, b) => a.daysHeld - b.daysHeld
+    },
+    {
+      title: 'Fees',
+      key: 'fees',
+      render: (_, record) => record.fees.accrued.toFixed(2),
+      sorter: (a, b) => a.fees.accrued - b.fees.accrued
+    }
+  ];
+
+  if (canRelease) {
+    columns.push({
+      title: 'Action',
+      key: 'action',
+      render: (_, record) => (
+        <Button icon={<LogoutOutlined />} onClick={() => setReleasing(record._id)}>Release</Button>
+      )
+    });
+  }
+
+  if (loading && !report) {
+    return <Spin size="large" style={{ display: 'block', margin: '100px auto' }} />;
+  }
+
+  if (error && !report) {
+    return <Alert type="error" message={error} />;
+  }
+
+  const { lot, vehicles, outstandingFees, period } = report;
+
+  return (
+    <Card>
+      <Space style={{ marginBottom: 16 }}>
+        <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/impound')}>Back</Button>
+      </Space>
+      <Title level={2}>
+        {lot.name} <Tag>{lot.code}</Tag>
+        {!lot.isActive && <Tag color="default">Inactive</Tag>}
+      </Title>
+      {lot.address && <Text type="secondary">{lot.address}</Text>}
+
+      <Row gutter={16} style={{ margin: '24px 0' }}>
+        <Col xs={24} md={8}>
+          <Card>
+            <Statistic title="Occupancy" value={lot.occupied} suffix={`/ ${lot.capacity}`} />
+            <Progress percent={lot.utilization} status={lot.available === 0 ? 'exception' : 'normal'} />
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card>
+            <Statistic title="Outstanding Fees" value={outstandingFees} precision={2} />
+          </Card>
+        </Col>
+        <Col xs={24} md={8}>
+          <Card>
+            <Statistic title="Rates" value={lot.dailyFee} precision={2} suffix="/ day" />
+            <Text type="secondary">{lot.intakeFee.toFixed(2)} intake fee</Text>
+          </Card>
+        </Col>
+      </Row>
+
+      <Space style={{ marginBottom: 16 }}>
+        <Text strong>Activity</Text>
+        <RangePicker
+          value={range}
+          allowClear={false}
+          onChange={(dates) => dates && setRange(dates)}
+        />
+      </Space>
+      <Row gutter={16} style={{ marginBottom: 24 }}>
+        <Col xs={12} md={4}><Statistic title="Intakes" value={period.intakes} /></Col>
+        <Col xs={12} md={4}><Statistic title="Releases" value={period.releases} /></Col>
+        <Col xs={12} md={5}><Statistic title="Fees Collected" value={period.feesCollected} precision={2} /></Col>
+        <Col xs={12} md={5}><Statistic title="Fees Waived" value={period.feesWaived} precision={2} /></Col>
+        <Col xs={24} md={6}>
+          <Statistic title="Average Stay (days)" value={period.averageStayDays ?? '-'} />
+        </Col>
+      </Row>
+      {Object.keys(period.byReason).length > 0 && (
+        <Space wrap style={{ marginBottom: 24 }}>
+          {Object.entries(period.byReason).map(([reason, count]) => (
+            <Tag key={reason}>{IMPOUND_REASONS[reason] || reason}: {count}</Tag>
+          ))}
+        </Space>
+      )}
+
+      <Title level={4}>Vehicles Held</Title>
+      <Table
+        rowKey="_id"
+        loading={loading}
+        columns={columns}
+        dataSource={vehicles}
+        pagination={{ pageSize: 20 }}
+      />
+
+      {releasing && (
+        <ImpoundReleaseModal
+          recordId={releasing}
+          open={!!releasing}
+          onClose={() => setReleasing(null)}
+          onReleased={handleReleased}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default ImpoundLotReportPage;
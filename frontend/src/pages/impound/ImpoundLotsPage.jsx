@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, Modal, Form, Input, InputNumber, Switch, Progress, Tag, Space, Typography, Alert, message } from 'antd';
+import { PlusOutlined, EditOutlined } from '@ant-design/icons';
+import { impoundService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+
+const { Title } = Typography;
+const { TextArea } = Input;
+
+const ImpoundLotsPage = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [lots, setLots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form] = Form.useForm();
+
+  // Only admins set up lots, capacity and fees
+  const isAdmin = currentUser?.role === 'admin';
+
+  useEffect(() => {
+    fetchLots();
+  }, []);
+
+  const fetchLots = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await impoundService.getLots({ includeInactive: isAdmin || undefined });
+      setLots(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch impound lots:', err);
+      setError(err.response?.data?.message || 'Failed to fetch impound lots');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openModal = (lot = null) => {
+    setEditing(lot);
+    form.resetFields();
+    form.setFieldsValue(lot || { intakeFee: 0, dailyFee: 0, isActive: true });
+    setModalOpen(true);
+  };
+
+  const handleSave = async (values) => {
+    try {
+      setSaving(true);
+      if (editing) {
+        await impoundService.updateLot(editing._id, values);
+        message.success('Impound lot updated');
+      } else {
+        await impoundService.createLot(values);
+        message.success('Impound lot created');
+      }
+      setModalOpen(false);
+      fetchLots();
+    } catch (err) {
+      message.error(err.response?.data?.message || 'Failed to save impound lot');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const columns = [
+    {
+      title: 'Lot',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <Space>
+          <a onClick={() => navigate(`/impound/lots/${record._id}`)}>{name}</a>
+          <Tag>{record.code}</Tag>
+          {!record.isActive && <Tag color="default">Inactive</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Address',
+      dataIndex: 'address',
+      key: 'address',
+      render: (address) => address || '-'
+    },
+    {
+      title: 'Occupancy',
+      key: 'occupancy',
+      width: 240,
+      render: (_, record) => (
+        <Space direction="vertical" size={0} style={{ width: '100%' }}>
+          <Progress
+            percent={record.utilization}
+            size="small"
+            status={record.available === 0 ? 'exception' : 'normal'}
+          />
+          <span>{record.occupied} / {record.capacity} ({record.available} free)</span>
+        </Space>
+      )
+    },
+    {
+      title: 'Fees',
+      key: 'fees',
+      render: (_, record) => `${record.intakeFee.toFixed(2)} intake, ${record.dailyFee.toFixed(2)}/day`
+    }
+  ];
+
+  if (isAdmin) {
+    columns.push({
+      title: 'Action',
+      key: 'action',
+      render: (_, record) => (
+        <Button icon={<EditOutlined />} onClick={() => openModal(record)}>Edit</Button>
+      )
+    });
+  }
+
+  return (
+    <Card>
+      <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+        <Title level={2}>Impound Lots</Title>
+        {isAdmin && (
+          <Button type="primary" icon={<PlusOutlined />} onClick={() => openModal()}>
+            New Lot
+          </Button>
+        )}
+      </Space>
+      {error && <Alert type="error" message={error} style={{ marginBottom: 16 }} />}
+      <Table
+        rowKey="_id"
+        loading={loading}
+        columns={columns}
+        dataSource={lots}
+        pagination={false}
+      />
+
+      <Modal
+        title={editing ? `Edit ${editing.name}` : 'New Impound Lot'}
+        open={modalOpen}
+        onCancel={() => setModalOpen(false)}
+        onOk={() => form.submit()}
+        confirmLoading={saving}
+      >
+        <Form form={form} layout="vertical" onFinish={handleSave}>
+          <Form.Item name="name" label="Name" rules={[{ required: true, message: 'Please enter the lot name' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="code" label="Code" rules={[{ required: true, message: 'Please enter a short lot code' }]}>
+            <Input style={{ textTransform: 'uppercase' }} />
+          </Form.Item>
+          <Form.Item name="address" label="Address">
+            <Input />
+          </Form.Item>
+          <Form.Item name="contactPhone" label="Contact Phone">
+            <Input />
+          </Form.Item>
+          <Form.Item name="capacity" label="Capacity" rules={[{ required: true, message: 'Please enter the number of spaces' }]}>
+            <InputNumber min={1} style={{ width: '100%' }} />
+          </Form.Item>
+          <Space>
+            <Form.Item name="intakeFee" label="Intake Fee">
+              <InputNumber min={0} />
+            </Form.Item>
+            <Form.Item name="dailyFee" label="Daily Fee">
+              <InputNumber min={0} />
+            </Form.Item>
+          </Space>
+          {editing && (
+            <Form.Item name="isActive" label="Accepting Vehicles" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          )}
+          <Form.Item name="notes" label="Notes">
+            <TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default ImpoundLotsPage;
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { WarningOutlined, LoadingOutlined } from '@ant-design/icons';
 import { incidentService, vehicleService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import LocationAutocomplete from '../../components/incidents/LocationAutocomplete';
 
 const { Option } = Select;
 const { TextArea } = Input;
@@ -18,6 +19,8 @@ const IncidentCreatePage = () => {
   const { isAuthenticated, user } = useAuth();
   const [loadingVehicles, setLoadingVehicles] = useState(false);
   const [errorMessage, setErrorMessage] = useState(null);
+  // Coordinates and address of the chosen suggestion or device position
+  const [resolvedLocation, setResolvedLocation] = useState(null);
 
   // Fetch vehicles for the dropdown
   useEffect(() => {
@@ -54,17 +57,12 @@ const IncidentCreatePage = () => {
         incidentType: values.incidentType,
         severity: values.severity,
         dateTime: formattedDate,
-        location: {
+        // Typed addresses without a chosen suggestion are geocoded by the server
+        location: resolvedLocation ? {
           type: 'Point',
-          coordinates: [0, 0],
-          address: {
-            street: values.location,
-            city: '',
-            state: '',
-            zipCode: '',
-            country: 'USA'
-          }
-        },
+          coordinates: resolvedLocation.coordinates,
+          address: resolvedLocation.address
+        } : values.location,
         vehicle: values.vehicle,
         policeReportNumber: values.policeReportNumber || "",
         status: values.status // Status will now be lowercase from the Select options
@@ -216,7 +214,10 @@ const IncidentCreatePage = () => {
             label="Location"
             rules={[{ required: true, message: 'Please input the location!' }]}
           >
-            <Input placeholder="Address or location description" />
+            <LocationAutocomplete
+              placeholder="Address or location description"
+              onResolve={setResolvedLocation}
+            />
           </Form.Item>
 
           <Form.Item
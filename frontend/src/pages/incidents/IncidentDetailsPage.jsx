@@ -16,7 +16,8 @@ import {
   Space,
   Typography,
   Divider,
-  Timeline
+  Timeline,
+  List
 } from 'antd';
 import { 
   EditOutlined, 
@@ -26,20 +27,38 @@ import {
   UserOutlined,
   FileDoneOutlined,
   CheckCircleOutlined,
-  CloseCircleOutlined
+  CloseCircleOutlined,
+  PlayCircleOutlined,
+  LockOutlined,
+  UnlockOutlined,
+  ThunderboltOutlined
 } from '@ant-design/icons';
 import { incidentService, adminService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
 import UserDisplay from '../../components/common/UserDisplay';
+import ReportHistory from '../../components/incidents/ReportHistory';
+import LinkGraph from '../../components/graph/LinkGraph';
+import CitationList from '../../components/citations/CitationList';
+import ApprovalSteps, { describeAwaited } from '../../components/incidents/ApprovalSteps';
+import RevisionCommentEditor, { REPORT_FIELD_LABELS } from '../../components/incidents/RevisionCommentEditor';
 
 const { confirm } = Modal;
 const { TabPane } = Tabs;
 const { TextArea } = Input;
-const { Title, Text } = Typography;
+const { Title, Text, Paragraph } = Typography;
 const { Option } = Select;
 
 // Assignment Modal Component for Admins
-const AssignmentModal = ({ visible, onCancel, onAssign, investigators, loading, fetchingInvestigators }) => {
+const AssignmentModal = ({
+  visible,
+  onCancel,
+  onAssign,
+  onAutoAssign,
+  investigators,
+  suggestions,
+  loading,
+  fetchingInvestigators
+}) => {
   const [form] = Form.useForm();
 
   const handleSubmit = () => {
@@ -58,9 +77,44 @@ const AssignmentModal = ({ visible, onCancel, onAssign, investigators, loading,
       title="Assign Incident to Investigator"
       open={visible}
       onCancel={onCancel}
-      confirmLoading={loading}
-      onOk={handleSubmit}
+      footer={[
+        <Button key="auto" icon={<ThunderboltOutlined />} onClick={() => onAutoAssign()} loading={loading}>
+          Auto-assign
+        </Button>,
+        <Button key="cancel" onClick={onCancel}>Cancel</Button>,
+        <Button key="assign" type="primary" onClick={handleSubmit} loading={loading}>Assign</Button>
+      ]}
     >
+      {suggestions?.suggestions?.length > 0 && (
+        <>
+          <Text strong>Suggested investigators</Text>
+          <List
+            size="small"
+            dataSource={suggestions.suggestions}
+            renderItem={suggestion => (
+              <List.Item
+                actions={[
+                  <Button
+                    key="select"
+                    type="link"
+                    size="small"
+                    onClick={() => form.setFieldsValue({ investigatorId: suggestion.investigator._id })}
+                  >
+                    Select
+                  </Button>
+                ]}
+              >
+                <List.Item.Meta
+                  title={<>{suggestion.investigator.name} <Tag color="blue">{suggestion.score}</Tag></>}
+                  description={`${suggestion.openCases} open case(s) of ${suggestion.capacity}` +
+                    `${suggestion.investigator.department ? ` - ${suggestion.investigator.department}` : ''}`}
+                />
+              </List.Item>
+            )}
+          />
+          <Divider style={{ margin: '12px 0' }} />
+        </>
+      )}
       <Form form={form} layout="vertical">
         <Form.Item
           name="investigatorId"
@@ -96,10 +150,65 @@ const AssignmentModal = ({ visible, onCancel, onAssign, investigators, loading,
   );
 };
 
+// Icons for the workflow transitions that have their own button
+const TRANSITION_ICONS = {
+  start_investigation: <PlayCircleOutlined />,
+  close: <LockOutlined />,
+  reopen: <UnlockOutlined />
+};
+
+// Note prompt for workflow transitions that require a reason
+const TransitionNoteModal = ({ transition, onCancel, onConfirm, loading }) => {
+  const [form] = Form.useForm();
+
+  const handleSubmit = () => {
+    form.validateFields()
+      .then(values => {
+        onConfirm(transition, values.note);
+        form.resetFields();
+      })
+      .catch(err => {
+        console.error('Validation failed:', err);
+      });
+  };
+
+  return (
+    <Modal
+      title={transition?.label}
+      open={Boolean(transition)}
+      onCancel={onCancel}
+      confirmLoading={loading}
+      onOk={handleSubmit}
+    >
+      <Form form={form} layout="vertical">
+        <Form.Item
+          name="note"
+          label="Reason"
+          rules={[{ required: true, message: 'Please give a reason for this change' }]}
+        >
+          <TextArea rows={3} placeholder="Why is this status change needed?" />
+        </Form.Item>
+      </Form>
+    </Modal>
+  );
+};
+
 // Investigation Report Form for Investigators
-const InvestigationReportForm = ({ onSubmit, loading }) => {
+const InvestigationReportForm = ({ caseFile, onSubmit, loading }) => {
   const [form] = Form.useForm();
 
+  // A revision starts from the last submitted version
+  const versions = caseFile?.reportVersions || [];
+  const latestVersion = versions[versions.length - 1];
+  const revisionRequest = caseFile?.revisionRequest?.status === 'open' ? caseFile.revisionRequest : null;
+  const revisionComments = versions.find(version => version.version === revisionRequest?.version)?.revisionComments || [];
+  const initialValues = latestVersion ? {
+    findings: latestVersion.findings,
+    recommendations: latestVersion.recommendations,
+    conclusion: latestVersion.conclusion,
+    reportContent: latestVersion.content
+  } : undefined;
+
   const handleSubmit = () => {
     form.validateFields()
       .then(values => {
@@ -112,8 +221,27 @@ const InvestigationReportForm = ({ onSubmit, loading }) => {
   };
 
   return (
-    <Card title="Submit Investigation Report" style={{ marginTop: 16 }}>
-      <Form form={form} layout="vertical">
+    <Card title={revisionRequest ? 'Revise Investigation Report' : 'Submit Investigation Report'} style={{ marginTop: 16 }}>
+      {revisionRequest && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={`Revision requested on version ${revisionRequest.version}`}
+          description={
+            <>
+              <Paragraph style={{ marginBottom: revisionComments.length ? 8 : 0 }}>{revisionRequest.summary}</Paragraph>
+              {revisionComments.map((comment, index) => (
+                <div key={index}>
+                  <Text strong>{REPORT_FIELD_LABELS[comment.field]}, line {comment.line}:</Text> {comment.comment}
+                  {comment.quote && <Text type="secondary"> ("{comment.quote}")</Text>}
+                </div>
+              ))}
+            </>
+          }
+        />
+      )}
+      <Form form={form} layout="vertical" initialValues={initialValues}>
         <Form.Item
           name="findings"
           label="Investigation Findings"
@@ -152,7 +280,7 @@ const InvestigationReportForm = ({ onSubmit, loading }) => {
         
         <Form.Item>
           <Button type="primary" onClick={handleSubmit} loading={loading}>
-            Submit Investigation Report
+            {revisionRequest ? 'Submit Revised Report' : 'Submit Investigation Report'}
           </Button>
         </Form.Item>
       </Form>
@@ -161,9 +289,14 @@ const InvestigationReportForm = ({ onSubmit, loading }) => {
 };
 
 // Officer Review Form for reviewing investigation reports
-const OfficerReviewForm = ({ report, incident, onSubmit, loading }) => {
+const OfficerReviewForm = ({ report, incident, approval, onSubmit, loading }) => {
   const [form] = Form.useForm();
 
+  // Steps of the approval chain before and after the one being decided
+  const stepIndex = approval ? approval.currentStep - 1 : 0;
+  const previousStep = approval?.steps?.[stepIndex - 1];
+  const nextStep = approval?.steps?.[stepIndex + 1];
+
   const handleSubmit = () => {
     form.validateFields()
       .then(values => {
@@ -177,6 +310,11 @@ const OfficerReviewForm = ({ report, incident, onSubmit, loading }) => {
 
   return (
     <Card title="Review Investigation Report" style={{ marginTop: 16 }}>
+      {approval?.totalSteps > 1 && (
+        <div style={{ marginBottom: 16 }}>
+          <ApprovalSteps approval={approval} />
+        </div>
+      )}
       <Descriptions title="Investigation Report Details" bordered column={1}>
         <Descriptions.Item label="Submitted By">
           <UserDisplay 
@@ -239,13 +377,32 @@ const OfficerReviewForm = ({ report, incident, onSubmit, loading }) => {
           <TextArea rows={3} placeholder="Any additional notes or comments" />
         </Form.Item>
         
+        <Form.Item
+          name="revisionComments"
+          label="Line Comments"
+          extra="Comments are sent to the investigator with a rejected report"
+        >
+          <RevisionCommentEditor
+            report={{
+              content: report?.reportContent || report?.content,
+              findings: report?.findings,
+              recommendations: report?.recommendations
+            }}
+          />
+        </Form.Item>
+
         <Form.Item
           name="reportStatus"
           label="Report Status"
           rules={[{ required: true, message: 'Please approve or reject this report' }]}
         >
           <Select placeholder="Approve or reject this report">
-            <Option value="approved">Approve Report</Option>
+            <Option value="approved">
+              {nextStep ? `Sign Off (send to ${nextStep.label})` : 'Approve Report'}
+            </Option>
+            {previousStep && (
+              <Option value="returned">Return to {previousStep.label}</Option>
+            )}
             <Option value="rejected">Reject Report</Option>
           </Select>
         </Form.Item>
@@ -277,7 +434,10 @@ const IncidentDetailsPage = () => {
   const [investigators, setInvestigators] = useState([]);
   const [fetchingInvestigators, setFetchingInvestigators] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [assignmentSuggestions, setAssignmentSuggestions] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
+  const [workflow, setWorkflow] = useState(null);
+  const [noteTransition, setNoteTransition] = useState(null);
   const { isAuthenticated, currentUser } = useAuth();
   
   // Check user roles
@@ -289,6 +449,9 @@ const IncidentDetailsPage = () => {
     (typeof incident.assignedTo === 'string' && incident.assignedTo === currentUser?._id?.toString())
   );
 
+  // Actions come from the server-side workflow so only valid transitions are offered
+  const canPerform = (action) => Boolean(workflow?.transitions.some(transition => transition.action === action));
+
   // Define tab items outside of the return statement
   const getTabItems = () => [
     {
@@ -353,6 +516,19 @@ const IncidentDetailsPage = () => {
                 'Not assigned'
               )}
             </Descriptions.Item>
+
+            {incident?.persons?.length > 0 && (
+              <Descriptions.Item label="Persons" span={2}>
+                {incident.persons.map((entry, index) => (
+                  <Tag key={entry._id || index}>
+                    {entry.person ? (
+                      <a onClick={() => navigate(`/persons/${entry.person._id || entry.person}`)}>{entry.name}</a>
+                    ) : entry.name}
+                    {' '}({entry.role.replace('_', ' ')})
+                  </Tag>
+                ))}
+              </Descriptions.Item>
+            )}
           </Descriptions>
           
           {renderRoleBasedActions()}
@@ -482,6 +658,13 @@ const IncidentDetailsPage = () => {
             </div>
           )}
           
+          {workflow?.approval && (
+            <div style={{ marginTop: 16 }}>
+              <Title level={4}>Approval</Title>
+              <ApprovalSteps approval={workflow.approval} />
+            </div>
+          )}
+          
           {incident?.caseFile?.officerActions?.status && (
             <div style={{ marginTop: 16 }}>
               <Title level={4}>Officer Review</Title>
@@ -530,6 +713,29 @@ const IncidentDetailsPage = () => {
         </Card>
       )
     },
+    {
+      key: "reportHistory",
+      label: "Report History",
+      children: (
+        <ReportHistory incidentId={id} refreshKey={incident?.updatedAt} />
+      )
+    },
+    ...(incident?.type === 'traffic_violation' && (isAdmin || isOfficer || isInvestigator) ? [{
+      key: "citations",
+      label: "Citations",
+      children: (
+        <CitationList incidentId={id} title="Citations Issued" />
+      )
+    }] : []),
+    ...(isAdmin || isOfficer || isInvestigator ? [{
+      key: "links",
+      label: "Links",
+      children: (
+        <Card title="Link Analysis">
+          <LinkGraph entity="incident" id={id} />
+        </Card>
+      )
+    }] : []),
     {
       key: "timeline",
       label: "Timeline",
@@ -575,6 +781,7 @@ const IncidentDetailsPage = () => {
     // Fetch investigators if user is admin and the assignment modal is shown
     if (isAdmin && showAssignModal) {
       fetchInvestigators();
+      fetchAssignmentSuggestions();
     }
   }, [isAdmin, showAssignModal]);
 
@@ -598,6 +805,7 @@ const IncidentDetailsPage = () => {
       }
       
       setIncident(response.data);
+      await fetchTransitions();
     } catch (error) {
       console.error('Failed to fetch incident details:', error);
       setError('Failed to fetch incident details. ' + (error.response?.data?.message || error.message));
@@ -607,6 +815,16 @@ const IncidentDetailsPage = () => {
     }
   };
 
+  const fetchTransitions = async () => {
+    try {
+      const response = await incidentService.getTransitions(id);
+      setWorkflow(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch incident transitions:', error);
+      setWorkflow(null);
+    }
+  };
+
   const fetchInvestigators = async () => {
     try {
       setFetchingInvestigators(true);
@@ -620,6 +838,16 @@ const IncidentDetailsPage = () => {
     }
   };
 
+  const fetchAssignmentSuggestions = async () => {
+    try {
+      const response = await incidentService.getAssignmentSuggestions(id);
+      setAssignmentSuggestions(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch assignment suggestions:', error);
+      setAssignmentSuggestions(null);
+    }
+  };
+
   const handleDelete = () => {
     confirm({
       title: 'Are you sure you want to delete this incident?',
@@ -648,6 +876,7 @@ const IncidentDetailsPage = () => {
       message.success('Incident assigned successfully');
       setShowAssignModal(false);
       setIncident(response.data.incident);
+      await fetchTransitions();
     } catch (error) {
       console.error('Failed to assign incident:', error);
       message.error('Failed to assign incident: ' + (error.response?.data?.message || error.message));
@@ -656,12 +885,29 @@ const IncidentDetailsPage = () => {
     }
   };
 
+  const handleAutoAssign = async () => {
+    try {
+      setActionLoading(true);
+      const response = await incidentService.autoAssignIncident(id);
+      message.success(response.data.message);
+      setShowAssignModal(false);
+      setIncident(response.data.incident);
+      await fetchTransitions();
+    } catch (error) {
+      console.error('Failed to auto-assign incident:', error);
+      message.error('Failed to auto-assign incident: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleSubmitReport = async (values) => {
     try {
       setActionLoading(true);
       const response = await incidentService.submitInvestigationReport(id, values);
       message.success('Investigation report submitted successfully');
       setIncident(response.data.incident);
+      await fetchTransitions();
     } catch (error) {
       console.error('Failed to submit report:', error);
       message.error('Failed to submit report: ' + (error.response?.data?.message || error.message));
@@ -678,18 +924,10 @@ const IncidentDetailsPage = () => {
       console.log('Review response:', response);
       
       if (response.data && response.data.success) {
-        message.success('Investigation report reviewed successfully');
+        message.success(response.data.message || 'Investigation report reviewed successfully');
         
-        // If the server returned incident data, update our state directly
-        if (response.data.incident) {
-          setIncident(prev => ({
-            ...prev,
-            ...response.data.incident
-          }));
-        } else {
-          // Otherwise, refresh the full incident details
-          await fetchIncidentDetails();
-        }
+        // Refresh the full incident so the timeline and available actions are current
+        await fetchIncidentDetails();
       } else {
         message.warning('Review submitted but response was unexpected');
         await fetchIncidentDetails();
@@ -717,6 +955,66 @@ const IncidentDetailsPage = () => {
     }
   };
 
+  const handleTransition = async (transition, note) => {
+    if (transition.requiresNote && !note) {
+      setNoteTransition(transition);
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const response = await incidentService.transitionIncident(id, transition.action, note);
+      message.success(response.data.message);
+      setNoteTransition(null);
+      setIncident(response.data.incident);
+      await fetchTransitions();
+    } catch (error) {
+      console.error('Failed to change incident status:', error);
+      message.error('Failed to change incident status: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Buttons for the transitions that need no form, plus reasons for blocked ones
+  const renderWorkflowActions = () => {
+    if (!workflow) {
+      return null;
+    }
+
+    const generic = workflow.transitions.filter(transition => !transition.endpoint);
+
+    return (
+      <>
+        {generic.length > 0 && (
+          <Space style={{ marginTop: 16 }}>
+            {generic.map(transition => (
+              <Button
+                key={transition.action}
+                icon={TRANSITION_ICONS[transition.action]}
+                onClick={() => handleTransition(transition)}
+                loading={actionLoading}
+              >
+                {transition.label}
+              </Button>
+            ))}
+          </Space>
+        )}
+        {workflow.blocked.map(transition => (
+          <div key={transition.action} style={{ marginTop: 8 }}>
+            <Text type="secondary">{transition.label}: {transition.reason}</Text>
+          </div>
+        ))}
+        <TransitionNoteModal
+          transition={noteTransition}
+          onCancel={() => setNoteTransition(null)}
+          onConfirm={handleTransition}
+          loading={actionLoading}
+        />
+      </>
+    );
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       'open': 'orange',
@@ -729,18 +1027,67 @@ const IncidentDetailsPage = () => {
   };
 
   // Content to show based on user role
+  const renderReviewForm = () => {
+    // Create a complete report object by combining investigationReport with findings, recommendations, etc.
+    const reportData = {
+      ...incident.caseFile.investigationReport,
+      findings: incident.caseFile.findings,
+      recommendations: incident.caseFile.recommendations,
+      conclusion: incident.caseFile.conclusion,
+      reportContent: incident.caseFile.investigationReport?.content
+    };
+
+    return (
+      <OfficerReviewForm 
+        report={reportData}
+        incident={incident}
+        approval={workflow?.approval}
+        onSubmit={handleReviewReport}
+        loading={actionLoading}
+      />
+    );
+  };
+
+  // Shown to reviewers while the approval chain is waiting for someone else
+  const renderAwaitedApproval = () => {
+    const approval = workflow?.approval;
+    if (approval?.status !== 'in_progress') {
+      return null;
+    }
+
+    const step = approval.steps[approval.currentStep - 1];
+    return (
+      <Alert
+        message={`Awaiting ${approval.awaiting.label} (step ${approval.currentStep} of ${approval.totalSteps})`}
+        description={
+          <>
+            <Paragraph>
+              Waiting for {describeAwaited(step)}.{approval.blocker ? ` ${approval.blocker}.` : ''}
+            </Paragraph>
+            <ApprovalSteps approval={approval} />
+          </>
+        }
+        type="info"
+        showIcon
+        style={{ marginTop: 16 }}
+      />
+    );
+  };
+
   const renderRoleBasedActions = () => {
     if (isAdmin) {
     return (
         <Card title="Admin Actions" style={{ marginTop: 16 }}>
           <Space>
-            <Button 
-              type="primary" 
-              icon={<UserOutlined />} 
-              onClick={() => setShowAssignModal(true)}
-            >
-              Assign to Investigator
-            </Button>
+            {canPerform('assign') && (
+              <Button 
+                type="primary" 
+                icon={<UserOutlined />} 
+                onClick={() => setShowAssignModal(true)}
+              >
+                Assign to Investigator
+              </Button>
+            )}
             <Button
               type="primary"
               icon={<EditOutlined />}
@@ -757,12 +1104,18 @@ const IncidentDetailsPage = () => {
               Delete Incident
             </Button>
           </Space>
+
+          {renderWorkflowActions()}
+
+          {workflow?.approval?.canDecide ? renderReviewForm() : renderAwaitedApproval()}
           
           <AssignmentModal 
             visible={showAssignModal}
             onCancel={() => setShowAssignModal(false)}
             onAssign={handleAssign}
+            onAutoAssign={handleAutoAssign}
             investigators={investigators}
+            suggestions={assignmentSuggestions}
             loading={actionLoading}
             fetchingInvestigators={fetchingInvestigators}
           />
@@ -773,6 +1126,19 @@ const IncidentDetailsPage = () => {
     if (isInvestigator) {
       // Check if this investigator is assigned to this incident
       if (isAssignedInvestigator) {
+        if (canPerform('submit_report')) {
+          return (
+            <>
+              {renderWorkflowActions()}
+              <InvestigationReportForm
+                caseFile={incident?.caseFile}
+                onSubmit={handleSubmitReport}
+                loading={actionLoading}
+              />
+            </>
+          );
+        }
+
         // Check if a report has already been submitted
         if (incident?.caseFile?.investigationReport?.status === 'submitted') {
           return (
@@ -786,7 +1152,18 @@ const IncidentDetailsPage = () => {
           );
         }
         
-        return <InvestigationReportForm onSubmit={handleSubmitReport} loading={actionLoading} />;
+        return (
+          <>
+            <Alert
+              message="No Report Required"
+              description={`A report cannot be submitted while the incident is ${incident?.status?.replace('_', ' ')}.`}
+              type="info"
+              showIcon
+              style={{ marginTop: 16 }}
+            />
+            {renderWorkflowActions()}
+          </>
+        );
       } else {
         return (
           <Alert
@@ -802,16 +1179,7 @@ const IncidentDetailsPage = () => {
     
     if (isOfficer) {
       // Check if there's a submitted report to review
-      if (incident?.caseFile?.investigationReport?.status === 'submitted') {
-        // Create a complete report object by combining investigationReport with findings, recommendations, etc.
-        const reportData = {
-          ...incident.caseFile.investigationReport,
-          findings: incident.caseFile.findings,
-          recommendations: incident.caseFile.recommendations,
-          conclusion: incident.caseFile.conclusion,
-          reportContent: incident.caseFile.investigationReport?.content
-        };
-        
+      if (canPerform('approve_report') || canPerform('reject_report')) {
         // Log the investigator information for debugging
         console.log('Assigned investigator info:', {
           assignedTo: incident.assignedTo,
@@ -819,35 +1187,41 @@ const IncidentDetailsPage = () => {
           submittedBy: incident.caseFile?.investigationReport?.submittedBy
         });
         
+        return renderReviewForm();
+      } else if (workflow?.approval?.status === 'in_progress') {
         return (
-          <OfficerReviewForm 
-            report={reportData}
-            incident={incident}
-            onSubmit={handleReviewReport}
-            loading={actionLoading}
-          />
+          <>
+            {renderAwaitedApproval()}
+            {renderWorkflowActions()}
+          </>
         );
       } else if (incident?.caseFile?.investigationReport?.status === 'reviewed' ||
                 incident?.caseFile?.investigationReport?.status === 'approved' ||
                 incident?.caseFile?.investigationReport?.status === 'rejected') {
         return (
-          <Alert
-            message="Report Already Reviewed"
-            description="This investigation report has already been reviewed."
-            type="info"
-            showIcon
-            style={{ marginTop: 16 }}
-          />
+          <>
+            <Alert
+              message="Report Already Reviewed"
+              description="This investigation report has already been reviewed."
+              type="info"
+              showIcon
+              style={{ marginTop: 16 }}
+            />
+            {renderWorkflowActions()}
+          </>
         );
       } else {
         return (
-          <Alert
-            message="No Report to Review"
-            description="There is no submitted investigation report for this incident yet."
-            type="warning"
-            showIcon
-            style={{ marginTop: 16 }}
-          />
+          <>
+            <Alert
+              message="No Report to Review"
+              description="There is no submitted investigation report for this incident yet."
+              type="warning"
+              showIcon
+              style={{ marginTop: 16 }}
+            />
+            {renderWorkflowActions()}
+          </>
         );
       }
     }
@@ -5,12 +5,21 @@ import { WarningOutlined, ArrowLeftOutlined, LoadingOutlined } from '@ant-design
 import moment from 'moment';
 import { incidentService, vehicleService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import LocationAutocomplete, { formatLocationAddress } from '../../components/incidents/LocationAutocomplete';
 
 const { Option } = Select;
 const { TextArea } = Input;
 
 const antIcon = <LoadingOutlined style={{ fontSize: 24 }} spin />;
 
+const STATUS_LABELS = {
+  open: 'Open',
+  under_investigation: 'Under Investigation',
+  pending: 'Pending',
+  closed: 'Closed',
+  reopened: 'Reopened'
+};
+
 const IncidentEditPage = () => {
   const [form] = Form.useForm();
   const navigate = useNavigate();
@@ -20,7 +29,12 @@ const IncidentEditPage = () => {
   const [vehicles, setVehicles] = useState([]);
   const [loadingVehicles, setLoadingVehicles] = useState(false);
   const [error, setError] = useState(null);
+  const [statusOptions, setStatusOptions] = useState([]);
+  // Coordinates and address of the chosen suggestion or device position
+  const [resolvedLocation, setResolvedLocation] = useState(null);
   const { isAuthenticated } = useAuth();
+  const selectedStatus = Form.useWatch('status', form);
+  const selectedOption = statusOptions.find(option => option.value === selectedStatus);
 
   // Initialize form with default values
   useEffect(() => {
@@ -55,9 +69,21 @@ const IncidentEditPage = () => {
       setInitialLoading(true);
       setError(null);
       
-      const response = await incidentService.getIncidentById(id);
+      const [response, transitionsResponse] = await Promise.all([
+        incidentService.getIncidentById(id),
+        incidentService.getTransitions(id)
+      ]);
       const data = response.data;
 
+      // Only the current status and statuses reachable without a dedicated form are offered
+      const currentStatus = data.status?.toLowerCase() || 'open';
+      setStatusOptions([
+        { value: currentStatus, requiresNote: false },
+        ...transitionsResponse.data.data.transitions
+          .filter(transition => !transition.endpoint && transition.to !== currentStatus)
+          .map(transition => ({ value: transition.to, requiresNote: transition.requiresNote }))
+      ]);
+
       console.log('Incident data for editing:', data);
       
       // Convert date string to moment object for DatePicker
@@ -70,7 +96,7 @@ const IncidentEditPage = () => {
         incidentType: data.incidentType || data.type, // Handle both fields
         severity: data.severity,
         dateTime: incidentDate,
-        location: data.location?.address || '',
+        location: formatLocationAddress(data.location),
         vehicle: data.vehicle?._id || data.vehicle,
         policeReportNumber: data.policeReportNumber || '',
         status: data.status?.toLowerCase() || 'open' // Ensure lowercase status
@@ -93,11 +119,12 @@ const IncidentEditPage = () => {
       const formattedDate = values.dateTime ? values.dateTime.toISOString() : new Date().toISOString();
       
       // Format the location data
-      const locationData = values.location ? {
+      // Unchanged text keeps the stored position; other text is geocoded by the server
+      const locationData = resolvedLocation ? {
         type: 'Point',
-        coordinates: [0, 0],
-        address: values.location
-      } : undefined;
+        coordinates: resolvedLocation.coordinates,
+        address: resolvedLocation.address
+      } : values.location || undefined;
 
       // Create the incident update data
       const incidentData = {
@@ -112,7 +139,8 @@ const IncidentEditPage = () => {
         location: locationData,
         vehicle: values.vehicle,
         policeReportNumber: values.policeReportNumber || "",
-        status: values.status.toLowerCase() // Ensure lowercase status
+        status: values.status.toLowerCase(), // Ensure lowercase status
+        statusNote: values.statusNote
       };
 
       // Remove undefined values
@@ -295,7 +323,10 @@ const IncidentEditPage = () => {
             label="Location"
             rules={[{ required: true, message: 'Please input the location!' }]}
           >
-            <Input placeholder="Address or location description" />
+            <LocationAutocomplete
+              placeholder="Address or location description"
+              onResolve={setResolvedLocation}
+            />
           </Form.Item>
 
           <Form.Item
@@ -322,14 +353,22 @@ const IncidentEditPage = () => {
             rules={[{ required: true, message: 'Please select the status!' }]}
           >
             <Select>
-              <Option value="open">Open</Option>
-              <Option value="under_investigation">Under Investigation</Option>
-              <Option value="pending">Pending</Option>
-              <Option value="closed">Closed</Option>
-              <Option value="reopened">Reopened</Option>
+              {statusOptions.map(option => (
+                <Option key={option.value} value={option.value}>{STATUS_LABELS[option.value]}</Option>
+              ))}
             </Select>
           </Form.Item>
 
+          {selectedOption?.requiresNote && (
+            <Form.Item
+              name="statusNote"
+              label="Reason for Status Change"
+              rules={[{ required: true, message: 'Please give a reason for this change' }]}
+            >
+              <TextArea rows={2} placeholder="Why is this status change needed?" />
+            </Form.Item>
+          )}
+
           <Form.Item>
             <Button 
               type="primary" 
@@ -1,10 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { Table, Button, Input, Space, message, Tag, Alert } from 'antd';
+import { Table, Button, Input, Space, message, Tag, Alert, Tooltip } from 'antd';
 import { SearchOutlined, PlusOutlined, EyeOutlined, InfoCircleOutlined } from '@ant-design/icons';
 import { useNavigate } from 'react-router-dom';
 import { incidentService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
 
+// Display settings for the SLA state of a case file
+const SLA_STATES = {
+  on_track: { label: 'On track', color: 'green', order: 0 },
+  at_risk: { label: 'At risk', color: 'orange', order: 1 },
+  breached: { label: 'Breached', color: 'red', order: 2 }
+};
+
+const SLA_PHASES = {
+  assignment: 'Assignment',
+  report: 'Report submission',
+  review: 'Officer review'
+};
+
 const IncidentsListPage = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
@@ -122,6 +135,23 @@ const IncidentsListPage = () => {
         </Tag>
       ),
     },
+    {
+      title: 'SLA',
+      dataIndex: 'sla',
+      key: 'sla',
+      render: (sla) => {
+        const state = SLA_STATES[sla?.state];
+        if (!state) return '-';
+        return (
+          <Tooltip title={`${SLA_PHASES[sla.phase]} (${sla.priority}) due ${new Date(sla.dueAt).toLocaleString()}`}>
+            <Tag color={state.color}>{state.label}</Tag>
+          </Tooltip>
+        );
+      },
+      filters: Object.entries(SLA_STATES).map(([value, state]) => ({ text: state.label, value })),
+      onFilter: (value, record) => record.sla?.state === value,
+      sorter: (a, b) => (SLA_STATES[a.sla?.state]?.order ?? -1) - (SLA_STATES[b.sla?.state]?.order ?? -1),
+    },
     {
       title: 'Actions',
       key: 'actions',
@@ -15,6 +15,7 @@ import {
 } from '@ant-design/icons';
 import { incidentService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
+import { describeAwaited } from '../../components/incidents/ApprovalSteps';
 import dayjs from 'dayjs';
 
 const { Title, Text } = Typography;
@@ -37,9 +38,12 @@ const OfficerReviewPage = () => {
   // Tabs for different status categories
   const [activeTab, setActiveTab] = useState('pending');
 
-  // Ensure the user is an officer
+  // Officers and admins can both be steps of an approval chain
+  const isReviewer = ['officer', 'admin'].includes(currentUser?.role);
+
+  // Ensure the user is a reviewer
   useEffect(() => {
-    if (currentUser && currentUser.role !== 'officer') {
+    if (currentUser && !isReviewer) {
       navigate('/');
     }
   }, [currentUser, navigate]);
@@ -203,6 +207,37 @@ const OfficerReviewPage = () => {
         );
       }
     },
+    {
+      title: 'Approval Step',
+      key: 'approval',
+      render: (_, record) => {
+        const approval = record.approval;
+        if (!approval) return 'N/A';
+
+        if (approval.status !== 'in_progress') {
+          return (
+            <Tag color={approval.status === 'approved' ? 'success' : 'error'}>
+              {approval.status.toUpperCase()}
+            </Tag>
+          );
+        }
+
+        const step = approval.steps[approval.currentStep - 1];
+        return (
+          <Space direction="vertical" size={0}>
+            <Space size={4}>
+              <Tag color="processing">
+                Step {approval.currentStep}/{approval.totalSteps}: {approval.awaiting.label}
+              </Tag>
+              {approval.canDecide && <Tag color="green">Your turn</Tag>}
+            </Space>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              Awaiting {describeAwaited(step)}
+            </Text>
+          </Space>
+        );
+      }
+    },
     {
       title: 'Submitted By',
       key: 'submittedBy',
@@ -237,7 +272,7 @@ const OfficerReviewPage = () => {
           >
             View
           </Button>
-          {record?.caseFile?.investigationReport?.status === 'submitted' && (
+          {record?.approval?.canDecide && (
             <Button
               type="default"
               size="small"
@@ -255,12 +290,12 @@ const OfficerReviewPage = () => {
     },
   ];
 
-  if (!currentUser || currentUser.role !== 'officer') {
+  if (!currentUser || !isReviewer) {
     return (
       <div style={{ padding: '24px', paddingTop: '100px' }}>
         <Alert
           message="Unauthorized"
-          description="You must be an officer to access this page."
+          description="You must be an officer or admin to access this page."
           type="error"
           showIcon
         />
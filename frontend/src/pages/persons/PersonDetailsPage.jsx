@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Card, Descriptions, Table, Tag, Spin, Alert, Typography, Space, Button, Row, Col, Statistic } from 'antd';
+import { ArrowLeftOutlined, WarningOutlined } from '@ant-design/icons';
+import { personService } from '../../services/api';
+import dayjs from 'dayjs';
+
+const { Title, Text } = Typography;
+
+const ROLE_COLORS = {
+  suspect: 'red',
+  victim: 'orange',
+  witness: 'blue',
+  reporting_party: 'green',
+  officer: 'purple',
+  other: 'default'
+};
+
+const VEHICLE_RELATIONS = {
+  incident: 'In incident',
+  owner: 'Owner',
+  previous_owner: 'Previous owner'
+};
+
+const formatRole = (role) => role.replace('_', ' ');
+
+const PersonDetailsPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [person, setPerson] = useState(null);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchPerson = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [personResponse, matchesResponse] = await Promise.all([
+          personService.getPersonById(id),
+          personService.getPersonMatches(id)
+        ]);
+        setPerson(personResponse.data.data);
+        setMatches(matchesResponse.data.data || []);
+      } catch (err) {
+        console.error('Failed to fetch person:', err);
+        setError(err.response?.data?.message || 'Failed to fetch person');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPerson();
+  }, [id]);
+
+  if (loading) {
+    return <Spin size="large" style={{ display: 'block', margin: '100px auto' }} />;
+  }
+
+  if (error || !person) {
+    return <Alert type="error" message={error || 'Person not found'} />;
+  }
+
+  const incidentColumns = [
+    {
+      title: 'Incident',
+      dataIndex: 'incidentNumber',
+      key: 'incidentNumber',
+      render: (number, record) => <Link to={`/incidents/${record._id}`}>{number || record._id}</Link>
+    },
+    { title: 'Title', dataIndex: 'title', key: 'title' },
+    { title: 'Type', dataIndex: 'type', key: 'type' },
+    {
+      title: 'Role',
+      dataIndex: 'roles',
+      key: 'roles',
+      render: (roles) => roles.map(role => <Tag key={role} color={ROLE_COLORS[role]}>{formatRole(role)}</Tag>)
+    },
+    { title: 'Status', dataIndex: 'status', key: 'status', render: (status) => <Tag>{status}</Tag> },
+    { title: 'Date', dataIndex: 'date', key: 'date', render: (date) => date ? dayjs(date).format('YYYY-MM-DD') : '-' }
+  ];
+
+  const vehicleColumns = [
+    {
+      title: 'Vehicle',
+      key: 'vehicle',
+      render: (_, record) => (
+        <Link to={`/vehicles/${record.vehicle._id}`}>
+          {record.vehicle.licensePlate || record.vehicle.registrationNumber}
+        </Link>
+      )
+    },
+    {
+      title: 'Make / Model',
+      key: 'makeModel',
+      render: (_, record) => [record.vehicle.year, record.vehicle.make, record.vehicle.model].filter(Boolean).join(' ')
+    },
+    {
+      title: 'Relation',
+      dataIndex: 'relations',
+      key: 'relations',
+      render: (relations) => relations.map((relation, index) => (
+        <Tag key={index}>
+          {VEHICLE_RELATIONS[relation.relation] || relation.relation}
+          {relation.incidentNumber && ` (${relation.incidentNumber})`}
+          {relation.matchedOn && ` by ${relation.matchedOn.join(', ')}`}
+        </Tag>
+      ))
+    }
+  ];
+
+  const contactColumns = [
+    { title: 'Phone', dataIndex: 'phone', key: 'phone', render: (value) => value || '-' },
+    { title: 'Email', dataIndex: 'email', key: 'email', render: (value) => value || '-' },
+    { title: 'Address', dataIndex: 'address', key: 'address', render: (value) => value || '-' },
+    {
+      title: 'Recorded',
+      key: 'recordedAt',
+      render: (_, record) => (
+        <Space direction="vertical" size={0}>
+          {dayjs(record.recordedAt).format('YYYY-MM-DD')}
+          {record.incident && (
+            <Link to={`/incidents/${record.incident._id || record.incident}`}>
+              {record.incident.incidentNumber || 'Incident'}
+            </Link>
+          )}
+        </Space>
+      )
+    }
+  ];
+
+  const { summary } = person;
+
+  return (
+    <>
+      <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/persons')} style={{ marginBottom: 16 }}>
+        Back to Registry
+      </Button>
+
+      {person.mergedInto && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message={
+            <>
+              This record was merged into{' '}
+              <Link to={`/persons/${person.mergedInto._id}`}>{person.mergedInto.name}</Link>
+            </>
+          }
+        />
+      )}
+
+      <Card style={{ marginBottom: 16 }}>
+        <Space align="center">
+          <Title level={2} style={{ margin: 0 }}>{person.name}</Title>
+          {summary.repeatOffender && <Tag color="red" icon={<WarningOutlined />}>Repeat offender</Tag>}
+        </Space>
+
+        <Row gutter={16} style={{ margin: '16px 0' }}>
+          <Col span={6}><Statistic title="Incidents" value={summary.incidentCount} /></Col>
+          <Col span={6}><Statistic title="As Suspect" value={summary.roles.suspect || 0} /></Col>
+          <Col span={6}><Statistic title="Vehicles" value={summary.vehicleCount} /></Col>
+        </Row>
+
+        <Descriptions bordered column={2} size="small">
+          <Descriptions.Item label="Aliases">{person.aliases?.join(', ') || '-'}</Descriptions.Item>
+          <Descriptions.Item label="Date of Birth">
+            {person.dateOfBirth ? dayjs(person.dateOfBirth).format('YYYY-MM-DD') : '-'}
+          </Descriptions.Item>
+          <Descriptions.Item label="Identification" span={2}>
+            {person.identifications?.length > 0
+              ? person.identifications.map(id => (
+                <Tag key={id._id}>{id.type.replace('_', ' ')}: {id.number}{id.issuedBy && ` (${id.issuedBy})`}</Tag>
+              ))
+              : '-'}
+          </Descriptions.Item>
+          <Descriptions.Item label="Notes" span={2}>{person.notes || '-'}</Descriptions.Item>
+        </Descriptions>
+      </Card>
+
+      <Card title="Incidents" style={{ marginBottom: 16 }}>
+        <Table rowKey="_id" columns={incidentColumns} dataSource={person.incidents} pagination={false} />
+      </Card>
+
+      <Card title="Vehicles" style={{ marginBottom: 16 }}>
+        <Table rowKey={(record) => record.vehicle._id} columns={vehicleColumns} dataSource={person.vehicles} pagination={false} />
+      </Card>
+
+      <Card title="Contact History" style={{ marginBottom: 16 }}>
+        <Table rowKey="_id" columns={contactColumns} dataSource={person.contactHistory} pagination={false} />
+      </Card>
+
+      {matches.length > 0 && (
+        <Card title="Possible Duplicates">
+          {matches.map(match => (
+            <div key={match.person._id}>
+              <Link to={`/persons/${match.person._id}`}>{match.person.name}</Link>{' '}
+              <Tag>{Math.round(match.score * 100)}%</Tag>
+              <Text type="secondary">{match.reasons.join(', ')}</Text>
+            </div>
+          ))}
+        </Card>
+      )}
+    </>
+  );
+};
+
+export default PersonDetailsPage;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Input, Tabs, Tag, Button, Space, Typography, Alert, Popconfirm, message } from 'antd';
+import { SearchOutlined, MergeCellsOutlined } from '@ant-design/icons';
+import { personService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import dayjs from 'dayjs';
+
+const { Title, Text } = Typography;
+
+// Latest phone or email recorded for a person
+const latestContact = (person) => {
+  const contact = [...(person.contactHistory || [])].reverse().find(entry => entry.phone || entry.email);
+  return contact ? contact.phone || contact.email : '-';
+};
+
+const PersonsListPage = () => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [persons, setPersons] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggestionsLoading, setSuggestionsLoading] = useState(false);
+  const [merging, setMerging] = useState(null);
+
+  // Officers and admins confirm merges
+  const canMerge = ['admin', 'officer'].includes(currentUser?.role);
+
+  useEffect(() => {
+    fetchPersons();
+  }, [page, search]);
+
+  const fetchPersons = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await personService.searchPersons({ q: search || undefined, page });
+      setPersons(response.data.data || []);
+      setTotal(response.data.total || 0);
+    } catch (err) {
+      console.error('Failed to fetch persons:', err);
+      setError(err.response?.data?.message || 'Failed to fetch persons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSuggestions = async () => {
+    try {
+      setSuggestionsLoading(true);
+      const response = await personService.getMergeSuggestions();
+      setSuggestions(response.data.data || []);
+    } catch (err) {
+      console.error('Failed to fetch merge suggestions:', err);
+      message.error(err.response?.data?.message || 'Failed to fetch merge suggestions');
+    } finally {
+      setSuggestionsLoading(false);
+    }
+  };
+
+  // Keep the record with more history and fold the other one into it
+  const handleMerge = async (suggestion) => {
+    const [first, second] = suggestion.persons;
+    const [target, source] = (first.contactHistory?.length || 0) >= (second.contactHistory?.length || 0)
+      ? [first, second]
+      : [second, first];
+
+    try {
+      setMerging(`${first._id}:${second._id}`);
+      const response = await personService.mergePerson(target._id, source._id);
+      message.success(response.data.message);
+      fetchSuggestions();
+      fetchPersons();
+    } catch (err) {
+      message.error(err.response?.data?.message || 'Failed to merge persons');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  const personColumns = [
+    {
+      title: 'Name',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => (
+        <Space direction="vertical" size={0}>
+          <a onClick={() => navigate(`/persons/${record._id}`)}>{name}</a>
+          {record.aliases?.length > 0 && <Text type="secondary">aka {record.aliases.join(', ')}</Text>}
+        </Space>
+      )
+    },
+    {
+      title: 'Date of Birth',
+      dataIndex: 'dateOfBirth',
+      key: 'dateOfBirth',
+      render: (date) => date ? dayjs(date).format('YYYY-MM-DD') : '-'
+    },
+    {
+      title: 'Identification',
+      dataIndex: 'identifications',
+      key: 'identifications',
+      render: (ids) => (ids || []).map(id => <Tag key={id._id || id.number}>{id.number}</Tag>)
+    },
+    {
+      title: 'Contact',
+      key: 'contact',
+      render: (_, record) => latestContact(record)
+    },
+    {
+      title: 'Updated',
+      dataIndex: 'updatedAt',
+      key: 'updatedAt',
+      render: (date) => dayjs(date).format('YYYY-MM-DD')
+    }
+  ];
+
+  const suggestionColumns = [
+    {
+      title: 'Person',
+      key: 'first',
+      render: (_, record) => <a onClick={() => navigate(`/persons/${record.persons[0]._id}`)}>{record.persons[0].name}</a>
+    },
+    {
+      title: 'Possible Duplicate',
+      key: 'second',
+      render: (_, record) => <a onClick={() => navigate(`/persons/${record.persons[1]._id}`)}>{record.persons[1].name}</a>
+    },
+    {
+      title: 'Score',
+      dataIndex: 'score',
+      key: 'score',
+      render: (score) => <Tag color={score >= 0.9 ? 'red' : score >= 0.75 ? 'orange' : 'blue'}>{Math.round(score * 100)}%</Tag>
+    },
+    {
+      title: 'Why',
+      dataIndex: 'reasons',
+      key: 'reasons',
+      render: (reasons) => (reasons || []).join(', ')
+    },
+    {
+      title: 'Action',
+      key: 'action',
+      render: (_, record) => (
+        <Popconfirm
+          title="Merge these records?"
+          description="Incidents linked to either record will point to the merged person."
+          onConfirm={() => handleMerge(record)}
+        >
+          <Button
+            icon={<MergeCellsOutlined />}
+            loading={merging === `${record.persons[0]._id}:${record.persons[1]._id}`}
+          >
+            Merge
+          </Button>
+        </Popconfirm>
+      )
+    }
+  ];
+
+  const items = [
+    {
+      key: 'registry',
+      label: 'Registry',
+      children: (
+        <>
+          <Input.Search
+            placeholder="Search by name, alias, ID number, phone or email"
+            prefix={<SearchOutlined />}
+            allowClear
+            onSearch={(value) => { setPage(1); setSearch(value.trim()); }}
+            style={{ marginBottom: 16, maxWidth: 480 }}
+          />
+          {error && <Alert type="error" message={error} style={{ marginBottom: 16 }} />}
+          <Table
+            rowKey="_id"
+            loading={loading}
+            columns={personColumns}
+            dataSource={persons}
+            pagination={{ current: page, total, pageSize: 20, onChange: setPage }}
+          />
+        </>
+      )
+    }
+  ];
+
+  if (canMerge) {
+    items.push({
+      key: 'suggestions',
+      label: 'Merge Suggestions',
+      children: (
+        <Table
+          rowKey={(record) => `${record.persons[0]._id}:${record.persons[1]._id}`}
+          loading={suggestionsLoading}
+          columns={suggestionColumns}
+          dataSource={suggestions}
+          pagination={false}
+        />
+      )
+    });
+  }
+
+  return (
+    <Card>
+      <Title level={2}>Person Registry</Title>
+      <Tabs
+        items={items}
+        onChange={(key) => key === 'suggestions' && fetchSuggestions()}
+      />
+    </Card>
+  );
+};
+
+export default PersonsListPage;
@@ -1,9 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { Card, Descriptions, Button, Tag, Spin, message, Modal, Tabs } from 'antd';
-import { EditOutlined, DeleteOutlined, ExclamationCircleOutlined, QrcodeOutlined } from '@ant-design/icons';
+import { Card, Descriptions, Button, Tag, Spin, message, Modal, Tabs, Alert } from 'antd';
+import { EditOutlined, DeleteOutlined, ExclamationCircleOutlined, QrcodeOutlined, FlagOutlined, ApartmentOutlined, SafetyOutlined, CarOutlined, FileTextOutlined } from '@ant-design/icons';
 import axios from 'axios';
 import VehicleQRCode from '../../components/vehicles/VehicleQRCode';
+import VehicleFlags, { FLAG_TYPES } from '../../components/vehicles/VehicleFlags';
+import LinkGraph from '../../components/graph/LinkGraph';
+import VehicleTheftRecovery from '../../components/vehicles/VehicleTheftRecovery';
+import VehicleImpound from '../../components/vehicles/VehicleImpound';
+import CitationList from '../../components/citations/CitationList';
+import { useAuth } from '../../context/AuthContext';
 
 const { confirm } = Modal;
 const { TabPane } = Tabs;
@@ -14,6 +20,14 @@ const VehicleDetailsPage = () => {
   const navigate = useNavigate();
   const [vehicle, setVehicle] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { currentUser } = useAuth();
+
+  // Link analysis is limited to investigative roles
+  const canViewLinks = ['admin', 'officer', 'investigator'].includes(currentUser?.role);
+  // The same roles handle thefts, recoveries, impounds and citations
+  const canManageTheft = canViewLinks;
+  // Releasing a vehicle from impound is left to officers and admins
+  const canReleaseImpound = ['admin', 'officer'].includes(currentUser?.role);
 
   useEffect(() => {
     fetchVehicleDetails();
@@ -76,6 +90,10 @@ const VehicleDetailsPage = () => {
     return null;
   }
 
+  const activeFlags = (vehicle.flags || []).filter(flag =>
+    flag.status === 'active' && (!flag.expiresAt || new Date(flag.expiresAt) > new Date())
+  );
+
   return (
     <div style={{ padding: '24px', marginTop: '64px' }}>
       <Card
@@ -106,6 +124,17 @@ const VehicleDetailsPage = () => {
           </div>
         }
       >
+        {activeFlags.map(flag => (
+          <Alert
+            key={flag._id}
+            type={['high', 'critical'].includes(flag.severity) ? 'error' : 'warning'}
+            showIcon
+            icon={<FlagOutlined />}
+            message={`${FLAG_TYPES[flag.type] || flag.type} (${flag.severity})`}
+            description={flag.description}
+            style={{ marginBottom: 12 }}
+          />
+        ))}
         <Tabs defaultActiveKey="details">
           <TabPane tab="Details" key="details">
             <Descriptions bordered column={2}>
@@ -163,14 +192,13 @@ const VehicleDetailsPage = () => {
               {/* Theft Information Section (if applicable) */}
               {vehicle.status === 'stolen' && (
                 <>
-                  <Descriptions.Item label="Theft Report Date" span={2}>
-                    {vehicle.theftReportDate ? new Date(vehicle.theftReportDate).toLocaleDateString() : 'N/A'}
+                  <Descriptions.Item label="Stolen At" span={2}>
+                    {vehicle.theft?.stolenAt ? new Date(vehicle.theft.stolenAt).toLocaleString() : 'N/A'}
                   </Descriptions.Item>
-                  <Descriptions.Item label="Theft Location" span={2}>
-                    {vehicle.theftLocation || 'N/A'}
-                  </Descriptions.Item>
-                  <Descriptions.Item label="Police Report Number" span={2}>
-                    {vehicle.policeReportNumber || 'N/A'}
+                  <Descriptions.Item label="Theft Incident" span={2}>
+                    {vehicle.theft?.incident ? (
+                      <Link to={`/incidents/${vehicle.theft.incident}`}>View incident</Link>
+                    ) : 'N/A'}
                   </Descriptions.Item>
                 </>
               )}
@@ -185,8 +213,79 @@ const VehicleDetailsPage = () => {
             } 
             key="qrcode"
           >
-            <VehicleQRCode vehicleId={id} />
+            <VehicleQRCode vehicleId={id} canManage={canManageTheft} />
+          </TabPane>
+          <TabPane
+            tab={
+              <span>
+                <FlagOutlined />
+                Flags {activeFlags.length > 0 && <Tag color="red">{activeFlags.length}</Tag>}
+              </span>
+            }
+            key="flags"
+          >
+            <VehicleFlags vehicleId={id} onFlagsChange={fetchVehicleDetails} />
           </TabPane>
+          <TabPane
+            tab={
+              <span>
+                <SafetyOutlined />
+                Theft &amp; Recovery
+              </span>
+            }
+            key="theft"
+          >
+            <VehicleTheftRecovery
+              vehicleId={id}
+              status={vehicle.status}
+              canManage={canManageTheft}
+              onStatusChange={fetchVehicleDetails}
+            />
+          </TabPane>
+          {canManageTheft && (
+            <TabPane
+              tab={
+                <span>
+                  <CarOutlined />
+                  Impound
+                </span>
+              }
+              key="impound"
+            >
+              <VehicleImpound
+                vehicleId={id}
+                status={vehicle.status}
+                canRelease={canReleaseImpound}
+                onStatusChange={fetchVehicleDetails}
+              />
+            </TabPane>
+          )}
+          {canManageTheft && (
+            <TabPane
+              tab={
+                <span>
+                  <FileTextOutlined />
+                  Citations
+                </span>
+              }
+              key="citations"
+            >
+              <CitationList vehicle={vehicle} />
+            </TabPane>
+          )}
+          {canViewLinks && (
+            <TabPane
+              tab={
+                <span>
+                  <ApartmentOutlined />
+                  Links
+                </span>
+              }
+              key="links"
+            >
+              <LinkGraph entity="vehicle" id={id} />
+            </TabPane>
+          )}
         </Tabs>
         <div style={{ marginTop: 16 }}>
           <Link to={`/vehicles/test-edit/${id}`} style={{ marginRight: 8 }}>
@@ -14,6 +14,8 @@ const VehicleEditPage = () => {
   const navigate = useNavigate();
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(true);
+  // Status as saved; stolen and recovered are set from the Theft & Recovery tab
+  const [savedStatus, setSavedStatus] = useState(null);
 
   useEffect(() => {
     console.log('VehicleEditPage useEffect called with ID:', id);
@@ -61,12 +63,12 @@ const VehicleEditPage = () => {
       const formData = {
         ...vehicle,
         registrationExpiry: vehicle.registrationExpiry ? moment(vehicle.registrationExpiry) : null,
-        insuranceExpiry: vehicle.insuranceExpiry ? moment(vehicle.insuranceExpiry) : null,
-        theftReportDate: vehicle.theftReportDate ? moment(vehicle.theftReportDate) : null
+        insuranceExpiry: vehicle.insuranceExpiry ? moment(vehicle.insuranceExpiry) : null
       };
       
       console.log('Setting form fields with data:', formData);
       form.setFieldsValue(formData);
+      setSavedStatus(vehicle.status);
       
       console.log('Form fields set successfully');
     } catch (error) {
@@ -113,8 +115,7 @@ const VehicleEditPage = () => {
       const formattedValues = {
         ...values,
         registrationExpiry: values.registrationExpiry?.toISOString() || null,
-        insuranceExpiry: values.insuranceExpiry?.toISOString() || null,
-        theftReportDate: values.theftReportDate?.toISOString() || null
+        insuranceExpiry: values.insuranceExpiry?.toISOString() || null
       };
       
       console.log('Formatted values for API:', formattedValues);
@@ -307,48 +308,16 @@ const VehicleEditPage = () => {
             name="status"
             label="Status"
             rules={[{ required: true, message: 'Please select the status' }]}
+            extra="Use the vehicle's Theft & Recovery tab to report a theft or recovery, and its Impound tab to impound or release it."
           >
-            <Select>
+            <Select disabled={['stolen', 'impounded'].includes(savedStatus)}>
               <Option value="active">Active</Option>
-              <Option value="stolen">Stolen</Option>
-              <Option value="recovered">Recovered</Option>
-              <Option value="impounded">Impounded</Option>
+              <Option value="stolen" disabled={savedStatus !== 'stolen'}>Stolen</Option>
+              <Option value="recovered" disabled={savedStatus !== 'recovered'}>Recovered</Option>
+              <Option value="impounded" disabled={savedStatus !== 'impounded'}>Impounded</Option>
             </Select>
           </Form.Item>
 
-          {/* Additional fields for stolen vehicles */}
-          <Form.Item
-            noStyle
-            shouldUpdate={(prevValues, currentValues) => prevValues.status !== currentValues.status}
-          >
-            {({ getFieldValue }) =>
-              getFieldValue('status') === 'stolen' ? (
-                <>
-                  <Form.Item
-                    name="theftReportDate"
-                    label="Theft Report Date"
-                  >
-                    <DatePicker style={{ width: '100%' }} />
-                  </Form.Item>
-
-                  <Form.Item
-                    name="theftLocation"
-                    label="Theft Location"
-                  >
-                    <Input.TextArea />
-                  </Form.Item>
-
-                  <Form.Item
-                    name="policeReportNumber"
-                    label="Police Report Number"
-                  >
-                    <Input />
-                  </Form.Item>
-                </>
-              ) : null
-            }
-          </Form.Item>
-
           <Form.Item>
             <Button type="primary" htmlType="submit">
               Update Vehicle
@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { CarOutlined } from '@ant-design/icons';
 import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
+import StolenVehicleAlert from '../../components/vehicles/StolenVehicleAlert';
 
 const { Option } = Select;
 const API_BASE_URL = '';
@@ -13,6 +14,8 @@ const VehicleRegistrationPage = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  const [vinInfo, setVinInfo] = useState(null);
+  const [stolenAlert, setStolenAlert] = useState(null);
   const { user, isAuthenticated, hasRole } = useAuth();
 
   useEffect(() => {
@@ -51,9 +54,39 @@ const VehicleRegistrationPage = () => {
     document.title = 'Register Vehicle | Vehicle Investigation System';
   }, [isAuthenticated, hasRole, navigate, user, form]);
 
+  // Decode a complete VIN and fill in the make and year if they are still empty
+  const decodeVin = useCallback(async (vin) => {
+    if (vin.length !== 17) {
+      setVinInfo(null);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`/api/vehicles/decode-vin/${vin}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const decoded = response.data.data;
+      setVinInfo(decoded);
+
+      if (decoded.valid) {
+        const { make, year } = form.getFieldsValue(['make', 'year']);
+        form.setFieldsValue({
+          make: make || decoded.manufacturer || undefined,
+          year: year || (decoded.modelYear ? String(decoded.modelYear) : '')
+        });
+      }
+    } catch (error) {
+      console.error('Error decoding VIN:', error);
+      setVinInfo(null);
+    }
+  }, [form]);
+
   const onFinish = useCallback(async (values) => {
     setLoading(true);
     setFormErrors({});
+    setStolenAlert(null);
     console.log('Form values being submitted:', values);
 
     try {
@@ -78,6 +111,7 @@ const VehicleRegistrationPage = () => {
       
       if (response.data.success) {
         message.success('Vehicle registered successfully!');
+        (response.data.vinWarnings || []).forEach(warning => message.warning(warning));
         form.resetFields();
         navigate('/vehicles');
       } else {
@@ -90,6 +124,7 @@ const VehicleRegistrationPage = () => {
       
       if (error.response && error.response.data) {
         message.error(error.response.data.message || 'Failed to register vehicle');
+        setStolenAlert(error.response.data.stolenVehicleAlert || null);
         
         // If there are validation errors, mark the fields
         if (error.response.data.errors) {
@@ -146,6 +181,8 @@ const VehicleRegistrationPage = () => {
             closable
           />
         )}
+
+        <StolenVehicleAlert alert={stolenAlert} style={{ marginBottom: '24px' }} />
         
         <Card 
           title="Register New Vehicle" 
@@ -193,6 +230,9 @@ const VehicleRegistrationPage = () => {
                     { pattern: /^[A-HJ-NPR-Z0-9]{17}$/, message: 'Please enter a valid 17-character VIN' }
                   ]}
                   tooltip="Vehicle Identification Number (17 characters)"
+                  extra={vinInfo && vinInfo.valid
+                    ? `${vinInfo.manufacturer || 'Unknown manufacturer'}${vinInfo.country ? `, ${vinInfo.country}` : ''}, model year ${vinInfo.modelYear}`
+                    : undefined}
                 >
                   <Input 
                     placeholder="Enter 17-character VIN"
@@ -200,9 +240,19 @@ const VehicleRegistrationPage = () => {
                     onChange={(e) => {
                       const value = e.target.value.toUpperCase();
                       form.setFieldsValue({ vin: value });
+                      decodeVin(value);
                     }}
                   />
                 </Form.Item>
+                {vinInfo && (vinInfo.errors.length > 0 || vinInfo.warnings.length > 0) && (
+                  <Alert
+                    type={vinInfo.valid ? 'warning' : 'error'}
+                    showIcon
+                    style={{ marginBottom: '16px' }}
+                    message={vinInfo.valid ? 'VIN warnings' : 'Invalid VIN'}
+                    description={[...vinInfo.errors, ...vinInfo.warnings].join('. ')}
+                  />
+                )}
               </Col>
             </Row>
 
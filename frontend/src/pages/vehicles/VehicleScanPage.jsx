@@ -1,19 +1,76 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { Card, Descriptions, Button, Spin, Result, message, Typography } from 'antd';
+import { Card, Descriptions, Button, Spin, Result, message, Typography, Alert, Space } from 'antd';
 import { Html5QrcodeScanner } from 'html5-qrcode';
-import { ArrowLeftOutlined, ScanOutlined } from '@ant-design/icons';
+import { ArrowLeftOutlined, ScanOutlined, CameraOutlined } from '@ant-design/icons';
 import axios from 'axios';
+import { useAuth } from '../../context/AuthContext';
+import StolenVehicleAlert from '../../components/vehicles/StolenVehicleAlert';
+import PlateScanner from '../../components/vehicles/PlateScanner';
 
 const { Title, Text } = Typography;
 
+// Where the scan happened, if the browser allows it; a stolen vehicle hit is recorded with it
+const getScanPosition = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve({});
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve({
+      lat: position.coords.latitude,
+      lng: position.coords.longitude,
+      accuracy: position.coords.accuracy
+    }),
+    () => resolve({}),
+    { timeout: 5000, maximumAge: 60000 }
+  );
+});
+
+// Vehicle fields in display order; a public scan only returns the ones allowed in the settings
+const DETAIL_FIELDS = [
+  ['licensePlate', 'License Plate'],
+  ['status', 'Status'],
+  ['make', 'Make'],
+  ['model', 'Model'],
+  ['year', 'Year'],
+  ['color', 'Color'],
+  ['vin', 'VIN'],
+  ['registrationState', 'Registration State']
+];
+
+// Shown to signed-in staff, who get the full record
+const OWNER_FIELDS = [
+  ['ownerName', 'Owner'],
+  ['ownerContact', 'Owner Contact'],
+  ['ownerEmail', 'Owner Email'],
+  ['ownerAddress', 'Owner Address'],
+  ['registrationExpiry', 'Registration Expiry'],
+  ['insuranceProvider', 'Insurance Provider'],
+  ['insuranceExpiry', 'Insurance Expiry']
+];
+
+const formatField = (field, value) => {
+  if (field === 'status') {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  if (field.endsWith('Expiry')) {
+    return new Date(value).toLocaleDateString();
+  }
+  return value;
+};
+
 const VehicleScanPage = () => {
   const { id } = useParams();
   const [vehicle, setVehicle] = useState(null);
+  const [stolenAlert, setStolenAlert] = useState(null);
+  const [access, setAccess] = useState('public');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
   const [scanner, setScanner] = useState(null);
+  const [isPlateScanning, setIsPlateScanning] = useState(false);
+  const { currentUser } = useAuth();
 
   useEffect(() => {
     // If an ID is provided in the URL, fetch that vehicle's details
@@ -33,26 +90,31 @@ const VehicleScanPage = () => {
     };
   }, [id]);
 
-  const fetchVehicleDetails = async (vehicleId) => {
+  const fetchVehicleDetails = async (code) => {
     try {
       setLoading(true);
       setError(null);
       
-      if (!vehicleId) {
-        setError('Invalid QR code: No vehicle ID detected');
+      if (!code) {
+        setError('Invalid QR code: No vehicle code detected');
         setLoading(false);
         return;
       }
       
-      console.log('Fetching vehicle details for ID:', vehicleId);
-      const apiUrl = `/api/vehicles/scan/${vehicleId}`;
-      console.log('API URL:', apiUrl);
+      const apiUrl = `/api/vehicles/scan/${encodeURIComponent(code)}`;
       
-      const response = await axios.get(apiUrl);
+      // Signed-in scanners are identified so investigators know who found the vehicle
+      const token = localStorage.getItem('token');
+      const response = await axios.get(apiUrl, {
+        params: await getScanPosition(),
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
       console.log('API Response:', response.data);
       
       if (response.data.success && response.data.vehicle) {
         setVehicle(response.data.vehicle);
+        setAccess(response.data.access || 'public');
+        setStolenAlert(response.data.stolenVehicleAlert || null);
       } else {
         setError('Failed to fetch vehicle details: ' + (response.data.message || 'Unknown error'));
       }
@@ -65,8 +127,9 @@ const VehicleScanPage = () => {
         
         if (error.response.status === 404) {
           setError('Vehicle not found. This QR code may be invalid or for a deleted vehicle.');
-        } else if (error.response.status === 400) {
-          setError('Invalid vehicle ID format. Please scan a valid QR code.');
+        } else if ([401, 410].includes(error.response.status)) {
+          // Invalid, replaced, revoked or expired codes; the server says which
+          setError(error.response.data.message);
         } else {
           setError(`Error ${error.response.status}: ${error.response.data.message || 'Unknown error'}`);
         }
@@ -94,33 +157,23 @@ const VehicleScanPage = () => {
     });
     
     const onScanSuccess = (decodedText) => {
-      // Extract the vehicle ID from the decoded URL
-      console.log('QR Code detected, data:', decodedText);
-      
-      // The decodedText could be a full URL or just an ID
-      let scannedVehicleId;
+      // The decodedText is a scan URL ending in the vehicle's signed code (or,
+      // on codes printed before codes were signed, its ID), or just the code
+      let scannedCode = decodedText.trim();
       
-      if (decodedText.includes('/vehicles/scan/')) {
-        // It's a URL, extract the ID
-        const urlParts = decodedText.split('/');
-        scannedVehicleId = urlParts[urlParts.length - 1];
-      } else if (decodedText.match(/^[0-9a-fA-F]{24}$/)) {
-        // It looks like a MongoDB ObjectId (24 hex characters)
-        scannedVehicleId = decodedText;
-      } else {
-        // Try to extract an ID from the text
-        const idMatch = decodedText.match(/([0-9a-fA-F]{24})/);
-        scannedVehicleId = idMatch ? idMatch[1] : decodedText;
+      if (scannedCode.includes('/vehicles/scan/')) {
+        // It's a URL, extract the code
+        const path = scannedCode.split(/[?#]/)[0];
+        const urlParts = path.split('/');
+        scannedCode = urlParts[urlParts.length - 1];
       }
       
-      console.log('Extracted vehicle ID:', scannedVehicleId);
-      
       // Stop scanning
       qrCodeScanner.clear();
       setIsScanning(false);
       
       // Fetch the vehicle details
-      fetchVehicleDetails(scannedVehicleId);
+      fetchVehicleDetails(scannedCode);
     };
     
     const onScanFailure = (error) => {
@@ -177,23 +230,35 @@ const VehicleScanPage = () => {
               <Button type="text" icon={<ArrowLeftOutlined />} style={{ marginRight: '10px' }} />
             </Link>
             <Title level={3} style={{ margin: 0 }}>
-              {vehicle ? `Vehicle: ${vehicle.licensePlate}` : 'Scan Vehicle QR Code'}
+              {vehicle ? (vehicle.licensePlate ? `Vehicle: ${vehicle.licensePlate}` : 'Vehicle Details') : (isPlateScanning ? 'Scan License Plate' : 'Scan Vehicle QR Code')}
             </Title>
           </div>
         }
       >
-        {!vehicle && !isScanning && (
+        {!vehicle && !isScanning && !isPlateScanning && (
           <div style={{ textAlign: 'center', padding: '40px 0' }}>
             <ScanOutlined style={{ fontSize: '48px', color: '#1890ff', marginBottom: '20px' }} />
             <Title level={4}>Scan a Vehicle QR Code</Title>
             <Text>Use the camera to scan a vehicle QR code and view its details</Text>
             <div style={{ marginTop: '30px' }}>
-              <Button type="primary" size="large" onClick={startScanner}>
-                Start Scanner
-              </Button>
+              <Space>
+                <Button type="primary" size="large" onClick={startScanner}>
+                  Start Scanner
+                </Button>
+                {/* Plate recognition searches the vehicle register, so it needs a signed-in user */}
+                {currentUser && (
+                  <Button size="large" icon={<CameraOutlined />} onClick={() => setIsPlateScanning(true)}>
+                    Scan Plate
+                  </Button>
+                )}
+              </Space>
             </div>
           </div>
         )}
+
+        {!vehicle && isPlateScanning && (
+          <PlateScanner getPosition={getScanPosition} onCancel={() => setIsPlateScanning(false)} />
+        )}
         
         {isScanning && (
           <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
@@ -210,26 +275,32 @@ const VehicleScanPage = () => {
         
         {vehicle && (
           <div>
+            <StolenVehicleAlert alert={stolenAlert} style={{ marginTop: '12px' }} />
+            {(vehicle.activeFlags || []).map((flag, index) => (
+              <Alert
+                key={index}
+                type={['high', 'critical'].includes(flag.severity) ? 'error' : 'warning'}
+                showIcon
+                message={`${flag.label || flag.type} (${flag.severity})`}
+                style={{ marginTop: '12px' }}
+              />
+            ))}
             <Descriptions bordered column={1} style={{ marginTop: '20px' }}>
-              <Descriptions.Item label="License Plate">
-                {vehicle.licensePlate}
-              </Descriptions.Item>
-              <Descriptions.Item label="Status">
-                {vehicle.status.charAt(0).toUpperCase() + vehicle.status.slice(1)}
-              </Descriptions.Item>
-              <Descriptions.Item label="Make">{vehicle.make}</Descriptions.Item>
-              <Descriptions.Item label="Model">{vehicle.model}</Descriptions.Item>
-              <Descriptions.Item label="Year">{vehicle.year}</Descriptions.Item>
-              <Descriptions.Item label="Color">{vehicle.color}</Descriptions.Item>
-              <Descriptions.Item label="VIN">
-                {vehicle.vin}
-              </Descriptions.Item>
-              <Descriptions.Item label="Registration State">
-                {vehicle.registrationState}
-              </Descriptions.Item>
+              {[...DETAIL_FIELDS, ...(access === 'full' ? OWNER_FIELDS : [])]
+                .filter(([field]) => vehicle[field] !== undefined && vehicle[field] !== null && vehicle[field] !== '')
+                .map(([field, label]) => (
+                  <Descriptions.Item key={field} label={label}>
+                    {formatField(field, vehicle[field])}
+                  </Descriptions.Item>
+                ))}
             </Descriptions>
+            {access === 'public' && (
+              <Text type="secondary" style={{ display: 'block', marginTop: '12px' }}>
+                Sign in to see the full vehicle record.
+              </Text>
+            )}
             
-            <div style={{ marginTop: '20px', display: 'flex', justifyContent: 'center' }}>
+            <div style={{ marginTop: '20px', display: 'flex', justifyContent: 'center', gap: '8px' }}>
               <Button 
                 type="primary" 
                 onClick={() => {
@@ -239,6 +310,11 @@ const VehicleScanPage = () => {
               >
                 Scan Another QR Code
               </Button>
+              {access === 'full' && vehicle._id && (
+                <Link to={`/vehicles/${vehicle._id}`}>
+                  <Button>Open Vehicle Record</Button>
+                </Link>
+              )}
             </div>
           </div>
         )}
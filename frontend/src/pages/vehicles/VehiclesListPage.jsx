@@ -1,12 +1,31 @@
 import React, { useState, useEffect } from 'react';
-import { Table, Button, Input, Space, message, Alert } from 'antd';
-import { SearchOutlined, PlusOutlined, EditOutlined, DeleteOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { Table, Button, Input, InputNumber, Space, Tag, Typography, message, Alert } from 'antd';
+import { SearchOutlined, PlusOutlined, EditOutlined, DeleteOutlined, InfoCircleOutlined, UploadOutlined, DownloadOutlined } from '@ant-design/icons';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
+import VehicleImportModal from '../../components/vehicles/VehicleImportModal';
+import StolenVehicleAlert from '../../components/vehicles/StolenVehicleAlert';
 
 const API_BASE_URL = '';
 
+const { Text } = Typography;
+
+// Facets returned by the search endpoint that are shown as filter chips
+const FACET_GROUPS = [
+  { key: 'status', label: 'Status' },
+  { key: 'make', label: 'Make' },
+  { key: 'color', label: 'Color' },
+  { key: 'registrationState', label: 'State' }
+];
+
+const EMPTY_FILTERS = {
+  status: [],
+  make: [],
+  color: [],
+  registrationState: []
+};
+
 const VehiclesListPage = () => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
@@ -14,6 +33,9 @@ const VehiclesListPage = () => {
   const [searchText, setSearchText] = useState('');
   const { currentUser } = useAuth();
   const isAdmin = currentUser?.role === 'admin';
+  const canImport = isAdmin || currentUser?.role === 'officer';
+  const [importOpen, setImportOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
   
   const [pagination, setPagination] = useState({
     current: 1,
@@ -21,33 +43,46 @@ const VehiclesListPage = () => {
     total: 0
   });
 
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [yearRange, setYearRange] = useState({ yearFrom: null, yearTo: null });
+  const [sort, setSort] = useState('-createdAt');
+  const [facets, setFacets] = useState({});
+  const [stolenAlert, setStolenAlert] = useState(null);
+
+  const buildSearchParams = (page, limit) => {
+    const params = { page, limit, sort };
+    if (searchText.trim()) {
+      params.q = searchText.trim();
+    }
+    Object.entries(filters).forEach(([key, values]) => {
+      if (values.length) {
+        params[key] = values.join(',');
+      }
+    });
+    if (yearRange.yearFrom) params.yearFrom = yearRange.yearFrom;
+    if (yearRange.yearTo) params.yearTo = yearRange.yearTo;
+    return params;
+  };
+
   const fetchVehicles = async (page = 1, limit = 10) => {
     try {
       setLoading(true);
-      const response = await axios.get(`/api/vehicles`, {
+      const response = await axios.get(`/api/vehicles/search`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        params: {
-          page,
-          limit,
-          sort: '-createdAt'
-        }
+        params: buildSearchParams(page, limit)
       });
       
-      // Handle both array and paginated response formats
-      const vehicles = Array.isArray(response.data) ? response.data : response.data.vehicles || [];
-      const total = Array.isArray(response.data) ? response.data.length : response.data.total || 0;
-      
-      setVehicles(vehicles);
-      setPagination({
-        ...pagination,
+      setVehicles(response.data.data || []);
+      setFacets(response.data.facets || {});
+      setStolenAlert(response.data.stolenVehicleAlert || null);
+      setPagination(prev => ({
+        ...prev,
         current: page,
-        total: total
-      });
-
-      // Log for debugging
-      console.log('Fetched vehicles:', vehicles);
+        pageSize: limit,
+        total: response.data.total || 0
+      }));
     } catch (error) {
       console.error('Error fetching vehicles:', error.response || error);
       message.error(error.response?.data?.message || 'Failed to fetch vehicles');
@@ -56,38 +91,90 @@ const VehiclesListPage = () => {
     }
   };
 
+  // Refetch whenever the page, sort or filters change (debounced for typing)
+  // and keep refreshing the list every 5 seconds
   useEffect(() => {
-    fetchVehicles(pagination.current, pagination.pageSize);
-  }, []);
+    const timeout = setTimeout(() => fetchVehicles(pagination.current, pagination.pageSize), 300);
+    const interval = setInterval(() => fetchVehicles(pagination.current, pagination.pageSize), 5000);
+    return () => {
+      clearTimeout(timeout);
+      clearInterval(interval);
+    };
+  }, [pagination.current, pagination.pageSize, sort, searchText, filters, yearRange]);
 
-  // Add a refresh function
-  const refreshVehicles = () => {
-    fetchVehicles(pagination.current, pagination.pageSize);
+  // Changing the search starts again from the first page
+  const resetPage = () => {
+    setPagination(prev => ({ ...prev, current: 1 }));
   };
 
-  // Add interval to refresh the list
-  useEffect(() => {
-    // Refresh the list every 5 seconds
-    const interval = setInterval(refreshVehicles, 5000);
-    return () => clearInterval(interval);
-  }, [pagination.current, pagination.pageSize]);
+  const handleTableChange = (newPagination, tableFilters, sorter) => {
+    const nextSort = sorter && sorter.order
+      ? `${sorter.order === 'descend' ? '-' : ''}${sorter.field}`
+      : '-createdAt';
+    setSort(nextSort);
+    setPagination(prev => ({
+      ...prev,
+      current: newPagination.current,
+      pageSize: newPagination.pageSize
+    }));
+  };
+
+  const toggleFilter = (key, value, checked) => {
+    resetPage();
+    setFilters(prev => ({
+      ...prev,
+      [key]: checked ? [...prev[key], value] : prev[key].filter(item => item !== value)
+    }));
+  };
 
-  const handleTableChange = (newPagination, filters, sorter) => {
-    fetchVehicles(newPagination.current, newPagination.pageSize);
+  const clearFilters = () => {
+    resetPage();
+    setFilters(EMPTY_FILTERS);
+    setYearRange({ yearFrom: null, yearTo: null });
+    setSearchText('');
   };
 
+  // Download the vehicles matching the current filters
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      // The export covers every match, so it is not paged
+      const params = buildSearchParams(1, pagination.pageSize);
+      delete params.page;
+      delete params.limit;
+      const response = await axios.get('/api/vehicles/export', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        params: { ...params, format },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `vehicles-${new Date().toISOString().slice(0, 10)}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting vehicles:', error);
+      message.error('Failed to export vehicles');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const hasActiveFilters = searchText || yearRange.yearFrom || yearRange.yearTo ||
+    Object.values(filters).some(values => values.length > 0);
+
   const columns = [
     {
       title: 'Registration Number',
       dataIndex: 'licensePlate',
       key: 'licensePlate',
       sorter: true,
-      filteredValue: [searchText],
-      onFilter: (value, record) => {
-        return String(record.licensePlate)
-          .toLowerCase()
-          .includes(value.toLowerCase());
-      },
     },
     {
       title: 'Make',
@@ -111,6 +198,7 @@ const VehiclesListPage = () => {
       title: 'Status',
       dataIndex: 'status',
       key: 'status',
+      sorter: true,
       render: (status) => (
         <span style={{ 
           color: status === 'stolen' ? '#ff4d4f' : 
@@ -187,19 +275,90 @@ const VehiclesListPage = () => {
     }}>
       <div style={{ marginBottom: '16px', display: 'flex', justifyContent: 'space-between' }}>
         <Input
-          placeholder="Search by registration number"
+          placeholder="Search by plate, VIN, make, model or owner"
           prefix={<SearchOutlined />}
-          style={{ width: 300 }}
+          style={{ width: 360 }}
           value={searchText}
-          onChange={(e) => setSearchText(e.target.value)}
+          allowClear
+          onChange={(e) => {
+            resetPage();
+            setSearchText(e.target.value);
+          }}
         />
-        <Button
-          type="primary"
-          icon={<PlusOutlined />}
-          onClick={() => navigate('/vehicles/register')}
-        >
-          Register New Vehicle
-        </Button>
+        <Space>
+          <Button icon={<DownloadOutlined />} loading={exporting} onClick={() => handleExport('csv')}>
+            Export CSV
+          </Button>
+          <Button icon={<DownloadOutlined />} loading={exporting} onClick={() => handleExport('xlsx')}>
+            Export XLSX
+          </Button>
+          <Button icon={<DownloadOutlined />} loading={exporting} onClick={() => handleExport('json')}>
+            Export JSON
+          </Button>
+          {canImport && (
+            <Button icon={<UploadOutlined />} onClick={() => setImportOpen(true)}>
+              Import
+            </Button>
+          )}
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={() => navigate('/vehicles/register')}
+          >
+            Register New Vehicle
+          </Button>
+        </Space>
+      </div>
+
+      <VehicleImportModal
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={() => fetchVehicles(1, pagination.pageSize)}
+      />
+
+      <div style={{ marginBottom: '16px' }}>
+        {FACET_GROUPS.map(group => (
+          (facets[group.key] || []).length > 0 && (
+            <div key={group.key} style={{ marginBottom: '8px' }}>
+              <Text strong style={{ marginRight: '8px' }}>{group.label}:</Text>
+              {facets[group.key].map(bucket => (
+                <Tag.CheckableTag
+                  key={bucket.value}
+                  checked={filters[group.key].includes(bucket.value)}
+                  onChange={(checked) => toggleFilter(group.key, bucket.value, checked)}
+                >
+                  {bucket.value} ({bucket.count})
+                </Tag.CheckableTag>
+              ))}
+            </div>
+          )
+        ))}
+        <Space>
+          <Text strong>Year:</Text>
+          <InputNumber
+            placeholder="From"
+            min={1900}
+            value={yearRange.yearFrom}
+            onChange={(value) => {
+              resetPage();
+              setYearRange(prev => ({ ...prev, yearFrom: value }));
+            }}
+          />
+          <InputNumber
+            placeholder="To"
+            min={1900}
+            value={yearRange.yearTo}
+            onChange={(value) => {
+              resetPage();
+              setYearRange(prev => ({ ...prev, yearTo: value }));
+            }}
+          />
+          {hasActiveFilters && (
+            <Button type="link" onClick={clearFilters}>
+              Clear filters
+            </Button>
+          )}
+        </Space>
       </div>
 
       {!isAdmin && (
@@ -213,6 +372,8 @@ const VehiclesListPage = () => {
         />
       )}
 
+      <StolenVehicleAlert alert={stolenAlert} />
+
       <Table
         columns={columns}
         dataSource={vehicles}
@@ -265,18 +265,45 @@ export const vehicleService = {
   }),
   setMainVehicleImage: (id, imageUrl) => throttledApiClient.put(`/vehicles/${id}/main-image`, { imageUrl }),
   removeVehicleImage: (id, imageId) => throttledApiClient.delete(`/vehicles/${id}/images/${imageId}`),
-  searchVehicles: (query) => throttledApiClient.get('/vehicles/search', { params: { query } }),
+  // Accepts a free text query or an object of search filters (q, vin, plate, make, status, yearFrom, sort, page...)
+  searchVehicles: (params) => throttledApiClient.get('/vehicles/search', {
+    params: typeof params === 'string' ? { query: params } : params
+  }),
   updateVehicleLocation: (id, location) => throttledApiClient.put(`/vehicles/${id}/location`, { location }),
-  addVehicleNote: (id, note) => throttledApiClient.post(`/vehicles/${id}/notes`, { note }),
-  getVehicleNotes: (id) => throttledApiClient.get(`/vehicles/${id}/notes`),
-  addVehicleFlag: (id, flagData) => throttledApiClient.post(`/vehicles/${id}/flags`, flagData),
-  resolveVehicleFlag: (id, flagId) => throttledApiClient.put(`/vehicles/${id}/flags/${flagId}/resolve`),
-  getVehicleFlags: (id) => throttledApiClient.get(`/vehicles/${id}/flags`),
-  checkDuplicateVIN: (vin) => throttledApiClient.post('/vehicles/check-vin', { vin }),
-  checkVehicleCompliance: (id) => throttledApiClient.get(`/vehicles/${id}/compliance-check`),
-  getVehiclesByOwner: (ownerName) => throttledApiClient.get(`/vehicles/owner/${ownerName}`),
-  getVehiclesByStatus: (status) => throttledApiClient.get(`/vehicles/status/${status}`),
-  updateComplianceDetails: (id, complianceDetails) => throttledApiClient.put(`/vehicles/${id}/compliance`, complianceDetails),
+  addVehicleNote: (id, content) => throttledApiClient.post(`/vehicles/notes/${id}`, { content }),
+  getVehicleNotes: (id) => throttledApiClient.get(`/vehicles/notes/${id}`),
+  addVehicleFlag: (id, flagData) => throttledApiClient.post(`/vehicles/flags/${id}`, flagData),
+  resolveVehicleFlag: (id, flagId, resolutionNote) => throttledApiClient.put(`/vehicles/flags/${id}/${flagId}`, { resolutionNote }),
+  getVehicleFlags: (id) => throttledApiClient.get(`/vehicles/flags/${id}`),
+  checkDuplicateVIN: (vin, excludeId) => throttledApiClient.post('/vehicles/check-vin', { vin, excludeId }),
+  decodeVin: (vin, params) => throttledApiClient.get(`/vehicles/decode-vin/${vin}`, { params }),
+  checkVehicleCompliance: (id) => throttledApiClient.get(`/vehicles/compliance-check/${id}`),
+  checkFleetCompliance: (params) => throttledApiClient.get('/vehicles/compliance-check', { params }),
+  getVehiclesByOwner: (ownerName, params) => throttledApiClient.get(`/vehicles/owner/${encodeURIComponent(ownerName)}`, { params }),
+  getVehiclesByStatus: (status, params) => throttledApiClient.get(`/vehicles/status/${status}`, { params }),
+  updateComplianceDetails: (id, complianceDetails) => throttledApiClient.put(`/vehicles/compliance/${id}`, complianceDetails),
+  transferOwnership: (id, transferData) => throttledApiClient.post(`/vehicles/${id}/transfer`, transferData),
+  getOwnershipHistory: (id) => throttledApiClient.get(`/vehicles/${id}/ownership-history`),
+  importVehicles: (formData, params) => apiClient.post('/vehicles/import', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    params,
+  }),
+  getImportBatches: (params) => throttledApiClient.get('/vehicles/import', { params }),
+  getImportBatch: (batchId) => throttledApiClient.get(`/vehicles/import/${batchId}`),
+  revertImportBatch: (batchId, force = false) => throttledApiClient.post(`/vehicles/import/${batchId}/revert`, { force }),
+  exportVehicles: (params) => apiClient.get('/vehicles/export', { params, responseType: 'blob' }),
+  getQRCode: (id) => throttledApiClient.get(`/vehicles/qrcode/${id}`),
+  // expiresInDays (0 for never) or expiresAt; without either the settings default applies
+  rotateQRCode: (id, data) => throttledApiClient.post(`/vehicles/qrcode/${id}/rotate`, data),
+  revokeQRCode: (id, reason) => throttledApiClient.post(`/vehicles/qrcode/${id}/revoke`, { reason }),
+  // FormData with the photo as `image`, plus optional `limit` and `lat`/`lng` of where it was taken
+  recognizePlate: (formData) => apiClient.post('/vehicles/recognize-plate', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  }),
 };
 
 /*
@@ -293,9 +320,14 @@ export const incidentService = {
       'Content-Type': 'multipart/form-data',
     },
   }),
-  removeEvidence: (id, evidenceId) => throttledApiClient.delete(`/incidents/${id}/evidence/${evidenceId}`),
+  getEvidenceCustody: (id, evidenceId) => throttledApiClient.get(`/incidents/${id}/evidence/${evidenceId}/custody`),
+  recordCustodyEvent: (id, evidenceId, custodyData) => throttledApiClient.post(`/incidents/${id}/evidence/${evidenceId}/custody`, custodyData),
+  verifyEvidence: (id, evidenceId) => throttledApiClient.post(`/incidents/${id}/evidence/${evidenceId}/verify`),
+  downloadEvidence: (id, evidenceId) => apiClient.get(`/incidents/${id}/evidence/${evidenceId}/file`, { responseType: 'blob' }),
   addTimelineEvent: (id, eventData) => throttledApiClient.post(`/incidents/${id}/timeline`, eventData),
-  assignIncident: (id, assignmentData) => throttledApiClient.post(`/incidents/${id}/assign`, assignmentData),
+  assignIncident: (id, assignmentData) => throttledApiClient.post(`/incidents/assign/${id}`, assignmentData),
+  getAssignmentSuggestions: (id, params) => throttledApiClient.get(`/incidents/${id}/assignment-suggestions`, { params }),
+  autoAssignIncident: (id, assignmentData) => throttledApiClient.post(`/incidents/${id}/auto-assign`, assignmentData),
   addIncidentNote: (id, noteData) => throttledApiClient.post(`/incidents/${id}/notes`, noteData),
   getIncidentsByDateRange: (startDate, endDate) => throttledApiClient.get('/incidents/date-range', { 
     params: { startDate, endDate } 
@@ -310,8 +342,14 @@ export const incidentService = {
   updateCaseDetails: (id, caseData) => throttledApiClient.put(`/incidents/${id}/case`, caseData),
   updateCaseStatus: (id, status) => throttledApiClient.put(`/incidents/${id}/case/status`, { status }),
   exportIncidentReport: (id) => throttledApiClient.get(`/incidents/${id}/export`, { responseType: 'blob' }),
-  submitInvestigationReport: (id, reportData) => throttledApiClient.post(`/incidents/${id}/report`, reportData),
-  reviewInvestigationReport: (id, reviewData) => throttledApiClient.post(`/incidents/${id}/review`, reviewData)
+  submitInvestigationReport: (id, reportData) => throttledApiClient.post(`/incidents/report/${id}`, reportData),
+  getReportVersions: (id) => throttledApiClient.get(`/incidents/${id}/report-versions`),
+  reviewInvestigationReport: (id, reviewData) => throttledApiClient.post(`/incidents/review/${id}`, reviewData),
+  getIncidentsNear: (params) => throttledApiClient.get('/incidents/near', { params }),
+  getIncidentsWithin: (geometry, filters = {}) => throttledApiClient.post('/incidents/within', { geometry, ...filters }),
+  getIncidentHotspots: (params) => throttledApiClient.get('/incidents/hotspots', { params }),
+  getTransitions: (id) => throttledApiClient.get(`/incidents/${id}/transitions`),
+  transitionIncident: (id, action, note) => throttledApiClient.post(`/incidents/${id}/transitions`, { action, note })
 };
 
 /*
@@ -456,6 +494,8 @@ export const adminService = {
   getUsersByRole: (role) => throttledApiClient.get(`/users/role/${role}`),
   updateUser: (id, userData) => throttledApiClient.put(`/users/${id}`, userData),
   deleteUser: (id) => throttledApiClient.delete(`/users/${id}`),
+  getUserAvailability: (id) => throttledApiClient.get(`/users/${id}/availability`),
+  updateUserAvailability: (id, availability) => throttledApiClient.put(`/users/${id}/availability`, availability),
   updateUserRole: (id, role) => {
     console.log(`Making API request to update role for user ${id} to ${role}`);
     return throttledApiClient.put(`/users/${id}/role`, { role })
@@ -477,6 +517,84 @@ export const adminService = {
   getSystemStatistics: () => throttledApiClient.get('/admin/statistics'),
   getSystemSettings: () => throttledApiClient.get('/admin/settings'),
   updateSystemSettings: (settings) => throttledApiClient.put('/admin/settings', settings),
+  getScheduledJobs: () => throttledApiClient.get('/admin/jobs'),
+  getJobRuns: (params) => throttledApiClient.get('/admin/jobs/runs', { params }),
+  runJob: (name) => throttledApiClient.post(`/admin/jobs/${name}/run`),
+  getEmailLogs: (params) => throttledApiClient.get('/admin/email-logs', { params }),
+  retryEmail: (id) => throttledApiClient.post(`/admin/email-logs/${id}/retry`),
+};
+
+/*
+ * Geocoding Services
+ */
+export const geoService = {
+  geocode: (q, limit = 5) => throttledApiClient.get('/geo/geocode', { params: { q, limit } }),
+  reverseGeocode: (lng, lat) => throttledApiClient.get('/geo/reverse', { params: { lng, lat } }),
+  getGazetteerSources: () => throttledApiClient.get('/geo/gazetteer'),
+  importGazetteer: (formData, params) => apiClient.post('/geo/gazetteer/import', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    params
+  }),
+  deleteGazetteerSource: (source) => throttledApiClient.delete(`/geo/gazetteer/${encodeURIComponent(source)}`)
+};
+
+/*
+ * Person Registry Services
+ */
+export const personService = {
+  searchPersons: (params) => throttledApiClient.get('/persons', { params }),
+  createPerson: (data) => throttledApiClient.post('/persons', data),
+  getPersonById: (id) => throttledApiClient.get(`/persons/${id}`),
+  updatePerson: (id, data) => throttledApiClient.put(`/persons/${id}`, data),
+  getPersonMatches: (id) => throttledApiClient.get(`/persons/${id}/matches`),
+  getMergeSuggestions: (params) => throttledApiClient.get('/persons/merge-suggestions', { params }),
+  mergePerson: (id, sourceId) => throttledApiClient.post(`/persons/${id}/merge`, { sourceId })
+};
+
+/*
+ * Impound Services
+ */
+export const impoundService = {
+  getLots: (params) => throttledApiClient.get('/impound/lots', { params }),
+  createLot: (data) => throttledApiClient.post('/impound/lots', data),
+  updateLot: (id, data) => throttledApiClient.put(`/impound/lots/${id}`, data),
+  getLotReport: (id, params) => throttledApiClient.get(`/impound/lots/${id}/report`, { params }),
+  getRecords: (params) => throttledApiClient.get('/impound/records', { params }),
+  intakeVehicle: (data) => throttledApiClient.post('/impound/records', data),
+  getRecord: (id) => throttledApiClient.get(`/impound/records/${id}`),
+  addPhotos: (id, formData) => apiClient.post(`/impound/records/${id}/photos`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  }),
+  releaseVehicle: (id, data) => throttledApiClient.post(`/impound/records/${id}/release`, data)
+};
+
+/*
+ * Citation Services
+ */
+export const citationService = {
+  getViolationCodes: (params) => throttledApiClient.get('/citations/violation-codes', { params }),
+  createViolationCode: (data) => throttledApiClient.post('/citations/violation-codes', data),
+  updateViolationCode: (id, data) => throttledApiClient.put(`/citations/violation-codes/${id}`, data),
+  getUnpaidTotals: (params) => throttledApiClient.get('/citations/unpaid-totals', { params }),
+  getCitations: (params) => throttledApiClient.get('/citations', { params }),
+  issueCitation: (data) => throttledApiClient.post('/citations', data),
+  getCitation: (id) => throttledApiClient.get(`/citations/${id}`),
+  getCitationPdf: (id) => apiClient.get(`/citations/${id}/pdf`, { responseType: 'blob' }),
+  regenerateCitationPdf: (id) => throttledApiClient.post(`/citations/${id}/pdf`),
+  recordPayment: (id, data) => throttledApiClient.post(`/citations/${id}/payments`, data),
+  contestCitation: (id, data) => throttledApiClient.post(`/citations/${id}/contest`, data),
+  resolveContest: (id, data) => throttledApiClient.post(`/citations/${id}/contest/resolve`, data),
+  setCourtDate: (id, data) => throttledApiClient.put(`/citations/${id}/court`, data),
+  voidCitation: (id, reason) => throttledApiClient.post(`/citations/${id}/void`, { reason })
+};
+
+/*
+ * Link Analysis Services
+ */
+export const graphService = {
+  expand: (entity, id, depth = 1) => throttledApiClient.get('/graph/expand', { params: { entity, id, depth } })
 };
 
 /*